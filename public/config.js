@@ -0,0 +1,8 @@
+// Runtime configuration, read by src/api/config.js before the app starts.
+// Edit this file on the deployed server to change the API host without rebuilding.
+window.__APP_CONFIG__ = {
+    // Leave empty to use REACT_APP_API_URL or the default production host
+    apiUrl: '',
+    // true forces the in-browser mock backend for every user (training/demo deployments)
+    useMockApi: false,
+};
@@ -1,52 +1,157 @@
-import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { LogOut, Plus, Trash2, Save, X, Clock, Filter, Database, User, Mail, Zap, Loader, ChevronDown, Eye, Shield, FileText } from 'lucide-react'; 
+import React, { useState, useEffect, useLayoutEffect, useCallback, useMemo, useRef } from 'react';
+import { LogOut, Plus, Trash2, Save, X, Clock, Filter, Database, User, Mail, Zap, Loader, ChevronDown, Eye, Shield, FileText, ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, ArrowUp, ArrowDown, SlidersHorizontal, Download, Upload, Users, HelpCircle, Layers, AlertTriangle, BarChart3 } from 'lucide-react'; 
 import Swal from "sweetalert2"; 
 import logoAvocarbon from './assets/logo-avocarbon.png';
-
-// IMPORTANT: Update this to your deployed API server URL when moving off localhost
-const BASE_API_URL = 'https://product-db-back.azurewebsites.net';
+import { USE_MOCK_API, IS_MOCK_API_FORCED, setMockApiEnabled } from './api/config';
+import { api, request, FILE_FIELDS, setAuthToken as setApiAuthToken, setUnauthorizedHandler, isAbortError, hasNewFiles, UnauthorizedError, NotFoundError, ConflictError, ValidationError } from './api/apiClient';
+import { resetMockDatabase } from './api/mockBackend';
+import { serializeSort, sortRecords, normalizeListResponse } from './utils/listQuery';
+import { EMPTY_FILTER, serializeFilter, parseFilter, withConditionIds, matchesFilter, getActiveConditions } from './utils/filterBuilder';
+import { readUserPreference, writeUserPreference } from './utils/userPreferences';
+import { escapeHtml } from './utils/escapeHtml';
+import { ROLE_OPTIONS, isAdminUser, canWriteCollection, canCreateInCollection, canPerform, getDeniedMessage } from './utils/permissions';
+import { buildExportRows, buildExportFileName, downloadCsv, downloadXlsx, toFileList, getFileName } from './utils/exportData';
+import { getChangedFields } from './utils/recordDiff';
+import { FIELD_PLACES, getFieldSchema, getFieldType, getFieldLabel, getFieldCaption, getFieldOptions, groupFieldsBySection, describeField, isFieldShownIn, isFileType } from './utils/fieldSchema';
+import { readDraft, saveDraft, clearDraft } from './utils/drafts';
+import { validateRecord, findUniquenessErrors, getServerFieldErrors } from './utils/validation';
+import { sanitizeMarkdown, markdownToPlainText } from './utils/markdown';
+import { findProductLine, isOrphanProduct, linkProductLine } from './utils/productLineLinks';
+import { compressImages } from './utils/imageFiles';
+import { MEGABYTE, screenFiles, describeFileRules, getAcceptAttribute } from './utils/uploadRules';
+import { loadViews, createView, updateView, deleteView, setDefaultView, isSharingSupported } from './api/savedViews';
+import { getRoleLabel } from './api/users';
+import { listProductLineProducts } from './api/productLines';
+import { uploadFile, deleteUpload, isUploadEndpointSupported } from './api/uploads';
+import FilterBuilder from './components/FilterBuilder';
+import SavedViewsMenu from './components/SavedViewsMenu';
+import ColumnPicker from './components/ColumnPicker';
+import ImportWizard from './components/ImportWizard';
+import BulkActionsBar from './components/BulkActionsBar';
+import ProductComparison from './components/ProductComparison';
+import ImageGallery from './components/ImageGallery';
+import DocumentPreviewer from './components/DocumentPreviewer';
+import FileDropZone from './components/FileDropZone';
+import AttachmentList from './components/AttachmentList';
+import ThumbnailStrip from './components/ThumbnailStrip';
+import ProductAvatar from './components/ProductAvatar';
+import UploadProgress from './components/UploadProgress';
+import SaveProgress from './components/SaveProgress';
+import UserManagement from './components/UserManagement';
+import RecordHistory from './components/RecordHistory';
+import AuditLogExplorer from './components/AuditLogExplorer';
+import ConflictResolver from './components/ConflictResolver';
+import DraftBanner from './components/DraftBanner';
+import ProductLinePage from './components/ProductLinePage';
+import PortfolioDashboard from './components/PortfolioDashboard';
+import MarkdownEditor from './components/MarkdownEditor';
+import MarkdownView from './components/MarkdownView';
+
+// The API host and the mock backend switch are resolved at runtime, see src/api/config.js
 
 // List of columns managed by the server/database that should NOT be shown in forms or tables
 const EXCLUDED_INTERNAL_COLUMNS = ['created_at', 'created_by', 'updated_at', 'updated_by', 'password_hash', 'product_line_id'];
 const CHARACTER_EXPANSION_THRESHOLD = 30; // Threshold for long text fields in the modal
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+const DEFAULT_PAGE_SIZE = 25;
+const FILTER_DEBOUNCE_MS = 300; // Delay before a typed filter term is sent to the server
+const PREFERENCES_DEBOUNCE_MS = 300; // Delay before column widths/table state are persisted (resizing fires per pixel)
+const TABLE_STATE_SESSION_KEY = 'tableState'; // Working table state, restored on page reload
+const EXPORT_PAGE_SIZE = 200; // Page size used to download every matching record for an export
+// Field naming a record: matches import rows without an ID and labels bulk action results
+const RECORD_KEY_FIELDS = { product_lines: 'name', products: 'product_name' };
+const SELECTION_COLUMN_WIDTH = 48;
+const ACTION_COLUMN_WIDTH = 150;
+const MIN_COMPARED_PRODUCTS = 2;
+const MAX_COMPARED_PRODUCTS = 4;
 
 // --- Data Model Configuration based on PostgreSQL schema ---
+// Field definitions (type, label, section, options, bounds...) are described in utils/fieldSchema.js
+// and the validation rules they carry in utils/validation.js. Forms list the fields in declaration order.
+const PRODUCT_LINE_SCHEMA = {
+    name: { label: 'Name', section: 'General', placeholder: 'Engine Line X', maxLength: 100 },
+    type_of_products: { type: 'textarea', label: 'Type of Products', section: 'General', placeholder: 'Automotive' },
+    product_line_manager: { label: 'Product Line Manager', section: 'General', placeholder: 'jane.doe@avocarbon.com', maxLength: 254, help: 'Login email (or display name) of the manager: they can edit this line and its products.' },
+    compliance_resource_id: { label: 'Compliance Resource ID', section: 'General', placeholder: 'CMP-0042', maxLength: 50 },
+    manufacturing_locations: { type: 'textarea', label: 'Manufacturing Locations', section: 'Operations' },
+    design_center: { type: 'textarea', label: 'Design Center', section: 'Operations' },
+    metiers: { type: 'textarea', label: 'Metiers', section: 'Operations' },
+    history: { type: 'textarea', label: 'History', section: 'Market' },
+    type_of_customers: { type: 'textarea', label: 'Type of Customers', section: 'Market' },
+    strength: { type: 'textarea', label: 'Strengths', section: 'Assessment' },
+    weakness: { type: 'textarea', label: 'Weaknesses', section: 'Assessment' },
+    perspectives: { type: 'textarea', label: 'Perspectives', section: 'Assessment' },
+    attachments_raw: {
+        type: 'file_attachment', label: 'Attachments', section: 'Attachments',
+        accept: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'csv', 'txt', 'png', 'jpg', 'jpeg'], maxFileSize: 50 * MEGABYTE,
+    },
+};
+
+const PRODUCT_SCHEMA = {
+    product_name: { label: 'Product Name', section: 'General', placeholder: 'Sensor A1', maxLength: 150, unique: { within: 'product_line' } },
+    product_line: { type: 'select', optionsSource: 'product_lines', label: 'Product Line', section: 'General' },
+    description: { type: 'textarea', label: 'Description', section: 'General' },
+    product_definition: { type: 'textarea', label: 'Product Definition', section: 'General' },
+    operating_environment: { type: 'textarea', label: 'Operating Environment', section: 'Technical' },
+    technical_parameters: { type: 'textarea', label: 'Technical Parameters', section: 'Technical' },
+    machines_and_tooling: { type: 'textarea', label: 'Machines and Tooling', section: 'Technical' },
+    engineering_and_testing: { type: 'textarea', label: 'Engineering and Testing', section: 'Technical' },
+    prototypes_ppap_and_sop: { type: 'textarea', label: 'Prototypes, PPAP and SOP', section: 'Technical' },
+    capacity: { type: 'textarea', label: 'Capacity', section: 'Technical', placeholder: 'Unlimited/on demand...' },
+    manufacturing_strategy: { type: 'textarea', label: 'Manufacturing Strategy', section: 'Strategy' },
+    purchasing_strategy: { type: 'textarea', label: 'Purchasing Strategy', section: 'Strategy' },
+    our_advantages: { type: 'textarea', label: 'Our Advantages', section: 'Strategy' },
+    customers_in_production: { type: 'textarea', label: 'Customers in Production', section: 'Customers' },
+    customer_in_development: { label: 'Customers in Development', section: 'Customers', maxLength: 500 },
+    level_of_interest_and_why: { label: 'Level of Interest and Why', section: 'Customers', placeholder: 'High - stable volumes', maxLength: 500 },
+    prod_if_customer_in_china: { type: 'checkbox', label: 'Prod. if Customer in China', section: 'Customers' },
+    gmdc_pct: { type: 'number', label: 'GMDC', section: 'Economics', unit: '%', min: 0, max: 100, step: 0.01, placeholder: '35.50', help: 'Gross margin on direct costs.' },
+    estimated_price_per_product: { type: 'number', label: 'Estimated Price per Product', section: 'Economics', min: 0, step: 0.01 },
+    costing_data: { type: 'textarea', label: 'Costing Data', section: 'Economics' },
+    product_pictures: { type: 'file_image', label: 'Product Pictures', section: 'Pictures', accept: ['jpg', 'jpeg', 'png', 'gif', 'webp'], maxFileSize: 20 * MEGABYTE },
+};
+
+const USER_SCHEMA = {
+    email: { type: 'email', label: 'Email', placeholder: 'name.lastname@avocarbon.com', maxLength: 254 },
+    displayName: { label: 'Display Name', placeholder: 'Firstname Lastname', maxLength: 100 },
+    user_role: { type: 'select', label: 'Role', options: ROLE_OPTIONS },
+};
+
 const initialCollections = {
     product_lines: {
         name: 'Product Lines',
         apiPath: '/api/product_lines',
         filterableFields: ['name', 'product_line_manager'],
-        fields: ['id', 'name', 'type_of_products', 'manufacturing_locations', 'design_center', 'product_line_manager', 'history', 'type_of_customers', 'metiers', 'strength', 'weakness', 'perspectives', 'compliance_resource_id', 'attachments_raw', ...EXCLUDED_INTERNAL_COLUMNS],
+        schema: PRODUCT_LINE_SCHEMA,
+        fields: ['id', ...Object.keys(PRODUCT_LINE_SCHEMA), ...EXCLUDED_INTERNAL_COLUMNS],
         compactFields: [ 'name', 'product_line_manager'],
         requiredFields: ['name', 'product_line_manager' ],
         defaultValues: { name: '', type_of_products: '', product_line_manager: '', strength: '', weakness: '', attachments_raw: [] }, 
-        placeholder: { name: 'Engine Line X', type_of_products: 'Automotive', product_line_manager: 'Jane Doe' },
     },
     products: {
         name: 'Products',
         apiPath: '/api/products',
         filterableFields: ['product_name', 'product_line'],
-        fields: ['id', 'product_name', 'product_line', 'description', 'product_definition', 'operating_environment', 'technical_parameters', 'machines_and_tooling', 'manufacturing_strategy', 'purchasing_strategy', 'prototypes_ppap_and_sop', 'engineering_and_testing', 'capacity', 'our_advantages', 'gmdc_pct', 'product_line_id', 'customers_in_production', 'customer_in_development', 'level_of_interest_and_why', 'estimated_price_per_product', 'prod_if_customer_in_china', 'costing_data', 'product_pictures', ...EXCLUDED_INTERNAL_COLUMNS],
+        schema: PRODUCT_SCHEMA,
+        fields: ['id', ...Object.keys(PRODUCT_SCHEMA), ...EXCLUDED_INTERNAL_COLUMNS],
         compactFields: [ 'product_name', 'product_line'],
         requiredFields: ['product_name', 'product_line'],
         defaultValues: { product_name: '', product_line: '', description: '', capacity: '', gmdc_pct: 0.00, product_pictures: [] }, 
-        placeholder: { product_name: 'Sensor A1', product_line: 'Engine Line X', capacity: 'Unlimited/on demand...', gmdc_pct: 35.50 },
     },
     // MOCK user collection for display/role purposes
     users: {
         name: 'Users',
         apiPath: '/api/users',
         filterableFields: ['email', 'displayName', 'user_role'],
-        fields: ['id', 'email', 'displayName', 'user_role', ...EXCLUDED_INTERNAL_COLUMNS],
+        schema: USER_SCHEMA,
+        fields: ['id', ...Object.keys(USER_SCHEMA), ...EXCLUDED_INTERNAL_COLUMNS],
         compactFields: ['displayName', 'email', 'user_role'],
         requiredFields: ['email', 'password', 'displayName'],
-        defaultValues: { email: '', displayName: '', user_role: 'user' },
-        placeholder: { email: 'name.lastname@avocarbon.com', displayName: 'Firstname Lastname' },
+        defaultValues: { email: '', displayName: '', user_role: 'viewer' },
     },
 };
 
 const collectionKeys = Object.keys(initialCollections).filter(k => k !== 'users'); // Exclude users from main tabs
-const LOGS_API_PATH = '/api/audit_logs';
 
 // Initial column widths for resizing (used to initialize state)
 const initialCompactFields = initialCollections.product_lines.compactFields.concat(initialCollections.products.compactFields).filter((v, i, a) => a.indexOf(v) === i);
@@ -55,39 +160,112 @@ const initialColumnWidths = initialCompactFields.reduce((acc, field) => {
     return acc;
 }, { 
     'id': 100, 
-    'Details': 120,
-    // NEW: Default widths for audit log table columns
-    'Action': 80,
-    'User': 150,
-    'Table': 150,
-    'Record ID': 100,
-    'Timestamp': 220,
+    'Details': ACTION_COLUMN_WIDTH,
 }); 
 
 // --- Utility Functions ---
 
-const formatTimestamp = (dateString) => {
-    if (!dateString) return 'N/A';
-    try {
-        return new Date(dateString).toLocaleString();
-    } catch (e) {
-        return 'Invalid Date';
-    }
+// Text shown in an items table cell (any display field can be picked as a column)
+const formatTableCell = (collection, field, value) => {
+    const type = getFieldType(collection, field);
+    if (field === 'id') return String(value).substring(0, 8) + '...';
+    if (type === 'checkbox') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.length === 0 ? 'N/A' : `${value.length} file(s)`;
+    if (value === null || value === undefined || value === '') return 'N/A';
+    if (type === 'textarea') return markdownToPlainText(value) || 'N/A';
+    return String(value);
+};
+
+// Record with every file field as a list of paths (the DB may return null, a path or a JSON string)
+const withFileLists = (collection, record) => collection.fields.reduce((acc, field) => {
+    if (isFileType(getFieldType(collection, field))) acc[field] = toFileList(record[field]);
+    return acc;
+}, { ...record });
+
+// Form value as sent to the server: file fields as lists, number inputs (typed text) as numbers,
+// long texts as sanitized markdown
+const toPayloadValue = (collection, field, value) => {
+    const type = getFieldType(collection, field);
+    if (isFileType(type)) return Array.isArray(value) ? value : [];
+    if (type === 'number') return value === '' || value === null || value === undefined ? null : parseFloat(value);
+    if (type === 'textarea') return sanitizeMarkdown(value);
+    return value;
 };
 
-const getFieldType = (field) => {
-    if (field.includes('history') || field.includes('description') || field.includes('strategy')|| field.includes('capacity') || field.includes('parameters') || field.includes('tooling') || field.includes('advantages') || field.includes('costing_data') || field.includes('definition') || field.includes('environment') || field.includes('locations') || field.includes('center') || field.includes('metiers') || field.includes('strength') || field.includes('weakness') || field.includes('perspectives') || field.includes('customers') || field.includes('prototypes_ppap_and_sop') || field.includes('engineering_and_testing') || field.includes('type_of_products')) return 'textarea';
-    if (field.includes('gmdc_pct') || field.includes('estimated_price') ) return 'number';
-    if (field.includes('prod_if_customer_in_china')) return 'checkbox';
-    // File/Image fields now map to the new file handling logic
-    if (field.includes('product_pictures')) return 'file_image';
-    if (field.includes('attachments_raw')) return 'file_attachment';
+// Body with the new photos of its picture fields resized and compressed (see utils/imageFiles)
+const withCompressedPictures = async (collection, body) => {
+    const compressed = { ...body };
+    for (const field of Object.keys(body)) {
+        if (getFieldType(collection, field) === 'file_image' && Array.isArray(body[field])) {
+            compressed[field] = await compressImages(body[field]);
+        }
+    }
+    return compressed;
+};
 
-    return 'text';
+const uploadItem = (item, options) => uploadFile(item.file, { field: item.field, ...options });
+
+// PUT payload for a stored record with some fields changed. Like DetailModal, updates resend
+// the whole editable record (stored files are kept through their paths), so they carry the
+// record's updated_at: the server rejects them with a 409 if the record changed since it was read.
+const buildUpdatePayload = (collection, record, changes = {}) => collection.fields
+    .filter(field => field !== 'id' && !EXCLUDED_INTERNAL_COLUMNS.includes(field))
+    .reduce((acc, field) => {
+        if (field in changes) acc[field] = changes[field];
+        else if (isFileType(getFieldType(collection, field))) acc[field] = toFileList(record[field]);
+        else if (field in record) acc[field] = record[field];
+        return acc;
+    }, { expected_updated_at: record.updated_at });
+
+// Columns that can be shown in the items table of a collection
+const getDisplayFields = (collection) => collection.fields.filter(field => !EXCLUDED_INTERNAL_COLUMNS.includes(field));
+
+// { key, label, type } descriptors, as used by the export, the import and the change diffs
+const describeFields = (collection, fields, context) => fields.map(field => describeField(collection, field, context));
+
+// Line fields shown on a product line page, as in its detail modal
+const PRODUCT_LINE_PAGE_FIELDS = getDisplayFields(initialCollections.product_lines)
+    .filter(field => field !== 'id' && isFieldShownIn(initialCollections.product_lines, field, FIELD_PLACES.DETAIL));
+
+// Product fields lined up by the product comparison, as in the product detail modal
+const PRODUCT_COMPARISON_FIELDS = getDisplayFields(initialCollections.products)
+    .filter(field => field !== 'id' && isFieldShownIn(initialCollections.products, field, FIELD_PLACES.DETAIL));
+
+// Audit explorer: the tables it can filter on and the fields whose changes it lists
+const AUDIT_TABLE_OPTIONS = Object.entries(initialCollections).map(([key, collection]) => ({ value: key, label: collection.name }));
+const AUDIT_FIELDS_BY_TABLE = Object.fromEntries(Object.entries(initialCollections)
+    .map(([key, collection]) => [key, describeFields(collection, getDisplayFields(collection))]));
+
+// Asked before unsaved form input leaves the screen. Resolves to 'keep' (it stays as a local
+// draft, see utils/drafts), 'discard' or null when the user goes back to the form.
+const confirmUnsavedChanges = async ({ text, keepLabel, stayLabel, hasPendingFiles = false }) => {
+    const result = await Swal.fire({
+        title: 'Unsaved changes',
+        text: hasPendingFiles ? `${text} Files picked but not uploaded yet are not kept in the draft.` : text,
+        icon: 'warning',
+        showDenyButton: true,
+        showCancelButton: true,
+        confirmButtonText: keepLabel,
+        denyButtonText: 'Discard changes',
+        cancelButtonText: stayLabel,
+    });
+    if (result.isConfirmed) return 'keep';
+    return result.isDenied ? 'discard' : null;
 };
 
-// --- HELPER COMPONENT: RESIZABLE TABLE HEADER (UNCHANGED, BUT REUSED) ---
-const ResizableTableHeader = ({ columns, columnWidths, setColumnWidths, actionColumnTitle = 'Details' }) => {
+const hasPendingFiles = (values) => Object.values(values).some(value => Array.isArray(value) && value.some(file => file instanceof File));
+
+// Marks viewId as the default of its collection in a local views list (null clears it)
+const markDefaultView = (views, collection, viewId) => views.map(view => (
+    view.collection === collection ? { ...view, is_default: view.id === viewId } : view
+));
+
+// --- HELPER COMPONENT: RESIZABLE TABLE HEADER (REUSED, SORTABLE WHEN onSortChange IS GIVEN) ---
+// `selection` ({ checked, indeterminate, onChange, disabled }) adds a leading select-all checkbox column.
+// Column titles come from the field schema of `collection`.
+const ResizableTableHeader = ({ collection, columns, columnWidths, setColumnWidths, actionColumnTitle = 'Details', sortModel = [], onSortChange, selection }) => {
+    const isSortable = typeof onSortChange === 'function';
+
     const startResizing = useCallback((e, colKey) => {
         e.preventDefault();
         const startX = e.clientX;
@@ -116,37 +294,65 @@ const ResizableTableHeader = ({ columns, columnWidths, setColumnWidths, actionCo
     // Convert column keys to display names
     const displayColumns = columns.map(field => ({
         key: field,
-        title: field.toUpperCase().replace(/_/g, ' ')
+        title: getFieldCaption(getFieldSchema(collection, field))
     }));
     
-    // Special handling for Audit Logs which use static titles that match the keys in initialColumnWidths
-    const isAuditLogHeader = columns.some(c => ['Action', 'User', 'Table', 'Record ID', 'Timestamp'].includes(c));
-    
     return (
         <thead className="bg-gray-50">
             <tr>
-                {displayColumns.map(({ key, title }) => (
-                    <th 
-                        key={key} 
-                        // Use key directly for width lookups
-                        style={{ width: columnWidths[key] || 'auto', minWidth: 50 }}
-                        className="relative px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider group"
-                    >
-                        <div className="flex items-center justify-between h-full">
-                            {title}
-                            
-                            {/* Resizer Handle */}
-                            <div
-                                className="absolute top-0 right-0 w-2 h-full cursor-col-resize opacity-0 group-hover:opacity-100 bg-gray-300 hover:bg-indigo-500 transition-opacity"
-                                onMouseDown={(e) => startResizing(e, key)}
-                                title="Drag to resize column"
-                            />
-                        </div>
+                {selection && (
+                    <th style={{ width: SELECTION_COLUMN_WIDTH }} className="px-4 py-3 text-center">
+                        <input
+                            type="checkbox"
+                            checked={selection.checked}
+                            ref={(el) => { if (el) el.indeterminate = selection.indeterminate; }}
+                            onChange={selection.onChange}
+                            disabled={selection.disabled}
+                            className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                            title="Select all rows on this page"
+                        />
                     </th>
-                ))}
-                {/* Fixed Action/Details column only for data tables */}
-                {!isAuditLogHeader && (
-                    <th style={{ width: 120, minWidth: 120 }} className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                )}
+                {displayColumns.map(({ key, title }) => {
+                    const sortIndex = sortModel.findIndex(s => s.field === key);
+                    const sort = sortIndex === -1 ? null : sortModel[sortIndex];
+
+                    return (
+                        <th 
+                            key={key} 
+                            // Use key directly for width lookups
+                            style={{ width: columnWidths[key] || 'auto', minWidth: 50 }}
+                            className={`relative px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider group ${isSortable ? 'cursor-pointer select-none hover:bg-gray-100' : ''}`}
+                            onClick={isSortable ? (e) => onSortChange(key, e.shiftKey) : undefined}
+                            title={isSortable ? 'Click to sort, Shift+click to sort by several columns' : undefined}
+                            aria-sort={sort ? (sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                        >
+                            <div className="flex items-center justify-between h-full">
+                                <span className="flex items-center truncate">
+                                    {title}
+                                    {sort && (
+                                        <span className="ml-1 flex items-center text-indigo-600">
+                                            {sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />}
+                                            {/* Priority is only meaningful with several sort columns */}
+                                            {sortModel.length > 1 && <span className="text-[10px] ml-0.5">{sortIndex + 1}</span>}
+                                        </span>
+                                    )}
+                                </span>
+                                
+                                {/* Resizer Handle */}
+                                <div
+                                    className="absolute top-0 right-0 w-2 h-full cursor-col-resize opacity-0 group-hover:opacity-100 bg-gray-300 hover:bg-indigo-500 transition-opacity"
+                                    onMouseDown={(e) => startResizing(e, key)}
+                                    onClick={(e) => e.stopPropagation()}
+                                    title="Drag to resize column"
+                                />
+                            </div>
+                        </th>
+                    );
+                })}
+                {/* Fixed Action/Details column, left out when actionColumnTitle is null */}
+                {actionColumnTitle !== null && (
+                    <th style={{ width: ACTION_COLUMN_WIDTH, minWidth: ACTION_COLUMN_WIDTH }} className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
                         {actionColumnTitle}
                     </th>
                 )}
@@ -155,308 +361,313 @@ const ResizableTableHeader = ({ columns, columnWidths, setColumnWidths, actionCo
     );
 };
 
+// --- FORM BUILDING BLOCKS (SHARED BY THE CREATION FORM AND THE MODAL) ---
+
+// Input label from the field schema: caption with unit, required marker and help text
+const FieldLabel = ({ field, isRequired }) => (
+    <label className="text-xs font-medium text-gray-500 mb-1 flex items-center">
+        {getFieldCaption(field)} {isRequired && '*'}
+        {field.help && (
+            <span title={field.help} className="ml-1 text-gray-400 cursor-help">
+                <HelpCircle className="w-3.5 h-3.5" />
+            </span>
+        )}
+    </label>
+);
+
+// Inline validation message under an input (see utils/validation.js)
+const FieldError = ({ message }) => (message ? <p className="text-xs text-red-600 mt-1">{message}</p> : null);
+
+// Accepted file types and size of a file field (utils/uploadRules)
+const FileRulesHint = ({ field }) => {
+    const rules = describeFileRules(field);
+    return rules ? <p className="text-xs text-gray-500 mt-1">Accepted: {rules}</p> : null;
+};
+
+// Keeps the picked files that pass the upload rules of `field` and lists the others in a popup
+const screenPickedFiles = (field, pickedFiles, currentFiles = []) => {
+    const { accepted, rejected } = screenFiles(field, pickedFiles, currentFiles);
+    if (rejected.length > 0) {
+        Swal.fire({
+            icon: 'warning',
+            title: `${rejected.length} file(s) not added`,
+            html: `<ul class="text-left text-sm">${rejected.map(({ name, reason }) => `<li class="py-1"><b>${escapeHtml(name)}</b>: ${escapeHtml(reason)}</li>`).join('')}</ul>`,
+        });
+    }
+    return accepted;
+};
+
+// Inputs carry their field key as `name`; `fields` gives the form order
+const focusFirstInvalidField = (form, fields, errors) => {
+    const key = fields.find(field => errors[field]);
+    const input = key && form && form.querySelector(`[name="${key}"]`);
+    if (input) input.focus();
+};
+
+// Group of inputs of one schema section (no heading for fields without a section)
+const FormSection = ({ title, children }) => (
+    <fieldset className="space-y-3">
+        {title && <legend className="text-sm font-semibold text-indigo-700 uppercase tracking-wide border-b w-full pb-1 mb-3">{title}</legend>}
+        {children}
+    </fieldset>
+);
+
 // --- MODAL COMPONENT (UNCHANGED) ---
 
-const DetailModal = ({ isOpen, onClose, item, activeCollection, allProductLines, handleUpdate, isLoading, setApiError }) => {
+// Edits are saved as a local draft on every change (see utils/drafts); a draft left from an
+// earlier session is offered for restore. `onDirtyChange` reports whether there are unsaved edits.
+// Saving validates the form first (utils/validation.js); `findDuplicateErrors(values, fields, id)`
+// runs the uniqueness rules and `serverErrors` carries field errors of a rejected save.
+const DetailModal = ({ isOpen, onClose, item, activeCollection, collectionKey, allProductLines, handleUpdate, findDuplicateErrors, serverErrors, isLoading, setApiError, canModify, userId, onDirtyChange, onOpenProductLine }) => {
     const [formData, setFormData] = useState(item);
+    const [originalData, setOriginalData] = useState(item); // formData as it was when the modal opened
     const [expandedFields, setExpandedFields] = useState({});
     const [isEditing, setIsEditing] = useState(item.id === undefined || item.id === null);   
+    const [activeTab, setActiveTab] = useState('details'); // 'details' | 'history'
+    const [previewedPath, setPreviewedPath] = useState(null); // attachment shown in the DocumentPreviewer
+    // Stored version the edit is based on: the item, or the record a restored draft was made on
+    const [editBase, setEditBase] = useState(item);
+    const [offeredDraft, setOfferedDraft] = useState(null);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const formRef = useRef(null);
     useEffect(() => {
         // Reset form data when item changes or modal opens
-        setFormData({
-            ...item,
-            // Ensure numeric values are numbers for input type='number'
-            gmdc_pct: item.gmdc_pct ? parseFloat(item.gmdc_pct) : 0.00,
-            // Ensure file fields are arrays for consistency (even if the DB returns null/string)
-            attachments_raw: Array.isArray(item.attachments_raw) ? item.attachments_raw : (item.attachments_raw ? [item.attachments_raw] : []),
-            product_pictures: Array.isArray(item.product_pictures) ? item.product_pictures : (item.product_pictures ? [item.product_pictures] : []),
-        });
+        const initialData = withFileLists(activeCollection, item);
+        setFormData(initialData);
+        setOriginalData(initialData);
+        setEditBase(item);
+        setOfferedDraft(isOpen && item.id ? readDraft(userId, collectionKey, item.id) : null);
         setExpandedFields({});
+        setFieldErrors({});
         setIsEditing(item.id === undefined || item.id === null);
-    }, [item, isOpen]);
+        setActiveTab('details');
+    }, [item, isOpen, userId, collectionKey, activeCollection]);
+
+    const formFields = useMemo(() => describeFields(activeCollection, getDisplayFields(activeCollection)), [activeCollection]);
+    const detailFields = useMemo(() => getDisplayFields(activeCollection)
+        .filter(field => field !== 'id' && isFieldShownIn(activeCollection, field, FIELD_PLACES.DETAIL)), [activeCollection]);
+    const isDirty = isOpen && isEditing && getChangedFields(formData, originalData, formFields).length > 0;
+
+    useEffect(() => {
+        if (!isDirty) return;
+        // The new edits replace any older draft of this record
+        saveDraft(userId, collectionKey, item.id, formData, editBase);
+        setOfferedDraft(null);
+    }, [isDirty, formData, editBase, userId, collectionKey, item.id]);
+
+    useEffect(() => {
+        onDirtyChange(isDirty);
+    }, [isDirty, onDirtyChange]);
+
+    useEffect(() => () => onDirtyChange(false), [onDirtyChange]);
+
+    useEffect(() => {
+        if (!serverErrors) return;
+        setFieldErrors(serverErrors);
+        focusFirstInvalidField(formRef.current, detailFields, serverErrors);
+    }, [serverErrors, detailFields]);
 
     if (!isOpen) return null;
 
-    const handleFieldChange = (field, value) => {
-        // Correct handler for modal inputs
-        const finalValue = field === 'gmdc_pct' ? parseFloat(value) : (field === 'prod_if_customer_in_china' ? value : value);
-        setFormData(prev => ({ ...prev, [field]: finalValue }));
+    const restoreDraft = () => {
+        setFormData({ ...originalData, ...offeredDraft.values });
+        setEditBase(offeredDraft.base || item);
+        setIsEditing(true);
+        setActiveTab('details');
+        setOfferedDraft(null);
     };
-    
-    const handleFileChange = (field, fileOrFiles) => {
-        if (Array.isArray(fileOrFiles)) {
-            const existingPaths = formData[field].filter(f => typeof f === 'string' && f.startsWith('uploads/'));
-            const newFiles = fileOrFiles.filter(f => f instanceof File); 
-            
-            setFormData(prev => ({ 
-                ...prev, 
-                [field]: [
-                    ...existingPaths, // Keep existing paths
-                    ...newFiles      // Add new file objects
-                ]
-            }));
-        } else {
-             setFormData(prev => ({ ...prev, [field]: [] }));
+
+    const discardDraft = () => {
+        clearDraft(userId, collectionKey, item.id);
+        setOfferedDraft(null);
+    };
+
+    // X and Cancel: unsaved edits are either kept as a draft or dropped
+    const requestClose = async () => {
+        if (!isDirty) {
+            onClose();
+            return;
         }
+        const choice = await confirmUnsavedChanges({
+            text: 'Your edits to this record have not been saved. You can keep them as a draft and restore them when you reopen the record.',
+            keepLabel: 'Keep draft and close',
+            stayLabel: 'Keep editing',
+            hasPendingFiles: hasPendingFiles(formData),
+        });
+        if (!choice) return;
+        if (choice === 'discard') clearDraft(userId, collectionKey, item.id);
+        onClose();
+    };
+
+    // Number inputs keep the typed text; it is converted when the payload is built
+    const handleFieldChange = (field, value) => {
+        setFormData(prev => ({ ...prev, [field]: value }));
+        if (fieldErrors[field]) setFieldErrors(({ [field]: _, ...rest }) => rest);
     };
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        
-        const requiredCheck = activeCollection.requiredFields.every(field => {
-            const value = formData[field];
-            if (getFieldType(field).includes('file')) {
-                 return activeCollection.requiredFields.includes(field) ? Array.isArray(value) && value.length > 0 : true;
-            }
-            return activeCollection.requiredFields.includes(field) ? !!value : true;
-        });
 
-        if (!requiredCheck) {
-            Swal.fire('Validation Error', `Missing required fields: ${activeCollection.requiredFields.filter(field => {
-                const value = formData[field];
-                return getFieldType(field).includes('file') ? Array.isArray(value) && value.length === 0 : !value;
-            }).join(', ')}`, 'warning');
+        let errors = validateRecord(activeCollection, formData, detailFields);
+        if (Object.keys(errors).length === 0) {
+            try {
+                errors = await findDuplicateErrors(formData, detailFields, formData.id);
+            } catch (error) {
+                // The server checks uniqueness again on save
+                console.error('Uniqueness check failed:', error);
+            }
+        }
+        setFieldErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            focusFirstInvalidField(formRef.current, detailFields, errors);
             return;
         }
 
-        handleUpdate(formData.id, formData);
+        handleUpdate(formData.id, formData, editBase);
     };
 
-    const isProduct = activeCollection.name === 'Products';
-
-    const renderInput = (field, label, type, isRequired) => {
-        const baseClass = "p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm w-full";
-        const currentValue = formData[field] || ''; // Can be string (path) or File object
+    // `schema` is the field definition, see utils/fieldSchema.js
+    const renderInput = (schema, isRequired) => {
+        const { key: field, label, type } = schema;
+        const error = fieldErrors[field];
+        const baseClass = `p-3 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm w-full`;
+        const currentValue = formData[field] ?? ''; // Can be string (path) or File object
         const isLongText = type === 'textarea';
 
         
-        if (isProduct && field === 'product_line') {
+        if (type === 'select') {
              return (
                  <div className="relative flex flex-col">
-                     <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
-                     <select
-                         value={currentValue}
-                         onChange={(e) => handleFieldChange(field, e.target.value)}
-                         required={isRequired}
-                         className={`${baseClass} appearance-none pr-8`}
-                         disabled={isLoading}
-                     >
-                         <option value="" disabled>-- Select a Product Line --</option>
-                         {allProductLines.map(pl => (
-                             <option key={pl.id} value={pl.name}>
-                                 {pl.name}
-                             </option>
-                         ))}
-                     </select>
-                     <ChevronDown className="w-4 h-4 text-gray-500 absolute right-3 bottom-3 pointer-events-none" />
+                     <FieldLabel field={schema} isRequired={isRequired} />
+                     <div className="relative">
+                         <select
+                             name={field}
+                             value={currentValue}
+                             onChange={(e) => handleFieldChange(field, e.target.value)}
+                             required={isRequired}
+                             className={`${baseClass} appearance-none pr-8`}
+                             disabled={isLoading || !isEditing}
+                         >
+                             <option value="" disabled>-- Select {label} --</option>
+                             {getFieldOptions(schema, { productLines: allProductLines }).map(option => (
+                                 <option key={option.value} value={option.value}>
+                                     {option.label}
+                                 </option>
+                             ))}
+                         </select>
+                         <ChevronDown className="w-4 h-4 text-gray-500 absolute right-3 bottom-3 pointer-events-none" />
+                     </div>
+                     {schema.optionsSource === 'product_lines' && !isEditing && currentValue && onOpenProductLine && (
+                         <button
+                             type="button"
+                             onClick={() => onOpenProductLine(formData)}
+                             className="text-indigo-600 text-xs mt-1 self-start hover:text-indigo-800 transition flex items-center"
+                         >
+                             <Layers className="w-3 h-3 mr-1" /> Open product line page
+                         </button>
+                     )}
+                     <FieldError message={error} />
                  </div>
              );
         }
 
-    if (isLongText) {
-    const isEditingMode = isEditing; // Use the state variable from the previous fix
-    const isCurrentlyExpanded = expandedFields[field];
-    const rawValue = String(currentValue);
-    const isContentLong = rawValue.length > CHARACTER_EXPANSION_THRESHOLD;
-    
-    // Set rows based on the expanded state. Always be 2 when collapsed.
-    const rowCount = isCurrentlyExpanded ? 6 : 2;
+        if (isLongText) {
+            const isCurrentlyExpanded = expandedFields[field];
+            const rawValue = String(currentValue);
+            const isContentLong = rawValue.length > CHARACTER_EXPANSION_THRESHOLD || rawValue.includes('\n');
 
-    return (
-        // Always span full width for long text fields
-        <div key={field} className={`relative flex flex-col col-span-full`}> 
-            <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
-            
-            <textarea
-                rows={rowCount} // Controls the visible height
-                value={rawValue}
-                onChange={(e) => handleFieldChange(field, e.target.value)}
-                required={isRequired}
-                className={`${baseClass} transition-all duration-200 
-                  ${!isEditingMode ? 'bg-gray-50 text-gray-700' : ''} 
-                  ${isCurrentlyExpanded ? 'overflow-y-auto' : 'overflow-hidden'}` // Force overflow-hidden when collapsed
-                }
-                disabled={isLoading || !isEditingMode} // Use the correct disabled state
-            />
-            
-            {/* Show Expand button only if content is long */}
-            {isContentLong && (
-                <button 
-                    type="button"
-                    // Toggle the field's expansion state
-                    onClick={() => setExpandedFields(prev => ({ ...prev, [field]: !prev[field] }))}
-                    className="text-indigo-500 text-xs mt-1 self-start hover:text-indigo-700 transition"
-                    disabled={isLoading}
-                >
-                    {isCurrentlyExpanded ? 'Collapse ▲' : 'Expand ▼'}
-                </button>
-            )}
-        </div>
-    );
+            return (
+                // Always span full width for long text fields
+                <div key={field} className="relative flex flex-col col-span-full">
+                    <FieldLabel field={schema} isRequired={isRequired} />
+
+                    {isEditing ? (
+                        <MarkdownEditor
+                            name={field}
+                            value={rawValue}
+                            onChange={(text) => handleFieldChange(field, text)}
+                            placeholder={schema.placeholder}
+                            hasError={!!error}
+                            disabled={isLoading}
+                        />
+                    ) : (
+                        // Collapsed to a few lines until expanded
+                        <div className={`p-3 border border-gray-300 rounded-lg bg-gray-50 shadow-sm ${isCurrentlyExpanded ? 'overflow-y-auto max-h-96' : 'overflow-hidden max-h-24'}`}>
+                            <MarkdownView text={rawValue} />
+                        </div>
+                    )}
+
+                    {/* Show Expand button only if content is long */}
+                    {!isEditing && isContentLong && (
+                        <button
+                            type="button"
+                            // Toggle the field's expansion state
+                            onClick={() => setExpandedFields(prev => ({ ...prev, [field]: !prev[field] }))}
+                            className="text-indigo-500 text-xs mt-1 self-start hover:text-indigo-700 transition"
+                            disabled={isLoading}
+                        >
+                            {isCurrentlyExpanded ? 'Collapse ▲' : 'Expand ▼'}
+                        </button>
+                    )}
+                    <FieldError message={error} />
+                </div>
+            );
         }
         
-        if (type === 'file_image' || type === 'file_attachment') {
-            const isImage = type === 'file_image';
-            const fileDataArray = Array.isArray(formData[field]) ? formData[field] : []; // Now always an array
-            
-            const existingPaths = fileDataArray.filter(f => typeof f === 'string' && f.startsWith('uploads/'));
-            const newFiles = fileDataArray.filter(f => f instanceof File);
+        if (type === 'file_image') {
+            const pictures = Array.isArray(formData[field]) ? formData[field] : [];
 
-            const hasExistingPaths = existingPaths.length > 0;
-            const hasNewFiles = newFiles.length > 0;
-            const hasData = hasExistingPaths || hasNewFiles;
+            // Added pictures come after the current ones
+            const handlePicturesAdded = (picked) => handleFieldChange(field, [...pictures, ...screenPickedFiles(schema, picked, pictures)]);
 
-            
-            const handleFileSelect = (e) => {
-                const files = Array.from(e.target.files); 
-                handleFileChange(field, files); 
-                e.target.value = null; 
-            };
-            
-            const handleView = (fileUrl, fileName) => {
-                const rawFileUrl = `${BASE_API_URL}/${fileUrl}`; 
-                
-                const isCommonImage = isImage && (fileName.toLowerCase().match(/\.(jpg|jpeg|png|gif|webp)$/) !== null);
-                
-                const isOfficeFile = fileName.toLowerCase().match(/\.(docx|xlsx|pptx|doc|xls|ppt|pdf|csv)$/) !== null;
+            return (
+                <div className="relative flex flex-col col-span-full">
+                    <FieldLabel field={schema} isRequired={isRequired} />
+                    {isEditing && (
+                        <FileDropZone name={field} accept={getAcceptAttribute(schema)} onFiles={handlePicturesAdded} disabled={isLoading} label={label} />
+                    )}
+                    {isEditing && <FileRulesHint field={schema} />}
+                    <div className="mt-2 border p-3 rounded-lg bg-gray-50">
+                        <ImageGallery
+                            files={pictures}
+                            onChange={isEditing ? (files) => handleFieldChange(field, files) : undefined}
+                            disabled={isLoading}
+                            emptyText="No pictures currently attached."
+                        />
+                    </div>
+                    {isEditing && pictures.length > 1 && (
+                        <p className="text-xs text-gray-500 mt-1">The primary picture is used as the avatar. Drag the pictures to reorder them, or hover one to make it primary or remove it.</p>
+                    )}
+                    <FieldError message={error} />
+                </div>
+            );
+        }
 
-                let viewerUrl = rawFileUrl;
-                let viewerNote = 'If the file doesn\'t display above, your browser may not support direct viewing of this file type.';
-                
-                if (isOfficeFile) {
-                    viewerUrl = `https://docs.google.com/gview?url=${encodeURIComponent(rawFileUrl)}&embedded=true`;
-                    viewerNote = 'Microsoft Office files are being displayed via Google Docs Viewer.';
-                }
+        if (type === 'file_attachment') {
+            const files = Array.isArray(formData[field]) ? formData[field] : [];
 
+            // Added files come after the current ones; the list order is the saved order
+            const handleFilesAdded = (picked) => handleFieldChange(field, [...files, ...screenPickedFiles(schema, picked, files)]);
 
-                if (isCommonImage) {
-                    Swal.fire({
-                        title: `${label} Preview: ${fileName}`,
-                        imageUrl: rawFileUrl,
-                        imageAlt: label,
-                        width: 800,
-                        imageWidth: '90%', 
-                        imageHeight: 'auto', 
-                        padding: '1em',
-                        showCloseButton: true,
-                        showConfirmButton: false,
-                        customClass: {
-                            image: 'object-contain h-auto'
-                        }
-                    });
-                } else {
-                    Swal.fire({
-                        title: `${label} Review: ${fileName}`,
-                        html: `
-                            <div style="width: 100%; height: 60vh; border: 1px solid #ccc; background-color: #eee;">
-                                <iframe 
-                                    src="${viewerUrl}" 
-                                    style="width: 100%; height: 100%; border: none;" 
-                                    title="${fileName} Viewer"
-                                    sandbox="allow-scripts allow-popups allow-same-origin allow-forms"
-                                >
-                                </iframe>
-                            </div>
-                            <p class="text-xs text-gray-500 mt-2">
-                                ${viewerNote} You can right-click the file in the viewer or <a href="${rawFileUrl}" target="_blank" download class="text-indigo-600 hover:text-indigo-800 font-semibold">click here to download it</a>.
-                            </p>
-                        `,
-                        width: '90%', 
-                        showCloseButton: true,
-                        showConfirmButton: false,
-                        customClass: {
-                            container: 'swal2-container-large-iframe',
-                            popup: 'swal2-popup-large',
-                            title: 'text-lg',
-                        },
-                        allowOutsideClick: true,
-                        allowEscapeKey: true,
-                    });
-                }
-            };
-
-            const handleRemoveFile = (indexToRemove, isNewFile) => {
-                if (isNewFile) {
-                    const updatedNewFiles = newFiles.filter((_, index) => index !== indexToRemove);
-                    setFormData(prev => ({ 
-                        ...prev, 
-                        [field]: [...existingPaths, ...updatedNewFiles] 
-                    }));
-                } else {
-                    const updatedExistingPaths = existingPaths.filter((_, index) => index !== indexToRemove);
-                    setFormData(prev => ({ 
-                        ...prev, 
-                        [field]: [...updatedExistingPaths, ...newFiles] 
-                    }));
-                }
-            };
-            
             return (
                 <div className="relative flex flex-col col-span-full">
-                    <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
-                    
-                    {/* File Input */}
-                    <input
-                        type="file"
-                        multiple 
-                        accept={isImage ? "image/*" : "*/*"}
-                        onChange={handleFileSelect}
-                        key={hasData ? (hasNewFiles ? 'new-files' : 'path-files') : 'empty'} 
-                        className={`${baseClass} p-1 text-sm file:mr-4 file:py-1 file:px-2 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100`}
+                    <FieldLabel field={schema} isRequired={isRequired} />
+                    {isEditing && (
+                        <>
+                            <FileDropZone name={field} accept={getAcceptAttribute(schema)} onFiles={handleFilesAdded} disabled={isLoading} label={label} />
+                            <FileRulesHint field={schema} />
+                        </>
+                    )}
+                    <AttachmentList
+                        files={files}
+                        onChange={isEditing ? (reordered) => handleFieldChange(field, reordered) : undefined}
+                        onPreview={setPreviewedPath}
                         disabled={isLoading}
                     />
-
-                    {/* Display current files (Paths) */}
-                    {hasExistingPaths && (
-                        <div className="mt-2 border p-3 rounded-lg bg-gray-50">
-                            <p className="text-xs font-semibold text-green-700 mb-2">Current {existingPaths.length} File(s) on Server:</p>
-                            {existingPaths.map((path, index) => (
-                                <div key={`path-${path}`} className="flex justify-between items-center text-xs py-1 border-b last:border-b-0">
-                                    <span className="truncate max-w-[calc(100%-100px)]">{path}</span>
-                                    <div className="flex space-x-2">
-                                        <button
-                                            type="button"
-                                            onClick={() => handleView(path, path.substring(path.lastIndexOf('/') + 1))}
-                                            className="text-indigo-600 hover:text-indigo-800 transition p-1"
-                                            title="View Loaded Data"
-                                        >
-                                            <Eye className="w-4 h-4" />
-                                        </button>
-                                        <button
-                                            type="button"
-                                            onClick={() => handleRemoveFile(index, false)} // Remove existing path
-                                            className="text-red-600 hover:text-red-800 transition p-1"
-                                            title="Remove Link (Will delete on save)"
-                                        >
-                                            <Trash2 className="w-4 h-4" />
-                                        </button>
-                                    </div>
-                                </div>
-                            ))}
-                        </div>
-                    )}
-                    
-                    {/* Display newly selected files (File objects) */}
-                    {hasNewFiles && (
-                         <div className="mt-2 border p-3 rounded-lg bg-blue-50">
-                            <p className="text-xs font-semibold text-blue-700 mb-2">New {newFiles.length} File(s) Selected (Will upload on save):</p>
-                            {newFiles.map((file, index) => (
-                                <div key={`new-${file.name}`} className="flex justify-between items-center text-xs py-1 border-b last:border-b-0">
-                                    <span className="truncate max-w-[calc(100%-50px)]">{file.name}</span>
-                                    <button
-                                        type="button"
-                                        onClick={() => handleRemoveFile(index, true)} // Remove new file object
-                                        className="text-red-600 hover:text-red-800 transition p-1"
-                                        title="Cancel selection"
-                                    >
-                                        <Trash2 className="w-4 h-4" />
-                                    </button>
-                                </div>
-                            ))}
-                         </div>
+                    {isEditing && files.length > 1 && (
+                        <p className="text-xs text-gray-500 mt-1">Drag the files to change their order. New files are uploaded on save.</p>
                     )}
-
-                    {!hasData && <p className="text-xs text-gray-500 mt-1">No files currently attached.</p>}
+                    <FieldError message={error} />
                 </div>
             );
         }
@@ -466,51 +677,58 @@ const DetailModal = ({ isOpen, onClose, item, activeCollection, allProductLines,
                  <div className="flex items-center space-x-2 p-2 col-span-full">
                      <input
                          type="checkbox"
+                         name={field}
                          id={`modal-${field}`}
                          checked={!!currentValue}
                          onChange={(e) => handleFieldChange(field, e.target.checked)}
                          className="h-5 w-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
-                         disabled={isLoading}
+                         disabled={isLoading || !isEditing}
                      />
-                     <label htmlFor={`modal-${field}`} className="text-sm font-medium text-gray-700">{label}</label>
+                     <label htmlFor={`modal-${field}`} className="text-sm font-medium text-gray-700" title={schema.help}>{label}</label>
                  </div>
              );
         }
 
         return (
             <div className="relative flex flex-col">
-                <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
+                <FieldLabel field={schema} isRequired={isRequired} />
                 <input
                     type={type}
-                    step={type === 'number' ? '0.01' : 'any'}
+                    name={field}
+                    min={schema.min}
+                    max={schema.max}
+                    step={type === 'number' ? (schema.step ?? 'any') : undefined}
                     value={currentValue}
                     onChange={(e) => handleFieldChange(field, e.target.value)}
                     required={isRequired}
                     className={baseClass}
                     disabled={isLoading || !isEditing}
                 />
+                <FieldError message={error} />
             </div>
         );
     };
 
-    const displayFields = activeCollection.fields.filter(field => !EXCLUDED_INTERNAL_COLUMNS.includes(field));
+    const tabClass = (tab) => `px-4 py-2 text-sm font-semibold border-b-2 transition ${activeTab === tab ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`;
 
     return (
         <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50 transition-opacity duration-300">
             <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-y-auto">
                 <div className="p-6 border-b flex justify-between items-center sticky top-0 bg-white z-10">
                     <h2 className="text-2xl font-bold text-gray-800 flex items-center">
-                        <Eye className="w-5 h-5 mr-2 text-indigo-500" />
+                        {collectionKey === 'products' && item.id
+                            ? <ProductAvatar pictures={item.product_pictures} name={item.product_name} size="w-10 h-10 mr-3" />
+                            : <Eye className="w-5 h-5 mr-2 text-indigo-500" />}
                         Edit/View: {item.id ? activeCollection.name.slice(0, -1) : ''} (ID: {item.id ? String(item.id).substring(0, 8) : 'N/A'})
                     </h2>
                     {/* NEW: MODIFY / CLOSE BUTTON GROUP */}
                     <div className="flex space-x-3 items-center">
                         
-                        {/* 1. Modify Button (Visible when NOT editing AND item is existing) */}
-                        {!isEditing && item.id && (
+                        {/* 1. Modify Button (Visible when NOT editing AND item is existing AND the role allows it) */}
+                        {!isEditing && item.id && canModify && (
                             <button 
                                 type="button" 
-                                onClick={() => setIsEditing(true)}
+                                onClick={() => { setIsEditing(true); setActiveTab('details'); }}
                                 className="px-4 py-2 text-sm font-semibold rounded-lg shadow-md transition duration-150 flex items-center bg-yellow-600 hover:bg-yellow-700 text-white"
                                 disabled={isLoading}
                             >
@@ -520,56 +738,78 @@ const DetailModal = ({ isOpen, onClose, item, activeCollection, allProductLines,
                         )}
                         
                         {/* 2. Close Button */}
-                        <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-900 rounded-full hover:bg-gray-100 transition">
+                        <button onClick={requestClose} className="p-2 text-gray-500 hover:text-gray-900 rounded-full hover:bg-gray-100 transition">
                             <X className="w-6 h-6" />
                         </button>
                     </div>
                 </div>
-                
-                <form onSubmit={handleSubmit} className="p-6 space-y-6">
-                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                        {displayFields.filter(f => f !== 'id').map(field => {
-                            const label = field.toUpperCase().replace(/_/g, ' ');
-                            const type = getFieldType(field);
-                            const isRequired = activeCollection.requiredFields.includes(field);
-                            
-                            return (
-                                <React.Fragment key={field}>
-                                    {renderInput(field, label, type, isRequired)}
-                                </React.Fragment>
-                            );
-                        })}
+
+                {item.id && !isEditing && (
+                    <div className="px-6 border-b flex space-x-2">
+                        <button type="button" onClick={() => setActiveTab('details')} className={tabClass('details')}>Details</button>
+                        <button type="button" onClick={() => setActiveTab('history')} className={`${tabClass('history')} flex items-center`}>
+                            <Clock className="w-4 h-4 mr-1" /> History
+                        </button>
                     </div>
+                )}
+
+                {offeredDraft && canModify && activeTab === 'details' && (
+                    <DraftBanner
+                        draft={offeredDraft}
+                        isOutdated={!!offeredDraft.base && offeredDraft.base.updated_at !== item.updated_at}
+                        onRestore={restoreDraft}
+                        onDiscard={discardDraft}
+                        className="mx-6 mt-6"
+                    />
+                )}
+
+                {activeTab === 'history' ? (
+                    <RecordHistory tableName={collectionKey} recordId={item.id} fields={formFields} />
+                ) : (
+                    <form ref={formRef} onSubmit={handleSubmit} noValidate className="p-6 space-y-6">
+                        {groupFieldsBySection(activeCollection, detailFields).map(({ section, fields }) => (
+                            <FormSection key={section || 'fields'} title={section}>
+                                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                                    {fields.map(schema => (
+                                        <React.Fragment key={schema.key}>
+                                            {renderInput(schema, activeCollection.requiredFields.includes(schema.key))}
+                                        </React.Fragment>
+                                    ))}
+                                </div>
+                            </FormSection>
+                        ))}
                     
-                    <div className="flex justify-end space-x-3 pt-4 border-t">
-                        <button 
-                            type="button" 
-                            onClick={onClose}
-                            className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition"
-                            disabled={isLoading}
-                        >
-                            Cancel
-                        </button>
-                       {/* SHOW SAVE BUTTON ONLY WHEN EDITING */}
-                        {isEditing && (
-                            <button
-                                type="submit"
-                                className="px-6 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 flex items-center justify-center"
+                        <div className="flex justify-end space-x-3 pt-4 border-t">
+                            <button 
+                                type="button" 
+                                onClick={requestClose}
+                                className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition"
                                 disabled={isLoading}
                             >
-                                {isLoading ? <Loader className="w-5 h-5 animate-spin mr-2" /> : <Save className="w-5 h-5 mr-2" />}
-                                Save Changes
+                                Cancel
                             </button>
-                        )}
-                    </div>
-                </form>
+                           {/* SHOW SAVE BUTTON ONLY WHEN EDITING */}
+                            {isEditing && (
+                                <button
+                                    type="submit"
+                                    className="px-6 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 flex items-center justify-center"
+                                    disabled={isLoading}
+                                >
+                                    {isLoading ? <Loader className="w-5 h-5 animate-spin mr-2" /> : <Save className="w-5 h-5 mr-2" />}
+                                    Save Changes
+                                </button>
+                            )}
+                        </div>
+                    </form>
+                )}
             </div>
+            {previewedPath && <DocumentPreviewer path={previewedPath} onClose={() => setPreviewedPath(null)} />}
         </div>
     );
 };
 
 // --- AUTHENTICATION SCREEN (UNCHANGED) ---
-const LoginScreen = ({ setAuthToken, setUserData, setIsLoading, isLoading }) => {
+const LoginScreen = ({ setAuthToken, setUserData, setIsLoading, isLoading, notice }) => {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [displayNameInput, setDisplayNameInput] = useState(''); 
@@ -613,20 +853,7 @@ const LoginScreen = ({ setAuthToken, setUserData, setIsLoading, isLoading }) =>
         setError(null);
         
         try {
-            const response = await fetch(`${BASE_API_URL}/api/auth/${endpoint}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                if (data.message && data.message.includes('secretOrPrivateKey')) {
-                    throw new Error("Authentication failed. Backend JWT_SECRET not configured.");
-                }
-                throw new Error(data.message || `Authentication failed with status ${response.status}`);
-            }
+            const data = await api.post(`/api/auth/${endpoint}`, payload, { auth: false });
             
             setAuthToken(data.token);
             setUserData(data.user);
@@ -635,7 +862,11 @@ const LoginScreen = ({ setAuthToken, setUserData, setIsLoading, isLoading }) =>
 
         } catch (err) {
             console.error(`${endpoint} error:`, err);
-            setError(err.message || 'An unknown error occurred.');
+            if (err.message && err.message.includes('secretOrPrivateKey')) {
+                setError("Authentication failed. Backend JWT_SECRET not configured.");
+            } else {
+                setError(err.message || 'An unknown error occurred.');
+            }
         } finally {
             setIsLoading(false);
         }
@@ -659,6 +890,12 @@ const LoginScreen = ({ setAuthToken, setUserData, setIsLoading, isLoading }) =>
                     {isSigningUp ? 'Create Account' : 'Products and ProductLines Data'}
                 </h1>
                 
+                {notice && !error && (
+                    <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded-lg relative" role="status">
+                        <span className="block sm:inline">{notice}</span>
+                    </div>
+                )}
+
                 {error && (
                     <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative" role="alert">
                         <span className="block sm:inline">{error}</span>
@@ -742,6 +979,26 @@ const LoginScreen = ({ setAuthToken, setUserData, setIsLoading, isLoading }) =>
                         </>
                     )}
                 </p>
+
+                {/* Offline demo mode: switches every request to the in-browser mock backend */}
+                {!IS_MOCK_API_FORCED && (
+                    <div className="border-t pt-4 flex items-center justify-center space-x-2">
+                        <input
+                            type="checkbox"
+                            id="mock-api-toggle"
+                            checked={USE_MOCK_API}
+                            onChange={(e) => setMockApiEnabled(e.target.checked)}
+                            className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                            disabled={isLoading}
+                        />
+                        <label htmlFor="mock-api-toggle" className="text-sm text-gray-600">Offline demo mode (local sample data)</label>
+                    </div>
+                )}
+                {USE_MOCK_API && (
+                    <p className="text-xs text-center text-gray-500">
+                        Demo accounts: admin@avocarbon.com / admin123 · jane.doe@avocarbon.com / demo123 (product line manager) · john.smith@avocarbon.com / demo123 (editor)
+                    </p>
+                )}
             </div>
         </div>
     );
@@ -758,14 +1015,26 @@ const App = () => {
 
     const [items, setItems] = useState([]);
     const [allProductLines, setAllProductLines] = useState([]);
-    const [logs, setLogs] = useState([]);
+    // Bumped by every load that reached the server (writes, imports and bulk actions all end with
+    // one): views that load their own data reload when it changes
+    const [dataVersion, setDataVersion] = useState(0);
     const [activeCollectionKey, setActiveCollectionKey] = useState(collectionKeys[0]);
+    // Admin-only Users area, shown instead of the collection tables
+    const [isUsersAreaActive, setIsUsersAreaActive] = useState(false);
+    const [productLinePage, setProductLinePage] = useState(null); // { id, returnKey } while a product line page is shown
+    const [isDashboardActive, setIsDashboardActive] = useState(false);
+    const [comparedProducts, setComparedProducts] = useState(null); // products shown side by side
+    const [uploadBatch, setUploadBatch] = useState(null); // { items, resolve } while the files of a save upload
+    const [saveProgress, setSaveProgress] = useState(null); // { fileCount, progress, controller } while a record is sent with its files
     
     const [newItemData, setNewItemData] = useState(initialCollections[activeCollectionKey].defaultValues);
-    const [logFilterTerm, setLogFilterTerm] = useState('');
+    // Collection newItemData was reset for (it lags one render behind a tab switch)
+    const [newItemCollectionKey, setNewItemCollectionKey] = useState(activeCollectionKey);
     const [itemFilterTerm, setItemFilterTerm] = useState('');
     const [isLoading, setIsLoading] = useState(false);
     const [apiError, setApiError] = useState(null);
+    // Shown on the login screen when the session ended without the user logging out
+    const [sessionNotice, setSessionNotice] = useState(null);
 
     // NEW STATE: Column widths for adjustable table
     const [columnWidths, setColumnWidths] = useState(initialColumnWidths);
@@ -779,258 +1048,664 @@ const App = () => {
     // --- MODAL STATE ---
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [modalData, setModalData] = useState(null);
+    const [editConflict, setEditConflict] = useState(null); // { id, base, mine, theirs } after a 409 on save
 
     // --- FORM STATE (NEW) ---
     const [isFormVisible, setIsFormVisible] = useState(false);
+    // Local drafts (see utils/drafts): the one offered in the creation form, and whether the modal has unsaved edits
+    const [newItemDraft, setNewItemDraft] = useState(null);
+    const [isModalDirty, setIsModalDirty] = useState(false);
+    // Inline validation errors ({ [field]: message }, see utils/validation.js)
+    const [newItemErrors, setNewItemErrors] = useState({});
+    const [modalServerErrors, setModalServerErrors] = useState(null); // field errors of a rejected modal save
+    const newItemFormRef = useRef(null);
 
     // --- FILTER STATE ---
     const [activeFilterField, setActiveFilterField] = useState(null);
-    
-    const activeCollection = initialCollections[activeCollectionKey];
-
-    // Check if the current user is an admin 
-    const isAdmin = userData && userData.user_role === 'admin';
+    const [debouncedFilterTerm, setDebouncedFilterTerm] = useState('');
+    // Multi-condition filter (see utils/filterBuilder.js), combined with the simple filter above
+    const [advancedFilter, setAdvancedFilter] = useState(EMPTY_FILTER);
+    const [debouncedAdvancedFilter, setDebouncedAdvancedFilter] = useState('');
+    const [isFilterBuilderOpen, setIsFilterBuilderOpen] = useState(false);
+
+    // --- PAGINATION / SORT STATE ---
+    const [page, setPage] = useState(1);
+    const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
+    const [sortModel, setSortModel] = useState([]); // [{ field, direction: 'asc' | 'desc' }]
+    const [totalCount, setTotalCount] = useState(0);
+    // Per collection: false once the backend answered a paged request with a plain array,
+    // in which case the table falls back to client-side filtering, sorting and paging
+    const [serverPagingSupport, setServerPagingSupport] = useState({});
+
+    // --- COLUMNS / SAVED VIEWS STATE ---
+    // Per collection: fields picked as table columns (compactFields when not set)
+    const [visibleColumnsByCollection, setVisibleColumnsByCollection] = useState({});
+    const [savedViews, setSavedViews] = useState([]);
+    const [activeViewId, setActiveViewId] = useState(null);
+    const [isExporting, setIsExporting] = useState(false);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+
+    // --- SELECTION / BULK ACTIONS STATE ---
+    const [selectedRecords, setSelectedRecords] = useState({}); // { [id]: record }, kept across pages
+    // Set by "Select all matching": the selection is then every record matching the filters
+    const [isAllMatchingSelected, setIsAllMatchingSelected] = useState(false);
+    const [bulkProgress, setBulkProgress] = useState(null); // { label, done, total } while a bulk action runs
 
-    // Handler for logout (made a useCallback to be stable dependency for fetchData)
-    const handleLogout = useCallback(async () => {
-        if (authToken) {
-            try {
-                await fetch(`${BASE_API_URL}/api/auth/logout`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${authToken}`,
-                    }
-                });
-                console.log("Logout action logged successfully.");
-            } catch (error) {
-                console.error("Failed to log out action on server:", error);
-            }
-        }
-        
+    const activeCollection = initialCollections[activeCollectionKey];
+    const isServerPaging = serverPagingSupport[activeCollectionKey] !== false;
+    const visibleColumns = visibleColumnsByCollection[activeCollectionKey] || activeCollection.compactFields;
+
+    // Role checks, see utils/permissions
+    const isAdmin = isAdminUser(userData);
+    const canWrite = canWriteCollection(userData, activeCollectionKey);
+    const canCreate = canCreateInCollection(userData, activeCollectionKey);
+    // Product writes carry the id of the line named in `product_line` (see utils/productLineLinks)
+    const withProductLineLink = (values) => (activeCollectionKey === 'products' ? linkProductLine(values, allProductLines) : values);
+    const canModifyRecord = (action, record, nextRecord) => canPerform(userData, action, activeCollectionKey, record, {
+        productLines: allProductLines,
+        nextRecord: nextRecord && withProductLineLink(nextRecord),
+    });
+    // Lines a product can be created in or moved to (product line managers: only their own)
+    const assignableProductLines = allProductLines.filter(pl => canPerform(userData, 'create', 'products', { product_line: pl.name }, { productLines: allProductLines }));
+    const showUsersArea = isAdmin && isUsersAreaActive;
+    const isOtherAreaShown = showUsersArea || isDashboardActive; // the collection table is replaced by another tab
+    const userId = userData ? userData.id : null;
+    const isNewItemDirty = newItemCollectionKey === activeCollectionKey && getChangedFields(newItemData, activeCollection.defaultValues, describeFields(activeCollection, getDisplayFields(activeCollection))).length > 0;
+
+    // Clears the local session state (token, user and cached data)
+    const clearSession = useCallback(() => {
         setAuthToken(null);
         setUserData(null);
+        setApiAuthToken(null);
         sessionStorage.removeItem('authToken');
         sessionStorage.removeItem('userData');
+        sessionStorage.removeItem(TABLE_STATE_SESSION_KEY);
         setItems([]);
-        setLogs([]);
+        setSavedViews([]);
+        setActiveViewId(null);
+        setIsUsersAreaActive(false);
+        setIsDashboardActive(false);
+        setProductLinePage(null);
+        setComparedProducts(null);
         // Clear cache on logout
         setDataCache({
             product_lines: { data: [], timestamp: 0 },
             products: { data: [], timestamp: 0 },
             productLinesList: { data: [], timestamp: 0 }
         });
-    }, [authToken]);
+    }, []);
 
-
-    // Data Fetching (Simulates GET request to API)
-    const fetchData = useCallback(async (isUserAction = false) => {
-        if (!authToken || !userData) {
-            setIsLoading(false);
-            return;
+    // Handler for logout (made a useCallback to be stable dependency for fetchData)
+    const handleLogout = useCallback(async () => {
+        if (authToken) {
+            try {
+                // A rejected token must not re-enter the 401 handler while logging out
+                await api.post('/api/auth/logout', null, { handleUnauthorized: false });
+                console.log("Logout action logged successfully.");
+            } catch (error) {
+                console.error("Failed to log out action on server:", error);
+            }
         }
         
-        if (isInitialLoad || isUserAction) { 
-            setIsLoading(true);
+        setSessionNotice(null);
+        clearSession();
+    }, [authToken, clearSession]);
+
+    // Keep the API client's session token in sync with the app state. A layout effect runs
+    // before the (passive) effects of child components that load their own data on mount.
+    useLayoutEffect(() => {
+        setApiAuthToken(authToken);
+    }, [authToken]);
+
+    // Central 401 handling: any request rejected for an expired/invalid token ends the session
+    useEffect(() => setUnauthorizedHandler(() => {
+        setSessionNotice('Your session has expired. Please log in again.');
+        clearSession();
+    }), [clearSession]);
+
+    // Single place deciding how API failures reach the user, for list loads and saves alike.
+    // Cancelled requests are ignored and 401s are already handled by the client.
+    const reportApiError = useCallback((error, { popup = false } = {}) => {
+        if (isAbortError(error) || error instanceof UnauthorizedError) return;
+
+        console.error('API error:', error);
+        const message = error.message || 'An unknown error occurred during API operation.';
+        setApiError(message);
+        if (popup) {
+            Swal.fire('Error!', message, 'error');
         }
-        setApiError(null);
+    }, []);
 
-        const currentTimestamp = Date.now();
-        const cacheTTL = 300000; // Cache Time-To-Live: 5 minutes (300000ms)
-        const cachedKey = activeCollectionKey;
-        
-        let shouldFetchMainData = isUserAction || !dataCache[cachedKey] || (currentTimestamp - dataCache[cachedKey].timestamp) > cacheTTL;
-        let shouldFetchProductLines = isUserAction || !dataCache.productLinesList || (currentTimestamp - dataCache.productLinesList.timestamp) > cacheTTL;
-        let shouldFetchLogs = isUserAction; 
 
-        const fetchPromises = [];
+    // Mock backend only: restore the seed data and start a fresh session
+    const handleResetMockData = async () => {
+        const result = await Swal.fire({
+            title: 'Reset demo data?',
+            text: 'All changes made in offline demo mode will be lost and you will be logged out.',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonText: 'Reset',
+        });
+        if (!result.isConfirmed) return;
 
-        // Helper function to handle fetch and return null on non-critical error
-        const safeFetch = async (url, options, errorMessage) => {
-            try {
-                const response = await fetch(url, options);
-                if (!response.ok) {
-                    const errorData = response.status !== 204 ? await response.json() : {};
-                    throw new Error(errorData.message || errorMessage);
-                }
-                return response.json();
-            } catch (error) {
-                console.error(`Safe Fetch Error (${url}):`, error);
-                setApiError(error.message);
-                return []; 
-            }
-        };
+        await handleLogout();
+        resetMockDatabase();
+    };
 
-        // 1. MAIN DATA Fetch
-        if (shouldFetchMainData) {
-            fetchPromises.push(
-                safeFetch(`${BASE_API_URL}${activeCollection.apiPath}`, 
-                    { headers: { Authorization: `Bearer ${authToken}` } },
-                    `Failed to fetch ${activeCollection.name} data.`
-                )
-            );
-        } else {
-            fetchPromises.push(Promise.resolve(dataCache[cachedKey].data));
-        }
-        
-        // 2. LOGS Fetch
-        if (shouldFetchLogs || isInitialLoad) {
-            fetchPromises.push(
-                safeFetch(`${BASE_API_URL}${LOGS_API_PATH}`, 
-                    { headers: { Authorization: `Bearer ${authToken}` } },
-                    'Failed to fetch Audit Logs.'
-                )
-            );
-        } else {
-            fetchPromises.push(Promise.resolve(logs));
+    // --- List Query (server-side paging, sorting and filtering) ---
+
+    const serializedAdvancedFilter = useMemo(() => serializeFilter(advancedFilter), [advancedFilter]);
+
+    // Only send the filters to the server once the user stops typing
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setDebouncedFilterTerm(itemFilterTerm);
+            setDebouncedAdvancedFilter(serializedAdvancedFilter);
+        }, FILTER_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [itemFilterTerm, serializedAdvancedFilter]);
+
+    // Values offered by the exact-match filter dropdown. In server mode only one page is loaded,
+    // so values come from the complete product lines list, or the field falls back to a text search (null).
+    const uniqueFilterValues = useMemo(() => {
+        if (!activeFilterField) return null;
+
+        let source = null;
+        if (!isServerPaging) {
+            source = items;
+        } else if (activeCollectionKey === 'product_lines') {
+            source = allProductLines;
+        } else if (activeFilterField === 'product_line') {
+            source = allProductLines.map(pl => ({ product_line: pl.name }));
         }
+        if (!source) return null;
 
-        // 3. PRODUCT LINES Fetch
-        if (shouldFetchProductLines) {
-            fetchPromises.push(
-                safeFetch(`${BASE_API_URL}${initialCollections.product_lines.apiPath}`, 
-                    { headers: { Authorization: `Bearer ${authToken}` } },
-                    'Failed to fetch Product Lines data.'
-                )
-            );
-        } else {
-            fetchPromises.push(Promise.resolve(dataCache.productLinesList.data));
+        const values = source.map(item => item[activeFilterField]).filter(Boolean);
+        return [...new Set(values)].sort((a, b) => String(a).localeCompare(String(b)));
+    }, [isServerPaging, items, allProductLines, activeCollectionKey, activeFilterField]);
+
+    // Query parameters of the paged list request:
+    //   page, page_size, sort ('field,-other'), search (+ search_fields), filter (JSON) and <field>=<exact value>
+    const listQuery = useMemo(() => {
+        const term = debouncedFilterTerm.trim();
+        const query = { page, page_size: pageSize, sort: serializeSort(sortModel), filter: debouncedAdvancedFilter };
+
+        if (term && !activeFilterField) {
+            query.search = term;
+        } else if (term && uniqueFilterValues) {
+            query[activeFilterField] = term;
+        } else if (term) {
+            query.search = term;
+            query.search_fields = activeFilterField;
         }
+        return query;
+    }, [debouncedFilterTerm, debouncedAdvancedFilter, activeFilterField, uniqueFilterValues, page, pageSize, sortModel]);
 
+    // --- Saved Views & Table Preferences ---
 
-        try {
-            const [fetchedItems, fetchedLogs, fetchedProductLines] = await Promise.all(fetchPromises);
-            
-            // 1. Update Main Data
-            const finalItems = fetchedItems.length > 0 ? fetchedItems : (dataCache[cachedKey]?.data || []);
-            setItems(finalItems);
-            if (shouldFetchMainData && fetchedItems.length > 0) {
+    // Table configuration stored in a saved view (and in the session for reloads)
+    const currentViewConfig = useMemo(() => ({
+        columns: visibleColumns,
+        columnWidths: visibleColumns.reduce((acc, field) => {
+            if (columnWidths[field]) acc[field] = columnWidths[field];
+            return acc;
+        }, {}),
+        sortModel,
+        filterField: activeFilterField,
+        filterTerm: itemFilterTerm,
+        advancedFilter: serializedAdvancedFilter,
+        pageSize,
+    }), [visibleColumns, columnWidths, sortModel, activeFilterField, itemFilterTerm, serializedAdvancedFilter, pageSize]);
+
+    // Applies a view configuration to a collection's table. Missing settings are reset,
+    // except columns, widths and page size which keep their current value.
+    const applyViewConfig = useCallback((collectionKey, config = {}) => {
+        const collection = initialCollections[collectionKey];
+        const columns = (config.columns || []).filter(field => collection.fields.includes(field));
+        const filterField = collection.filterableFields.includes(config.filterField) ? config.filterField : null;
+        const filterTerm = filterField || !config.filterField ? (config.filterTerm || '') : '';
+        const filter = withConditionIds(parseFilter(config.advancedFilter));
+
+        if (columns.length > 0) {
+            setVisibleColumnsByCollection(prev => ({ ...prev, [collectionKey]: columns }));
+        }
+        if (config.columnWidths) {
+            setColumnWidths(prev => ({ ...prev, ...config.columnWidths }));
+        }
+        if (PAGE_SIZE_OPTIONS.includes(config.pageSize)) {
+            setPageSize(config.pageSize);
+        }
+        setSortModel(Array.isArray(config.sortModel) ? config.sortModel : []);
+        setActiveFilterField(filterField);
+        setItemFilterTerm(filterTerm);
+        setDebouncedFilterTerm(filterTerm);
+        setAdvancedFilter(filter);
+        setDebouncedAdvancedFilter(serializeFilter(filter));
+        setPage(1);
+    }, []);
+
+    // Opens a collection with the user's default view for it, or with a blank table state
+    const openCollection = useCallback((collectionKey, views) => {
+        const defaultView = views.find(view => view.collection === collectionKey && view.is_default);
+        setActiveCollectionKey(collectionKey);
+        applyViewConfig(collectionKey, defaultView ? defaultView.config : {});
+        setActiveViewId(defaultView ? defaultView.id : null);
+    }, [applyViewConfig]);
+
+    // On login/reload: restore this user's preferences, then their saved views. A reload keeps
+    // the working table state of the session; a fresh session starts from the default view.
+    useEffect(() => {
+        if (!userId) return undefined;
+        const controller = new AbortController();
+
+        setColumnWidths(prev => ({ ...prev, ...readUserPreference(userId, 'columnWidths', {}) }));
+        setVisibleColumnsByCollection(readUserPreference(userId, 'visibleColumns', {}));
+
+        let sessionState = null;
+        try {
+            sessionState = JSON.parse(sessionStorage.getItem(TABLE_STATE_SESSION_KEY));
+        } catch (e) {
+            sessionState = null;
+        }
+        const restoreSession = sessionState && sessionState.userId === userId && collectionKeys.includes(sessionState.collection);
+        const storedTab = readUserPreference(userId, 'activeCollection');
+        const collectionKey = restoreSession ? sessionState.collection : (collectionKeys.includes(storedTab) ? storedTab : collectionKeys[0]);
+
+        setActiveCollectionKey(collectionKey);
+        if (restoreSession) {
+            applyViewConfig(collectionKey, sessionState.config);
+            setActiveViewId(sessionState.viewId || null);
+        }
+
+        loadViews(userData, { signal: controller.signal })
+            .then(views => {
+                setSavedViews(views);
+                if (!restoreSession) openCollection(collectionKey, views);
+            })
+            .catch(error => reportApiError(error));
+
+        return () => controller.abort();
+    }, [userId, userData, applyViewConfig, openCollection, reportApiError]);
+
+    // Remember the active tab for the next login
+    useEffect(() => {
+        writeUserPreference(userId, 'activeCollection', activeCollectionKey);
+    }, [userId, activeCollectionKey]);
+
+    // Persist widths, columns and the working table state once resizing/typing settles
+    useEffect(() => {
+        if (!userId) return undefined;
+        const timer = setTimeout(() => {
+            writeUserPreference(userId, 'columnWidths', columnWidths);
+            writeUserPreference(userId, 'visibleColumns', visibleColumnsByCollection);
+            sessionStorage.setItem(TABLE_STATE_SESSION_KEY, JSON.stringify({
+                userId,
+                collection: activeCollectionKey,
+                viewId: activeViewId,
+                config: currentViewConfig,
+            }));
+        }, PREFERENCES_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [userId, columnWidths, visibleColumnsByCollection, activeCollectionKey, activeViewId, currentViewConfig]);
+
+    const collectionViews = savedViews.filter(view => view.collection === activeCollectionKey);
+
+    const handleApplyView = (view) => {
+        applyViewConfig(activeCollectionKey, view.config);
+        setActiveViewId(view.id);
+    };
+
+    const handleSaveViewAs = async () => {
+        const canPublish = isAdmin && isSharingSupported();
+        const { value: formValues } = await Swal.fire({
+            title: `Save ${activeCollection.name} view`,
+            html: `
+                <input id="swal-view-name" class="swal2-input" placeholder="View name" maxlength="60">
+                <label class="flex items-center justify-center mt-4 text-sm text-gray-700">
+                    <input id="swal-view-default" type="checkbox" class="mr-2"> Use as my default view
+                </label>
+                ${canPublish ? `
+                <label class="flex items-center justify-center mt-2 text-sm text-gray-700">
+                    <input id="swal-view-shared" type="checkbox" class="mr-2"> Publish to all users
+                </label>` : ''}
+            `,
+            focusConfirm: false,
+            showCancelButton: true,
+            confirmButtonText: 'Save view',
+            didOpen: () => document.getElementById('swal-view-name').focus(),
+            preConfirm: () => {
+                const name = document.getElementById('swal-view-name').value.trim();
+                if (!name) {
+                    Swal.showValidationMessage('Please enter a name for the view.');
+                    return false;
+                }
+                const sharedInput = document.getElementById('swal-view-shared');
+                return {
+                    name,
+                    isDefault: document.getElementById('swal-view-default').checked,
+                    isShared: !!(sharedInput && sharedInput.checked),
+                };
+            },
+        });
+        if (!formValues) return;
+
+        try {
+            const view = await createView(userData, {
+                name: formValues.name,
+                collection: activeCollectionKey,
+                is_shared: formValues.isShared,
+                config: currentViewConfig,
+            });
+            let views = [...savedViews, view];
+            if (formValues.isDefault) {
+                await setDefaultView(userData, activeCollectionKey, view.id);
+                views = markDefaultView(views, activeCollectionKey, view.id);
+            }
+            setSavedViews(views);
+            setActiveViewId(view.id);
+            Swal.fire('Saved!', `View "${view.name}" saved.`, 'success');
+        } catch (error) {
+            reportApiError(error, { popup: true });
+        }
+    };
+
+    const replaceSavedView = (updated) => {
+        setSavedViews(prev => prev.map(view => (view.id === updated.id ? { ...view, ...updated } : view)));
+    };
+
+    const handleUpdateView = async (view) => {
+        try {
+            replaceSavedView(await updateView(userData, view.id, { config: currentViewConfig }));
+            Swal.fire('Updated!', `View "${view.name}" now matches the current table.`, 'success');
+        } catch (error) {
+            reportApiError(error, { popup: true });
+        }
+    };
+
+    const handleDeleteView = async (view) => {
+        const result = await Swal.fire({
+            title: `Delete view "${view.name}"?`,
+            text: view.is_shared ? 'This view is published: it will disappear for every user.' : 'This cannot be undone.',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            confirmButtonText: 'Delete',
+        });
+        if (!result.isConfirmed) return;
+
+        try {
+            await deleteView(userData, view.id);
+            setSavedViews(prev => prev.filter(v => v.id !== view.id));
+            if (activeViewId === view.id) setActiveViewId(null);
+        } catch (error) {
+            reportApiError(error, { popup: true });
+        }
+    };
+
+    const handleToggleDefaultView = async (view) => {
+        const viewId = view.is_default ? null : view.id;
+        try {
+            await setDefaultView(userData, view.collection, viewId);
+            setSavedViews(prev => markDefaultView(prev, view.collection, viewId));
+        } catch (error) {
+            reportApiError(error, { popup: true });
+        }
+    };
+
+    const handleTogglePublishView = async (view) => {
+        try {
+            replaceSavedView(await updateView(userData, view.id, { is_shared: !view.is_shared }));
+        } catch (error) {
+            reportApiError(error, { popup: true });
+        }
+    };
+
+    const handleVisibleColumnsChange = (columns) => {
+        setVisibleColumnsByCollection(prev => ({ ...prev, [activeCollectionKey]: columns }));
+    };
+
+    // In-flight data load, aborted when a newer load starts or the app unmounts
+    const fetchControllerRef = useRef(null);
+    useEffect(() => () => fetchControllerRef.current?.abort(), []);
+
+    // Loads read the cache through a ref: the cache they write must not start another load
+    const dataCacheRef = useRef(dataCache);
+    dataCacheRef.current = dataCache;
+
+    // The cache holds the result of one query: a page in server mode, everything otherwise
+    const getCacheQueryKey = useCallback((collectionKey) => (
+        serverPagingSupport[collectionKey] !== false ? JSON.stringify(listQuery) : 'all'
+    ), [serverPagingSupport, listQuery]);
+
+    // Data Fetching (GET requests through the API client)
+    const fetchData = useCallback(async (isUserAction = false) => {
+        if (!authToken || !userData) {
+            setIsLoading(false);
+            return;
+        }
+        
+        if (isInitialLoad || isUserAction) { 
+            setIsLoading(true);
+        }
+        setApiError(null);
+
+        // Cancel a previous load still in flight (e.g. after a quick tab switch)
+        fetchControllerRef.current?.abort();
+        const controller = new AbortController();
+        fetchControllerRef.current = controller;
+        const { signal } = controller;
+
+        const currentTimestamp = Date.now();
+        const cacheTTL = 300000; // Cache Time-To-Live: 5 minutes (300000ms)
+        const cachedKey = activeCollectionKey;
+        const dataCache = dataCacheRef.current;
+        const useServerPaging = serverPagingSupport[cachedKey] !== false;
+        const queryKey = getCacheQueryKey(cachedKey);
+        
+        let shouldFetchMainData = isUserAction || !dataCache[cachedKey] || dataCache[cachedKey].queryKey !== queryKey || (currentTimestamp - dataCache[cachedKey].timestamp) > cacheTTL;
+        let shouldFetchProductLines = isUserAction || !dataCache.productLinesList || (currentTimestamp - dataCache.productLinesList.timestamp) > cacheTTL;
+
+        const fetchPromises = [
+            // 1. MAIN DATA Fetch
+            shouldFetchMainData
+                ? api.get(activeCollection.apiPath, { signal, query: useServerPaging ? listQuery : undefined }).then(normalizeListResponse)
+                : Promise.resolve({ rows: dataCache[cachedKey].data, total: dataCache[cachedKey].total, isPaged: useServerPaging }),
+            // 2. PRODUCT LINES Fetch
+            shouldFetchProductLines
+                ? api.get(initialCollections.product_lines.apiPath, { signal })
+                : Promise.resolve(dataCache.productLinesList.data),
+        ];
+
+        try {
+            const [fetchedMain, fetchedProductLines] = await Promise.all(fetchPromises);
+            
+            // 1. Update Main Data
+            const { rows, total, isPaged } = fetchedMain;
+            setItems(rows);
+            setTotalCount(total);
+            if (useServerPaging && !isPaged) {
+                // The backend ignored the paging parameters: keep the whole collection and page locally
+                setServerPagingSupport(prev => ({ ...prev, [cachedKey]: false }));
+            }
+            if (isPaged && rows.length === 0 && total > 0) {
+                // The requested page no longer exists (e.g. after a delete): jump to the last one
+                setPage(Math.ceil(total / listQuery.page_size));
+            }
+            if (shouldFetchMainData) {
                 setDataCache(prev => ({
                     ...prev,
-                    [cachedKey]: { data: fetchedItems, timestamp: currentTimestamp }
+                    [cachedKey]: { data: rows, total, queryKey: isPaged ? queryKey : 'all', timestamp: currentTimestamp }
                 }));
             }
             
             // 2. Update Product Lines List
-            const finalProductLines = fetchedProductLines.length > 0 ? fetchedProductLines : (dataCache.productLinesList?.data || []);
-            setAllProductLines(finalProductLines);
-            if (shouldFetchProductLines && fetchedProductLines.length > 0) {
+            setAllProductLines(fetchedProductLines || []);
+            if (shouldFetchProductLines) {
                  setDataCache(prev => ({
                     ...prev,
-                    productLinesList: { data: fetchedProductLines, timestamp: currentTimestamp }
+                    productLinesList: { data: fetchedProductLines || [], timestamp: currentTimestamp }
                 }));
             }
 
-            // 3. Update Logs
-            if (shouldFetchLogs || isInitialLoad) {
-                setLogs(fetchedLogs);
-            }
+            if (shouldFetchMainData || shouldFetchProductLines) setDataVersion(version => version + 1);
             
         } catch (error) {
-            console.error("Critical error fetching data:", error);
-            if (error.message.includes('Failed to fetch') || error.message.includes('Invalid or expired token')) {
-                handleLogout(); 
-                setApiError("Session expired or API unreachable. Please log in again.");
-            } else {
-                setApiError(error.message || "Failed to fetch data from API. Check server status.");
-            }
+            reportApiError(error);
         } finally {
-            if (isInitialLoad || isUserAction) { 
-                setIsLoading(false);
-                setIsInitialLoad(false);
+            // A superseded load leaves the loading state to the one that replaced it
+            if (fetchControllerRef.current === controller) {
+                fetchControllerRef.current = null;
+                if (isInitialLoad || isUserAction) { 
+                    setIsLoading(false);
+                    setIsInitialLoad(false);
+                }
             }
         }
-    }, [activeCollectionKey, authToken, userData, isInitialLoad, activeCollection.apiPath, activeCollection.name, handleLogout, dataCache, logs]); 
+    }, [activeCollectionKey, authToken, userData, isInitialLoad, activeCollection.apiPath, serverPagingSupport, listQuery, getCacheQueryKey, reportApiError]); 
 
 
-    // Initial fetch and polling setup
-   useEffect(() => {
-    setNewItemData(initialCollections[activeCollectionKey].defaultValues);
-    setIsFormVisible(false); // Hide form on collection switch
-    
-    // OPTIMIZATION: Display cached data immediately on tab switch if available
-    const cachedKey = activeCollectionKey; // 'product_lines' or 'products'
-    if (dataCache[cachedKey] && dataCache[cachedKey].data.length > 0) {
-        // Set data instantly for responsive UI
-        setItems(dataCache[cachedKey].data); 
-        // Then, initiate a background fetch without showing the spinner
-        fetchData(false); 
-    } else {
-        // If no cache (first time load), force a full fetch with spinner.
-        fetchData(true);
-    }
-}, [activeCollectionKey, dataCache, fetchData]); 
+    // The creation form starts over on a collection switch
+    useEffect(() => {
+        setNewItemData(initialCollections[activeCollectionKey].defaultValues);
+        setNewItemCollectionKey(activeCollectionKey);
+        setNewItemErrors({});
+        setIsFormVisible(false);
+    }, [activeCollectionKey]);
+
+    // Loads the items on a collection switch or a new query, and again when fetchData changes
+    // (login, paging mode). The cache is read through its ref, so its own writes start no load.
+    useEffect(() => {
+        const cached = dataCacheRef.current[activeCollectionKey];
+        // Loaded once fetched, even when it came back empty: another query of the collection
+        // (filter, page) then loads in the background
+        if (cached && cached.timestamp > 0) {
+            // Cached rows of the same query show at once; fetchData refreshes them when stale
+            if (cached.queryKey === getCacheQueryKey(activeCollectionKey)) setItems(cached.data);
+            fetchData(false);
+        } else {
+            fetchData(true);
+        }
+    }, [activeCollectionKey, getCacheQueryKey, fetchData]);
+
+    // --- DRAFTS / UNSAVED CHANGES ---
+
+    // Draft of the creation form, offered when the form is opened
+    useEffect(() => {
+        setNewItemDraft(isFormVisible ? readDraft(userId, activeCollectionKey, null) : null);
+    }, [isFormVisible, userId, activeCollectionKey]);
+
+    // The creation form is saved as a draft on every change
+    useEffect(() => {
+        if (!isNewItemDirty) return;
+        saveDraft(userId, activeCollectionKey, null, newItemData);
+        setNewItemDraft(null);
+    }, [isNewItemDirty, newItemData, userId, activeCollectionKey]);
+
+    // Browser warning when the page is closed or reloaded with unsaved input
+    useEffect(() => {
+        if (!isNewItemDirty && !isModalDirty) return undefined;
+        const handleBeforeUnload = (e) => {
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+    }, [isNewItemDirty, isModalDirty]);
 
 
     // --- CRUD Handlers (UNCHANGED) ---
 
-    const handleRequest = async (method, path, body = null, successCallback = () => {}) => {
+    // Files uploaded for a save that was then cancelled are deleted again; the user is told
+    // about the ones that could not be
+    const discardUploads = async (paths) => {
+        const results = await Promise.allSettled(paths.map(deleteUpload));
+        const leftPaths = paths.filter((path, index) => results[index].status === 'rejected');
+        if (leftPaths.length === 0) return;
+        Swal.fire({
+            icon: 'warning',
+            title: 'Save cancelled',
+            html: `
+                <p>These files were already uploaded and could not be removed from the server:</p>
+                <ul class="text-left text-sm mt-4 max-h-60 overflow-y-auto">
+                    ${leftPaths.map(path => `<li class="py-1">${escapeHtml(getFileName(path))}</li>`).join('')}
+                </ul>
+            `,
+        });
+    };
+
+    // New files of a write body are uploaded one by one in the upload dialog (api/uploads.js).
+    // Resolves with the body holding their stored paths and the files left out ([{ name, reason }]),
+    // or null when the save was cancelled. Without the upload endpoint the body is sent as it is.
+    const uploadNewFiles = async (body) => {
+        const items = FILE_FIELDS.flatMap(field => (Array.isArray(body[field]) ? body[field] : [])
+            .filter(file => file instanceof File)
+            .map((file, index) => ({ id: `${field}:${index}`, field, file, fieldLabel: getFieldLabel(activeCollection, field) })));
+        if (items.length === 0 || !isUploadEndpointSupported()) return { body, skipped: [] };
+
+        const result = await new Promise(resolve => setUploadBatch({ items, resolve }));
+        setUploadBatch(null);
+        if (result.cancelled) {
+            discardUploads(result.uploaded);
+            return null;
+        }
+        if (result.unsupported) return { body, skipped: [] };
+
+        const storedPaths = new Map(items.map(item => [item.file, result.paths.get(item.id)]));
+        const uploaded = FILE_FIELDS.reduce((acc, field) => {
+            if (Array.isArray(body[field])) acc[field] = body[field].map(file => (file instanceof File ? storedPaths.get(file) : file)).filter(Boolean);
+            return acc;
+        }, { ...body });
+        return { body: uploaded, skipped: result.skipped };
+    };
+
+    // onConflict(error) takes over when the server rejects a write with a 409, and
+    // onFieldErrors(errors) when a 400 names the offending fields
+    const handleRequest = async (method, path, body = null, successCallback = () => {}, { onConflict, onFieldErrors } = {}) => {
         if (!authToken) return;
         setIsLoading(true); 
         setApiError(null);
 
-        const fileFields = ['attachments_raw', 'product_pictures'];
-        
-        const hasFile = body && fileFields.some(field => Array.isArray(body[field]) && body[field].some(f => f instanceof File)); 
-
-        let headers = {};
-        let requestBody = null;
-
-        if (hasFile) {
-            const formData = new FormData();
-            
-            for (const key in body) {
-                if (fileFields.includes(key) && Array.isArray(body[key])) {
-                    body[key].forEach(fileOrPath => {
-                        if (fileOrPath instanceof File) {
-                            formData.append(`${key}`, fileOrPath, fileOrPath.name); 
-                        } else if (typeof fileOrPath === 'string' && fileOrPath.startsWith('uploads/')) {
-                            formData.append(`${key}_retained`, fileOrPath); 
-                        }
+        try {
+            const upload = body && await uploadNewFiles(await withCompressedPictures(activeCollection, body));
+            if (body && !upload) return; // the user cancelled the save in the upload dialog
+
+            // The client picks JSON or multipart encoding depending on the file fields. Files still
+            // in the body (no upload endpoint) go with the record: the save shows its progress then.
+            if (upload && hasNewFiles(upload.body)) {
+                const controller = new AbortController();
+                const fileCount = FILE_FIELDS.reduce((count, field) => count + (upload.body[field] || []).filter(file => file instanceof File).length, 0);
+                setSaveProgress({ fileCount, progress: 0, controller });
+                try {
+                    await request(method, path, {
+                        body: upload.body,
+                        signal: controller.signal,
+                        onUploadProgress: (loaded, total) => setSaveProgress(prev => prev && { ...prev, progress: total > 0 ? loaded / total : 1 }),
                     });
+                } finally {
+                    setSaveProgress(null);
                 }
-                else if (!fileFields.includes(key) && body[key] !== null && key !== 'id') { 
-                    formData.append(key, body[key]);
-                }
-            }
-            headers = { 'Authorization': `Bearer ${authToken}` };
-            requestBody = formData;
-        } else {
-            headers = { 
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`,
-            };
-            const fileFields = ['attachments_raw', 'product_pictures'];
-            const jsonBody = body ? Object.keys(body).reduce((acc, key) => {
-                if (key !== 'id') {
-                    if (fileFields.includes(key) && Array.isArray(body[key])) {
-                        acc[key] = body[key].filter(f => typeof f === 'string' && f.startsWith('uploads/'));
-                    } else {
-                        acc[key] = body[key];
-                    }
-                }
-                return acc;
-            }, {}) : null;
-            requestBody = jsonBody ? JSON.stringify(jsonBody) : null;
-        }
-
-        try {
-            const response = await fetch(`${BASE_API_URL}${path}`, {
-                method: method,
-                headers: headers,
-                body: requestBody,
-            });
-
-            if (!response.ok) {
-                const errorData = response.status !== 204 ? await response.json() : {};
-                throw new Error(errorData.message || `API call failed with status ${response.status}.`);
+            } else {
+                await request(method, path, { body: upload && upload.body });
             }
 
-            if (method === 'POST') {
-                Swal.fire('Created!', `${activeCollection.name.slice(0, -1)} successfully created.`, 'success');
+            const recordName = activeCollection.name.slice(0, -1);
+            if (upload && upload.skipped.length > 0) {
+                Swal.fire({
+                    icon: 'warning',
+                    title: method === 'POST' ? 'Created without some files' : 'Updated without some files',
+                    html: `
+                        <p>${recordName} saved, but these files were not uploaded:</p>
+                        <ul class="text-left text-sm mt-4 max-h-60 overflow-y-auto">
+                            ${upload.skipped.map(({ name, reason }) => `<li class="py-1"><b>${escapeHtml(name)}</b>: ${escapeHtml(reason)}</li>`).join('')}
+                        </ul>
+                    `,
+                });
+            } else if (method === 'POST') {
+                Swal.fire('Created!', `${recordName} successfully created.`, 'success');
             } else if (method === 'PUT') {
-                 Swal.fire('Updated!', `${activeCollection.name.slice(0, -1)} successfully updated.`, 'success');
+                 Swal.fire('Updated!', `${recordName} successfully updated.`, 'success');
             } else if (method === 'DELETE') {
-                 Swal.fire('Deleted!', `${activeCollection.name.slice(0, -1)} permanently removed.`, 'success');
+                 Swal.fire('Deleted!', `${recordName} permanently removed.`, 'success');
             }
 
             setDataCache(prev => ({
@@ -1044,38 +1719,51 @@ const App = () => {
             fetchData(true); 
 
         } catch (error) {
-            console.error(`Error during ${method} operation:`, error);
-            Swal.fire('Error!', `${error.message}`, 'error');
-            setApiError(error.message || "An unknown error occurred during API operation.");
+            if (isAbortError(error)) return; // the user cancelled the save while it was sent
+            if (error instanceof ConflictError && onConflict) {
+                onConflict(error);
+                return;
+            }
+            const fieldErrors = error instanceof ValidationError ? getServerFieldErrors(error, activeCollection) : {};
+            if (onFieldErrors && Object.keys(fieldErrors).length > 0) {
+                setApiError(error.message);
+                onFieldErrors(fieldErrors);
+                return;
+            }
+            reportApiError(error, { popup: true });
         } finally {
             setIsLoading(false);
         }
     };
 
 
-    const handleCreate = (e) => {
+    const reportPermissionDenied = () => Swal.fire({
+        icon: 'error',
+        title: 'Not allowed',
+        text: getDeniedMessage(userData, activeCollectionKey),
+    });
+
+    const handleCreate = async (e) => {
         e.preventDefault();
+
+        if (!canModifyRecord('create', newItemData)) {
+            reportPermissionDenied();
+            return;
+        }
         
-        const requiredCheck = activeCollection.requiredFields.every(field => {
-            const value = newItemData[field];
-            
-            if (activeCollectionKey === 'products' && field === 'prod_if_customer_in_china') return true;
-            
-            if (getFieldType(field).includes('file')) {
-                 return Array.isArray(value) && value.length > 0;
+        let errors = validateRecord(activeCollection, newItemData, newItemFields);
+        if (Object.keys(errors).length === 0) {
+            try {
+                errors = await findDuplicateErrors(newItemData, newItemFields, null);
+            } catch (error) {
+                // The server checks uniqueness again on save
+                console.error('Uniqueness check failed:', error);
             }
-            
-            return !!value;
-        });
-        
-        if (!requiredCheck) {
-             setApiError(`Missing required fields: ${activeCollection.requiredFields.filter(field => {
-                 const value = newItemData[field];
-                 if (activeCollectionKey === 'products' && field === 'prod_if_customer_in_china') return false;
-                 if (getFieldType(field).includes('file')) return Array.isArray(value) && value.length === 0;
-                 return !value;
-             }).join(', ')}`);
-             return;
+        }
+        setNewItemErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            focusFirstInvalidField(newItemFormRef.current, newItemFields, errors);
+            return;
         }
         
         let itemToCreate = { ...newItemData };
@@ -1084,17 +1772,7 @@ const App = () => {
         
         const finalPayload = Object.keys(itemToCreate).reduce((acc, key) => {
             if (allowedFields.includes(key)) { 
-                const value = itemToCreate[key];
-                
-                if (getFieldType(key).includes('file')) {
-                    acc[key] = Array.isArray(value) ? value : [];
-                } 
-                else if (key === 'gmdc_pct' || key === 'estimated_price') {
-                     acc[key] = parseFloat(value);
-                } 
-                else {
-                    acc[key] = value;
-                }
+                acc[key] = toPayloadValue(activeCollection, key, itemToCreate[key]);
             }
             return acc;
         }, {});
@@ -1104,31 +1782,41 @@ const App = () => {
         handleRequest(
             'POST', 
             activeCollection.apiPath, 
-            finalPayload, 
+            withProductLineLink(finalPayload), 
             () => { 
+                clearDraft(userId, activeCollectionKey, null);
                 setNewItemData(initialCollections[activeCollectionKey].defaultValues);
                 setIsFormVisible(false); 
-            }
+            },
+            { onFieldErrors: (fieldErrors) => {
+                setNewItemErrors(fieldErrors);
+                focusFirstInvalidField(newItemFormRef.current, newItemFields, fieldErrors);
+            } }
         );
     };
 
-    const handleUpdate = (id, formData) => {
-        
+    // Uniqueness rules of the field schema, checked against every stored record of the collection
+    const findDuplicateErrors = (values, fields, recordId) => findUniquenessErrors(activeCollection, values, fields, {
+        recordId,
+        findRecords: (query) => fetchAllRecords(activeCollection.apiPath, query),
+    });
+
+    // `baseRecord` differs from modalData when the edit is a restored draft
+    const handleUpdate = (id, formData, baseRecord = modalData) => {
+        if (!canModifyRecord('update', modalData, formData)) {
+            reportPermissionDenied();
+            return;
+        }
+        saveRecordUpdate(id, formData, baseRecord);
+    };
+
+    // `baseRecord` is the stored version the edits were made on; its updated_at is the version check
+    const saveRecordUpdate = (id, formData, baseRecord) => {
         const allowedFields = activeCollection.fields.filter(field => !EXCLUDED_INTERNAL_COLUMNS.includes(field));
         
         const finalPayload = Object.keys(formData).reduce((acc, key) => {
             if (allowedFields.includes(key)) { 
-                const value = formData[key];
-                
-                if (getFieldType(key).includes('file')) {
-                    acc[key] = Array.isArray(value) ? value : [];
-                } 
-                else if (key === 'gmdc_pct' || key === 'estimated_price') {
-                     acc[key] = parseFloat(value);
-                }
-                else {
-                    acc[key] = value;
-                }
+                acc[key] = toPayloadValue(activeCollection, key, formData[key]);
             }
             return acc;
         }, {});
@@ -1136,15 +1824,48 @@ const App = () => {
         handleRequest(
             'PUT', 
             `${activeCollection.apiPath}/${id}`, 
-            finalPayload, 
+            { ...withProductLineLink(finalPayload), expected_updated_at: baseRecord.updated_at }, 
             () => { 
+                clearDraft(userId, activeCollectionKey, id);
                 setModalData(null);
                 setIsModalOpen(false);
-            }
+                if (activeCollectionKey === 'product_lines' && 'name' in finalPayload && finalPayload.name !== baseRecord.name) {
+                    propagateProductLineRename({ id, name: baseRecord.name }, finalPayload.name);
+                }
+            },
+            { onConflict: (error) => openEditConflict(id, formData, baseRecord, error), onFieldErrors: setModalServerErrors }
         );
     };
 
+    // The 409 body normally holds the stored record; otherwise it is fetched again
+    const openEditConflict = async (id, mine, base, error) => {
+        try {
+            const current = (error.data && error.data.current) || await api.get(`${activeCollection.apiPath}/${id}`);
+            const theirs = withFileLists(activeCollection, current);
+            setEditConflict({ id, base, mine, theirs });
+        } catch (fetchError) {
+            reportApiError(fetchError, { popup: true });
+        }
+    };
+
+    const handleConflictResolved = (values, keepsSavedVersion) => {
+        const { id, theirs } = editConflict;
+        setEditConflict(null);
+        if (keepsSavedVersion) {
+            // Nothing of the user's edit is kept: show the saved record instead of writing it again
+            clearDraft(userId, activeCollectionKey, id);
+            openModalForEdit(theirs);
+            fetchData(true);
+            return;
+        }
+        saveRecordUpdate(id, values, theirs);
+    };
+
     const handleDelete = (id) => {
+        if (activeCollectionKey === 'product_lines') {
+            deleteProductLine(items.find(item => item.id === id));
+            return;
+        }
         Swal.fire({
             title: 'Are you sure?',
             text: `You are about to delete this ${activeCollection.name.slice(0, -1)}. This action is permanent and will be logged.`,
@@ -1159,86 +1880,577 @@ const App = () => {
             }
         });
     };
-    
-    // --- UI State Handlers (UNCHANGED) ---
+    
+    // --- Product Line Integrity ---
+    // Products link to their line through product_line_id (see utils/productLineLinks): a line is
+    // only deleted once its products are moved or deleted, and a rename is copied to the
+    // `product_line` name its products repeat.
+
+    // Points a stored product to `productLine` ({ id, name })
+    const moveProductToLine = (product, productLine) => request('PUT', `${initialCollections.products.apiPath}/${product.id}`, {
+        body: { ...buildUpdatePayload(initialCollections.products, product, { product_line: productLine.name }), product_line_id: productLine.id },
+    });
+
+    // Runs `operation` on every product; returns [{ product, message }] for the failed ones,
+    // or null when the session expired on the way
+    const runOnProducts = async (products, operation) => {
+        const failures = [];
+        for (const product of products) {
+            try {
+                await operation(product);
+            } catch (error) {
+                if (error instanceof UnauthorizedError) return null;
+                failures.push({ product, message: error.message || 'Request failed' });
+            }
+        }
+        setDataCache(prev => ({ ...prev, products: { data: [], timestamp: 0 } }));
+        return failures;
+    };
+
+    const formatProductFailures = (failures) => `
+        <ul class="text-left text-sm mt-4 max-h-60 overflow-y-auto">
+            ${failures.map(({ product, message }) => `<li class="py-1"><b>${escapeHtml(product.product_name || product.id)}</b>: ${escapeHtml(message)}</li>`).join('')}
+        </ul>`;
+
+    const deleteProductLine = async (productLine) => {
+        let products;
+        try {
+            products = await listProductLineProducts(productLine);
+        } catch (error) {
+            reportApiError(error, { popup: true });
+            return;
+        }
+
+        if (products.length === 0) {
+            const result = await Swal.fire({
+                title: 'Are you sure?',
+                text: 'You are about to delete this Product Line. This action is permanent and will be logged.',
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonColor: '#d33',
+                cancelButtonColor: '#3085d6',
+                confirmButtonText: 'Yes, delete it!'
+            });
+            if (result.isConfirmed) handleRequest('DELETE', `${activeCollection.apiPath}/${productLine.id}`);
+            return;
+        }
+
+        const otherLines = allProductLines.filter(pl => String(pl.id) !== String(productLine.id));
+        const shownNames = products.slice(0, 5).map(product => escapeHtml(product.product_name || product.id)).join(', ');
+        const result = await Swal.fire({
+            title: 'This product line still has products',
+            icon: 'warning',
+            html: `
+                <p class="text-sm"><b>${escapeHtml(productLine.name)}</b> has ${products.length} product(s): ${shownNames}${products.length > 5 ? ', ...' : ''}</p>
+                <p class="text-sm mt-2">Move them to another product line, or delete them together with the line.</p>
+            `,
+            input: otherLines.length > 0 ? 'select' : undefined,
+            inputOptions: Object.fromEntries(otherLines.map(pl => [pl.id, pl.name])),
+            inputPlaceholder: '-- Move the products to --',
+            inputValidator: (value) => (value ? null : 'Choose the product line the products move to.'),
+            showConfirmButton: otherLines.length > 0,
+            confirmButtonText: 'Move products and delete line',
+            showDenyButton: true,
+            denyButtonText: `Delete line and ${products.length} product(s)`,
+            showCancelButton: true,
+        });
+        if (!result.isConfirmed && !result.isDenied) return;
+
+        const target = result.isConfirmed ? otherLines.find(pl => String(pl.id) === result.value) : null;
+        setIsLoading(true);
+        const failures = await runOnProducts(products, target
+            ? (product) => moveProductToLine(product, target)
+            : (product) => request('DELETE', `${initialCollections.products.apiPath}/${product.id}`));
+        setIsLoading(false);
+        if (!failures) return;
+
+        if (failures.length > 0) {
+            fetchData(true);
+            Swal.fire({
+                title: 'Product line kept',
+                icon: 'error',
+                html: `<p>${failures.length} of ${products.length} product(s) could not be ${target ? 'moved' : 'deleted'}, so the line was not deleted.</p>${formatProductFailures(failures)}`,
+            });
+            return;
+        }
+        handleRequest('DELETE', `${activeCollection.apiPath}/${productLine.id}`);
+    };
+
+    // After `productLine` ({ id, name: previous name }) was saved as `newName`
+    const propagateProductLineRename = async (productLine, newName) => {
+        let products;
+        try {
+            products = await listProductLineProducts(productLine);
+        } catch (error) {
+            reportApiError(error, { popup: true });
+            return;
+        }
+        const outdated = products.filter(product => product.product_line !== newName);
+        if (outdated.length === 0) return;
+
+        const failures = await runOnProducts(outdated, (product) => moveProductToLine(product, { id: productLine.id, name: newName }));
+        if (!failures) return;
+        fetchData(true);
+        if (failures.length > 0) {
+            Swal.fire({
+                title: 'Renamed with errors',
+                icon: 'warning',
+                html: `<p>${failures.length} of ${outdated.length} product(s) still name the line "${escapeHtml(productLine.name)}".</p>${formatProductFailures(failures)}`,
+            });
+        } else {
+            Swal.fire('Updated!', `Product Line renamed; ${outdated.length} product(s) now reference "${newName}".`, 'success');
+        }
+    };
+
+    // --- UI State Handlers (UNCHANGED) ---
+
+    const openModalForEdit = (item) => {
+        setModalServerErrors(null);
+        setModalData(withFileLists(activeCollection, item));
+        setIsModalOpen(true);
+    };
+
+    // Before the creation form is emptied (Cancel, tab switch, logout). Its input is already saved
+    // as a draft, which a 'discard' answer removes; resolves to false when the user stays on the form.
+    const confirmLeaveNewItemForm = async ({ keepLabel = 'Keep draft and leave', stayLabel = 'Stay on the form' } = {}) => {
+        if (!isNewItemDirty) return true;
+        const choice = await confirmUnsavedChanges({
+            text: `The new ${activeCollection.name.slice(0, -1)} form has not been submitted. You can keep it as a draft and restore it when you reopen the form.`,
+            keepLabel,
+            stayLabel,
+            hasPendingFiles: hasPendingFiles(newItemData),
+        });
+        if (choice === 'discard') clearDraft(userId, activeCollectionKey, null);
+        return choice !== null;
+    };
+
+    // Resolves to false when the switch was cancelled to keep editing
+    const handleCollectionSwitch = async (key) => {
+        if (!(await confirmLeaveNewItemForm())) return false;
+        setIsUsersAreaActive(false);
+        setIsDashboardActive(false);
+        setProductLinePage(null);
+        setComparedProducts(null);
+        // Coming back from another tab or a product line page keeps the table as it was
+        if ((isOtherAreaShown || productLinePage) && key === activeCollectionKey) return true;
+        // Starts from the user's default view of that collection (blank filters and sort otherwise)
+        openCollection(key, savedViews);
+        setIsFormVisible(false); 
+        return true;
+    };
+
+    // --- Product Line Page ---
+
+    // The page lists products: the products collection is made active so that they open, save
+    // and resolve conflicts like from their own table. Back returns to the table it came from.
+    const openProductLinePage = async (productLine) => {
+        const returnKey = productLinePage ? productLinePage.returnKey : activeCollectionKey;
+        if ((activeCollectionKey !== 'products' || isOtherAreaShown) && !(await handleCollectionSwitch('products'))) return;
+        setIsModalOpen(false);
+        setProductLinePage({ id: productLine.id, returnKey });
+    };
+
+    // From a product to the page of its line
+    const openProductLinePageOf = (product) => {
+        const productLine = findProductLine(product, allProductLines);
+        if (!productLine) {
+            Swal.fire('Product line not found', `The product line "${product.product_line}" of this product no longer exists.`, 'info');
+            return;
+        }
+        openProductLinePage(productLine);
+    };
+
+    const closeProductLinePage = async () => {
+        if (productLinePage.returnKey !== activeCollectionKey) await handleCollectionSwitch(productLinePage.returnKey);
+        else setProductLinePage(null);
+    };
+
+    const openDashboard = () => {
+        setIsUsersAreaActive(false);
+        setProductLinePage(null);
+        setIsDashboardActive(true);
+    };
+
+    const requestLogout = async () => {
+        if (await confirmLeaveNewItemForm()) handleLogout();
+    };
+    
+    // Header click cycles asc -> desc -> unsorted; Shift+click adds the column to a multi-column sort
+    const handleSortChange = (field, additive) => {
+        setSortModel(prev => {
+            const existing = prev.find(s => s.field === field);
+            const nextDirection = !existing ? 'asc' : existing.direction === 'asc' ? 'desc' : null;
+
+            if (!additive) return nextDirection ? [{ field, direction: nextDirection }] : [];
+            if (!nextDirection) return prev.filter(s => s.field !== field);
+            return existing
+                ? prev.map(s => (s.field === field ? { ...s, direction: nextDirection } : s))
+                : [...prev, { field, direction: nextDirection }];
+        });
+        setPage(1);
+    };
+
+    const handleAdvancedFilterChange = (filter) => {
+        setAdvancedFilter(filter);
+        setPage(1);
+    };
+
+    // Columns offered by the filter builder, typed by the field schema
+    const filterBuilderFields = useMemo(() => describeFields(
+        activeCollection,
+        activeCollection.fields.filter(field => field !== 'id' && !EXCLUDED_INTERNAL_COLUMNS.includes(field)),
+        { productLines: allProductLines }
+    ), [activeCollection, allProductLines]);
+
+    const activeConditionCount = getActiveConditions(advancedFilter).length;
+
+    // Number inputs keep the typed text; it is converted when the payload is built
+    const handleNewItemChange = (field, value) => {
+        setNewItemData(prev => ({ ...prev, [field]: value }));
+        if (newItemErrors[field]) setNewItemErrors(({ [field]: _, ...rest }) => rest);
+    };
+    
+    const cancelForm = async () => {
+        if (!(await confirmLeaveNewItemForm({ keepLabel: 'Keep draft and close', stayLabel: 'Keep editing' }))) return;
+        setNewItemData(initialCollections[activeCollectionKey].defaultValues);
+        setNewItemErrors({});
+        setIsFormVisible(false);
+    };
+
+    const restoreNewItemDraft = () => {
+        setNewItemData({ ...activeCollection.defaultValues, ...newItemDraft.values });
+        setNewItemDraft(null);
+    };
+
+    const discardNewItemDraft = () => {
+        clearDraft(userId, activeCollectionKey, null);
+        setNewItemDraft(null);
+    };
+
+
+    // --- Filtering Logic (Client-Side fallback) ---
+
+    // In server mode `items` already is the filtered and sorted page
+    const filteredItems = useMemo(() => {
+        if (isServerPaging) return items;
+
+        const term = itemFilterTerm.toLowerCase().trim();
+        let filtered = items;
+
+        if (activeFilterField && term) {
+            filtered = filtered.filter(item => 
+                String(item[activeFilterField]).toLowerCase() === term
+            );
+        } else if (!activeFilterField && term) {
+            const displayFields = activeCollection.fields.filter(field => !EXCLUDED_INTERNAL_COLUMNS.includes(field));
+
+            filtered = filtered.filter(item => 
+                displayFields.some(key => 
+                    String(item[key]).toLowerCase().includes(term)
+                )
+            );
+        }
+
+        filtered = filtered.filter(item => matchesFilter(item, advancedFilter));
+
+        return sortRecords(filtered, sortModel);
+    }, [isServerPaging, items, itemFilterTerm, activeFilterField, activeCollection.fields, advancedFilter, sortModel]);
+
+    const matchingCount = isServerPaging ? totalCount : filteredItems.length;
+    const totalPages = Math.max(1, Math.ceil(matchingCount / pageSize));
+    const currentPage = Math.min(page, totalPages);
+    const pageItems = isServerPaging
+        ? filteredItems
+        : filteredItems.slice((currentPage - 1) * pageSize, currentPage * pageSize);
+
+    // --- Export (CSV / XLSX) ---
+
+    // Loads every record matching a list query, page by page (server mode only holds one page)
+    const fetchAllRecords = async (apiPath, baseQuery = {}) => {
+        const records = [];
+        for (let pageNumber = 1; ; pageNumber++) {
+            const response = await api.get(apiPath, { query: { ...baseQuery, page: pageNumber, page_size: EXPORT_PAGE_SIZE } });
+            const { rows, total, isPaged } = normalizeListResponse(response);
+            records.push(...rows);
+            if (!isPaged || rows.length === 0 || records.length >= total) return records;
+        }
+    };
+
+    const handleExport = async () => {
+        const { value: options } = await Swal.fire({
+            title: `Export ${activeCollection.name}`,
+            html: `
+                <div class="text-left text-sm space-y-3 px-4">
+                    <label class="block">Rows
+                        <select id="swal-export-rows" class="swal2-select w-full m-0 mt-1">
+                            <option value="filtered">Current filtered results (${matchingCount})</option>
+                            <option value="all">All records</option>
+                        </select>
+                    </label>
+                    <label class="block">Columns
+                        <select id="swal-export-columns" class="swal2-select w-full m-0 mt-1">
+                            <option value="table">Table columns (${visibleColumns.length})</option>
+                            <option value="compact">Summary fields (${activeCollection.compactFields.length})</option>
+                            <option value="full">All fields</option>
+                        </select>
+                    </label>
+                    <label class="block">Format
+                        <select id="swal-export-format" class="swal2-select w-full m-0 mt-1">
+                            <option value="xlsx">Excel workbook (.xlsx)</option>
+                            <option value="csv">CSV (.csv)</option>
+                        </select>
+                    </label>
+                </div>
+            `,
+            focusConfirm: false,
+            showCancelButton: true,
+            confirmButtonText: 'Export',
+            preConfirm: () => ({
+                rows: document.getElementById('swal-export-rows').value,
+                columns: document.getElementById('swal-export-columns').value,
+                format: document.getElementById('swal-export-format').value,
+            }),
+        });
+        if (!options) return;
+
+        const fields = options.columns === 'table' ? visibleColumns
+            : options.columns === 'compact' ? activeCollection.compactFields
+            : activeCollection.fields.filter(field => field !== 'password_hash');
+        const columns = describeFields(activeCollection, fields);
+
+        setIsExporting(true);
+        try {
+            let records;
+            if (isServerPaging) {
+                // The export keeps the table order; "all records" only drops the filters
+                records = await fetchAllRecords(activeCollection.apiPath, options.rows === 'filtered' ? listQuery : { sort: listQuery.sort });
+            } else {
+                records = options.rows === 'filtered' ? filteredItems : sortRecords(items, sortModel);
+            }
+
+            const rows = buildExportRows(records, columns);
+            const fileName = buildExportFileName(activeCollectionKey, options.format);
+            if (options.format === 'csv') {
+                downloadCsv(rows, fileName);
+            } else {
+                await downloadXlsx(rows, fileName, activeCollection.name);
+            }
+        } catch (error) {
+            reportApiError(error, { popup: true });
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    // --- Import (CSV / XLSX) ---
+
+    // Files cannot come from a spreadsheet; `id` is only used to match existing records
+    const importFields = activeCollection.fields
+        .filter(field => !EXCLUDED_INTERNAL_COLUMNS.includes(field) && !isFileType(getFieldType(activeCollection, field)))
+        .map(field => describeField(activeCollection, field, { productLines: allProductLines }));
+
+    // Shown as a row error in the dry run
+    const authorizeImportRow = (record, existing) => {
+        const isAllowed = existing ? canModifyRecord('update', existing, record) : canModifyRecord('create', record);
+        return isAllowed ? null : getDeniedMessage(userData, activeCollectionKey);
+    };
+
+    const submitImportRow = ({ action, record, existing }) => {
+        if (action === 'create') {
+            return request('POST', activeCollection.apiPath, { body: withProductLineLink({ ...activeCollection.defaultValues, ...record }) });
+        }
+        return request('PUT', `${activeCollection.apiPath}/${existing.id}`, { body: withProductLineLink(buildUpdatePayload(activeCollection, existing, record)) });
+    };
+
+    const handleImportClose = (hasImported) => {
+        setIsImportOpen(false);
+        if (!hasImported) return;
+
+        setDataCache(prev => ({
+            ...prev,
+            [activeCollectionKey]: { data: [], timestamp: 0 },
+            productLinesList: { data: [], timestamp: 0 }
+        }));
+        fetchData(true);
+    };
+
+    // --- Selection & Bulk Actions ---
+
+    // Another table or other filters make the selection meaningless
+    useEffect(() => {
+        setSelectedRecords({});
+        setIsAllMatchingSelected(false);
+    }, [activeCollectionKey, activeFilterField, debouncedFilterTerm, debouncedAdvancedFilter]);
+
+    const selectedCount = isAllMatchingSelected ? matchingCount : Object.keys(selectedRecords).length;
+    const isRowSelected = (item) => isAllMatchingSelected || !!selectedRecords[item.id];
+    // Anyone can select products to compare them; bulk actions still check each record
+    const isComparable = activeCollectionKey === 'products';
+    const canSelectRows = canWrite || isComparable;
+    // Otherwise rows outside a product line manager's scope cannot be selected
+    const isRowSelectable = (item) => isComparable || canModifyRecord('update', item);
+    const selectablePageItems = pageItems.filter(isRowSelectable);
+    const isPageSelected = selectablePageItems.length > 0 && selectablePageItems.every(isRowSelected);
+
+    const clearSelection = () => {
+        setSelectedRecords({});
+        setIsAllMatchingSelected(false);
+    };
+
+    const toggleRowSelection = (item) => {
+        // Leaving "all matching" mode keeps the rows of the current page
+        const next = isAllMatchingSelected ? Object.fromEntries(selectablePageItems.map(row => [row.id, row])) : { ...selectedRecords };
+        if (next[item.id]) delete next[item.id];
+        else next[item.id] = item;
+        setIsAllMatchingSelected(false);
+        setSelectedRecords(next);
+    };
+
+    const togglePageSelection = () => {
+        if (isAllMatchingSelected) {
+            clearSelection();
+            return;
+        }
+        const next = { ...selectedRecords };
+        selectablePageItems.forEach(item => {
+            if (isPageSelected) delete next[item.id];
+            else next[item.id] = item;
+        });
+        setSelectedRecords(next);
+    };
+
+    // Why the selection cannot be compared, null when it can
+    const getCompareHint = () => {
+        if (isAllMatchingSelected) return 'Pick the products to compare one by one';
+        if (selectedCount < MIN_COMPARED_PRODUCTS) return `Select at least ${MIN_COMPARED_PRODUCTS} products to compare`;
+        if (selectedCount > MAX_COMPARED_PRODUCTS) return `At most ${MAX_COMPARED_PRODUCTS} products can be compared at once`;
+        return null;
+    };
+
+    // Records are re-read from the table so edits made from the comparison show up
+    const shownComparedProducts = comparedProducts && comparedProducts.map(product => items.find(item => item.id === product.id) || product);
+
+    // Fields that can be overwritten for a whole selection
+    const bulkEditFields = describeFields(
+        activeCollection,
+        activeCollection.fields.filter(field => field !== 'id' && !EXCLUDED_INTERNAL_COLUMNS.includes(field) && ['text', 'textarea', 'checkbox', 'select'].includes(getFieldType(activeCollection, field))),
+        { productLines: assignableProductLines }
+    );
+
+    // The records a bulk action applies to. "All matching" needs every page in server mode.
+    const resolveSelectedRecords = async () => {
+        if (!isAllMatchingSelected) return Object.values(selectedRecords);
+        if (!isServerPaging) return filteredItems;
+        return fetchAllRecords(activeCollection.apiPath, listQuery);
+    };
+
+    // Runs `operation` on each record in turn, then reports how many succeeded and why the others failed
+    const runBulkOperation = async (label, pastTense, operation) => {
+        let records;
+        try {
+            records = await resolveSelectedRecords();
+        } catch (error) {
+            reportApiError(error, { popup: true });
+            return;
+        }
+
+        const failures = [];
+        setBulkProgress({ label, done: 0, total: records.length });
+        for (const record of records) {
+            try {
+                await operation(record);
+            } catch (error) {
+                // An expired session ends the run, the login screen takes over
+                if (error instanceof UnauthorizedError) {
+                    setBulkProgress(null);
+                    return;
+                }
+                failures.push({ record, message: error.message || 'Request failed' });
+            }
+            setBulkProgress(prev => ({ ...prev, done: prev.done + 1 }));
+        }
+        setBulkProgress(null);
+
+        clearSelection();
+        setDataCache(prev => ({
+            ...prev,
+            [activeCollectionKey]: { data: [], timestamp: 0 },
+            productLinesList: { data: [], timestamp: 0 }
+        }));
+        fetchData(true);
+
+        const keyField = RECORD_KEY_FIELDS[activeCollectionKey];
+        const succeeded = records.length - failures.length;
+        Swal.fire({
+            title: failures.length === 0 ? 'Done!' : 'Completed with errors',
+            icon: failures.length === 0 ? 'success' : 'warning',
+            html: `
+                <p>${succeeded} of ${records.length} record(s) ${pastTense}.</p>
+                ${failures.length > 0 ? `
+                <ul class="text-left text-sm mt-4 max-h-60 overflow-y-auto">
+                    ${failures.map(({ record, message }) => `<li class="py-1"><b>${escapeHtml(record[keyField] || record.id)}</b>: ${escapeHtml(message)}</li>`).join('')}
+                </ul>` : ''}
+            `,
+        });
+    };
+
+    const handleBulkDelete = async () => {
+        const result = await Swal.fire({
+            title: `Delete ${selectedCount} record(s)?`,
+            text: `The selected ${activeCollection.name.toLowerCase()} will be permanently deleted. Each deletion is logged.`,
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            confirmButtonText: `Delete ${selectedCount}`,
+        });
+        if (!result.isConfirmed) return;
+
+        runBulkOperation('Deleting', 'deleted', async (record) => {
+            if (!canModifyRecord('delete', record)) throw new Error(getDeniedMessage(userData, activeCollectionKey));
+            if (activeCollectionKey === 'product_lines') {
+                const products = await listProductLineProducts(record);
+                if (products.length > 0) throw new Error(`It still has ${products.length} product(s). Delete it on its own to reassign or delete them.`);
+            }
+            return request('DELETE', `${activeCollection.apiPath}/${record.id}`);
+        });
+    };
 
-    const openModalForEdit = (item) => {
-        const product_pictures = Array.isArray(item.product_pictures) ? item.product_pictures : (item.product_pictures ? [item.product_pictures] : []);
-        const attachments_raw = Array.isArray(item.attachments_raw) ? item.attachments_raw : (item.attachments_raw ? [item.attachments_raw] : []);
-        
-        setModalData({
-            ...item,
-            product_pictures: (typeof item.product_pictures === 'string' && item.product_pictures.startsWith('[')) ? JSON.parse(item.product_pictures) : product_pictures,
-            attachments_raw: (typeof item.attachments_raw === 'string' && item.attachments_raw.startsWith('[')) ? JSON.parse(item.attachments_raw) : attachments_raw,
+    const handleBulkEdit = async (field, value) => {
+        const label = getFieldLabel(activeCollection, field);
+        const displayValue = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : (value === '' ? '(empty)' : `"${value}"`);
+        const result = await Swal.fire({
+            title: `Update ${selectedCount} record(s)?`,
+            text: `${label} will be set to ${displayValue} on every selected record.`,
+            icon: 'question',
+            showCancelButton: true,
+            confirmButtonText: 'Update',
         });
-        setIsModalOpen(true);
-    };
+        if (!result.isConfirmed) return;
 
-    const handleCollectionSwitch = (key) => {
-        setActiveCollectionKey(key);
-        setItemFilterTerm('');
-        setActiveFilterField(null); 
-        setIsFormVisible(false); 
-    };
-    
-    const handleNewItemChange = (field, value) => {
-        if (getFieldType(field).includes('file')) {
-             setNewItemData(prev => ({ ...prev, [field]: value }));
-             return;
-        }
-        
-        const finalValue = field === 'gmdc_pct' ? parseFloat(value) : (field === 'prod_if_customer_in_china' ? value : value);
-        setNewItemData(prev => ({ ...prev, [field]: finalValue }));
-    };
-    
-    const cancelForm = () => {
-        setNewItemData(initialCollections[activeCollectionKey].defaultValues);
-        setIsFormVisible(false);
+        runBulkOperation('Updating', 'updated', async (record) => {
+            if (!canModifyRecord('update', record, { [field]: value })) throw new Error(getDeniedMessage(userData, activeCollectionKey));
+            return request('PUT', `${activeCollection.apiPath}/${record.id}`, {
+                body: withProductLineLink(buildUpdatePayload(activeCollection, record, { [field]: toPayloadValue(activeCollection, field, value) })),
+            });
+        });
     };
 
+    // --- Audit Explorer ---
 
-    // --- Filtering Logic (Client-Side) (UNCHANGED) ---
-    
-    const uniqueFilterValues = useMemo(() => {
-        if (!activeFilterField) return [];
-        const values = items.map(item => item[activeFilterField]).filter(Boolean);
-        return [...new Set(values)].sort((a, b) => String(a).localeCompare(String(b)));
-    }, [items, activeFilterField]);
-
-    const filteredItems = useMemo(() => {
-        const term = itemFilterTerm.toLowerCase().trim();
-        let filtered = items;
-
-        if (activeFilterField && term) {
-            filtered = filtered.filter(item => 
-                String(item[activeFilterField]).toLowerCase() === term
-            );
-        } else if (!activeFilterField && term) {
-            const displayFields = activeCollection.fields.filter(field => !EXCLUDED_INTERNAL_COLUMNS.includes(field));
-
-            filtered = filtered.filter(item => 
-                displayFields.some(key => 
-                    String(item[key]).toLowerCase().includes(term)
-                )
-            );
+    // Record IDs in the audit explorer open the record in its own table
+    const handleOpenAuditRecord = async (tableName, documentId) => {
+        try {
+            const record = await api.get(`${initialCollections[tableName].apiPath}/${documentId}`);
+            if ((tableName !== activeCollectionKey || isOtherAreaShown) && !(await handleCollectionSwitch(tableName))) return;
+            openModalForEdit(record);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                Swal.fire('Record not found', 'This record has been deleted since.', 'info');
+                return;
+            }
+            reportApiError(error, { popup: true });
         }
-
-        return filtered;
-    }, [items, itemFilterTerm, activeFilterField, activeCollection.fields]);
-
-    const filteredLogs = useMemo(() => {
-        const term = logFilterTerm.toLowerCase().trim();
-        if (!term) return logs;
-        
-        const excludedActions = ['LOGIN', 'LOGOUT']; 
-
-        return logs.filter(log => !excludedActions.includes(log.action)).filter(log => 
-            (log.action?.toLowerCase().includes(term)) ||
-            (log.table_name?.toLowerCase().includes(term)) ||
-            (log.user_name?.toLowerCase().includes(term)) ||
-            (String(log.document_id)?.toLowerCase().includes(term))
-        );
-    }, [logs, logFilterTerm]);
+    };
 
     // --- Render Functions (UPDATED) ---
     
@@ -1256,12 +2468,25 @@ const App = () => {
                 </h1>
             </div>
             <div className="text-right flex items-center space-x-4 mt-2 sm:mt-0">
+                {USE_MOCK_API && (
+                    <span className="text-xs font-semibold text-yellow-300 border border-yellow-400 rounded-lg px-2 py-1 flex items-center">
+                        Offline demo data
+                        <button
+                            onClick={handleResetMockData}
+                            className="ml-2 underline hover:text-yellow-100"
+                            title="Restore the sample data and log out"
+                        >
+                            Reset
+                        </button>
+                    </span>
+                )}
                 <span className="text-sm font-medium text-gray-300 truncate max-w-xs flex items-center">
                      {userData.displayName} 
                     {isAdmin && <Shield className="w-4 h-4 ml-2 text-yellow-400 inline" title="Administrator Access" />}
+                    {!isAdmin && <span className="ml-2 text-xs text-gray-400">{getRoleLabel(userData.user_role)}</span>}
                 </span>
                 <button
-                    onClick={handleLogout}
+                    onClick={requestLogout}
                     className="px-3 py-1 bg-red-600 text-white rounded-lg hover:bg-red-700 transition duration-150 shadow-md flex items-center text-sm font-semibold"
                 >
                     <LogOut className="w-4 h-4 mr-1" />
@@ -1271,130 +2496,155 @@ const App = () => {
         </header>
     );
 
+    // Creation form inputs, rendered from the field schema (see utils/fieldSchema.js)
+    const newItemFields = getDisplayFields(activeCollection).filter(field => field !== 'id' && isFieldShownIn(activeCollection, field, FIELD_PLACES.FORM));
+
+    const renderNewItemInput = (schema, isRequired) => {
+        const { key: field, label, type } = schema;
+        const error = newItemErrors[field];
+        const baseClass = `p-3 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm`;
+
+        if (type === 'select') {
+            return (
+                <div className="relative flex flex-col">
+                    <FieldLabel field={schema} isRequired={isRequired} />
+                    <div className="relative">
+                        <select
+                            name={field}
+                            value={newItemData[field] ?? ''}
+                            onChange={(e) => handleNewItemChange(field, e.target.value)}
+                            required={isRequired}
+                            className={`${baseClass} appearance-none pr-8 w-full`}
+                            disabled={isLoading}
+                        >
+                            <option value="" disabled>-- Select {label} --</option>
+                            {getFieldOptions(schema, { productLines: assignableProductLines }).map(option => (
+                                <option key={option.value} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                        <ChevronDown className="w-4 h-4 text-gray-500 absolute right-3 bottom-3 pointer-events-none" />
+                    </div>
+                    <FieldError message={error} />
+                </div>
+            );
+        }
+        if (type === 'file_image') {
+            const pictures = Array.isArray(newItemData[field]) ? newItemData[field] : [];
+
+            const handlePicturesAdded = (picked) => handleNewItemChange(field, [...pictures, ...screenPickedFiles(schema, picked, pictures)]);
+
+            return (
+                <div className="relative flex flex-col col-span-full">
+                    <FieldLabel field={schema} isRequired={isRequired} />
+                    <FileDropZone name={field} accept={getAcceptAttribute(schema)} onFiles={handlePicturesAdded} disabled={isLoading} label={label} />
+                    <FileRulesHint field={schema} />
+                    {pictures.length > 0 ? (
+                        <div className="mt-2 border p-3 rounded-lg bg-blue-50">
+                            <ImageGallery files={pictures} onChange={(files) => handleNewItemChange(field, files)} disabled={isLoading} />
+                        </div>
+                    ) : (
+                        <p className="text-xs text-gray-500 mt-1">No pictures currently selected.</p>
+                    )}
+                    <FieldError message={error} />
+                </div>
+            );
+        }
+        if (isFileType(type)) {
+            const currentFiles = Array.isArray(newItemData[field]) ? newItemData[field] : [];
+
+            const handleFilesAdded = (picked) => handleNewItemChange(field, [...currentFiles, ...screenPickedFiles(schema, picked, currentFiles)]);
+
+            return (
+                <div className="relative flex flex-col col-span-full">
+                    <FieldLabel field={schema} isRequired={isRequired} />
+                    <FileDropZone name={field} accept={getAcceptAttribute(schema)} onFiles={handleFilesAdded} disabled={isLoading} label={label} />
+                    <FileRulesHint field={schema} />
+                    <AttachmentList
+                        files={currentFiles}
+                        onChange={(files) => handleNewItemChange(field, files)}
+                        disabled={isLoading}
+                        emptyText="No files currently selected."
+                    />
+                    <FieldError message={error} />
+                </div>
+            );
+        }
+
+        if (type === 'textarea') {
+            return (
+                <div className="relative flex flex-col col-span-full sm:col-span-2">
+                    <FieldLabel field={schema} isRequired={isRequired} />
+                    <MarkdownEditor
+                        name={field}
+                        rows={4}
+                        placeholder={schema.placeholder || label}
+                        value={newItemData[field] || ''}
+                        onChange={(text) => handleNewItemChange(field, text)}
+                        hasError={!!error}
+                        disabled={isLoading}
+                    />
+                    <FieldError message={error} />
+                </div>
+            );
+        }
+        if (type === 'checkbox') {
+             return (
+                 <div className="flex items-center space-x-2">
+                     <input
+                         type="checkbox"
+                         name={field}
+                         id={`new-${field}`}
+                         checked={!!newItemData[field]}
+                         onChange={(e) => handleNewItemChange(field, e.target.checked)}
+                         className="h-5 w-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                         disabled={isLoading}
+                     />
+                     <label htmlFor={`new-${field}`} className="text-sm font-medium text-gray-700" title={schema.help}>{label}</label>
+                 </div>
+             );
+        }
+        
+        return (
+            <div className="relative flex flex-col">
+                <FieldLabel field={schema} isRequired={isRequired} />
+                <input
+                    type={type}
+                    name={field}
+                    min={schema.min}
+                    max={schema.max}
+                    step={type === 'number' ? (schema.step ?? 'any') : undefined}
+                    placeholder={schema.placeholder || label}
+                    value={newItemData[field] ?? ''}
+                    onChange={(e) => handleNewItemChange(field, e.target.value)}
+                    required={isRequired}
+                    className={baseClass}
+                    disabled={isLoading}
+                />
+                <FieldError message={error} />
+            </div>
+        );
+    };
+
     const renderItemForm = () => (
-        <div className={`bg-white p-6 rounded-xl shadow-xl transition-all duration-300 ease-in-out overflow-hidden mt-6 ${isFormVisible ? 'max-h-[1500px] opacity-100' : 'max-h-0 opacity-0 p-0'}`}>
-            <form onSubmit={handleCreate} className="space-y-4">
+        <div className={`bg-white p-6 rounded-xl shadow-xl transition-all duration-300 ease-in-out overflow-hidden mt-6 ${isFormVisible ? 'max-h-[4000px] opacity-100' : 'max-h-0 opacity-0 p-0'}`}>
+            <form ref={newItemFormRef} onSubmit={handleCreate} noValidate className="space-y-4">
                 <h2 className="text-xl font-bold text-gray-700 mb-4">Add New {activeCollection.name.slice(0, -1)}</h2>
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-                    {activeCollection.fields.filter(f => f !== 'id' && !EXCLUDED_INTERNAL_COLUMNS.includes(f)).map(field => {
-                        const type = getFieldType(field);
-                        const isRequired = activeCollection.requiredFields.includes(field);
-                        const label = field.toUpperCase().replace(/_/g, ' ');
-                        const baseClass = "p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm";
-                        
-                        if (activeCollectionKey === 'products' && field === 'product_line') {
-                            return (
-                                <div key={field} className="relative flex flex-col">
-                                    <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
-                                    <select
-                                        value={newItemData[field] || ''}
-                                        onChange={(e) => handleNewItemChange(field, e.target.value)}
-                                        required={isRequired}
-                                        className={`${baseClass} appearance-none pr-8`}
-                                        disabled={isLoading}
-                                    >
-                                        <option value="" disabled>-- Select a Product Line --</option>
-                                        {allProductLines.map(pl => (
-                                            <option key={pl.id} value={pl.name}>
-                                                {pl.name}
-                                            </option>
-                                        ))}
-                                    </select>
-                                    <ChevronDown className="w-4 h-4 text-gray-500 absolute right-3 bottom-3 pointer-events-none" />
-                                </div>
-                            );
-                        }
-                        if (type === 'file_image' || type === 'file_attachment') {
-                            const isImage = type === 'file_image';
-                            
-                            const handleFileSelect = (e) => {
-                                const files = Array.from(e.target.files); 
-                                handleNewItemChange(field, files); 
-                                e.target.value = null;  
-                            };
-                            
-                            const currentFiles = Array.isArray(newItemData[field]) ? newItemData[field] : []; 
-                            
-                            return (
-                                <div key={field} className="relative flex flex-col col-span-full">
-                                    <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
-                                    <input
-                                        type="file"
-                                        multiple 
-                                        accept={isImage ? "image/*" : "*/*"}
-                                        onChange={handleFileSelect}
-                                        key={currentFiles.length > 0 ? 'new-files' : 'empty'} 
-                                        className={`${baseClass} p-1 text-sm file:mr-4 file:py-1 file:px-2 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100`}
-                                        disabled={isLoading}
-                                    />
-                                    {currentFiles.length > 0 && (
-                                         <div className="flex justify-between items-center mt-1">
-                                             <p className="text-xs text-blue-600">
-                                                 New Files Selected: {currentFiles.length} file(s)
-                                             </p>
-                                             <button
-                                                 type="button"
-                                                 onClick={() => handleNewItemChange(field, [])} 
-                                                 className="text-red-500 text-xs hover:text-red-700"
-                                             >
-                                                 Clear
-                                             </button>
-                                         </div>
-                                    )}
-                                    {currentFiles.length === 0 && <p className="text-xs text-gray-500 mt-1">No files currently selected.</p>}
-                                </div>
-                            );
-                        }
-
-                        if (type === 'textarea') {
-                            return (
-                                <div key={field} className="relative flex flex-col col-span-full sm:col-span-2">
-                                    <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
-                                    <textarea
-                                        rows="2"
-                                        placeholder={activeCollection.placeholder[field] || label}
-                                        value={newItemData[field] || ''}
-                                        onChange={(e) => handleNewItemChange(field, e.target.value)}
-                                        required={isRequired}
-                                        className={`${baseClass}`}
-                                        disabled={isLoading}
-                                    />
-                                </div>
-                            );
-                        }
-                        if (type === 'checkbox') {
-                             return (
-                                 <div key={field} className="flex items-center space-x-2">
-                                     <input
-                                         type="checkbox"
-                                         id={`new-${field}`}
-                                         checked={!!newItemData[field]}
-                                         onChange={(e) => handleNewItemChange(field, e.target.checked)}
-                                         className="h-5 w-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
-                                         disabled={isLoading}
-                                     />
-                                     <label htmlFor={`new-${field}`} className="text-sm font-medium text-gray-700">{label}</label>
-                                 </div>
-                             );
-                        }
-                        
-                        return (
-                            <div key={field} className="relative flex flex-col">
-                                 <label className="text-xs font-medium text-gray-500 mb-1">{label} {isRequired && '*'}</label>
-                                <input
-                                    type={type}
-                                    step={type === 'number' ? '0.01' : 'any'}
-                                    placeholder={activeCollection.placeholder[field] || label}
-                                    value={newItemData[field] || ''}
-                                    onChange={(e) => handleNewItemChange(field, e.target.value)}
-                                    required={isRequired}
-                                    className={baseClass}
-                                    disabled={isLoading}
-                                />
-                            </div>
-                        );
-                    })}
-                </div>
+                {newItemDraft && (
+                    <DraftBanner draft={newItemDraft} onRestore={restoreNewItemDraft} onDiscard={discardNewItemDraft} />
+                )}
+                {groupFieldsBySection(activeCollection, newItemFields).map(({ section, fields }) => (
+                    <FormSection key={section || 'fields'} title={section}>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+                            {fields.map(schema => (
+                                <React.Fragment key={schema.key}>
+                                    {renderNewItemInput(schema, activeCollection.requiredFields.includes(schema.key))}
+                                </React.Fragment>
+                            ))}
+                        </div>
+                    </FormSection>
+                ))}
                 
                 <div className="flex justify-end space-x-3 pt-4 border-t">
                     <button
@@ -1427,17 +2677,39 @@ const App = () => {
             <div className="flex justify-between items-center mb-4 flex-wrap gap-4">
                 <h2 className="2xl font-bold text-gray-800 flex items-center">
                     {activeCollection.name} Data
-                    <span className="ml-2 text-sm font-medium text-indigo-500 p-1 bg-indigo-50 rounded-full">{items.length} items</span>
+                    <span className="ml-2 text-sm font-medium text-indigo-500 p-1 bg-indigo-50 rounded-full">{matchingCount} items</span>
                 </h2>
                 
-                <button
-                    onClick={() => setIsFormVisible(prev => !prev)}
-                    className={`px-4 py-2 text-sm font-semibold rounded-lg shadow-md transition duration-150 flex items-center ${isFormVisible ? 'bg-gray-400 hover:bg-gray-500 text-white' : 'bg-indigo-600 hover:bg-indigo-700 text-white'}`}
-                    disabled={isLoading}
-                >
-                    <Plus className="w-4 h-4 mr-2" />
-                    {isFormVisible ? 'Collapse Form' : `Add New ${activeCollection.name.slice(0, -1)}`}
-                </button>
+                <div className="flex items-center space-x-2">
+                    <button
+                        onClick={handleExport}
+                        className="px-4 py-2 text-sm font-semibold rounded-lg shadow-md transition duration-150 flex items-center bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        disabled={isLoading || isExporting}
+                    >
+                        {isExporting ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+                        Export
+                    </button>
+                    {canWrite && (
+                        <button
+                            onClick={() => setIsImportOpen(true)}
+                            className="px-4 py-2 text-sm font-semibold rounded-lg shadow-md transition duration-150 flex items-center bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                            disabled={isLoading}
+                        >
+                            <Upload className="w-4 h-4 mr-2" />
+                            Import
+                        </button>
+                    )}
+                    {canCreate && (
+                        <button
+                            onClick={() => setIsFormVisible(prev => !prev)}
+                            className={`px-4 py-2 text-sm font-semibold rounded-lg shadow-md transition duration-150 flex items-center ${isFormVisible ? 'bg-gray-400 hover:bg-gray-500 text-white' : 'bg-indigo-600 hover:bg-indigo-700 text-white'}`}
+                            disabled={isLoading}
+                        >
+                            <Plus className="w-4 h-4 mr-2" />
+                            {isFormVisible ? 'Collapse Form' : `Add New ${activeCollection.name.slice(0, -1)}`}
+                        </button>
+                    )}
+                </div>
             </div>
             
             {apiError && (
@@ -1454,6 +2726,7 @@ const App = () => {
                             const field = e.target.value;
                             setActiveFilterField(field === "" ? null : field);
                             setItemFilterTerm(""); 
+                            setPage(1);
                         }}
                         value={activeFilterField || ""}
                         className="appearance-none pr-8 pl-3 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
@@ -1462,7 +2735,7 @@ const App = () => {
                         <option value="">-- All Columns --</option>
                         {activeCollection.filterableFields.map(field => (
                             <option key={field} value={field}>
-                                Filter by {field.toUpperCase().replace(/_/g, ' ')}
+                                Filter by {getFieldLabel(activeCollection, field)}
                             </option>
                         ))}
                     </select>
@@ -1470,14 +2743,17 @@ const App = () => {
                 </div>
 
                 <div className="relative">
-                    {activeFilterField ? (
+                    {activeFilterField && uniqueFilterValues ? (
                         <select
-                            onChange={(e) => setItemFilterTerm(e.target.value)}
+                            onChange={(e) => {
+                                setItemFilterTerm(e.target.value);
+                                setPage(1);
+                            }}
                             value={itemFilterTerm}
                             className="appearance-none pr-8 pl-8 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
                             disabled={isLoading}
                         >
-                            <option value="">--- All {activeFilterField.toUpperCase().replace(/_/g, ' ')} ---</option>
+                            <option value="">--- All {getFieldLabel(activeCollection, activeFilterField)} ---</option>
                             {uniqueFilterValues.map(value => (
                                 <option key={value} value={String(value).toLowerCase()}>
                                     {value}
@@ -1487,57 +2763,150 @@ const App = () => {
                     ) : (
                         <input
                             type="text"
-                            placeholder={`Search All Fields...`}
+                            placeholder={activeFilterField ? `Search ${getFieldLabel(activeCollection, activeFilterField)}...` : `Search All Fields...`}
                             value={itemFilterTerm}
-                            onChange={(e) => setItemFilterTerm(e.target.value)}
+                            onChange={(e) => {
+                                setItemFilterTerm(e.target.value);
+                                setPage(1);
+                            }}
                             className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm w-full sm:w-48"
                             disabled={isLoading}
                         />
                     )}
                     <Filter className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2 pointer-events-none" />
                 </div>
+
+                <button
+                    onClick={() => setIsFilterBuilderOpen(prev => !prev)}
+                    className={`px-3 py-2 border rounded-lg text-sm font-medium transition shadow-sm flex items-center ${activeConditionCount > 0 || isFilterBuilderOpen ? 'border-indigo-400 text-indigo-700 bg-indigo-50' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+                    disabled={isLoading}
+                >
+                    <SlidersHorizontal className="w-4 h-4 mr-2" />
+                    Advanced Filter
+                    {activeConditionCount > 0 && (
+                        <span className="ml-2 px-2 text-xs bg-indigo-600 text-white rounded-full">{activeConditionCount}</span>
+                    )}
+                </button>
+
+                <ColumnPicker
+                    fields={getDisplayFields(activeCollection).filter(field => isFieldShownIn(activeCollection, field, FIELD_PLACES.TABLE))}
+                    getLabel={(field) => getFieldLabel(activeCollection, field)}
+                    columns={visibleColumns}
+                    defaultColumns={activeCollection.compactFields}
+                    onChange={handleVisibleColumnsChange}
+                    disabled={isLoading}
+                />
+
+                <SavedViewsMenu
+                    views={collectionViews}
+                    activeViewId={activeViewId}
+                    currentUserId={userId}
+                    isAdmin={isAdmin}
+                    canShare={isSharingSupported()}
+                    onApply={handleApplyView}
+                    onSaveNew={handleSaveViewAs}
+                    onUpdate={handleUpdateView}
+                    onDelete={handleDeleteView}
+                    onToggleDefault={handleToggleDefaultView}
+                    onTogglePublish={handleTogglePublishView}
+                    disabled={isLoading}
+                />
             </div>
+
+            {isFilterBuilderOpen && (
+                <FilterBuilder
+                    fields={filterBuilderFields}
+                    filter={advancedFilter}
+                    onChange={handleAdvancedFilterChange}
+                    onClose={() => setIsFilterBuilderOpen(false)}
+                    disabled={isLoading}
+                />
+            )}
             
+            {(selectedCount > 0 || bulkProgress) && (
+                <BulkActionsBar
+                    selectedCount={selectedCount}
+                    matchingCount={matchingCount}
+                    isAllMatchingSelected={isAllMatchingSelected}
+                    canSelectAllMatching={!isAllMatchingSelected && isPageSelected && matchingCount > selectedCount}
+                    onSelectAllMatching={() => setIsAllMatchingSelected(true)}
+                    onClearSelection={clearSelection}
+                    fields={bulkEditFields}
+                    onApplyEdit={handleBulkEdit}
+                    onDelete={handleBulkDelete}
+                    canEdit={canWrite}
+                    onCompare={isComparable ? () => setComparedProducts(Object.values(selectedRecords)) : undefined}
+                    compareHint={getCompareHint()}
+                    progress={bulkProgress}
+                    disabled={isLoading}
+                />
+            )}
+
             {/* RESIZABLE TABLE DISPLAY */}
             <table className="min-w-full divide-y divide-gray-200" style={{ tableLayout: 'fixed' }}>
                 <ResizableTableHeader 
-                    columns={activeCollection.compactFields} 
+                    collection={activeCollection}
+                    columns={visibleColumns} 
                     columnWidths={columnWidths}
                     setColumnWidths={setColumnWidths}
+                    sortModel={sortModel}
+                    onSortChange={handleSortChange}
+                    selection={canSelectRows ? {
+                        checked: isPageSelected,
+                        indeterminate: !isPageSelected && pageItems.some(isRowSelected),
+                        onChange: togglePageSelection,
+                        disabled: isLoading || !!bulkProgress || selectablePageItems.length === 0,
+                    } : undefined}
                 />
                 
                 <tbody className="bg-white divide-y divide-gray-200">
                     {isLoading && items.length === 0 ? (
                         <tr>
-                            <td colSpan={activeCollection.compactFields.length + 1} className="px-4 py-4 text-center text-indigo-500">
+                            <td colSpan={visibleColumns.length + (canSelectRows ? 2 : 1)} className="px-4 py-4 text-center text-indigo-500">
                                 <Loader className="w-5 h-5 animate-spin inline mr-2" /> Loading data from API...
                             </td>
                         </tr>
-                    ) : filteredItems.length === 0 ? (
+                    ) : pageItems.length === 0 ? (
                         <tr>
-                            <td colSpan={activeCollection.compactFields.length + 1} className="px-4 py-4 text-center text-gray-500">
+                            <td colSpan={visibleColumns.length + (canSelectRows ? 2 : 1)} className="px-4 py-4 text-center text-gray-500">
                                 No items found matching filter criteria.
                             </td>
                         </tr>
                     ) : (
-                        filteredItems.map(item => (
-                            <tr key={item.id} className={'hover:bg-gray-50'}>
-                                {activeCollection.compactFields.map(field => {
-                                    const type = getFieldType(field);
-                                    
-                                    return (
-                                        <td 
-                                            key={field} 
-                                            // Apply dynamic width style to the cell
-                                            style={{ width: columnWidths[field] || 'auto' }}
-                                            className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 truncate overflow-hidden"
-                                        >
-                                            {field === 'id' ? String(item[field]).substring(0, 8) + '...' 
-                                                : type === 'checkbox' ? (item[field] ? 'Yes' : 'No') 
-                                                : String(item[field] || 'N/A')}
-                                        </td>
-                                    )})}
-                                <td style={{ width: 120 }} className="px-4 py-3 whitespace-nowrap text-center text-sm font-medium">
+                        pageItems.map(item => (
+                            <tr key={item.id} className={isRowSelected(item) ? 'bg-indigo-50' : 'hover:bg-gray-50'}>
+                                {canSelectRows && (
+                                    <td style={{ width: SELECTION_COLUMN_WIDTH }} className="px-4 py-3 text-center">
+                                        <input
+                                            type="checkbox"
+                                            checked={isRowSelected(item)}
+                                            onChange={() => toggleRowSelection(item)}
+                                            className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                                            disabled={!!bulkProgress || !isRowSelectable(item)}
+                                        />
+                                    </td>
+                                )}
+                                {visibleColumns.map(field => (
+                                    <td 
+                                        key={field} 
+                                        // Apply dynamic width style to the cell
+                                        style={{ width: columnWidths[field] || 'auto' }}
+                                        className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 truncate overflow-hidden"
+                                    >
+                                        {field === 'product_line' && activeCollectionKey === 'products' && allProductLines.length > 0 && isOrphanProduct(item, allProductLines) && (
+                                            <span title="Orphaned: no product line matches this product. Edit it to pick an existing line.">
+                                                <AlertTriangle className="w-4 h-4 mr-1 inline text-amber-500" />
+                                            </span>
+                                        )}
+                                        {field === 'product_name' && activeCollectionKey === 'products' && (
+                                            <ProductAvatar pictures={item.product_pictures} name={item.product_name} size="w-7 h-7 mr-2" />
+                                        )}
+                                        {getFieldType(activeCollection, field) === 'file_image'
+                                            ? <ThumbnailStrip value={item[field]} />
+                                            : formatTableCell(activeCollection, field, item[field])}
+                                    </td>
+                                ))}
+                                <td style={{ width: ACTION_COLUMN_WIDTH }} className="px-4 py-3 whitespace-nowrap text-center text-sm font-medium">
                                     <button 
                                         onClick={() => openModalForEdit(item)} 
                                         className="text-indigo-600 hover:text-indigo-800 transition p-1 rounded-full hover:bg-indigo-100 disabled:opacity-50" 
@@ -1546,117 +2915,81 @@ const App = () => {
                                     >
                                         <Eye className="w-5 h-5" />
                                     </button>
-                                    <button 
-                                        onClick={() => handleDelete(item.id)} 
-                                        className="text-red-600 hover:text-red-800 transition p-1 rounded-full hover:bg-red-100 disabled:opacity-50 ml-2" 
-                                        disabled={isLoading}
-                                        title="Delete Record"
-                                    >
-                                        <Trash2 className="w-5 h-5" />
-                                    </button>
+                                    {activeCollectionKey === 'product_lines' && (
+                                        <button
+                                            onClick={() => openProductLinePage(item)}
+                                            className="text-indigo-600 hover:text-indigo-800 transition p-1 rounded-full hover:bg-indigo-100 disabled:opacity-50 ml-2"
+                                            disabled={isLoading}
+                                            title="Open Product Line Page"
+                                        >
+                                            <Layers className="w-5 h-5" />
+                                        </button>
+                                    )}
+                                    {canModifyRecord('delete', item) && (
+                                        <button 
+                                            onClick={() => handleDelete(item.id)} 
+                                            className="text-red-600 hover:text-red-800 transition p-1 rounded-full hover:bg-red-100 disabled:opacity-50 ml-2" 
+                                            disabled={isLoading}
+                                            title="Delete Record"
+                                        >
+                                            <Trash2 className="w-5 h-5" />
+                                        </button>
+                                    )}
                                 </td>
                             </tr>
                         ))
                     )}
                 </tbody>
             </table>
+
+            {renderPagination()}
         </div>
     );
 
-    // --- AUDIT LOGS RENDER FUNCTION (UPDATED) ---
-    const renderAuditLogs = () => {
-        // Define the columns for the logs table using strings that match the columnWidths keys
-        const logColumns = ['Action', 'User', 'Table', 'Record ID', 'Timestamp'];
+    const renderPagination = () => {
+        const firstRow = matchingCount === 0 ? 0 : (currentPage - 1) * pageSize + 1;
+        const lastRow = Math.min(currentPage * pageSize, matchingCount);
+        const navButtonClass = "p-2 rounded-lg text-gray-600 hover:bg-gray-100 transition disabled:opacity-40 disabled:hover:bg-transparent";
 
         return (
-            <div className="mt-8 bg-gray-50 p-6 rounded-xl shadow-xl overflow-x-auto">
-                <div className="flex justify-between items-center mb-4 flex-wrap">
-                    <h2 className="text-2xl font-bold text-gray-800 flex items-center">
-                        <Clock className="w-6 h-6 mr-2 text-yellow-600" />
-                        Audit Logs
-                    </h2>
-                    <div className="relative mt-2 sm:mt-0">
-                        <input
-                            type="text"
-                            placeholder="Filter Logs (Action, User, or Table)"
-                            value={logFilterTerm}
-                            onChange={(e) => setLogFilterTerm(e.target.value)}
-                            className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 shadow-sm w-full sm:w-64"
-                            disabled={isLoading}
-                        />
-                        <Filter className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
-                    </div>
+            <div className="flex justify-between items-center mt-4 flex-wrap gap-4 text-sm text-gray-600">
+                <div className="flex items-center space-x-2">
+                    <span>Rows per page</span>
+                    <select
+                        value={pageSize}
+                        onChange={(e) => {
+                            setPageSize(Number(e.target.value));
+                            setPage(1);
+                        }}
+                        className="pl-2 pr-6 py-1 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        disabled={isLoading}
+                    >
+                        {PAGE_SIZE_OPTIONS.map(size => (
+                            <option key={size} value={size}>{size}</option>
+                        ))}
+                    </select>
+                    <span className="ml-2">Showing {firstRow}–{lastRow} of {matchingCount}</span>
                 </div>
-                <p className="text-sm text-gray-600 mb-4">Every user action is recorded here.</p>
-                
-                <div className="max-h-96 overflow-y-auto border border-gray-300 rounded-lg">
-                    {/* CRITICAL: Added style={{ tableLayout: 'fixed' }} for resizing to work */}
-                    <table className="min-w-full divide-y divide-gray-300" style={{ tableLayout: 'fixed' }}>
-                        
-                        {/* Use ResizableTableHeader for Audit Logs */}
-                        <ResizableTableHeader
-                            columns={logColumns}
-                            columnWidths={columnWidths}
-                            setColumnWidths={setColumnWidths}
-                            actionColumnTitle={null} // Audit logs don't have an action column
-                        />
-                        
-                        <tbody className="bg-white divide-y divide-gray-200">
-                            {filteredLogs.length === 0 ? (
-                                <tr>
-                                    <td colSpan="5" className="px-4 py-4 text-center text-gray-500">
-                                        No matching logs found.
-                                    </td>
-                                </tr>
-                            ) : (
-                                filteredLogs.map((log, index) => (
-                                    <tr key={index} className="hover:bg-yellow-50">
-                                        <td 
-                                            // Apply dynamic width to cells
-                                            style={{ width: columnWidths['Action'] }}
-                                            className={`px-4 py-2 whitespace-nowrap text-sm font-semibold ${log.action === 'CREATE' ? 'text-green-600' : log.action === 'UPDATE' ? 'text-blue-600' : 'text-red-600'}`}
-                                        >
-                                            {log.action}
-                                        </td>
-                                        <td 
-                                            // Apply dynamic width to cells
-                                            style={{ width: columnWidths['User'] }}
-                                            className="px-4 py-2 whitespace-nowrap text-sm text-gray-800 font-medium"
-                                        >
-                                            {log.user_name || log.user_id}
-                                        </td>
-                                        <td 
-                                            // Apply dynamic width to cells
-                                            style={{ width: columnWidths['Table'] }}
-                                            className="px-4 py-2 whitespace-nowrap text-sm text-gray-500"
-                                        >
-                                            {log.table_name}
-                                        </td>
-                                        <td 
-                                            // Apply dynamic width to cells
-                                            style={{ width: columnWidths['Record ID'] }}
-                                            className="px-4 py-2 whitespace-nowrap text-xs font-mono text-gray-500"
-                                        >
-                                            {String(log.document_id).substring(0, 8)}
-                                        </td>
-                                        <td 
-                                            // Apply dynamic width to cells
-                                            style={{ width: columnWidths['Timestamp'] }}
-                                            className="px-4 py-2 whitespace-nowrap text-sm text-gray-500"
-                                        >
-                                            {formatTimestamp(log.logged_at)}
-                                        </td>
-                                    </tr>
-                                ))
-                            )}
-                        </tbody>
-                    </table>
+
+                <div className="flex items-center space-x-1">
+                    <button onClick={() => setPage(1)} className={navButtonClass} disabled={isLoading || currentPage <= 1} title="First page">
+                        <ChevronsLeft className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => setPage(currentPage - 1)} className={navButtonClass} disabled={isLoading || currentPage <= 1} title="Previous page">
+                        <ChevronLeft className="w-4 h-4" />
+                    </button>
+                    <span className="px-2">Page {currentPage} of {totalPages}</span>
+                    <button onClick={() => setPage(currentPage + 1)} className={navButtonClass} disabled={isLoading || currentPage >= totalPages} title="Next page">
+                        <ChevronRight className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => setPage(totalPages)} className={navButtonClass} disabled={isLoading || currentPage >= totalPages} title="Last page">
+                        <ChevronsRight className="w-4 h-4" />
+                    </button>
                 </div>
             </div>
         );
     };
 
-    
     // --- Signature and Branding Footer Component (UNCHANGED) ---
     const renderSignature = () => (
         <footer className="bg-gray-800 text-gray-400 py-4 mt-auto shadow-inner">
@@ -1687,6 +3020,7 @@ const App = () => {
             setUserData={setUserData} 
             setIsLoading={setIsLoading} 
             isLoading={isLoading} 
+            notice={sessionNotice}
         />;
     }
 
@@ -1703,7 +3037,7 @@ const App = () => {
                             key={key}
                             onClick={() => handleCollectionSwitch(key)}
                             className={`py-3 px-6 text-lg font-medium transition duration-150 rounded-t-lg ${
-                                activeCollectionKey === key
+                                activeCollectionKey === key && !isOtherAreaShown && !productLinePage
                                     ? 'border-b-4 border-indigo-600 text-indigo-700 bg-white shadow-t'
                                     : 'text-gray-500 hover:text-gray-700 hover:bg-gray-200'
                             }`}
@@ -1712,17 +3046,93 @@ const App = () => {
                             {initialCollections[key].name}
                         </button>
                     ))}
+                    <button
+                        onClick={openDashboard}
+                        className={`py-3 px-6 text-lg font-medium transition duration-150 rounded-t-lg flex items-center ${
+                            isDashboardActive
+                                ? 'border-b-4 border-indigo-600 text-indigo-700 bg-white shadow-t'
+                                : 'text-gray-500 hover:text-gray-700 hover:bg-gray-200'
+                        }`}
+                        disabled={isLoading}
+                    >
+                        <BarChart3 className="w-5 h-5 mr-2" />
+                        Dashboard
+                    </button>
+                    {isAdmin && (
+                        <button
+                            onClick={() => {
+                                setIsUsersAreaActive(true);
+                                setIsDashboardActive(false);
+                                setProductLinePage(null);
+                            }}
+                            className={`py-3 px-6 text-lg font-medium transition duration-150 rounded-t-lg flex items-center ${
+                                showUsersArea
+                                    ? 'border-b-4 border-indigo-600 text-indigo-700 bg-white shadow-t'
+                                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-200'
+                            }`}
+                            disabled={isLoading}
+                        >
+                            <Users className="w-5 h-5 mr-2" />
+                            {initialCollections.users.name}
+                        </button>
+                    )}
                 </div>
 
-                {renderItemForm()}
-                
-                {renderItemsTable()}
+                {showUsersArea ? (
+                    <UserManagement currentUser={userData} onError={reportApiError} />
+                ) : isDashboardActive ? (
+                    <PortfolioDashboard productLines={allProductLines} refreshToken={dataVersion} />
+                ) : productLinePage ? (
+                    <ProductLinePage
+                        productLineId={productLinePage.id}
+                        collection={initialCollections.product_lines}
+                        fields={PRODUCT_LINE_PAGE_FIELDS}
+                        productCollection={initialCollections.products}
+                        backLabel={initialCollections[productLinePage.returnKey].name}
+                        onBack={closeProductLinePage}
+                        onOpenProduct={openModalForEdit}
+                        refreshToken={dataVersion}
+                    />
+                ) : (
+                    <>
+                        {canCreate && renderItemForm()}
+
+                        {renderItemsTable()}
+                    </>
+                )}
 
                 {/* CONDITIONAL RENDERING BASED ON ROLE */}
-                {isAdmin && renderAuditLogs()}
+                {isAdmin && (
+                    <AuditLogExplorer
+                        tableOptions={AUDIT_TABLE_OPTIONS}
+                        fieldsByTable={AUDIT_FIELDS_BY_TABLE}
+                        openableTables={collectionKeys}
+                        onOpenRecord={handleOpenAuditRecord}
+                        refreshToken={dataVersion}
+                        onError={reportApiError}
+                    />
+                )}
 
             </main>
 
+            {shownComparedProducts && (
+                <ProductComparison
+                    collection={initialCollections.products}
+                    fields={PRODUCT_COMPARISON_FIELDS}
+                    products={shownComparedProducts}
+                    onClose={() => setComparedProducts(null)}
+                    onOpenProduct={openModalForEdit}
+                />
+            )}
+
+            {uploadBatch && (
+                <UploadProgress items={uploadBatch.items} upload={uploadItem} onFinish={uploadBatch.resolve} />
+            )}
+
+            {saveProgress && (
+                <SaveProgress fileCount={saveProgress.fileCount} progress={saveProgress.progress} onCancel={() => saveProgress.controller.abort()} />
+            )}
+
             {/* Modal must be rendered outside the main content flow */}
             {modalData && (
                 <DetailModal
@@ -1730,13 +3140,46 @@ const App = () => {
                     onClose={() => setIsModalOpen(false)}
                     item={modalData}
                     activeCollection={activeCollection}
+                    collectionKey={activeCollectionKey}
                     allProductLines={allProductLines}
                     handleUpdate={handleUpdate}
                     isLoading={isLoading}
                     setApiError={setApiError}
+                    canModify={canModifyRecord('update', modalData)}
+                    findDuplicateErrors={findDuplicateErrors}
+                    serverErrors={modalServerErrors}
+                    userId={userId}
+                    onDirtyChange={setIsModalDirty}
+                    onOpenProductLine={openProductLinePageOf}
                 />
             )}
             
+            {editConflict && (
+                <ConflictResolver
+                    fields={describeFields(activeCollection, getDisplayFields(activeCollection))}
+                    base={editConflict.base}
+                    mine={editConflict.mine}
+                    theirs={editConflict.theirs}
+                    onResolve={handleConflictResolved}
+                    onCancel={() => setEditConflict(null)}
+                    isSaving={isLoading}
+                />
+            )}
+
+            {isImportOpen && (
+                <ImportWizard
+                    collectionName={activeCollection.name}
+                    fields={importFields}
+                    requiredFields={activeCollection.requiredFields}
+                    productLineNames={allProductLines.map(pl => pl.name)}
+                    keyField={RECORD_KEY_FIELDS[activeCollectionKey]}
+                    loadExistingRecords={() => fetchAllRecords(activeCollection.apiPath)}
+                    authorizeRow={authorizeImportRow}
+                    submitRow={submitImportRow}
+                    onClose={handleImportClose}
+                />
+            )}
+
             {/* NEW: Application Signature Footer */}
             {renderSignature()} 
         </div>
@@ -0,0 +1,297 @@
+// --- API CLIENT ---
+// Every component talks to the backend through this module. It takes care of:
+//   - injecting the bearer token of the current session
+//   - encoding bodies as JSON, or as multipart when file fields hold new File objects
+//   - turning failed responses into typed errors (ApiError and its subclasses)
+//   - request cancellation through AbortSignal
+//   - upload progress reporting for request bodies
+//   - downloading stored files ('uploads/...') with the same errors and retries
+//   - retrying idempotent GET requests with exponential backoff
+//   - notifying the app once per session token when it is rejected (401), so it can log out
+
+import { apiFetch, apiUpload, fileFetch } from './transport';
+
+// Fields holding a mix of stored paths ('uploads/...') and new File objects
+export const FILE_FIELDS = ['attachments_raw', 'product_pictures'];
+
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 400;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// --- Typed errors ---
+
+export class ApiError extends Error {
+    constructor(message, { status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+// The server could not be reached at all (offline, DNS, CORS...)
+export class NetworkError extends ApiError {
+    constructor(message = 'The API server is unreachable. Check your connection and try again.') {
+        super(message);
+        this.name = 'NetworkError';
+    }
+}
+
+export class UnauthorizedError extends ApiError {
+    constructor(message = 'Your session has expired. Please log in again.', data = null) {
+        super(message, { status: 401, data });
+        this.name = 'UnauthorizedError';
+    }
+}
+
+export class ForbiddenError extends ApiError {
+    constructor(message = 'You do not have permission to perform this action.', data = null) {
+        super(message, { status: 403, data });
+        this.name = 'ForbiddenError';
+    }
+}
+
+export class NotFoundError extends ApiError {
+    constructor(message = 'The requested record no longer exists.', data = null) {
+        super(message, { status: 404, data });
+        this.name = 'NotFoundError';
+    }
+}
+
+export class ValidationError extends ApiError {
+    constructor(message = 'The submitted data is invalid.', data = null) {
+        super(message, { status: 400, data });
+        this.name = 'ValidationError';
+    }
+}
+
+export class ConflictError extends ApiError {
+    constructor(message = 'The record was modified by someone else.', data = null) {
+        super(message, { status: 409, data });
+        this.name = 'ConflictError';
+    }
+}
+
+export const isAbortError = (error) => error && error.name === 'AbortError';
+
+const errorForResponse = (status, data) => {
+    const message = (data && data.message) || undefined;
+    switch (status) {
+        case 400:
+        case 422:
+            return new ValidationError(message, data);
+        case 401:
+            return new UnauthorizedError(message, data);
+        case 403:
+            return new ForbiddenError(message, data);
+        case 404:
+            return new NotFoundError(message, data);
+        case 409:
+            return new ConflictError(message, data);
+        default:
+            return new ApiError(message || `API call failed with status ${status}.`, { status, data });
+    }
+};
+
+// --- Session state ---
+
+let authToken = null;
+let unauthorizedHandler = null;
+let rejectedToken = null; // token the handler was last run for: concurrent 401s notify once
+
+export const setAuthToken = (token) => {
+    authToken = token || null;
+};
+
+// Registers the callback run when an authenticated request is rejected with 401.
+// Returns a function that unregisters it.
+export const setUnauthorizedHandler = (handler) => {
+    unauthorizedHandler = handler;
+    return () => {
+        if (unauthorizedHandler === handler) unauthorizedHandler = null;
+    };
+};
+
+// --- Body encoding ---
+
+export const hasNewFiles = (body) => FILE_FIELDS.some(field => Array.isArray(body[field]) && body[field].some(f => f instanceof File));
+
+const isStoredPath = (value) => typeof value === 'string' && value.startsWith('uploads/');
+
+// Multipart encoding: new files are sent under their field name, kept files under `${field}_retained`.
+// `${field}_order` gives the order of the field's list as JSON: each entry is a kept path or
+// 'new:<n>', the n-th new file of the field. Servers that do not read it store the files in
+// their own order.
+const toFormData = (body) => {
+    const formData = new FormData();
+
+    for (const key in body) {
+        if (FILE_FIELDS.includes(key) && Array.isArray(body[key])) {
+            const order = [];
+            body[key].forEach(fileOrPath => {
+                if (fileOrPath instanceof File) {
+                    order.push(`new:${formData.getAll(key).length}`);
+                    formData.append(key, fileOrPath, fileOrPath.name);
+                } else if (isStoredPath(fileOrPath)) {
+                    order.push(fileOrPath);
+                    formData.append(`${key}_retained`, fileOrPath);
+                }
+            });
+            formData.append(`${key}_order`, JSON.stringify(order));
+        } else if (!FILE_FIELDS.includes(key) && body[key] !== undefined && key !== 'id') {
+            formData.append(key, body[key] ?? ''); // null clears the field
+        }
+    }
+    return formData;
+};
+
+// JSON encoding: file fields only carry the stored paths that are kept
+const toJson = (body) => JSON.stringify(Object.keys(body).reduce((acc, key) => {
+    if (key === 'id') return acc;
+    acc[key] = FILE_FIELDS.includes(key) && Array.isArray(body[key])
+        ? body[key].filter(isStoredPath)
+        : body[key];
+    return acc;
+}, {}));
+
+export const encodeBody = (body) => {
+    if (body === null || body === undefined) return { body: null, headers: {} };
+    if (body instanceof FormData) return { body, headers: {} };
+    if (hasNewFiles(body)) return { body: toFormData(body), headers: {} };
+    return { body: toJson(body), headers: { 'Content-Type': 'application/json' } };
+};
+
+// --- Requests ---
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('The request was aborted.', 'AbortError'));
+        }, { once: true });
+    }
+});
+
+const readResponseData = async (response) => {
+    if (response.status === 204) return null;
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return { message: text };
+    }
+};
+
+const buildPath = (path, query) => {
+    if (!query) return path;
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
+    const queryString = params.toString();
+    return queryString ? `${path}${path.includes('?') ? '&' : '?'}${queryString}` : path;
+};
+
+const sendOnce = async (method, path, { body, signal, headers, auth, onUploadProgress }) => {
+    const encoded = encodeBody(body);
+    const requestHeaders = { ...encoded.headers, ...headers };
+    if (auth && authToken) requestHeaders.Authorization = `Bearer ${authToken}`;
+
+    let response;
+    try {
+        response = onUploadProgress
+            ? await apiUpload(path, { method, headers: requestHeaders, body: encoded.body, signal, onUploadProgress })
+            : await apiFetch(path, { method, headers: requestHeaders, body: encoded.body, signal });
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new NetworkError();
+    }
+
+    const data = await readResponseData(response);
+    if (!response.ok) throw errorForResponse(response.status, data);
+    return data;
+};
+
+// Runs send() again on network errors and 5xx responses, and the registered 401 handler when the
+// session is rejected
+const sendWithRetries = async (send, { retries, signal, auth, handleUnauthorized }) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            if (error instanceof UnauthorizedError && auth && authToken && authToken !== rejectedToken && handleUnauthorized && unauthorizedHandler) {
+                rejectedToken = authToken;
+                unauthorizedHandler(error);
+            }
+
+            const isRetryable = error instanceof NetworkError || RETRYABLE_STATUSES.includes(error.status);
+            if (!isRetryable || attempt >= retries || (signal && signal.aborted)) throw error;
+
+            await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+        }
+    }
+};
+
+/**
+ * Sends a request to the API and resolves with the parsed JSON body (null when empty).
+ *
+ * options:
+ *   body          plain object (JSON or multipart, see encodeBody) or FormData
+ *   query         object turned into URL query parameters (empty values skipped)
+ *   signal        AbortSignal used to cancel the request
+ *   onUploadProgress  called as (loadedBytes, totalBytes) while the body is sent
+ *   retries       retry attempts on network errors / 5xx (defaults to 2 for GET, 0 otherwise)
+ *   auth          attach the session token (default true)
+ *   handleUnauthorized  run the registered 401 handler (default true)
+ */
+export const request = async (method, path, options = {}) => {
+    const {
+        body = null,
+        query = null,
+        signal,
+        headers = {},
+        auth = true,
+        handleUnauthorized = true,
+        onUploadProgress,
+    } = options;
+    const upperMethod = method.toUpperCase();
+    const retries = options.retries ?? (upperMethod === 'GET' ? DEFAULT_GET_RETRIES : 0);
+    const fullPath = buildPath(path, query);
+
+    return sendWithRetries(
+        () => sendOnce(upperMethod, fullPath, { body, signal, headers, auth, onUploadProgress }),
+        { retries, signal, auth, handleUnauthorized }
+    );
+};
+
+/**
+ * Resolves with the contents of a stored file ('uploads/...') as an ArrayBuffer, with the typed
+ * errors, retries and 401 handling of API requests.
+ */
+export const downloadFile = (path, { signal } = {}) => sendWithRetries(async () => {
+    const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+    let response;
+    try {
+        response = await fileFetch(path, { headers, signal });
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new NetworkError();
+    }
+
+    if (!response.ok) {
+        const data = await readResponseData(response);
+        throw response.status === 404 && !(data && data.message)
+            ? new NotFoundError('This file is no longer on the server.', data)
+            : errorForResponse(response.status, data);
+    }
+    return response.arrayBuffer();
+}, { retries: DEFAULT_GET_RETRIES, signal, auth: true, handleUnauthorized: true });
+
+export const api = {
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+    put: (path, body, options = {}) => request('PUT', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+};
@@ -0,0 +1,60 @@
+// --- AUDIT LOGS ---
+//   GET /api/audit_logs?table_name=&document_id=          -> entries of one record
+//   GET /api/audit_logs?page=&page_size=&<explorer filters> -> { data, total }, newest first
+// The whole log is never loaded at once: the explorer and the last logins of the user console
+// ask for the pages they need.
+// Entries carry old_data / new_data snapshots of the record around each write. Explorer filters
+// are described in utils/auditQuery; backends returning a plain array are filtered and paged here.
+
+import { api } from './apiClient';
+import { normalizeListResponse } from '../utils/listQuery';
+import { EMPTY_AUDIT_FILTERS, toAuditQuery, filterAuditLogs } from '../utils/auditQuery';
+
+const LOGS_API_PATH = '/api/audit_logs';
+const EXPORT_PAGE_SIZE = 200;
+const LAST_LOGIN_PAGE_SIZE = 100;
+
+// Every entry of one record, newest first. Filtered again here in case the backend
+// returns the unfiltered log.
+export const getRecordHistory = async (tableName, documentId, { signal } = {}) => {
+    const logs = await api.get(LOGS_API_PATH, { signal, query: { table_name: tableName, document_id: documentId } });
+    return (Array.isArray(logs) ? logs : [])
+        .filter(log => log.table_name === tableName && String(log.document_id) === String(documentId))
+        .sort((a, b) => new Date(b.logged_at) - new Date(a.logged_at));
+};
+
+// One page of matching entries as { rows, total }
+export const listAuditLogs = async (filters, { page, pageSize, signal } = {}) => {
+    const response = await api.get(LOGS_API_PATH, { signal, query: { ...toAuditQuery(filters), page, page_size: pageSize } });
+    const { rows, total, isPaged } = normalizeListResponse(response);
+    if (isPaged) return { rows, total };
+
+    const matching = filterAuditLogs(rows, filters);
+    return { rows: matching.slice((page - 1) * pageSize, page * pageSize), total: matching.length };
+};
+
+// Every matching entry, page by page (for the CSV export)
+export const fetchAllAuditLogs = async (filters) => {
+    const logs = [];
+    for (let page = 1; ; page++) {
+        const { rows, total } = await listAuditLogs(filters, { page, pageSize: EXPORT_PAGE_SIZE });
+        logs.push(...rows);
+        if (rows.length === 0 || logs.length >= total) return logs;
+    }
+};
+
+// { [userId]: ISO timestamp of the most recent LOGIN entry } for the users of `userIds`. LOGIN
+// entries are read newest first, page by page, until each user has one or the log ends.
+export const getLastLogins = async (userIds, { signal } = {}) => {
+    const filters = { ...EMPTY_AUDIT_FILTERS, actions: ['LOGIN'], includeAuth: true };
+    const lastLogins = {};
+    let readCount = 0;
+    for (let page = 1; ; page++) {
+        const { rows, total } = await listAuditLogs(filters, { page, pageSize: LAST_LOGIN_PAGE_SIZE, signal });
+        rows.forEach(log => {
+            if (log.user_id && log.logged_at && !lastLogins[log.user_id]) lastLogins[log.user_id] = log.logged_at;
+        });
+        readCount += rows.length;
+        if (rows.length === 0 || readCount >= total || userIds.every(id => lastLogins[id])) return lastLogins;
+    }
+};
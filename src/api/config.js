@@ -0,0 +1,56 @@
+// --- RUNTIME API CONFIGURATION ---
+// The API host is resolved in this order:
+//   1. window.__APP_CONFIG__.apiUrl  (public/config.js, editable after the build is deployed)
+//   2. REACT_APP_API_URL             (build-time environment variable)
+//   3. DEFAULT_API_URL               (production Azure host)
+//
+// The in-browser mock backend (see mockBackend.js) is enabled when any of these is set:
+//   - window.__APP_CONFIG__.useMockApi === true
+//   - REACT_APP_USE_MOCK_API=true
+//   - ?mock=1 in the page URL (persisted, ?mock=0 switches it off again)
+//   - the "Offline demo mode" switch on the login screen
+
+const DEFAULT_API_URL = 'https://product-db-back.azurewebsites.net';
+const MOCK_STORAGE_KEY = 'useMockApi';
+
+const runtimeConfig = (typeof window !== 'undefined' && window.__APP_CONFIG__) || {};
+
+const stripTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+export const BASE_API_URL = stripTrailingSlash(
+    runtimeConfig.apiUrl || process.env.REACT_APP_API_URL || DEFAULT_API_URL
+);
+
+const readMockFlag = () => {
+    if (runtimeConfig.useMockApi === true || process.env.REACT_APP_USE_MOCK_API === 'true') return true;
+
+    try {
+        // A ?mock=1 / ?mock=0 query parameter wins over (and updates) the stored preference
+        const queryFlag = new URLSearchParams(window.location.search).get('mock');
+        if (queryFlag !== null) {
+            const enabled = queryFlag === '1' || queryFlag === 'true';
+            localStorage.setItem(MOCK_STORAGE_KEY, String(enabled));
+            return enabled;
+        }
+        return localStorage.getItem(MOCK_STORAGE_KEY) === 'true';
+    } catch (e) {
+        // Storage can be unavailable (private mode, sandboxed iframes)
+        return false;
+    }
+};
+
+export const USE_MOCK_API = readMockFlag();
+
+// Whether the mock mode is forced by deployment config (the login switch is hidden then)
+export const IS_MOCK_API_FORCED = runtimeConfig.useMockApi === true || process.env.REACT_APP_USE_MOCK_API === 'true';
+
+// Switching backends requires a full reload so no state from the other backend survives
+export const setMockApiEnabled = (enabled) => {
+    localStorage.setItem(MOCK_STORAGE_KEY, String(enabled));
+    sessionStorage.removeItem('authToken');
+    sessionStorage.removeItem('userData');
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete('mock');
+    window.location.replace(url.toString());
+};
@@ -0,0 +1,564 @@
+// --- IN-BROWSER MOCK BACKEND ---
+// Implements the subset of the REST API used by the dashboard (auth, CRUD collections,
+// file uploads and audit logs) against local seed data, so the whole app can be
+// used offline for training and testing. The database is persisted in localStorage;
+// uploaded files only live in memory (object URLs) until the page is reloaded.
+
+import { MOCK_USERS, MOCK_PRODUCT_LINES, MOCK_PRODUCTS, MOCK_AUDIT_LOGS } from './mockSeed';
+import { parseSort, sortRecords } from '../utils/listQuery';
+import { parseFilter, matchesFilter } from '../utils/filterBuilder';
+import { ROLES, isAdminUser, canPerform, getDeniedMessage } from '../utils/permissions';
+import { parseAuditQuery, filterAuditLogs } from '../utils/auditQuery';
+
+const DB_STORAGE_KEY = 'mockApiDb';
+const SIMULATED_LATENCY_MS = 250;
+const TOKEN_PREFIX = 'mock-token.';
+
+const FILE_FIELDS = ['attachments_raw', 'product_pictures'];
+const NUMERIC_FIELDS = ['gmdc_pct', 'estimated_price_per_product'];
+const BOOLEAN_FIELDS = ['prod_if_customer_in_china', 'is_active'];
+const SERVER_MANAGED_FIELDS = ['id', 'created_at', 'created_by', 'updated_at', 'updated_by', 'password', 'password_hash'];
+// Query parameters driving list paging; any other parameter is an exact-match column filter
+const LIST_CONTROL_PARAMS = ['page', 'page_size', 'sort', 'search', 'search_fields', 'filter'];
+const MAX_PAGE_SIZE = 200;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+// Uploads report progress at about 10 MB/s so the progress bars can be seen
+const SIMULATED_UPLOAD_BYTES_PER_MS = 10 * 1024;
+const UPLOAD_PROGRESS_STEP_MS = 100;
+
+// Rules enforced server-side, mirroring the backend validation. Rejected writes answer 400 with
+// { message, errors: { [field]: message } }.
+//   ranges      { field: [min, max] } for numbers
+//   uniqueWithin { field: scopeField }: no two records share the value within the same scope
+const TABLES = {
+    product_lines: { requiredFields: ['name', 'product_line_manager'] },
+    products: {
+        requiredFields: ['product_name', 'product_line'],
+        ranges: { gmdc_pct: [0, 100], estimated_price_per_product: [0, Infinity] },
+        uniqueWithin: { product_name: 'product_line' },
+    },
+    users: { requiredFields: ['email', 'displayName'], emailFields: ['email'] },
+};
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const createSeedDb = () => ({
+    users: clone(MOCK_USERS),
+    product_lines: clone(MOCK_PRODUCT_LINES),
+    products: clone(MOCK_PRODUCTS),
+    audit_logs: clone(MOCK_AUDIT_LOGS).reverse(),
+    nextLogId: MOCK_AUDIT_LOGS.length + 1,
+    table_views: [],
+    view_defaults: {}, // { [userId]: { [collection]: viewId } }
+});
+
+const loadDb = () => {
+    try {
+        const stored = localStorage.getItem(DB_STORAGE_KEY);
+        // Tables added since the database was stored start from their seed content
+        if (stored) return { ...createSeedDb(), ...JSON.parse(stored) };
+    } catch (e) {
+        console.warn('Mock backend: stored database is unreadable, reseeding.', e);
+    }
+    return createSeedDb();
+};
+
+let db = loadDb();
+const uploadedFiles = new Map(); // 'uploads/...' path -> object URL
+
+const saveDb = () => {
+    try {
+        localStorage.setItem(DB_STORAGE_KEY, JSON.stringify(db));
+    } catch (e) {
+        console.warn('Mock backend: could not persist database.', e);
+    }
+};
+
+export const resetMockDatabase = () => {
+    db = createSeedDb();
+    saveDb();
+};
+
+export const getMockFileUrl = (path) => uploadedFiles.get(path) || null;
+
+// --- Helpers ---
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const generateId = () => {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : ((r & 0x3) | 0x8)).toString(16);
+    });
+};
+
+class MockHttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details; // extra fields of the error body
+    }
+}
+
+const jsonResponse = (status, body) => new Response(
+    status === 204 ? null : JSON.stringify(body),
+    { status, headers: { 'Content-Type': 'application/json' } }
+);
+
+const publicUser = ({ password, ...user }) => user;
+
+const storeUploadedFile = (file) => {
+    const path = `uploads/${Date.now()}-${file.name.replace(/[^\w.-]/g, '_')}`;
+    uploadedFiles.set(path, URL.createObjectURL(file));
+    return path;
+};
+
+// Turns a JSON string or a FormData body into a plain payload object.
+// Multipart file fields become the `${key}_retained` paths and newly stored uploads, in the
+// order given by `${key}_order` (see toFormData in apiClient).
+const readBody = (body) => {
+    if (!body) return {};
+    if (typeof body === 'string') return JSON.parse(body);
+    if (!(body instanceof FormData)) return body;
+
+    const payload = {};
+    for (const [key, value] of body.entries()) {
+        if (!FILE_FIELDS.some(f => key === f || key === `${f}_retained` || key === `${f}_order`)) payload[key] = value;
+    }
+    FILE_FIELDS.forEach(field => {
+        const retained = body.getAll(`${field}_retained`);
+        const uploaded = body.getAll(field).filter(value => value instanceof File).map(storeUploadedFile);
+        if (retained.length === 0 && uploaded.length === 0 && !body.has(`${field}_order`)) return;
+        const order = body.has(`${field}_order`) ? JSON.parse(body.get(`${field}_order`)) : [...retained];
+        const listed = order.map(entry => (entry.startsWith('new:') ? uploaded[Number(entry.slice(4))] : entry))
+            .filter(path => retained.includes(path) || uploaded.includes(path));
+        // Parts left out of the order are kept after the listed ones
+        payload[field] = [...new Set([...listed, ...retained, ...uploaded])];
+    });
+    return payload;
+};
+
+const coerceValue = (field, value) => {
+    if (value === 'null' || value === 'undefined') return null;
+    if (NUMERIC_FIELDS.includes(field)) {
+        const number = parseFloat(value);
+        return Number.isNaN(number) ? null : number;
+    }
+    if (BOOLEAN_FIELDS.includes(field)) return value === true || value === 'true';
+    if (FILE_FIELDS.includes(field)) return Array.isArray(value) ? value.filter(v => typeof v === 'string') : [];
+    return value;
+};
+
+const sanitizePayload = (tableName, payload) => {
+    const clean = Object.keys(payload).reduce((acc, key) => {
+        if (!SERVER_MANAGED_FIELDS.includes(key)) acc[key] = coerceValue(key, payload[key]);
+        return acc;
+    }, {});
+
+    // product_line_id is the link to the line; clients that only send the name get it resolved
+    if (tableName === 'products' && (clean.product_line !== undefined || clean.product_line_id !== undefined)) {
+        const line = clean.product_line_id
+            ? db.product_lines.find(pl => String(pl.id) === String(clean.product_line_id))
+            : db.product_lines.find(pl => pl.name === clean.product_line);
+        clean.product_line_id = line ? line.id : null;
+    }
+    return clean;
+};
+
+const assertValid = (tableName, record) => {
+    const { requiredFields, ranges = {}, uniqueWithin = {}, emailFields = [] } = TABLES[tableName];
+    const missing = requiredFields.filter(field => !record[field]);
+    if (missing.length > 0) {
+        throw new MockHttpError(400, `Missing required fields: ${missing.join(', ')}`, {
+            errors: Object.fromEntries(missing.map(field => [field, 'This field is required.'])),
+        });
+    }
+
+    const errors = {};
+    Object.entries(ranges).forEach(([field, [min, max]]) => {
+        const value = record[field];
+        if (value !== null && value !== undefined && (value < min || value > max)) {
+            errors[field] = max === Infinity ? `Must be at least ${min}.` : `Must be between ${min} and ${max}.`;
+        }
+    });
+    emailFields.forEach(field => {
+        if (record[field] && !EMAIL_PATTERN.test(String(record[field]).trim())) errors[field] = 'Must be a valid email address.';
+    });
+    Object.entries(uniqueWithin).forEach(([field, scope]) => {
+        const same = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+        if (db[tableName].some(other => other.id !== record.id && same(other[field], record[field]) && same(other[scope], record[scope]))) {
+            errors[field] = `Already used by another record with the same ${scope}.`;
+        }
+    });
+    if (Object.keys(errors).length > 0) {
+        throw new MockHttpError(400, `Invalid fields: ${Object.keys(errors).join(', ')}`, { errors });
+    }
+};
+
+// Same rules as the UI, see utils/permissions
+const assertAllowed = (user, action, tableName, record, nextRecord) => {
+    if (!canPerform(user, action, tableName, record, { productLines: db.product_lines, nextRecord })) {
+        throw new MockHttpError(403, getDeniedMessage(user, tableName));
+    }
+};
+
+const logAction = (action, tableName, documentId, user, oldData = null, newData = null) => {
+    db.audit_logs.unshift({
+        id: db.nextLogId++,
+        action,
+        table_name: tableName,
+        document_id: documentId,
+        user_id: user.id,
+        user_name: user.displayName,
+        logged_at: new Date().toISOString(),
+        old_data: oldData,
+        new_data: newData,
+    });
+};
+
+const authenticate = (headers) => {
+    const authorization = new Headers(headers || {}).get('Authorization') || '';
+    const token = authorization.replace(/^Bearer\s+/i, '');
+    const user = token.startsWith(TOKEN_PREFIX) && db.users.find(u => u.id === token.slice(TOKEN_PREFIX.length));
+    // Deactivating an account ends its open sessions
+    if (!user || user.is_active === false) throw new MockHttpError(401, 'Invalid or expired token.');
+    return user;
+};
+
+const generateTemporaryPassword = () => Math.random().toString(36).slice(2, 10);
+
+const issueSession = (user) => ({ token: `${TOKEN_PREFIX}${user.id}`, user: publicUser(user) });
+
+const paginate = (rows, params) => {
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.get('page_size'), 10) || 25));
+    const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    return {
+        data: rows.slice((page - 1) * pageSize, page * pageSize),
+        total: rows.length,
+        page,
+        page_size: pageSize,
+    };
+};
+
+// Server-side filtering, sorting and paging of a collection. Only used when the request
+// carries a `page` parameter, otherwise the whole collection is returned as before.
+const queryList = (records, params) => {
+    let rows = records;
+
+    for (const [key, value] of params.entries()) {
+        if (LIST_CONTROL_PARAMS.includes(key)) continue;
+        rows = rows.filter(record => String(record[key] ?? '').toLowerCase() === value.toLowerCase());
+    }
+
+    const search = (params.get('search') || '').trim().toLowerCase();
+    if (search) {
+        const searchFields = params.get('search_fields') ? params.get('search_fields').split(',') : null;
+        rows = rows.filter(record => (searchFields || Object.keys(record))
+            .filter(field => !SERVER_MANAGED_FIELDS.includes(field) && field !== 'product_line_id')
+            .some(field => String(record[field] ?? '').toLowerCase().includes(search)));
+    }
+
+    const advancedFilter = parseFilter(params.get('filter'));
+    rows = rows.filter(record => matchesFilter(record, advancedFilter));
+
+    rows = sortRecords(rows, parseSort(params.get('sort')));
+    return paginate(rows, params);
+};
+
+// --- Route handlers ---
+
+const handleAuth = (action, options) => {
+    if (action === 'logout') {
+        const user = authenticate(options.headers);
+        logAction('LOGOUT', 'users', user.id, user);
+        return jsonResponse(200, { message: 'Logged out.' });
+    }
+
+    const { email = '', password = '', displayName = '' } = readBody(options.body);
+    const normalizedEmail = email.trim().toLowerCase();
+
+    if (action === 'login') {
+        const user = db.users.find(u => u.email.toLowerCase() === normalizedEmail);
+        if (!user || user.password !== password) throw new MockHttpError(401, 'Invalid email or password.');
+        if (user.is_active === false) throw new MockHttpError(403, 'This account has been deactivated. Please contact an administrator.');
+        logAction('LOGIN', 'users', user.id, user);
+        return jsonResponse(200, issueSession(user));
+    }
+
+    if (action === 'signup') {
+        if (!normalizedEmail || !password || !displayName) throw new MockHttpError(400, 'Email, password and display name are required.');
+        if (db.users.some(u => u.email.toLowerCase() === normalizedEmail)) throw new MockHttpError(409, 'An account with this email already exists.');
+
+        const now = new Date().toISOString();
+        const user = { id: generateId(), email: normalizedEmail, password, displayName, user_role: ROLES.VIEWER, created_at: now, created_by: null, updated_at: now, updated_by: null };
+        db.users.push(user);
+        logAction('CREATE', 'users', user.id, user, null, publicUser(user));
+        logAction('LOGIN', 'users', user.id, user);
+        return jsonResponse(201, issueSession(user));
+    }
+
+    throw new MockHttpError(404, `Unknown auth endpoint: ${action}`);
+};
+
+const handleCollection = (tableName, id, method, options, user, searchParams) => {
+    const table = db[tableName];
+    const toPublic = tableName === 'users' ? publicUser : (record) => record;
+    const index = id ? table.findIndex(record => String(record.id) === id) : -1;
+
+    if (id && index === -1) throw new MockHttpError(404, 'Record not found.');
+
+    if (method === 'GET' && id) {
+        return jsonResponse(200, toPublic(table[index]));
+    }
+    if (method === 'GET') {
+        const records = table.map(toPublic);
+        return jsonResponse(200, searchParams.has('page') ? queryList(records, searchParams) : records);
+    }
+
+    const now = new Date().toISOString();
+
+    if (method === 'POST' && !id) {
+        const body = readBody(options.body);
+        const record = { ...sanitizePayload(tableName, body), id: generateId(), created_at: now, created_by: user.id, updated_at: now, updated_by: user.id };
+        if (tableName === 'users') record.password = body.password || '';
+        assertAllowed(user, 'create', tableName, record);
+        assertValid(tableName, record);
+        table.push(record);
+        logAction('CREATE', tableName, record.id, user, null, toPublic(record));
+        return jsonResponse(201, toPublic(record));
+    }
+
+    if (method === 'PUT' && id) {
+        const previous = table[index];
+        // Optimistic concurrency: the client sends the updated_at it based its changes on
+        const { expected_updated_at: expectedUpdatedAt, ...changes } = readBody(options.body);
+        if (expectedUpdatedAt && expectedUpdatedAt !== previous.updated_at) {
+            throw new MockHttpError(409, 'This record was modified by someone else since you opened it.', { current: toPublic(previous) });
+        }
+        const record = { ...previous, ...sanitizePayload(tableName, changes), updated_at: now, updated_by: user.id };
+        assertAllowed(user, 'update', tableName, previous, record);
+        assertValid(tableName, record);
+        table[index] = record;
+        logAction('UPDATE', tableName, record.id, user, toPublic(previous), toPublic(record));
+        return jsonResponse(200, toPublic(record));
+    }
+
+    if (method === 'DELETE' && id) {
+        assertAllowed(user, 'delete', tableName, table[index]);
+        const [removed] = table.splice(index, 1);
+        logAction('DELETE', tableName, removed.id, user, toPublic(removed), null);
+        return jsonResponse(200, { message: 'Record deleted.' });
+    }
+
+    throw new MockHttpError(405, `${method} is not supported on ${tableName}.`);
+};
+
+// Account administration on top of the plain users CRUD: invitations, password resets and
+// guards keeping admins from locking themselves out
+const handleUserAdmin = (id, action, method, options, user) => {
+    if (!isAdminUser(user)) throw new MockHttpError(403, 'Administrator access required.');
+
+    if (!id && action === 'invite' && method === 'POST') {
+        const { email = '', displayName = '', user_role: role = ROLES.VIEWER } = readBody(options.body);
+        const normalizedEmail = email.trim().toLowerCase();
+        if (!normalizedEmail || !displayName) throw new MockHttpError(400, 'Missing required fields: email, displayName');
+        if (db.users.some(u => u.email.toLowerCase() === normalizedEmail)) throw new MockHttpError(409, 'An account with this email already exists.');
+
+        const now = new Date().toISOString();
+        const temporaryPassword = generateTemporaryPassword();
+        const invited = { id: generateId(), email: normalizedEmail, password: temporaryPassword, displayName, user_role: role, is_active: true, created_at: now, created_by: user.id, updated_at: now, updated_by: user.id };
+        db.users.push(invited);
+        logAction('CREATE', 'users', invited.id, user, null, publicUser(invited));
+        return jsonResponse(201, { user: publicUser(invited), temporary_password: temporaryPassword });
+    }
+
+    const target = db.users.find(u => u.id === id);
+    if (!target) throw new MockHttpError(404, 'Record not found.');
+
+    if (action === 'reset_password' && method === 'POST') {
+        target.password = generateTemporaryPassword();
+        target.updated_at = new Date().toISOString();
+        target.updated_by = user.id;
+        logAction('PASSWORD_RESET', 'users', target.id, user);
+        return jsonResponse(200, { temporary_password: target.password });
+    }
+
+    throw new MockHttpError(404, `No mock route for ${method} /api/users/${id || ''}/${action}`);
+};
+
+// Rejects changes through which an admin would remove their own access
+const assertNotSelfLockout = (id, method, options, user) => {
+    if (id !== user.id || method === 'GET' || !isAdminUser(user)) return;
+    if (method === 'DELETE') throw new MockHttpError(400, 'You cannot delete your own account.');
+
+    const body = readBody(options.body);
+    if (body.is_active === false || body.is_active === 'false') throw new MockHttpError(400, 'You cannot deactivate your own account.');
+    if (body.user_role !== undefined && body.user_role !== ROLES.ADMIN) throw new MockHttpError(400, 'You cannot remove your own administrator role.');
+};
+
+const handleTableViews = (id, method, options, user) => {
+    const isAdmin = isAdminUser(user);
+    const withDefaultFlag = (view) => ({
+        ...view,
+        is_default: (db.view_defaults[user.id] || {})[view.collection] === view.id,
+    });
+
+    if (id === 'default' && method === 'PUT') {
+        const { collection, view_id: viewId = null } = readBody(options.body);
+        if (!collection) throw new MockHttpError(400, 'Missing required fields: collection');
+        db.view_defaults[user.id] = { ...(db.view_defaults[user.id] || {}), [collection]: viewId };
+        return jsonResponse(200, { collection, view_id: viewId });
+    }
+
+    const visibleViews = db.table_views.filter(view => view.owner_id === user.id || view.is_shared);
+
+    if (method === 'GET' && !id) {
+        return jsonResponse(200, visibleViews.map(withDefaultFlag));
+    }
+
+    if (method === 'POST' && !id) {
+        const { name, collection, is_shared: isShared = false, config = {} } = readBody(options.body);
+        if (!name || !collection) throw new MockHttpError(400, 'Missing required fields: name, collection');
+        if (isShared && !isAdmin) throw new MockHttpError(403, 'Only administrators can publish views.');
+
+        const now = new Date().toISOString();
+        const view = { id: generateId(), name, collection, owner_id: user.id, owner_name: user.displayName, is_shared: !!isShared, config, created_at: now, updated_at: now };
+        db.table_views.push(view);
+        return jsonResponse(201, withDefaultFlag(view));
+    }
+
+    const index = db.table_views.findIndex(view => view.id === id && visibleViews.includes(view));
+    if (index === -1) throw new MockHttpError(404, 'View not found.');
+    const view = db.table_views[index];
+    // Owners manage their views; admins also manage every published view
+    if (view.owner_id !== user.id && !(view.is_shared && isAdmin)) {
+        throw new MockHttpError(403, 'You can only modify your own views.');
+    }
+
+    if (method === 'PUT') {
+        const { name, is_shared: isShared, config } = readBody(options.body);
+        if (isShared !== undefined && isShared !== view.is_shared && !isAdmin) {
+            throw new MockHttpError(403, 'Only administrators can publish views.');
+        }
+        const updated = {
+            ...view,
+            ...(name !== undefined && { name }),
+            ...(isShared !== undefined && { is_shared: !!isShared }),
+            ...(config !== undefined && { config }),
+            updated_at: new Date().toISOString(),
+        };
+        db.table_views[index] = updated;
+        return jsonResponse(200, withDefaultFlag(updated));
+    }
+
+    if (method === 'DELETE') {
+        db.table_views.splice(index, 1);
+        return jsonResponse(200, { message: 'View deleted.' });
+    }
+
+    throw new MockHttpError(405, `${method} is not supported on table views.`);
+};
+
+// POST /api/uploads stores one file (multipart field 'file') and answers { path };
+// DELETE /api/uploads?path=... removes one
+const handleUpload = (method, options, searchParams) => {
+    if (method === 'DELETE') {
+        const path = searchParams.get('path');
+        if (!uploadedFiles.has(path)) throw new MockHttpError(404, 'Uploaded file not found.');
+        URL.revokeObjectURL(uploadedFiles.get(path));
+        uploadedFiles.delete(path);
+        return jsonResponse(200, { message: 'File deleted.' });
+    }
+    if (method !== 'POST') throw new MockHttpError(405, `${method} is not supported on uploads.`);
+    const file = options.body instanceof FormData ? options.body.get('file') : null;
+    if (!(file instanceof File)) throw new MockHttpError(400, 'Missing required fields: file');
+    if (file.size > MAX_UPLOAD_BYTES) throw new MockHttpError(413, `${file.name} is larger than the 50 MB upload limit.`);
+    return jsonResponse(201, { path: storeUploadedFile(file) });
+};
+
+const route = (pathname, method, options, searchParams) => {
+    const authMatch = pathname.match(/^\/api\/auth\/(\w+)$/);
+    if (authMatch && method === 'POST') return handleAuth(authMatch[1], options);
+
+    const user = authenticate(options.headers);
+
+    if (pathname === '/api/audit_logs' && method === 'GET') {
+        // Explorer filters (see utils/auditQuery); document_id narrows to the history of one record
+        let logs = filterAuditLogs(db.audit_logs, parseAuditQuery(searchParams));
+        if (searchParams.has('document_id')) logs = logs.filter(log => String(log.document_id) === searchParams.get('document_id'));
+        return jsonResponse(200, searchParams.has('page') ? paginate(logs, searchParams) : logs);
+    }
+
+    if (pathname === '/api/uploads') return handleUpload(method, options, searchParams);
+
+    const viewsMatch = pathname.match(/^\/api\/table_views(?:\/([^/]+))?$/);
+    if (viewsMatch) return handleTableViews(viewsMatch[1], method, options, user);
+
+    const userAdminMatch = pathname.match(/^\/api\/users\/(?:(invite)|([^/]+)\/(\w+))$/);
+    if (userAdminMatch) {
+        const [, invite, id, action] = userAdminMatch;
+        return handleUserAdmin(id, invite || action, method, options, user);
+    }
+
+    const collectionMatch = pathname.match(/^\/api\/(product_lines|products|users)(?:\/([^/]+))?$/);
+    if (collectionMatch) {
+        if (collectionMatch[1] === 'users') assertNotSelfLockout(collectionMatch[2], method, options, user);
+        return handleCollection(collectionMatch[1], collectionMatch[2], method, options, user, searchParams);
+    }
+
+    throw new MockHttpError(404, `No mock route for ${method} ${pathname}`);
+};
+
+// Drop-in replacement for window.fetch, called with an API path (e.g. '/api/products')
+export const mockFetch = async (path, options = {}) => {
+    await delay(SIMULATED_LATENCY_MS);
+    if (options.signal && options.signal.aborted) {
+        throw new DOMException('The request was aborted.', 'AbortError');
+    }
+    const { pathname, searchParams } = new URL(path, window.location.origin);
+    const method = (options.method || 'GET').toUpperCase();
+
+    try {
+        const response = route(pathname, method, options, searchParams);
+        if (method !== 'GET') saveDb();
+        return response;
+    } catch (error) {
+        if (error instanceof MockHttpError) return jsonResponse(error.status, { message: error.message, ...error.details });
+        console.error('Mock backend error:', error);
+        return jsonResponse(500, { message: error.message || 'Mock backend failure.' });
+    }
+};
+
+const getBodySize = (body) => (body instanceof FormData
+    ? [...body.values()].reduce((size, value) => size + (value instanceof Blob ? value.size : String(value).length), 0)
+    : 0);
+
+// mockFetch for request bodies whose upload progress is reported as onUploadProgress(loaded, total)
+export const mockUpload = async (path, { onUploadProgress, ...options } = {}) => {
+    const total = getBodySize(options.body);
+    for (let loaded = 0; loaded < total;) {
+        await delay(UPLOAD_PROGRESS_STEP_MS);
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('The request was aborted.', 'AbortError');
+        }
+        loaded = Math.min(total, loaded + SIMULATED_UPLOAD_BYTES_PER_MS * UPLOAD_PROGRESS_STEP_MS);
+        if (onUploadProgress) onUploadProgress(loaded, total);
+    }
+    return mockFetch(path, options);
+};
+
+// fetch() of a stored file ('uploads/...'). The mock file store only lives as long as the page:
+// files uploaded in an earlier session answer 404.
+export const mockFileFetch = async (path, options = {}) => {
+    await delay(SIMULATED_LATENCY_MS);
+    if (options.signal && options.signal.aborted) {
+        throw new DOMException('The request was aborted.', 'AbortError');
+    }
+    const url = uploadedFiles.get(path);
+    if (!url) {
+        return jsonResponse(404, { message: 'This file was uploaded before the page was reloaded: the mock backend no longer has it.' });
+    }
+    return fetch(url, { signal: options.signal });
+};
@@ -0,0 +1,185 @@
+// --- SEED DATA FOR THE IN-BROWSER MOCK BACKEND ---
+// Fictional but realistic records used for offline demos and training sessions.
+// Passwords are kept in clear text on purpose: this data never leaves the browser.
+
+const SEED_TIMESTAMP = '2025-01-15T08:30:00.000Z';
+
+const stamp = (userId) => ({
+    created_at: SEED_TIMESTAMP,
+    created_by: userId,
+    updated_at: SEED_TIMESTAMP,
+    updated_by: userId,
+});
+
+export const MOCK_USERS = [
+    { id: '0b7c1f2e-1a00-4c00-9a00-000000000001', email: 'admin@avocarbon.com', password: 'admin123', displayName: 'Demo Admin', user_role: 'admin', ...stamp(null) },
+    { id: '0b7c1f2e-1a00-4c00-9a00-000000000002', email: 'jane.doe@avocarbon.com', password: 'demo123', displayName: 'Jane Doe', user_role: 'product_line_manager', ...stamp(null) },
+    { id: '0b7c1f2e-1a00-4c00-9a00-000000000003', email: 'john.smith@avocarbon.com', password: 'demo123', displayName: 'John Smith', user_role: 'editor', ...stamp(null) },
+];
+
+const ADMIN_ID = MOCK_USERS[0].id;
+
+export const MOCK_PRODUCT_LINES = [
+    {
+        id: '5d1e0a10-2b00-4d00-8b00-000000000001',
+        name: 'Carbon Brushes',
+        type_of_products: 'Carbon and metal-graphite brushes for DC motors and alternators',
+        manufacturing_locations: 'Poitiers (FR), Tianjin (CN), Monterrey (MX)',
+        design_center: 'Poitiers (FR)',
+        product_line_manager: 'Jane Doe',
+        history: 'Historical core business since 1892. Industrialised for automotive starters in the 1970s.',
+        type_of_customers: 'Automotive Tier 1 motor makers, power tool OEMs',
+        metiers: 'Materials, pressing, sintering, assembly',
+        strength: 'Material know-how and in-house powder formulation.',
+        weakness: 'Price pressure from Asian competitors on commodity grades.',
+        perspectives: 'Growth on 48V auxiliary motors and pumps.',
+        compliance_resource_id: 'CMP-0042',
+        attachments_raw: [],
+        ...stamp(ADMIN_ID),
+    },
+    {
+        id: '5d1e0a10-2b00-4d00-8b00-000000000002',
+        name: 'Brush Holders',
+        type_of_products: 'Plastic and metal brush holder assemblies',
+        manufacturing_locations: 'Frankfurt (DE), Chennai (IN)',
+        design_center: 'Frankfurt (DE)',
+        product_line_manager: 'John Smith',
+        history: 'Developed as a system offer around the brush business in 2005.',
+        type_of_customers: 'Automotive Tier 1, HVAC blower manufacturers',
+        metiers: 'Stamping, overmoulding, automated assembly',
+        strength: 'System integration with our own brushes.',
+        weakness: 'Tooling investment per project.',
+        perspectives: 'Integration of EMC filtering (chokes, capacitors).',
+        compliance_resource_id: 'CMP-0057',
+        attachments_raw: [],
+        ...stamp(ADMIN_ID),
+    },
+    {
+        id: '5d1e0a10-2b00-4d00-8b00-000000000003',
+        name: 'Seals',
+        type_of_products: 'Carbon mechanical seal faces',
+        manufacturing_locations: 'Tianjin (CN)',
+        design_center: 'Poitiers (FR)',
+        product_line_manager: 'jane.doe@avocarbon.com',
+        history: 'Spin-off of the carbon materials know-how in 2012.',
+        type_of_customers: 'Water pump and coolant pump manufacturers',
+        metiers: 'Machining, lapping, impregnation',
+        strength: 'Low friction grades qualified at major pump makers.',
+        weakness: 'Small volumes outside China.',
+        perspectives: 'Electric coolant pumps for EV thermal management.',
+        compliance_resource_id: 'CMP-0063',
+        attachments_raw: [],
+        ...stamp(ADMIN_ID),
+    },
+];
+
+const [BRUSHES, HOLDERS, SEALS] = MOCK_PRODUCT_LINES;
+
+const product = (line, fields) => ({
+    description: '',
+    product_definition: '',
+    operating_environment: '',
+    technical_parameters: '',
+    machines_and_tooling: '',
+    manufacturing_strategy: '',
+    purchasing_strategy: '',
+    prototypes_ppap_and_sop: '',
+    engineering_and_testing: '',
+    capacity: '',
+    our_advantages: '',
+    customers_in_production: '',
+    customer_in_development: '',
+    level_of_interest_and_why: '',
+    costing_data: '',
+    prod_if_customer_in_china: false,
+    product_pictures: [],
+    product_line: line.name,
+    product_line_id: line.id,
+    ...stamp(ADMIN_ID),
+    ...fields,
+});
+
+export const MOCK_PRODUCTS = [
+    product(BRUSHES, {
+        id: '9a3f2c40-3c00-4e00-8c00-000000000001',
+        product_name: 'Starter Brush SB-12',
+        description: 'Copper-graphite brush for 12V starter motors.',
+        operating_environment: '-40°C to +150°C, under-hood',
+        technical_parameters: 'Current density 60 A/cm², copper content 65%',
+        capacity: '12 M pcs/year',
+        our_advantages: 'Long lifetime, low copper grade available.',
+        gmdc_pct: 32.5,
+        customers_in_production: 'Valeo, SEG Automotive',
+        customer_in_development: 'Mitsuba',
+        level_of_interest_and_why: 'High - stable volumes on ICE and mild hybrids',
+        estimated_price_per_product: 0.18,
+        prod_if_customer_in_china: true,
+    }),
+    product(BRUSHES, {
+        id: '9a3f2c40-3c00-4e00-8c00-000000000002',
+        product_name: 'Alternator Brush AB-7',
+        description: 'Electrographite brush for alternator slip rings.',
+        operating_environment: 'Up to 180°C, high vibration',
+        capacity: '20 M pcs/year',
+        gmdc_pct: 28.0,
+        customers_in_production: 'Bosch, Denso',
+        customer_in_development: '',
+        level_of_interest_and_why: 'Medium - declining with electrification',
+        estimated_price_per_product: 0.09,
+        prod_if_customer_in_china: true,
+    }),
+    product(BRUSHES, {
+        id: '9a3f2c40-3c00-4e00-8c00-000000000003',
+        product_name: 'Power Tool Brush PT-4',
+        description: 'Resin-bonded brush for universal motors.',
+        capacity: '8 M pcs/year',
+        gmdc_pct: 41.2,
+        customers_in_production: 'Stanley Black & Decker',
+        customer_in_development: 'Makita',
+        level_of_interest_and_why: 'High - premium pricing accepted',
+        estimated_price_per_product: 0.35,
+    }),
+    product(HOLDERS, {
+        id: '9a3f2c40-3c00-4e00-8c00-000000000004',
+        product_name: 'Blower Brush Holder BH-200',
+        description: 'Brush holder with integrated choke for HVAC blowers.',
+        technical_parameters: 'PBT GF30 body, 2 brushes, EMC class 5',
+        capacity: '3 M pcs/year',
+        gmdc_pct: 24.8,
+        customers_in_production: 'Mahle',
+        customer_in_development: 'Hanon Systems',
+        level_of_interest_and_why: 'Medium - competitive RFQ phase',
+        estimated_price_per_product: 1.45,
+        prod_if_customer_in_china: true,
+    }),
+    product(HOLDERS, {
+        id: '9a3f2c40-3c00-4e00-8c00-000000000005',
+        product_name: 'Wiper Brush Holder WH-3',
+        description: 'Stamped brush holder plate for wiper motors.',
+        capacity: '5 M pcs/year',
+        gmdc_pct: 19.5,
+        customers_in_production: 'Valeo',
+        customer_in_development: '',
+        level_of_interest_and_why: 'Low - end of life program',
+        estimated_price_per_product: 0.95,
+    }),
+    product(SEALS, {
+        id: '9a3f2c40-3c00-4e00-8c00-000000000006',
+        product_name: 'Pump Seal Ring PS-30',
+        description: 'Antimony-impregnated carbon seal face, 30 mm.',
+        operating_environment: 'Glycol coolant, up to 130°C',
+        capacity: '2 M pcs/year',
+        gmdc_pct: 36.0,
+        customers_in_production: 'Pierburg',
+        customer_in_development: 'Aisin, Gates',
+        level_of_interest_and_why: 'High - EV coolant pumps',
+        estimated_price_per_product: 0.62,
+        prod_if_customer_in_china: true,
+    }),
+];
+
+export const MOCK_AUDIT_LOGS = [
+    { id: 1, action: 'CREATE', table_name: 'product_lines', document_id: BRUSHES.id, user_id: ADMIN_ID, user_name: 'Demo Admin', logged_at: SEED_TIMESTAMP },
+    { id: 2, action: 'CREATE', table_name: 'product_lines', document_id: HOLDERS.id, user_id: ADMIN_ID, user_name: 'Demo Admin', logged_at: SEED_TIMESTAMP },
+    { id: 3, action: 'CREATE', table_name: 'product_lines', document_id: SEALS.id, user_id: ADMIN_ID, user_name: 'Demo Admin', logged_at: SEED_TIMESTAMP },
+];
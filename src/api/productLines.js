@@ -0,0 +1,39 @@
+// --- PRODUCT LINE PAGE AND DASHBOARD DATA ---
+//   GET /api/product_lines/:id
+//   GET /api/products?page=&page_size=                        -> every product (dashboard)
+//   GET /api/products?product_line_id=<id>&page=&page_size=   -> products of one line
+//   GET /api/products?product_line=<name>&page=&page_size=    -> products stored without the id
+// See utils/productLineLinks for how a product is linked to its line. The products are filtered
+// again here in case the backend ignores the filters.
+
+import { api } from './apiClient';
+import { normalizeListResponse } from '../utils/listQuery';
+import { isProductOfLine } from '../utils/productLineLinks';
+
+const PRODUCT_LINES_API_PATH = '/api/product_lines';
+const PRODUCTS_API_PATH = '/api/products';
+const PAGE_SIZE = 200;
+
+const listAllProducts = async (query, signal) => {
+    const products = [];
+    for (let page = 1; ; page++) {
+        const response = await api.get(PRODUCTS_API_PATH, { signal, query: { ...query, page, page_size: PAGE_SIZE } });
+        const { rows, total, isPaged } = normalizeListResponse(response);
+        products.push(...rows);
+        if (!isPaged || rows.length === 0 || products.length >= total) return products;
+    }
+};
+
+export const listProducts = ({ signal } = {}) => listAllProducts({}, signal);
+
+export const getProductLine = (productLineId, { signal } = {}) => api.get(`${PRODUCT_LINES_API_PATH}/${productLineId}`, { signal });
+
+// Products of `productLine` ({ id, name })
+export const listProductLineProducts = async (productLine, { signal } = {}) => {
+    const [byId, byName] = await Promise.all([
+        listAllProducts({ product_line_id: productLine.id }, signal),
+        listAllProducts({ product_line: productLine.name }, signal),
+    ]);
+    const products = new Map([...byId, ...byName].map(product => [String(product.id), product]));
+    return [...products.values()].filter(product => isProductOfLine(product, productLine));
+};
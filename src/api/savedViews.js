@@ -0,0 +1,113 @@
+// --- SAVED TABLE VIEWS ---
+// Named table configurations (columns, widths, sort, filters) stored on the server through
+// /api/table_views, so they follow the user across browsers and admins can share them.
+//
+// A view: { id, name, collection, owner_id, owner_name, is_shared, is_default, config }
+//   is_default is computed per caller: every user picks their own default per collection.
+//
+// Backends without the endpoint (404) fall back to a per-user localStorage store; sharing
+// is not available in that mode (see isSharingSupported).
+
+import { api, NotFoundError } from './apiClient';
+
+const VIEWS_API_PATH = '/api/table_views';
+const LOCAL_STORE_PREFIX = 'savedViews:';
+
+let backendSupport = null; // null = unknown yet, then true/false after the first list request
+
+export const isSharingSupported = () => backendSupport !== false;
+
+// --- Local fallback store: { views: [...], defaults: { [collection]: viewId } } ---
+
+const readLocalStore = (user) => {
+    try {
+        const stored = localStorage.getItem(`${LOCAL_STORE_PREFIX}${user.id}`);
+        if (stored) return JSON.parse(stored);
+    } catch (e) {
+        console.warn('Saved views: local store is unreadable, starting empty.', e);
+    }
+    return { views: [], defaults: {} };
+};
+
+const writeLocalStore = (user, store) => {
+    localStorage.setItem(`${LOCAL_STORE_PREFIX}${user.id}`, JSON.stringify(store));
+};
+
+const withDefaultFlags = (store) => store.views.map(view => ({
+    ...view,
+    is_default: store.defaults[view.collection] === view.id,
+}));
+
+// --- Public API ---
+
+export const loadViews = async (user, { signal } = {}) => {
+    if (backendSupport !== false) {
+        try {
+            const views = await api.get(VIEWS_API_PATH, { signal });
+            backendSupport = true;
+            return Array.isArray(views) ? views : [];
+        } catch (error) {
+            if (!(error instanceof NotFoundError)) throw error;
+            backendSupport = false;
+        }
+    }
+    return withDefaultFlags(readLocalStore(user));
+};
+
+export const createView = async (user, { name, collection, is_shared = false, config }) => {
+    if (backendSupport !== false) {
+        return api.post(VIEWS_API_PATH, { name, collection, is_shared, config });
+    }
+
+    const store = readLocalStore(user);
+    const now = new Date().toISOString();
+    const view = {
+        id: `local-${Date.now()}`,
+        name,
+        collection,
+        owner_id: user.id,
+        owner_name: user.displayName,
+        is_shared: false,
+        config,
+        created_at: now,
+        updated_at: now,
+    };
+    writeLocalStore(user, { ...store, views: [...store.views, view] });
+    return { ...view, is_default: false };
+};
+
+// `changes` may hold name, is_shared and/or config
+export const updateView = async (user, viewId, changes) => {
+    if (backendSupport !== false) {
+        return api.put(`${VIEWS_API_PATH}/${viewId}`, changes);
+    }
+
+    const store = readLocalStore(user);
+    const views = store.views.map(view => (
+        view.id === viewId ? { ...view, ...changes, is_shared: false, updated_at: new Date().toISOString() } : view
+    ));
+    writeLocalStore(user, { ...store, views });
+    return withDefaultFlags({ ...store, views }).find(view => view.id === viewId);
+};
+
+export const deleteView = async (user, viewId) => {
+    if (backendSupport !== false) {
+        await api.delete(`${VIEWS_API_PATH}/${viewId}`);
+        return;
+    }
+
+    const store = readLocalStore(user);
+    const defaults = Object.fromEntries(Object.entries(store.defaults).filter(([, id]) => id !== viewId));
+    writeLocalStore(user, { views: store.views.filter(view => view.id !== viewId), defaults });
+};
+
+// viewId null clears the user's default for that collection
+export const setDefaultView = async (user, collection, viewId) => {
+    if (backendSupport !== false) {
+        await api.put(`${VIEWS_API_PATH}/default`, { collection, view_id: viewId });
+        return;
+    }
+
+    const store = readLocalStore(user);
+    writeLocalStore(user, { ...store, defaults: { ...store.defaults, [collection]: viewId } });
+};
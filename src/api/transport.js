@@ -0,0 +1,53 @@
+// --- REQUEST TRANSPORT ---
+// Single entry point for talking to the backend: either the real API host or the
+// in-browser mock backend, depending on the runtime configuration (see config.js).
+
+import { BASE_API_URL, USE_MOCK_API } from './config';
+import { mockFetch, mockUpload, mockFileFetch, getMockFileUrl } from './mockBackend';
+
+// Same contract as window.fetch, but takes an API path such as '/api/products'
+export const apiFetch = (path, options = {}) => (
+    USE_MOCK_API ? mockFetch(path, options) : fetch(`${BASE_API_URL}${path}`, options)
+);
+
+// fetch() cannot report upload progress, XMLHttpRequest can. Resolves with a Response like fetch.
+const xhrFetch = (url, { method = 'GET', headers = {}, body = null, signal, onUploadProgress }) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    if (onUploadProgress) {
+        xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable) onUploadProgress(e.loaded, e.total);
+        };
+    }
+    xhr.onload = () => resolve(new Response(xhr.status === 204 ? null : xhr.responseText, { status: xhr.status }));
+    xhr.onerror = () => reject(new TypeError('Failed to fetch'));
+    xhr.onabort = () => reject(new DOMException('The request was aborted.', 'AbortError'));
+    if (signal) {
+        if (signal.aborted) {
+            reject(new DOMException('The request was aborted.', 'AbortError'));
+            return;
+        }
+        signal.addEventListener('abort', () => xhr.abort(), { once: true });
+    }
+    xhr.send(body);
+});
+
+// apiFetch reporting the upload progress of the request body as onUploadProgress(loaded, total)
+export const apiUpload = (path, options = {}) => (
+    USE_MOCK_API ? mockUpload(path, options) : xhrFetch(`${BASE_API_URL}${path}`, options)
+);
+
+// Same contract as window.fetch for the contents of a stored file ('uploads/...')
+export const fileFetch = (path, options = {}) => (
+    USE_MOCK_API ? mockFileFetch(path, options) : fetch(`${BASE_API_URL}/${path}`, options)
+);
+
+// Absolute URL of a stored file ('uploads/...') for previews and downloads
+export const getFileUrl = (path) => {
+    if (USE_MOCK_API) {
+        // Uploads made in a previous page session are gone from the mock file store
+        return getMockFileUrl(path) || 'about:blank';
+    }
+    return `${BASE_API_URL}/${path}`;
+};
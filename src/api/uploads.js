@@ -0,0 +1,38 @@
+// --- FILE UPLOADS ---
+//   POST /api/uploads   multipart: file, field   -> { path: 'uploads/...' }
+//   DELETE /api/uploads?path=uploads/...         removes a file no record refers to
+// New files are uploaded one at a time before their record is saved, so each one reports its
+// progress and can be cancelled or retried on its own; the record then only carries stored paths.
+//
+// Backends without the endpoint (404) take the files with the record in one multipart request,
+// as the encoding in apiClient does (see isUploadEndpointSupported).
+// When a save is cancelled after some of its files were uploaded, they are deleted again.
+
+import { api, NotFoundError } from './apiClient';
+
+const UPLOADS_API_PATH = '/api/uploads';
+
+let backendSupport = null; // null = unknown yet, then true/false after the first upload
+
+export const isUploadEndpointSupported = () => backendSupport !== false;
+
+// Resolves with the stored path of `file`. onProgress(fraction) follows the upload from 0 to 1.
+export const uploadFile = async (file, { field, signal, onProgress } = {}) => {
+    const body = new FormData();
+    body.append('file', file, file.name);
+    if (field) body.append('field', field);
+    try {
+        const { path } = await api.post(UPLOADS_API_PATH, body, {
+            signal,
+            onUploadProgress: onProgress && ((loaded, total) => onProgress(total > 0 ? loaded / total : 1)),
+        });
+        backendSupport = true;
+        return path;
+    } catch (error) {
+        if (error instanceof NotFoundError && backendSupport === null) backendSupport = false;
+        throw error;
+    }
+};
+
+// Deletes an uploaded file that no record was saved with
+export const deleteUpload = (path) => api.delete(UPLOADS_API_PATH, { query: { path } });
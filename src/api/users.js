@@ -0,0 +1,29 @@
+// --- USER ADMINISTRATION ---
+// Admin-only account management on top of /api/users:
+//   POST /api/users/invite               { email, displayName, user_role } -> { user, temporary_password }
+//   POST /api/users/:id/reset_password   -> { temporary_password }
+//   PUT  /api/users/:id                  { user_role } | { is_active }
+//   DELETE /api/users/:id
+// Accounts without `is_active` are active. Last logins come from the LOGIN audit entries
+// (see getLastLogins in api/auditLogs).
+
+import { api } from './apiClient';
+import { ROLE_OPTIONS, normalizeRole } from '../utils/permissions';
+
+const USERS_API_PATH = '/api/users';
+
+export const USER_ROLES = ROLE_OPTIONS;
+
+export const getRoleLabel = (role) => USER_ROLES.find(r => r.value === normalizeRole(role)).label;
+
+export const isUserActive = (user) => user.is_active !== false && user.is_active !== 'false';
+
+export const listUsers = ({ signal } = {}) => api.get(USERS_API_PATH, { signal });
+
+export const inviteUser = ({ email, displayName, user_role }) => api.post(`${USERS_API_PATH}/invite`, { email, displayName, user_role });
+
+export const updateUser = (userId, changes) => api.put(`${USERS_API_PATH}/${userId}`, changes);
+
+export const deleteUser = (userId) => api.delete(`${USERS_API_PATH}/${userId}`);
+
+export const resetUserPassword = (userId) => api.post(`${USERS_API_PATH}/${userId}/reset_password`, null);
@@ -0,0 +1,76 @@
+import React from 'react';
+import { GripVertical, ArrowUp, ArrowDown, Eye, Trash2 } from 'lucide-react';
+import { getFileName } from '../utils/exportData';
+import { formatFileSize } from '../utils/uploadRules';
+import useDragReorder, { moveItem } from './useDragReorder';
+
+// --- ATTACHMENT LIST ---
+// Files of an attachment field in their saved order, stored paths ('uploads/...') and newly
+// picked File objects together: the record is sent with its files in this order.
+// With `onChange(files)` the files can be dragged (or moved with the arrows) and removed;
+// onPreview(path) opens a stored file.
+
+const AttachmentList = ({ files, onChange, onPreview, disabled = false, emptyText = 'No files currently attached.' }) => {
+    const canEdit = !!onChange && !disabled;
+    const { dragIndex, overIndex, getItemProps } = useDragReorder((from, to) => onChange(moveItem(files, from, to)), canEdit);
+
+    if (files.length === 0) return <p className="text-xs text-gray-500 mt-1">{emptyText}</p>;
+
+    const actionClass = "p-1 rounded transition disabled:opacity-30";
+
+    return (
+        <ol className="mt-2 border rounded-lg bg-gray-50 divide-y" aria-label="Attached files">
+            {files.map((file, index) => {
+                const isNew = file instanceof File;
+                const name = getFileName(file);
+                return (
+                    <li
+                        key={isNew ? `new-${file.name}` : file}
+                        {...getItemProps(index)}
+                        className={`flex items-center gap-2 px-3 py-1.5 text-xs transition ${dragIndex === index ? 'opacity-40' : ''} ${overIndex === index && dragIndex !== index ? 'bg-indigo-100' : ''}`}
+                    >
+                        {onChange && <GripVertical className={`w-4 h-4 flex-shrink-0 text-gray-400 ${canEdit ? 'cursor-grab' : ''}`} aria-hidden="true" />}
+                        <span className="text-gray-400 tabular-nums w-5 text-right flex-shrink-0">{index + 1}.</span>
+                        <span className="truncate flex-grow text-gray-800" title={isNew ? name : file}>{name}</span>
+                        {isNew && (
+                            <>
+                                <span className="text-gray-500 flex-shrink-0">{formatFileSize(file.size)}</span>
+                                <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-blue-500 text-white flex-shrink-0" title="Uploaded on save">New</span>
+                            </>
+                        )}
+                        <div className="flex items-center flex-shrink-0">
+                            {onChange && (
+                                <>
+                                    <button type="button" onClick={() => onChange(moveItem(files, index, index - 1))} className={`${actionClass} text-gray-500 hover:text-indigo-600`} disabled={!canEdit || index === 0} title="Move up">
+                                        <ArrowUp className="w-4 h-4" />
+                                    </button>
+                                    <button type="button" onClick={() => onChange(moveItem(files, index, index + 1))} className={`${actionClass} text-gray-500 hover:text-indigo-600`} disabled={!canEdit || index === files.length - 1} title="Move down">
+                                        <ArrowDown className="w-4 h-4" />
+                                    </button>
+                                </>
+                            )}
+                            {!isNew && onPreview && (
+                                <button type="button" onClick={() => onPreview(file)} className={`${actionClass} text-indigo-600 hover:text-indigo-800`} title="Preview">
+                                    <Eye className="w-4 h-4" />
+                                </button>
+                            )}
+                            {onChange && (
+                                <button
+                                    type="button"
+                                    onClick={() => onChange(files.filter((_, i) => i !== index))}
+                                    className={`${actionClass} text-red-600 hover:text-red-800`}
+                                    disabled={!canEdit}
+                                    title={isNew ? 'Cancel selection' : 'Remove (applied on save)'}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            )}
+                        </div>
+                    </li>
+                );
+            })}
+        </ol>
+    );
+};
+
+export default AttachmentList;
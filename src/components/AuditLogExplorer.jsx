@@ -0,0 +1,343 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Clock, Filter, ChevronDown, ChevronLeft, ChevronRight, Download, Loader, RefreshCw, X } from 'lucide-react';
+import { listAuditLogs, fetchAllAuditLogs } from '../api/auditLogs';
+import { listUsers } from '../api/users';
+import { AUDIT_ACTIONS, AUTH_ACTIONS, EMPTY_AUDIT_FILTERS, dayStartToIso, dayEndToIso } from '../utils/auditQuery';
+import { diffRecords, describeChange } from '../utils/recordDiff';
+import { buildExportRows, buildExportFileName, downloadCsv } from '../utils/exportData';
+
+// --- ADMIN: AUDIT LOG EXPLORER ---
+// Server-paged audit log with a date range, facets (action, user, table), an explicit toggle
+// for LOGIN/LOGOUT entries and a CSV export of everything matching the filters.
+// `fieldsByTable` ({ table: [{ key, label, type }] }) names the changed fields; record IDs of
+// `openableTables` are links calling onOpenRecord(tableName, documentId).
+// `refreshToken` reloads the current page whenever it changes (e.g. after every data load of the app).
+
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const ACTION_STYLES = {
+    CREATE: 'text-green-600',
+    UPDATE: 'text-blue-600',
+    DELETE: 'text-red-600',
+};
+
+const EXPORT_COLUMNS = [
+    { key: 'logged_at', label: 'Timestamp', type: 'text' },
+    { key: 'action', label: 'Action', type: 'text' },
+    { key: 'user_name', label: 'User', type: 'text' },
+    { key: 'table_name', label: 'Table', type: 'text' },
+    { key: 'document_id', label: 'Record ID', type: 'text' },
+    { key: 'changes', label: 'Changes', type: 'text' },
+];
+
+const formatTimestamp = (dateString) => {
+    if (!dateString) return 'N/A';
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch (e) {
+        return 'Invalid Date';
+    }
+};
+
+// Multi-select dropdown for one facet; no selection means "all"
+const FacetFilter = ({ label, options, selected, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleMouseDown = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleMouseDown);
+        return () => document.removeEventListener('mousedown', handleMouseDown);
+    }, [isOpen]);
+
+    const toggle = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                type="button"
+                onClick={() => setIsOpen(prev => !prev)}
+                className={`px-3 py-2 border rounded-lg text-sm font-medium transition shadow-sm flex items-center ${selected.length > 0 ? 'border-yellow-500 text-yellow-700 bg-yellow-50' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+            >
+                {label}{selected.length > 0 && ` (${selected.length})`}
+                <ChevronDown className="w-4 h-4 ml-1" />
+            </button>
+            {isOpen && (
+                <div className="absolute left-0 mt-2 w-56 bg-white border border-gray-200 rounded-lg shadow-xl z-20">
+                    <div className="max-h-72 overflow-y-auto py-1">
+                        {options.length === 0 && <p className="px-4 py-2 text-sm text-gray-500">No values</p>}
+                        {options.map(option => (
+                            <label key={option.value} className="flex items-center px-4 py-1.5 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={selected.includes(option.value)}
+                                    onChange={() => toggle(option.value)}
+                                    className="h-4 w-4 mr-2 text-yellow-600 border-gray-300 rounded focus:ring-yellow-500"
+                                />
+                                {option.label}
+                            </label>
+                        ))}
+                    </div>
+                    {selected.length > 0 && (
+                        <div className="border-t px-4 py-2">
+                            <button type="button" onClick={() => onChange([])} className="text-sm text-yellow-700 hover:text-yellow-900">
+                                Clear
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AuditLogExplorer = ({ tableOptions, fieldsByTable, openableTables, onOpenRecord, refreshToken, onError }) => {
+    const [fromDay, setFromDay] = useState('');
+    const [toDay, setToDay] = useState('');
+    const [actions, setActions] = useState([]);
+    const [userIds, setUserIds] = useState([]);
+    const [tables, setTables] = useState([]);
+    const [includeAuth, setIncludeAuth] = useState(EMPTY_AUDIT_FILTERS.includeAuth);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [debouncedSearch, setDebouncedSearch] = useState('');
+    const [page, setPage] = useState(1);
+
+    const [logs, setLogs] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isExporting, setIsExporting] = useState(false);
+    const [userOptions, setUserOptions] = useState([]);
+    const [reloadCount, setReloadCount] = useState(0);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebouncedSearch(searchTerm), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [searchTerm]);
+
+    const filters = useMemo(() => ({
+        from: dayStartToIso(fromDay),
+        to: dayEndToIso(toDay),
+        actions,
+        userIds,
+        tables,
+        includeAuth,
+        search: debouncedSearch,
+    }), [fromDay, toDay, actions, userIds, tables, includeAuth, debouncedSearch]);
+
+    // Any filter change starts again from the first page
+    useEffect(() => {
+        setPage(1);
+    }, [filters]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        listUsers({ signal: controller.signal })
+            .then(users => setUserOptions((Array.isArray(users) ? users : [])
+                .map(user => ({ value: String(user.id), label: user.displayName || user.email }))
+                .sort((a, b) => a.label.localeCompare(b.label))))
+            .catch(onError);
+        return () => controller.abort();
+    }, [onError]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setIsLoading(true);
+        listAuditLogs(filters, { page, pageSize: PAGE_SIZE, signal: controller.signal })
+            .then(({ rows, total: matching }) => {
+                setLogs(rows);
+                setTotal(matching);
+            })
+            .catch(onError)
+            .finally(() => {
+                if (!controller.signal.aborted) setIsLoading(false);
+            });
+        return () => controller.abort();
+    }, [filters, page, refreshToken, reloadCount, onError]);
+
+    const actionOptions = AUDIT_ACTIONS
+        .filter(action => includeAuth || !AUTH_ACTIONS.includes(action))
+        .map(action => ({ value: action, label: action }));
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const hasFilters = fromDay || toDay || actions.length > 0 || userIds.length > 0 || tables.length > 0 || searchTerm;
+
+    const handleIncludeAuthChange = (checked) => {
+        setIncludeAuth(checked);
+        if (!checked) setActions(prev => prev.filter(action => !AUTH_ACTIONS.includes(action)));
+    };
+
+    const clearFilters = () => {
+        setFromDay('');
+        setToDay('');
+        setActions([]);
+        setUserIds([]);
+        setTables([]);
+        setSearchTerm('');
+    };
+
+    const describeEntry = (log) => diffRecords(log.old_data, log.new_data, fieldsByTable[log.table_name] || []);
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            const matching = await fetchAllAuditLogs(filters);
+            const records = matching.map(log => ({
+                ...log,
+                user_name: log.user_name || log.user_id,
+                changes: describeEntry(log).map(describeChange).join('\n'),
+            }));
+            downloadCsv(buildExportRows(records, EXPORT_COLUMNS), buildExportFileName('audit_logs', 'csv'));
+        } catch (error) {
+            onError(error, { popup: true });
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const inputClass = "px-3 py-2 border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 shadow-sm text-sm";
+
+    return (
+        <div className="mt-8 bg-gray-50 p-6 rounded-xl shadow-xl overflow-x-auto">
+            <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                    <Clock className="w-6 h-6 mr-2 text-yellow-600" />
+                    Audit Logs
+                    <span className="ml-2 text-sm font-medium text-yellow-700 p-1 bg-yellow-50 rounded-full">{total} entries</span>
+                </h2>
+                <div className="flex items-center space-x-2">
+                    <button onClick={() => setReloadCount(count => count + 1)} className="p-2 text-gray-600 rounded-lg hover:bg-gray-100 transition" disabled={isLoading} title="Refresh">
+                        <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+                    </button>
+                    <button
+                        onClick={handleExport}
+                        className="px-4 py-2 text-sm font-semibold rounded-lg shadow-md transition duration-150 flex items-center bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        disabled={isExporting || total === 0}
+                    >
+                        {isExporting ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+                        Export CSV
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                <div className="relative">
+                    <input
+                        type="text"
+                        placeholder="Search (user, action, table, ID)"
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                        className={`${inputClass} pl-10 w-64`}
+                    />
+                    <Filter className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                </div>
+                <label className="text-sm text-gray-600 flex items-center gap-1">
+                    From
+                    <input type="date" value={fromDay} max={toDay || undefined} onChange={(e) => setFromDay(e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-600 flex items-center gap-1">
+                    To
+                    <input type="date" value={toDay} min={fromDay || undefined} onChange={(e) => setToDay(e.target.value)} className={inputClass} />
+                </label>
+                <FacetFilter label="Action" options={actionOptions} selected={actions} onChange={setActions} />
+                <FacetFilter label="User" options={userOptions} selected={userIds} onChange={setUserIds} />
+                <FacetFilter label="Table" options={tableOptions} selected={tables} onChange={setTables} />
+                <label className="text-sm text-gray-700 flex items-center cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={includeAuth}
+                        onChange={(e) => handleIncludeAuthChange(e.target.checked)}
+                        className="h-4 w-4 mr-2 text-yellow-600 border-gray-300 rounded focus:ring-yellow-500"
+                    />
+                    Include logins/logouts
+                </label>
+                {hasFilters && (
+                    <button onClick={clearFilters} className="text-sm text-gray-600 hover:text-gray-900 flex items-center">
+                        <X className="w-4 h-4 mr-1" /> Clear filters
+                    </button>
+                )}
+            </div>
+
+            <div className="border border-gray-300 rounded-lg overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-300">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            {['Timestamp', 'Action', 'User', 'Table', 'Record ID', 'Changed Fields'].map(title => (
+                                <th key={title} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{title}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {isLoading && logs.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="px-4 py-4 text-center text-yellow-600">
+                                    <Loader className="w-5 h-5 animate-spin inline mr-2" /> Loading audit logs...
+                                </td>
+                            </tr>
+                        ) : logs.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="px-4 py-4 text-center text-gray-500">No matching logs found.</td>
+                            </tr>
+                        ) : (
+                            logs.map(log => {
+                                const changedFields = describeEntry(log).map(change => change.field.label);
+                                const canOpen = openableTables.includes(log.table_name) && log.action !== 'DELETE' && log.document_id;
+
+                                return (
+                                    <tr key={log.id} className="hover:bg-yellow-50">
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{formatTimestamp(log.logged_at)}</td>
+                                        <td className={`px-4 py-2 whitespace-nowrap text-sm font-semibold ${ACTION_STYLES[log.action] || 'text-gray-600'}`}>{log.action}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-800 font-medium">{log.user_name || log.user_id}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{log.table_name}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-xs font-mono">
+                                            {canOpen ? (
+                                                <button
+                                                    onClick={() => onOpenRecord(log.table_name, log.document_id)}
+                                                    className="text-indigo-600 hover:text-indigo-800 underline"
+                                                    title="Open this record"
+                                                >
+                                                    {String(log.document_id).substring(0, 8)}
+                                                </button>
+                                            ) : (
+                                                <span className="text-gray-500">{log.document_id ? String(log.document_id).substring(0, 8) : '—'}</span>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-2 text-sm text-gray-600 truncate max-w-xs" title={changedFields.join(', ')}>
+                                            {changedFields.length > 0 ? changedFields.join(', ') : '—'}
+                                        </td>
+                                    </tr>
+                                );
+                            })
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+                <span>Page {page} of {pageCount}</span>
+                <div className="flex items-center space-x-2">
+                    <button
+                        onClick={() => setPage(prev => prev - 1)}
+                        className="p-1 rounded-lg hover:bg-gray-200 transition disabled:opacity-40"
+                        disabled={isLoading || page <= 1}
+                        title="Previous page"
+                    >
+                        <ChevronLeft className="w-5 h-5" />
+                    </button>
+                    <button
+                        onClick={() => setPage(prev => prev + 1)}
+                        className="p-1 rounded-lg hover:bg-gray-200 transition disabled:opacity-40"
+                        disabled={isLoading || page >= pageCount}
+                        title="Next page"
+                    >
+                        <ChevronRight className="w-5 h-5" />
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AuditLogExplorer;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+// --- HORIZONTAL BAR CHART ---
+// One bar per row, made of stacked segments: rows are [{ key, label, segments: [{ value, color }],
+// valueLabel? }] where `color` is a Tailwind background class. Bars are scaled to `maxValue`
+// (the largest row total by default); `legend` ([{ label, color }]) names the segments.
+
+const BarChart = ({ rows, maxValue, legend, emptyText = 'No data' }) => {
+    const totals = rows.map(row => row.segments.reduce((sum, segment) => sum + segment.value, 0));
+    const scale = maxValue || Math.max(0, ...totals);
+
+    if (rows.length === 0) return <p className="text-sm text-gray-400 italic">{emptyText}</p>;
+    return (
+        <div className="space-y-2">
+            {rows.map((row, index) => (
+                <div key={row.key} className="flex items-center text-sm">
+                    <span className="w-1/3 pr-3 truncate text-gray-700" title={row.label}>{row.label}</span>
+                    <div className="flex-1 h-5 bg-gray-100 rounded overflow-hidden flex">
+                        {row.segments.map((segment, segmentIndex) => (
+                            <div
+                                key={segmentIndex}
+                                className={`${segment.color} h-full transition-all duration-300`}
+                                style={{ width: scale > 0 ? `${(segment.value / scale) * 100}%` : 0 }}
+                                title={`${segment.label ? `${segment.label}: ` : ''}${segment.value}`}
+                            />
+                        ))}
+                    </div>
+                    <span className="w-20 pl-3 text-right text-gray-600 tabular-nums">{row.valueLabel ?? totals[index]}</span>
+                </div>
+            ))}
+            {legend && (
+                <div className="flex flex-wrap gap-4 pt-2 text-xs text-gray-500">
+                    {legend.map(item => (
+                        <span key={item.label} className="flex items-center">
+                            <span className={`w-3 h-3 rounded-sm mr-1 ${item.color}`} /> {item.label}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BarChart;
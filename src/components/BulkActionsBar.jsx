@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { Trash2, X, ChevronDown, Loader, Edit3, Columns } from 'lucide-react';
+
+// --- BULK ACTIONS BAR ---
+// Shown above the items table while rows are selected. `fields` lists the fields that can be
+// overwritten for the whole selection as { key, label, type, options? }: checkbox fields get
+// a Yes/No choice, fields with `options` a dropdown, the others a text input.
+// `progress` ({ label, done, total }) replaces the actions while a bulk operation runs.
+// `canEdit` false hides the edit and delete actions. `onCompare` adds a Compare action, disabled
+// with `compareHint` as its tooltip when the selection cannot be compared.
+const BulkActionsBar = ({
+    selectedCount,
+    matchingCount,
+    isAllMatchingSelected,
+    canSelectAllMatching,
+    onSelectAllMatching,
+    onClearSelection,
+    fields,
+    onApplyEdit,
+    onDelete,
+    canEdit = true,
+    onCompare,
+    compareHint,
+    progress,
+    disabled,
+}) => {
+    const [editFieldKey, setEditFieldKey] = useState('');
+    const [editValue, setEditValue] = useState('');
+
+    const selectClass = "appearance-none pr-8 pl-3 py-1.5 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm";
+    const editField = fields.find(field => field.key === editFieldKey);
+
+    const handleFieldChange = (key) => {
+        const field = fields.find(f => f.key === key);
+        setEditFieldKey(key);
+        setEditValue(field && field.type === 'checkbox' ? 'true' : '');
+    };
+
+    const handleApply = () => {
+        onApplyEdit(editField.key, editField.type === 'checkbox' ? editValue === 'true' : editValue);
+    };
+
+    const renderValueInput = () => {
+        if (!editField) return null;
+        const options = editField.type === 'checkbox'
+            ? [{ value: 'true', label: 'Yes' }, { value: 'false', label: 'No' }]
+            : editField.options && editField.options.map(option => ({ value: option, label: option }));
+
+        if (options) {
+            return (
+                <div className="relative">
+                    <select value={editValue} onChange={(e) => setEditValue(e.target.value)} className={selectClass} disabled={disabled}>
+                        {editField.type !== 'checkbox' && <option value="">-- Select --</option>}
+                        {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                    <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                </div>
+            );
+        }
+        return (
+            <input
+                type="text"
+                value={editValue}
+                onChange={(e) => setEditValue(e.target.value)}
+                placeholder="New value (empty clears the field)"
+                className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm w-64"
+                disabled={disabled}
+            />
+        );
+    };
+
+    if (progress) {
+        return (
+            <div className="border border-indigo-200 bg-indigo-50 rounded-lg px-4 py-3 mb-4 text-sm text-indigo-800">
+                <div className="flex items-center mb-2">
+                    <Loader className="w-4 h-4 mr-2 animate-spin" />
+                    {progress.label}: {progress.done} of {progress.total}
+                </div>
+                <div className="w-full bg-indigo-100 rounded-full h-2">
+                    <div className="bg-indigo-600 h-2 rounded-full transition-all" style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }} />
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="border border-indigo-200 bg-indigo-50 rounded-lg px-4 py-3 mb-4 flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-semibold text-indigo-800">
+                {isAllMatchingSelected ? `All ${matchingCount} matching records selected` : `${selectedCount} selected`}
+            </span>
+            {canSelectAllMatching && (
+                <button onClick={onSelectAllMatching} className="text-indigo-600 hover:text-indigo-800 underline" disabled={disabled}>
+                    Select all {matchingCount} matching records
+                </button>
+            )}
+            <button onClick={onClearSelection} className="text-gray-600 hover:text-gray-900 flex items-center" disabled={disabled}>
+                <X className="w-4 h-4 mr-1" /> Clear selection
+            </button>
+
+            <div className="flex items-center gap-2 ml-auto">
+                {onCompare && (
+                    <button
+                        onClick={onCompare}
+                        className="px-3 py-1.5 font-semibold rounded-lg text-indigo-700 bg-white border border-indigo-300 hover:bg-indigo-100 transition flex items-center disabled:opacity-50"
+                        disabled={disabled || !!compareHint}
+                        title={compareHint || 'Compare the selected products side by side'}
+                    >
+                        <Columns className="w-4 h-4 mr-1" /> Compare
+                    </button>
+                )}
+                {canEdit && (
+                    <>
+                        <Edit3 className="w-4 h-4 text-indigo-600" />
+                        <div className="relative">
+                            <select value={editFieldKey} onChange={(e) => handleFieldChange(e.target.value)} className={selectClass} disabled={disabled}>
+                                <option value="">Set field...</option>
+                                {fields.map(field => <option key={field.key} value={field.key}>{field.label}</option>)}
+                            </select>
+                            <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                        </div>
+                        {renderValueInput()}
+                        {editField && (
+                            <button
+                                onClick={handleApply}
+                                className="px-3 py-1.5 font-semibold rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 transition disabled:opacity-50"
+                                disabled={disabled || (editField.options && editField.type !== 'checkbox' && !editValue)}
+                            >
+                                Apply
+                            </button>
+                        )}
+                        <button
+                            onClick={onDelete}
+                            className="px-3 py-1.5 font-semibold rounded-lg text-white bg-red-600 hover:bg-red-700 transition flex items-center disabled:opacity-50"
+                            disabled={disabled}
+                        >
+                            <Trash2 className="w-4 h-4 mr-1" /> Delete
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default BulkActionsBar;
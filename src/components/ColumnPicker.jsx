@@ -0,0 +1,65 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Columns, ChevronDown } from 'lucide-react';
+
+// --- COLUMN PICKER ---
+// Chooses which fields are shown in the items table. `columns` keeps the display order of
+// `fields`; at least one column always stays visible. `getLabel(field)` names a field.
+const ColumnPicker = ({ fields, getLabel, columns, defaultColumns, onChange, disabled }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleMouseDown = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleMouseDown);
+        return () => document.removeEventListener('mousedown', handleMouseDown);
+    }, [isOpen]);
+
+    const toggleColumn = (field) => {
+        const next = columns.includes(field)
+            ? columns.filter(c => c !== field)
+            : fields.filter(f => f === field || columns.includes(f));
+        if (next.length > 0) onChange(next);
+    };
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-50 transition shadow-sm flex items-center"
+                disabled={disabled}
+            >
+                <Columns className="w-4 h-4 mr-2" />
+                Columns ({columns.length})
+                <ChevronDown className="w-4 h-4 ml-1" />
+            </button>
+
+            {isOpen && (
+                <div className="absolute left-0 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-xl z-20">
+                    <div className="max-h-72 overflow-y-auto py-1">
+                        {fields.map(field => (
+                            <label key={field} className="flex items-center px-4 py-1.5 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={columns.includes(field)}
+                                    onChange={() => toggleColumn(field)}
+                                    className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                                />
+                                {getLabel(field)}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="border-t px-4 py-2">
+                        <button onClick={() => onChange(defaultColumns)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                            Reset to default columns
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ColumnPicker;
@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, X, Save, User, Users } from 'lucide-react';
+import { formatDiffValue, isSameFieldValue } from '../utils/recordDiff';
+import { toFileList, getFileName } from '../utils/exportData';
+
+// --- EDIT CONFLICT RESOLUTION (THREE-WAY MERGE) ---
+// Shown when a save is rejected because someone else changed the record in the meantime.
+// `base` is the record as it was when the edit started, `mine` the edited values and `theirs`
+// the record now stored on the server. Only fields where mine and theirs differ are listed;
+// a field changed on one side only defaults to that side, a field changed on both to mine.
+// onResolve(values, keepsSavedVersion) gets `theirs` with the chosen values applied; the flag
+// tells that every listed field takes the saved value, so there is nothing left to save.
+
+const displayValue = (value, type) => {
+    if (type === 'file_image' || type === 'file_attachment') {
+        return toFileList(value).map(getFileName).join(', ');
+    }
+    return formatDiffValue(value, type);
+};
+
+const ValueCell = ({ value, type, isSelected, onSelect, name }) => {
+    const text = displayValue(value, type);
+    return (
+        <td className="px-3 py-2 align-top">
+            <label className={`flex items-start gap-2 p-2 rounded-lg border cursor-pointer ${isSelected ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'}`}>
+                <input type="radio" name={name} checked={isSelected} onChange={onSelect} className="mt-1 text-indigo-600 focus:ring-indigo-500" />
+                <span className="text-sm break-words whitespace-pre-wrap max-h-32 overflow-y-auto">
+                    {text || <span className="italic text-gray-400">empty</span>}
+                </span>
+            </label>
+        </td>
+    );
+};
+
+const ConflictResolver = ({ fields, base, mine, theirs, onResolve, onCancel, isSaving }) => {
+    const rows = useMemo(() => fields
+        .filter(field => field.key !== 'id' && !isSameFieldValue(mine[field.key], theirs[field.key], field.type))
+        .map(field => {
+            const changedByMe = !isSameFieldValue(mine[field.key], base[field.key], field.type);
+            const changedByThem = !isSameFieldValue(theirs[field.key], base[field.key], field.type);
+            return { field, changedByMe, changedByThem, isConflict: changedByMe && changedByThem };
+        }), [fields, base, mine, theirs]);
+
+    const [choices, setChoices] = useState(() => Object.fromEntries(
+        rows.map(row => [row.field.key, row.changedByThem && !row.changedByMe ? 'theirs' : 'mine'])
+    ));
+
+    const conflictCount = rows.filter(row => row.isConflict).length;
+    const chooseAll = (side) => setChoices(Object.fromEntries(rows.map(row => [row.field.key, side])));
+
+    const resolve = (side) => {
+        const picked = side ? Object.fromEntries(rows.map(row => [row.field.key, side])) : choices;
+        const values = rows.reduce((acc, { field }) => {
+            acc[field.key] = picked[field.key] === 'mine' ? mine[field.key] : theirs[field.key];
+            return acc;
+        }, { ...theirs });
+        onResolve(values, rows.every(row => picked[row.field.key] === 'theirs'));
+    };
+
+    const statusLabel = (row) => {
+        if (row.isConflict) return <span className="text-red-600 font-semibold">Changed by both</span>;
+        return row.changedByMe ? <span className="text-gray-500">Changed by you</span> : <span className="text-gray-500">Changed by them</span>;
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-[60]">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+                <div className="p-6 border-b flex justify-between items-start">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                            <AlertTriangle className="w-6 h-6 mr-2 text-yellow-500" />
+                            Edit conflict
+                        </h2>
+                        <p className="text-sm text-gray-600 mt-1">
+                            Someone else saved this record
+                            {theirs.updated_at ? ` on ${new Date(theirs.updated_at).toLocaleString()}` : ''} while you were editing it.
+                            {' '}{conflictCount > 0
+                                ? `${conflictCount} field(s) were changed on both sides: pick the value to keep.`
+                                : 'Your changes and theirs touch different fields and can be merged.'}
+                        </p>
+                    </div>
+                    <button onClick={onCancel} className="p-2 text-gray-500 hover:text-gray-900 rounded-full hover:bg-gray-100 transition" disabled={isSaving}>
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="overflow-y-auto p-6">
+                    <table className="min-w-full">
+                        <thead>
+                            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                <th className="px-3 py-2 w-1/5">Field</th>
+                                <th className="px-3 py-2 w-1/5">Original</th>
+                                <th className="px-3 py-2">
+                                    <button onClick={() => chooseAll('mine')} className="flex items-center hover:text-indigo-600 uppercase" title="Keep all my values">
+                                        <User className="w-4 h-4 mr-1" /> Yours
+                                    </button>
+                                </th>
+                                <th className="px-3 py-2">
+                                    <button onClick={() => chooseAll('theirs')} className="flex items-center hover:text-indigo-600 uppercase" title="Take all server values">
+                                        <Users className="w-4 h-4 mr-1" /> Theirs (saved)
+                                    </button>
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {rows.map(row => (
+                                <tr key={row.field.key} className={row.isConflict ? 'bg-red-50' : ''}>
+                                    <td className="px-3 py-2 align-top">
+                                        <div className="text-xs font-medium text-gray-700">{row.field.label}</div>
+                                        <div className="text-xs">{statusLabel(row)}</div>
+                                    </td>
+                                    <td className="px-3 py-2 align-top text-sm text-gray-500 break-words whitespace-pre-wrap">
+                                        {displayValue(base[row.field.key], row.field.type) || <span className="italic text-gray-400">empty</span>}
+                                    </td>
+                                    <ValueCell
+                                        name={`conflict-${row.field.key}`}
+                                        value={mine[row.field.key]}
+                                        type={row.field.type}
+                                        isSelected={choices[row.field.key] === 'mine'}
+                                        onSelect={() => setChoices(prev => ({ ...prev, [row.field.key]: 'mine' }))}
+                                    />
+                                    <ValueCell
+                                        name={`conflict-${row.field.key}`}
+                                        value={theirs[row.field.key]}
+                                        type={row.field.type}
+                                        isSelected={choices[row.field.key] === 'theirs'}
+                                        onSelect={() => setChoices(prev => ({ ...prev, [row.field.key]: 'theirs' }))}
+                                    />
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="p-6 border-t flex flex-wrap justify-end gap-3">
+                    <button onClick={onCancel} className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition" disabled={isSaving}>
+                        Back to editing
+                    </button>
+                    <button onClick={() => resolve('theirs')} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition" disabled={isSaving}>
+                        Take theirs
+                    </button>
+                    <button onClick={() => resolve('mine')} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition" disabled={isSaving}>
+                        Keep mine
+                    </button>
+                    <button
+                        onClick={() => resolve(null)}
+                        className="px-6 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 flex items-center"
+                        disabled={isSaving}
+                    >
+                        <Save className="w-5 h-5 mr-2" />
+                        Save merged version
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConflictResolver;
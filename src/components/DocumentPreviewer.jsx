@@ -0,0 +1,321 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { X, ChevronLeft, ChevronRight, ChevronUp, ChevronDown, Download, Search, Loader, AlertTriangle } from 'lucide-react';
+import { downloadFile, NotFoundError } from '../api/apiClient';
+import { getFileUrl } from '../api/transport';
+import { getFileName } from '../utils/exportData';
+import { loadDocument, getPreviewProblem, countMatches, splitMatches, getMatchClass, highlightHtml, MAX_SHEET_ROWS } from '../utils/documentPreview';
+
+// --- DOCUMENT PREVIEWER ---
+// Full-screen preview of a stored attachment ('uploads/...'), read and drawn in the browser (see
+// utils/documentPreview): PDF pages, Word documents, worksheets as tables, slides, text files and
+// pictures. Arrow keys change page, Enter in the search box goes to the next match (Shift+Enter
+// to the previous one) and Escape closes. PDF pages are drawn as pictures: a search there shows
+// the pages holding the text, without marking it.
+
+const PDF_SCALE = 1.5;
+
+const PAGE_LABELS = { pdf: 'Page', slides: 'Slide' };
+
+// Word documents come as plain HTML: the usual look of their headings, lists and tables
+const DOCUMENT_CLASS = "bg-white shadow rounded-lg p-10 max-w-4xl mx-auto text-sm text-gray-800 break-words "
+    + "[&_h1]:text-2xl [&_h1]:font-bold [&_h1]:mb-3 [&_h2]:text-xl [&_h2]:font-semibold [&_h2]:mb-2 [&_h3]:font-semibold [&_h3]:mb-2 "
+    + "[&_p]:mb-3 [&_ul]:list-disc [&_ul]:pl-6 [&_ul]:mb-3 [&_ol]:list-decimal [&_ol]:pl-6 [&_ol]:mb-3 "
+    + "[&_table]:border-collapse [&_table]:mb-3 [&_td]:border [&_td]:border-gray-300 [&_td]:px-2 [&_td]:py-1 "
+    + "[&_a]:text-indigo-600 [&_a]:underline [&_img]:max-w-full [&_img]:inline-block";
+
+const PdfPage = ({ page }) => {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const viewport = page.getViewport({ scale: PDF_SCALE });
+        const canvas = canvasRef.current;
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        const task = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        task.promise.catch(error => {
+            if (error.name !== 'RenderingCancelledException') console.warn('PDF page could not be drawn:', error);
+        });
+        return () => task.cancel(); // another page is shown
+    }, [page]);
+
+    return <canvas ref={canvasRef} className="block bg-white shadow max-w-full h-auto mx-auto" />;
+};
+
+const DocumentPreviewer = ({ path, onClose }) => {
+    const name = getFileName(path);
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState(null);
+    const [isMissing, setIsMissing] = useState(false); // the server no longer has the file: nothing to download
+    const [pageIndex, setPageIndex] = useState(0);
+    const [query, setQuery] = useState('');
+    const [matchIndex, setMatchIndex] = useState(0);
+    const contentRef = useRef(null);
+
+    useEffect(() => {
+        setPreview(null);
+        setPageIndex(0);
+        setIsMissing(false);
+        const problem = getPreviewProblem(name);
+        setError(problem);
+        if (problem) return undefined;
+
+        const controller = new AbortController();
+        let loaded = null;
+        downloadFile(path, { signal: controller.signal })
+            .then(buffer => loadDocument(buffer, name))
+            .then(result => {
+                if (controller.signal.aborted) {
+                    result.dispose();
+                    return;
+                }
+                loaded = result;
+                setPreview(result);
+            })
+            .catch(loadError => {
+                if (controller.signal.aborted) return;
+                setIsMissing(loadError instanceof NotFoundError);
+                setError(loadError.message || 'The file could not be read.');
+            });
+        return () => {
+            controller.abort();
+            if (loaded) loaded.dispose();
+        };
+    }, [path, name]);
+
+    const pages = preview ? preview.pages : [];
+    const page = pages[pageIndex];
+    const matchCounts = useMemo(() => (preview ? preview.pages.map(p => countMatches(p.texts, query)) : []), [preview, query]);
+    const totalMatches = matchCounts.reduce((total, count) => total + count, 0);
+
+    // Page of match `index` and its rank on that page
+    const locateMatch = (index, counts = matchCounts) => {
+        let rest = index;
+        for (let i = 0; i < counts.length; i++) {
+            if (rest < counts[i]) return { pageIndex: i, rank: rest };
+            rest -= counts[i];
+        }
+        return null;
+    };
+    const currentMatch = totalMatches > 0 ? locateMatch(matchIndex) : null;
+
+    const showPage = (index) => setPageIndex(Math.min(pages.length - 1, Math.max(0, index)));
+
+    const showMatch = (index) => {
+        if (totalMatches === 0) return;
+        const nextIndex = (index + totalMatches) % totalMatches;
+        setMatchIndex(nextIndex);
+        setPageIndex(locateMatch(nextIndex).pageIndex);
+    };
+
+    const handleQueryChange = (text) => {
+        setQuery(text);
+        setMatchIndex(0);
+        const match = locateMatch(0, pages.map(p => countMatches(p.texts, text)));
+        if (match) setPageIndex(match.pageIndex);
+    };
+
+    useEffect(() => {
+        if (contentRef.current) contentRef.current.scrollTop = 0;
+    }, [pageIndex]);
+
+    useEffect(() => {
+        const current = contentRef.current && contentRef.current.querySelector('[data-current-match]');
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'center', inline: 'nearest' });
+    }, [matchIndex, pageIndex, query, preview]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            const isTyping = e.target instanceof HTMLInputElement;
+            const actions = {
+                Escape: onClose,
+                ...(!isTyping && {
+                    ArrowLeft: () => showPage(pageIndex - 1),
+                    ArrowRight: () => showPage(pageIndex + 1),
+                }),
+            };
+            if (!actions[e.key]) return;
+            // The modal underneath must not react to the same keys
+            e.preventDefault();
+            e.stopPropagation();
+            actions[e.key]();
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    });
+
+    // Texts are marked in the order of page.texts, so that the current match is the right one
+    const currentRank = currentMatch && currentMatch.pageIndex === pageIndex ? currentMatch.rank : -1;
+    let matchNumber = 0;
+    const highlight = (text) => splitMatches(text, query).map((part, index) => {
+        if (!part.isMatch) return part.text;
+        const isCurrent = matchNumber++ === currentRank;
+        return <mark key={index} className={getMatchClass(isCurrent)} data-current-match={isCurrent ? '' : undefined}>{part.text}</mark>;
+    });
+
+    const renderPage = () => {
+        switch (preview.kind) {
+            case 'pdf':
+                return <PdfPage page={page.page} />;
+            case 'docx':
+                // Sanitized when loaded (see utils/documentPreview)
+                return <article className={DOCUMENT_CLASS} dangerouslySetInnerHTML={{ __html: highlightHtml(page.html, query, currentRank) }} />;
+            case 'sheet': {
+                const columnCount = Math.max(1, ...page.rows.map(row => row.length));
+                return (
+                    <div className="bg-white shadow rounded-lg overflow-auto max-w-full inline-block">
+                        {page.rows.length === 0 ? (
+                            <p className="p-6 text-sm text-gray-500">This sheet is empty.</p>
+                        ) : (
+                            <table className="text-xs border-collapse">
+                                <tbody>
+                                    {page.rows.map((row, rowIndex) => (
+                                        <tr key={rowIndex}>
+                                            <th className="sticky left-0 bg-gray-100 border border-gray-200 px-2 py-1 text-gray-500 font-normal text-right">{rowIndex + 1}</th>
+                                            {Array.from({ length: columnCount }, (_, columnIndex) => (
+                                                <td key={columnIndex} className="border border-gray-200 px-2 py-1 align-top whitespace-pre-wrap text-gray-800">
+                                                    {highlight(row[columnIndex] || '')}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                        {page.hiddenRowCount > 0 && (
+                            <p className="p-3 text-xs text-gray-500 border-t">
+                                Only the first {MAX_SHEET_ROWS.toLocaleString()} rows are shown. Download the file to see the {page.hiddenRowCount.toLocaleString()} other row(s).
+                            </p>
+                        )}
+                    </div>
+                );
+            }
+            case 'slides':
+                return (
+                    <section className="bg-white shadow rounded-lg p-10 max-w-4xl mx-auto min-h-[28rem] text-gray-800">
+                        {page.title && <h2 className="text-3xl font-bold mb-6">{highlight(page.title)}</h2>}
+                        {page.paragraphs.length > 0 && (
+                            <ul className="list-disc pl-6 space-y-2 text-lg">
+                                {page.paragraphs.map((paragraph, index) => <li key={index}>{highlight(paragraph)}</li>)}
+                            </ul>
+                        )}
+                        {page.images.length > 0 && (
+                            <div className="mt-6 flex flex-wrap gap-4 justify-center">
+                                {page.images.map(image => <img key={image.src} src={image.src} alt={image.name} className="max-h-72 max-w-full object-contain" />)}
+                            </div>
+                        )}
+                        {!page.title && page.paragraphs.length === 0 && page.images.length === 0 && (
+                            <p className="text-sm text-gray-500">This slide has no text or picture that can be shown.</p>
+                        )}
+                    </section>
+                );
+            case 'text':
+                return <pre className="bg-white shadow rounded-lg p-6 max-w-5xl mx-auto text-sm font-mono whitespace-pre-wrap break-words text-gray-800">{highlight(page.text)}</pre>;
+            case 'image':
+                return <img src={page.src} alt={name} className="max-w-full max-h-full object-contain mx-auto" />;
+            default:
+                return null;
+        }
+    };
+
+    const controlClass = "p-2 rounded-full text-white hover:bg-white hover:bg-opacity-20 transition disabled:opacity-30";
+    const isPaged = preview && preview.kind in PAGE_LABELS && pages.length > 1;
+    const isSearchable = preview && preview.kind !== 'image';
+
+    return (
+        <div className="fixed inset-0 z-[70] bg-gray-900 bg-opacity-95 flex flex-col" role="dialog" aria-label="Document preview">
+            <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 text-white">
+                <span className="truncate text-sm min-w-0" title={name}>{name}</span>
+                <div className="flex items-center flex-wrap gap-1">
+                    {isPaged && (
+                        <>
+                            <button type="button" onClick={() => showPage(pageIndex - 1)} className={controlClass} disabled={pageIndex === 0} title="Previous page (←)">
+                                <ChevronLeft className="w-5 h-5" />
+                            </button>
+                            <span className="text-xs tabular-nums whitespace-nowrap">{PAGE_LABELS[preview.kind]} {pageIndex + 1} / {pages.length}</span>
+                            <button type="button" onClick={() => showPage(pageIndex + 1)} className={controlClass} disabled={pageIndex === pages.length - 1} title="Next page (→)">
+                                <ChevronRight className="w-5 h-5" />
+                            </button>
+                        </>
+                    )}
+                    {isSearchable && (
+                        <div className="flex items-center ml-2 bg-white bg-opacity-10 rounded-lg px-2">
+                            <Search className="w-4 h-4 text-gray-300" />
+                            <input
+                                type="search"
+                                value={query}
+                                onChange={(e) => handleQueryChange(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key !== 'Enter') return;
+                                    e.preventDefault();
+                                    showMatch(matchIndex + (e.shiftKey ? -1 : 1));
+                                }}
+                                placeholder="Search in the document"
+                                aria-label="Search in the document"
+                                className="bg-transparent text-sm text-white placeholder-gray-400 px-2 py-1.5 w-48 focus:outline-none"
+                            />
+                            {query.trim() && (
+                                <span className="text-xs tabular-nums whitespace-nowrap text-gray-300">
+                                    {totalMatches > 0 ? `${matchIndex + 1} / ${totalMatches}` : 'No match'}
+                                </span>
+                            )}
+                            <button type="button" onClick={() => showMatch(matchIndex - 1)} className={controlClass} disabled={totalMatches === 0} title="Previous match (Shift+Enter)">
+                                <ChevronUp className="w-4 h-4" />
+                            </button>
+                            <button type="button" onClick={() => showMatch(matchIndex + 1)} className={controlClass} disabled={totalMatches === 0} title="Next match (Enter)">
+                                <ChevronDown className="w-4 h-4" />
+                            </button>
+                        </div>
+                    )}
+                    {!isMissing && (
+                        <a href={getFileUrl(path)} download={name} className={controlClass} title="Download">
+                            <Download className="w-5 h-5" />
+                        </a>
+                    )}
+                    <button type="button" onClick={onClose} className={controlClass} title="Close (Esc)">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+            </div>
+
+            {preview && preview.kind === 'sheet' && pages.length > 1 && (
+                <div className="flex gap-1 px-4 overflow-x-auto" role="tablist" aria-label="Sheets">
+                    {pages.map((sheet, index) => (
+                        <button
+                            key={sheet.name}
+                            type="button"
+                            role="tab"
+                            aria-selected={index === pageIndex}
+                            onClick={() => showPage(index)}
+                            className={`px-3 py-1.5 text-xs font-medium rounded-t-lg whitespace-nowrap transition ${index === pageIndex ? 'bg-white text-gray-900' : 'bg-white bg-opacity-10 text-gray-200 hover:bg-opacity-20'}`}
+                        >
+                            {sheet.name}
+                            {matchCounts[index] > 0 && <span className="ml-1 px-1 rounded bg-yellow-200 text-gray-800">{matchCounts[index]}</span>}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div ref={contentRef} className="flex-grow min-h-0 overflow-auto p-4">
+                {error ? (
+                    <div className="max-w-lg mx-auto mt-16 bg-white rounded-lg p-6 text-sm text-gray-700 flex items-start">
+                        <AlertTriangle className="w-5 h-5 mr-3 text-amber-500 flex-shrink-0" />
+                        <span>
+                            {error}{' '}
+                            {!isMissing && <a href={getFileUrl(path)} download={name} className="text-indigo-600 hover:text-indigo-800 font-semibold">Download {name}</a>}
+                        </span>
+                    </div>
+                ) : !preview ? (
+                    <p className="mt-16 text-center text-gray-300 flex items-center justify-center">
+                        <Loader className="w-5 h-5 mr-2 animate-spin" /> Opening the document...
+                    </p>
+                ) : !page ? (
+                    <p className="mt-16 text-center text-gray-300">This document has no pages.</p>
+                ) : (
+                    renderPage()
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DocumentPreviewer;
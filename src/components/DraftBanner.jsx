@@ -0,0 +1,36 @@
+import React from 'react';
+import { History, RotateCcw, Trash2 } from 'lucide-react';
+
+// --- DRAFT RESTORE BANNER ---
+// Offers a local draft (see utils/drafts) left from an earlier edit of the same record or form.
+// `isOutdated` tells that the record was saved by someone since the draft was made: saving the
+// restored draft then goes through the edit conflict dialog.
+const DraftBanner = ({ draft, isOutdated = false, onRestore, onDiscard, className = '' }) => (
+    <div className={`p-3 bg-amber-50 border border-amber-200 rounded-lg flex flex-wrap items-center justify-between gap-3 ${className}`}>
+        <div className="flex items-start text-sm text-amber-800">
+            <History className="w-5 h-5 mr-2 flex-shrink-0" />
+            <span>
+                You have unsaved changes from {new Date(draft.saved_at).toLocaleString()}.
+                {isOutdated && ' The record has been changed since; you will be able to merge both versions when saving.'}
+            </span>
+        </div>
+        <div className="flex space-x-2">
+            <button
+                type="button"
+                onClick={onDiscard}
+                className="px-3 py-1.5 text-sm border border-amber-300 rounded-lg text-amber-800 hover:bg-amber-100 transition flex items-center"
+            >
+                <Trash2 className="w-4 h-4 mr-1" /> Discard
+            </button>
+            <button
+                type="button"
+                onClick={onRestore}
+                className="px-3 py-1.5 text-sm bg-amber-600 text-white font-semibold rounded-lg hover:bg-amber-700 transition flex items-center"
+            >
+                <RotateCcw className="w-4 h-4 mr-1" /> Restore draft
+            </button>
+        </div>
+    </div>
+);
+
+export default DraftBanner;
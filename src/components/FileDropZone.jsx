@@ -0,0 +1,89 @@
+import React, { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+
+// --- FILE DROP ZONE ---
+// Where the files of a file field are added: dropped from the desktop, pasted from the clipboard
+// (screenshots) while the zone has the focus, or picked with the browse button.
+// onFiles([File]) receives them; the upload rules are checked by the form.
+// The hidden input carries `name`, so that the form can focus the field on a validation error.
+
+// Pasted screenshots all come as "image.png": they get a name of their own
+const nameScreenshot = (file, index) => {
+    if (file.name && !/^image\.\w+$/i.test(file.name)) return file;
+    const extension = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 23);
+    return new File([file], `screenshot_${stamp}${index > 0 ? `_${index + 1}` : ''}.${extension}`, { type: file.type, lastModified: file.lastModified });
+};
+
+const hasFiles = (e) => Array.from(e.dataTransfer.types || []).includes('Files');
+
+const FileDropZone = ({ name, accept, onFiles, disabled = false, label = 'files' }) => {
+    const [isDragOver, setIsDragOver] = useState(false);
+    const inputRef = useRef(null);
+
+    const handleDragOver = (e) => {
+        if (disabled || !hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        setIsDragOver(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsDragOver(false);
+    };
+
+    const handleDrop = (e) => {
+        if (disabled || !hasFiles(e)) return;
+        e.preventDefault();
+        setIsDragOver(false);
+        onFiles(Array.from(e.dataTransfer.files));
+    };
+
+    const handlePaste = (e) => {
+        const files = Array.from(e.clipboardData.files || []);
+        if (disabled || files.length === 0) return; // pasted text is none of our business
+        e.preventDefault();
+        onFiles(files.map(nameScreenshot));
+    };
+
+    const handleInputChange = (e) => {
+        onFiles(Array.from(e.target.files));
+        e.target.value = null;
+    };
+
+    return (
+        <div
+            tabIndex={disabled ? -1 : 0}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+            onPaste={handlePaste}
+            aria-label={`Add ${label}: drop files here or paste a screenshot`}
+            className={`mt-1 flex flex-col items-center justify-center gap-1 p-4 border-2 border-dashed rounded-lg text-center transition focus:outline-none focus:ring-2 focus:ring-indigo-500 ${isDragOver ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 bg-white'} ${disabled ? 'opacity-50' : ''}`}
+        >
+            <Upload className={`w-5 h-5 ${isDragOver ? 'text-indigo-600' : 'text-gray-400'}`} />
+            <p className="text-sm text-gray-600">
+                {isDragOver ? 'Drop to add the files' : 'Drag files here or '}
+                {!isDragOver && (
+                    <button type="button" onClick={() => inputRef.current.click()} className="font-semibold text-indigo-600 hover:text-indigo-800" disabled={disabled}>
+                        browse
+                    </button>
+                )}
+            </p>
+            <p className="text-xs text-gray-500">Click this area and paste (Ctrl+V) to add a screenshot.</p>
+            <input
+                ref={inputRef}
+                type="file"
+                name={name}
+                multiple
+                accept={accept}
+                onChange={handleInputChange}
+                className="sr-only"
+                tabIndex={-1}
+                disabled={disabled}
+            />
+        </div>
+    );
+};
+
+export default FileDropZone;
@@ -0,0 +1,167 @@
+import React from 'react';
+import { Plus, Trash2, X, ChevronDown } from 'lucide-react';
+import { createCondition, getOperatorOptions, operatorNeedsValue, EMPTY_FILTER } from '../utils/filterBuilder';
+
+// --- ADVANCED FILTER BUILDER ---
+// Edits a filter ({ combinator, conditions }, see utils/filterBuilder.js). `fields` lists the
+// filterable columns as { key, label, type, options? } where `type` comes from the field schema
+// and `options` (optional) feeds a suggestion list for the value input.
+const FilterBuilder = ({ fields, filter, onChange, onClose, disabled }) => {
+    const selectClass = "appearance-none pr-8 pl-3 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm w-full";
+    const inputClass = "px-3 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm w-full";
+
+    const fieldByKey = (key) => fields.find(f => f.key === key) || fields[0];
+
+    const updateCondition = (id, changes) => {
+        onChange({
+            ...filter,
+            conditions: filter.conditions.map(condition => (condition.id === id ? { ...condition, ...changes } : condition)),
+        });
+    };
+
+    const handleFieldChange = (condition, fieldKey) => {
+        // A new field may have another type: restart from its first operator with an empty value
+        const operator = getOperatorOptions(fieldByKey(fieldKey).type)[0].value;
+        updateCondition(condition.id, { field: fieldKey, operator, value: '', valueTo: '' });
+    };
+
+    const addCondition = () => {
+        const firstField = fields[0];
+        onChange({ ...filter, conditions: [...filter.conditions, createCondition(firstField.key, firstField.type)] });
+    };
+
+    const removeCondition = (id) => {
+        onChange({ ...filter, conditions: filter.conditions.filter(condition => condition.id !== id) });
+    };
+
+    const renderValueInput = (condition, field) => {
+        if (!operatorNeedsValue(condition.operator)) return null;
+
+        const isNumber = field.type === 'number';
+        const listId = field.options ? `filter-options-${condition.id}` : undefined;
+        const valueInput = (key, placeholder) => (
+            <input
+                type={isNumber ? 'number' : 'text'}
+                step={isNumber ? '0.01' : undefined}
+                list={listId}
+                value={condition[key]}
+                onChange={(e) => updateCondition(condition.id, { [key]: e.target.value })}
+                placeholder={placeholder}
+                className={inputClass}
+                disabled={disabled}
+            />
+        );
+
+        return (
+            <>
+                {valueInput('value', condition.operator === 'between' ? 'From' : 'Value')}
+                {condition.operator === 'between' && (
+                    <>
+                        <span className="text-sm text-gray-500">and</span>
+                        {valueInput('valueTo', 'To')}
+                    </>
+                )}
+                {field.options && (
+                    <datalist id={listId}>
+                        {field.options.map(option => <option key={option} value={option} />)}
+                    </datalist>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div className="border border-indigo-200 bg-indigo-50 rounded-lg p-4 mb-4 space-y-3">
+            <div className="flex justify-between items-center flex-wrap gap-2">
+                <div className="flex items-center space-x-2 text-sm text-gray-700">
+                    <span>Show records matching</span>
+                    <div className="relative">
+                        <select
+                            value={filter.combinator}
+                            onChange={(e) => onChange({ ...filter, combinator: e.target.value })}
+                            className={`${selectClass} font-semibold`}
+                            disabled={disabled}
+                        >
+                            <option value="and">ALL conditions (AND)</option>
+                            <option value="or">ANY condition (OR)</option>
+                        </select>
+                        <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                    </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                    {filter.conditions.length > 0 && (
+                        <button
+                            type="button"
+                            onClick={() => onChange(EMPTY_FILTER)}
+                            className="text-sm text-red-600 hover:text-red-800 transition"
+                            disabled={disabled}
+                        >
+                            Clear all
+                        </button>
+                    )}
+                    <button type="button" onClick={onClose} className="p-1 text-gray-500 hover:text-gray-900 rounded-full hover:bg-indigo-100 transition" title="Close filter builder">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+            </div>
+
+            {filter.conditions.length === 0 && (
+                <p className="text-sm text-gray-500">No conditions yet. Add one to narrow down the table.</p>
+            )}
+
+            {filter.conditions.map((condition, index) => {
+                const field = fieldByKey(condition.field);
+                return (
+                    <div key={condition.id} className="flex items-center space-x-2">
+                        <span className="w-12 text-xs font-semibold text-indigo-600 uppercase text-right">
+                            {index === 0 ? 'Where' : filter.combinator}
+                        </span>
+                        <div className="relative w-56 flex-shrink-0">
+                            <select
+                                value={field.key}
+                                onChange={(e) => handleFieldChange(condition, e.target.value)}
+                                className={selectClass}
+                                disabled={disabled}
+                            >
+                                {fields.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                            </select>
+                            <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                        </div>
+                        <div className="relative w-40 flex-shrink-0">
+                            <select
+                                value={condition.operator}
+                                onChange={(e) => updateCondition(condition.id, { operator: e.target.value })}
+                                className={selectClass}
+                                disabled={disabled}
+                            >
+                                {getOperatorOptions(field.type).map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+                            </select>
+                            <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                        </div>
+                        {renderValueInput(condition, field)}
+                        <button
+                            type="button"
+                            onClick={() => removeCondition(condition.id)}
+                            className="text-red-600 hover:text-red-800 transition p-1 rounded-full hover:bg-red-100 flex-shrink-0"
+                            title="Remove condition"
+                            disabled={disabled}
+                        >
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </div>
+                );
+            })}
+
+            <button
+                type="button"
+                onClick={addCondition}
+                className="px-3 py-1 text-sm font-semibold rounded-lg text-indigo-700 bg-white border border-indigo-300 hover:bg-indigo-100 transition flex items-center"
+                disabled={disabled}
+            >
+                <Plus className="w-4 h-4 mr-1" /> Add condition
+            </button>
+        </div>
+    );
+};
+
+export default FilterBuilder;
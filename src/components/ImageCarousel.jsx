@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Download } from 'lucide-react';
+
+// --- IMAGE CAROUSEL ---
+// Full-screen viewer over everything else. `images` are [{ key, src, name }]; the viewer opens on
+// `startIndex`. Arrow keys browse, +/- zoom, Escape closes; a zoomed picture scrolls to pan and
+// a double click toggles the zoom.
+
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4];
+
+const ImageCarousel = ({ images, startIndex = 0, onClose }) => {
+    const [index, setIndex] = useState(startIndex);
+    const [zoomLevel, setZoomLevel] = useState(0);
+
+    const image = images[Math.min(index, images.length - 1)];
+    const zoom = ZOOM_LEVELS[zoomLevel];
+
+    const show = (nextIndex) => {
+        setIndex((nextIndex + images.length) % images.length);
+        setZoomLevel(0);
+    };
+    const zoomBy = (step) => setZoomLevel(level => Math.min(ZOOM_LEVELS.length - 1, Math.max(0, level + step)));
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            const actions = {
+                Escape: onClose,
+                ArrowLeft: () => show(index - 1),
+                ArrowRight: () => show(index + 1),
+                '+': () => zoomBy(1),
+                '=': () => zoomBy(1),
+                '-': () => zoomBy(-1),
+            };
+            if (!actions[e.key]) return;
+            // The modal underneath must not react to the same keys
+            e.preventDefault();
+            e.stopPropagation();
+            actions[e.key]();
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    });
+
+    if (!image) return null;
+
+    const controlClass = "p-2 rounded-full text-white hover:bg-white hover:bg-opacity-20 transition disabled:opacity-30";
+
+    return (
+        <div className="fixed inset-0 z-[70] bg-black bg-opacity-90 flex flex-col" role="dialog" aria-label="Picture viewer">
+            <div className="flex items-center justify-between px-4 py-3 text-white">
+                <span className="truncate text-sm" title={image.name}>
+                    {image.name} <span className="text-gray-400 ml-2">{index + 1} / {images.length}</span>
+                </span>
+                <div className="flex items-center space-x-1">
+                    <button type="button" onClick={() => zoomBy(-1)} className={controlClass} disabled={zoomLevel === 0} title="Zoom out (-)">
+                        <ZoomOut className="w-5 h-5" />
+                    </button>
+                    <span className="text-xs w-12 text-center tabular-nums">{Math.round(zoom * 100)} %</span>
+                    <button type="button" onClick={() => zoomBy(1)} className={controlClass} disabled={zoomLevel === ZOOM_LEVELS.length - 1} title="Zoom in (+)">
+                        <ZoomIn className="w-5 h-5" />
+                    </button>
+                    <a href={image.src} download={image.name} className={controlClass} title="Download">
+                        <Download className="w-5 h-5" />
+                    </a>
+                    <button type="button" onClick={onClose} className={controlClass} title="Close (Esc)">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+            </div>
+
+            <div className="relative flex-grow min-h-0">
+                <div className={`absolute inset-0 overflow-auto flex ${zoomLevel === 0 ? 'items-center justify-center' : ''}`}>
+                    <img
+                        src={image.src}
+                        alt={image.name}
+                        onDoubleClick={() => setZoomLevel(level => (level === 0 ? 2 : 0))}
+                        className={`select-none ${zoomLevel === 0 ? 'max-w-full max-h-full object-contain cursor-zoom-in' : 'max-w-none m-auto cursor-zoom-out'}`}
+                        style={zoomLevel === 0 ? undefined : { width: `${zoom * 100}%` }}
+                        draggable={false}
+                    />
+                </div>
+                {images.length > 1 && (
+                    <>
+                        <button type="button" onClick={() => show(index - 1)} className={`${controlClass} absolute left-4 top-1/2 -translate-y-1/2 bg-black bg-opacity-40`} title="Previous (←)">
+                            <ChevronLeft className="w-8 h-8" />
+                        </button>
+                        <button type="button" onClick={() => show(index + 1)} className={`${controlClass} absolute right-4 top-1/2 -translate-y-1/2 bg-black bg-opacity-40`} title="Next (→)">
+                            <ChevronRight className="w-8 h-8" />
+                        </button>
+                    </>
+                )}
+            </div>
+
+            {images.length > 1 && (
+                <div className="flex justify-center gap-2 px-4 py-3 overflow-x-auto">
+                    {images.map((item, itemIndex) => (
+                        <button
+                            type="button"
+                            key={item.key}
+                            onClick={() => show(itemIndex)}
+                            className={`flex-shrink-0 rounded border-2 ${itemIndex === index ? 'border-white' : 'border-transparent opacity-60 hover:opacity-100'}`}
+                            title={item.name}
+                        >
+                            <img src={item.src} alt={item.name} className="h-14 w-14 object-cover rounded-sm" />
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImageCarousel;
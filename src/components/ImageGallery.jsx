@@ -0,0 +1,117 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Star, Trash2, FileText } from 'lucide-react';
+import { getFileUrl } from '../api/transport';
+import { getFileName } from '../utils/exportData';
+import { isImageFile, movePictureToFront } from '../utils/imageFiles';
+import ImageCarousel from './ImageCarousel';
+import useDragReorder, { moveItem } from './useDragReorder';
+
+// --- IMAGE GALLERY ---
+// Thumbnails of a picture field: stored paths ('uploads/...') and newly picked File objects,
+// previewed before they are uploaded. Clicking a thumbnail opens the full-screen carousel.
+// With `onChange(files)` the pictures can be dragged to another place, removed and another one
+// made primary (the first picture is the primary one, see utils/imageFiles).
+
+// Object URLs of the File objects in `files`, revoked once the files are gone
+const useFilePreviews = (files) => {
+    const [previews, setPreviews] = useState(() => new Map());
+    const newFiles = files.filter(file => file instanceof File);
+    // The same files in the same order keep their URLs across renders
+    const filesRef = useRef(newFiles);
+    if (newFiles.length !== filesRef.current.length || newFiles.some((file, index) => file !== filesRef.current[index])) {
+        filesRef.current = newFiles;
+    }
+    const currentFiles = filesRef.current;
+
+    useEffect(() => {
+        const urls = new Map(currentFiles.map(file => [file, URL.createObjectURL(file)]));
+        setPreviews(urls);
+        return () => urls.forEach(url => URL.revokeObjectURL(url));
+    }, [currentFiles]);
+
+    return previews;
+};
+
+const ImageGallery = ({ files, onChange, disabled = false, emptyText = 'No pictures.' }) => {
+    const [carouselIndex, setCarouselIndex] = useState(null);
+    const previews = useFilePreviews(files);
+    const { dragIndex, overIndex, getItemProps } = useDragReorder((from, to) => onChange(moveItem(files, from, to)), !!onChange && !disabled);
+
+    const entries = files.map((file, index) => {
+        const isNew = file instanceof File;
+        return {
+            key: isNew ? `new-${index}-${file.name}` : file,
+            index,
+            name: isNew ? file.name : getFileName(file),
+            src: isNew ? previews.get(file) : getFileUrl(file),
+            isNew,
+            isImage: isImageFile(file),
+        };
+    });
+    const images = entries.filter(entry => entry.isImage && entry.src);
+
+    if (files.length === 0) return <p className="text-xs text-gray-500">{emptyText}</p>;
+
+    const actionClass = "p-1 rounded-full bg-white bg-opacity-90 shadow hover:bg-opacity-100 transition disabled:opacity-50";
+
+    return (
+        <>
+            <ul className="flex flex-wrap gap-3">
+                {entries.map(entry => (
+                    <li
+                        key={entry.key}
+                        {...getItemProps(entry.index)}
+                        className={`relative group w-24 rounded-lg ${dragIndex === entry.index ? 'opacity-40' : ''} ${overIndex === entry.index && dragIndex !== entry.index ? 'ring-2 ring-indigo-400 ring-offset-2' : ''}`}
+                    >
+                        <button
+                            type="button"
+                            onClick={() => entry.isImage && setCarouselIndex(images.indexOf(entry))}
+                            className={`block h-24 w-24 rounded-lg border-2 overflow-hidden bg-gray-100 ${entry.index === 0 ? 'border-indigo-500' : 'border-gray-200'} ${entry.isImage ? 'cursor-zoom-in' : 'cursor-default'}`}
+                            title={entry.name}
+                        >
+                            {entry.isImage && entry.src ? (
+                                <img src={entry.src} alt={entry.name} className="h-full w-full object-cover" draggable={false} />
+                            ) : (
+                                <FileText className="w-8 h-8 m-auto text-gray-400" />
+                            )}
+                        </button>
+                        <div className="absolute top-1 left-1 flex flex-col items-start gap-1 pointer-events-none">
+                            {entry.index === 0 && <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-indigo-600 text-white">Primary</span>}
+                            {entry.isNew && <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-blue-500 text-white">New</span>}
+                        </div>
+                        {onChange && (
+                            <div className="absolute top-1 right-1 flex flex-col gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition">
+                                {entry.index > 0 && entry.isImage && (
+                                    <button
+                                        type="button"
+                                        onClick={() => onChange(movePictureToFront(files, entry.index))}
+                                        className={`${actionClass} text-indigo-600`}
+                                        disabled={disabled}
+                                        title="Make primary picture"
+                                    >
+                                        <Star className="w-4 h-4" />
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    onClick={() => onChange(files.filter((_, i) => i !== entry.index))}
+                                    className={`${actionClass} text-red-600`}
+                                    disabled={disabled}
+                                    title={entry.isNew ? 'Cancel selection' : 'Remove (applied on save)'}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        )}
+                        <p className="mt-1 text-[11px] text-gray-600 truncate" title={entry.name}>{entry.name}</p>
+                    </li>
+                ))}
+            </ul>
+            {carouselIndex !== null && images.length > 0 && (
+                <ImageCarousel images={images} startIndex={carouselIndex} onClose={() => setCarouselIndex(null)} />
+            )}
+        </>
+    );
+};
+
+export default ImageGallery;
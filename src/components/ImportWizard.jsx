@@ -0,0 +1,302 @@
+import React, { useRef, useState } from 'react';
+import { Upload, X, Loader, ChevronDown, CheckCircle, AlertTriangle, ArrowLeft } from 'lucide-react';
+import { readSpreadsheetFile, guessColumnMapping, validateImportRows } from '../utils/importData';
+
+// --- SPREADSHEET IMPORT WIZARD ---
+// File -> column mapping -> dry run -> import. The parent provides the data access:
+//   loadExistingRecords(): Promise<records>  (every stored record, to detect updates)
+//   submitRow(entry): Promise                (creates or updates one validated row)
+//   authorizeRow(record, existing)           (optional, error message for rows the user may not write)
+// and gets onClose(hasImported) so it can refresh the table.
+
+const ACTION_STYLES = {
+    create: { label: 'Create', className: 'bg-green-100 text-green-800' },
+    update: { label: 'Update', className: 'bg-blue-100 text-blue-800' },
+    unchanged: { label: 'No changes', className: 'bg-gray-100 text-gray-600' },
+    error: { label: 'Error', className: 'bg-red-100 text-red-800' },
+};
+
+const RESULT_STYLES = {
+    created: 'text-green-700',
+    updated: 'text-blue-700',
+    failed: 'text-red-700',
+    skipped: 'text-gray-500',
+};
+
+const ImportWizard = ({ collectionName, fields, requiredFields, productLineNames, keyField, loadExistingRecords, authorizeRow, submitRow, onClose }) => {
+    const [step, setStep] = useState('file'); // 'file' | 'mapping' | 'preview' | 'results'
+    const [fileName, setFileName] = useState('');
+    const [sheet, setSheet] = useState({ headers: [], rows: [] });
+    const [mapping, setMapping] = useState({});
+    const [entries, setEntries] = useState([]);
+    const [results, setResults] = useState([]);
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState(null);
+    const stopRequestedRef = useRef(false);
+
+    const selectClass = "appearance-none pr-8 pl-3 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm w-full";
+    const labelOf = (key) => (fields.find(f => f.key === key) || { label: key }).label;
+    const validEntries = entries.filter(entry => entry.action === 'create' || entry.action === 'update');
+    const countOf = (action) => entries.filter(entry => entry.action === action).length;
+    const hasImported = results.some(result => result.status === 'created' || result.status === 'updated');
+
+    const handleFileSelect = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = null; // Allows selecting the same file again after a fix
+        if (!file) return;
+
+        setIsWorking(true);
+        setError(null);
+        try {
+            const parsed = await readSpreadsheetFile(file);
+            if (parsed.rows.length === 0) {
+                setError('The file has no data rows. The first row must hold the column names.');
+                return;
+            }
+            setFileName(file.name);
+            setSheet(parsed);
+            setMapping(guessColumnMapping(parsed.headers, fields));
+            setStep('mapping');
+        } catch (err) {
+            console.error('Import: could not read file', err);
+            setError(`Could not read "${file.name}". Please use a .csv or .xlsx file.`);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleDryRun = async () => {
+        setIsWorking(true);
+        setError(null);
+        try {
+            const existingRecords = await loadExistingRecords();
+            setEntries(validateImportRows({ rows: sheet.rows, mapping, fields, requiredFields, productLineNames, existingRecords, keyField, authorizeRow }));
+            setStep('preview');
+        } catch (err) {
+            setError(err.message || 'Could not load the existing records.');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    // Rows are sent one at a time so every row gets its own result
+    const handleImport = async () => {
+        stopRequestedRef.current = false;
+        setIsWorking(true);
+        setResults([]);
+        setStep('results');
+
+        for (const entry of validEntries) {
+            let result;
+            if (stopRequestedRef.current) {
+                result = { rowNumber: entry.rowNumber, status: 'skipped', message: 'Import stopped' };
+            } else {
+                try {
+                    await submitRow(entry);
+                    result = { rowNumber: entry.rowNumber, status: entry.action === 'create' ? 'created' : 'updated', message: '' };
+                } catch (err) {
+                    result = { rowNumber: entry.rowNumber, status: 'failed', message: err.message || 'Request failed' };
+                }
+            }
+            setResults(prev => [...prev, result]);
+        }
+        setIsWorking(false);
+    };
+
+    const renderFileStep = () => (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+                Select a CSV or Excel file. The first row must contain the column names; the next step lets you match them to the {collectionName.toLowerCase()} fields.
+                Rows matching an existing record (by ID or {labelOf(keyField)}) update it, the others are created.
+            </p>
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-indigo-300 rounded-lg p-8 cursor-pointer hover:bg-indigo-50 transition">
+                {isWorking ? <Loader className="w-8 h-8 text-indigo-500 animate-spin" /> : <Upload className="w-8 h-8 text-indigo-500" />}
+                <span className="mt-2 text-sm font-semibold text-indigo-700">Choose a .csv or .xlsx file</span>
+                <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileSelect} className="hidden" disabled={isWorking} />
+            </label>
+        </div>
+    );
+
+    const renderMappingStep = () => {
+        const mappedFields = Object.values(mapping).filter(Boolean);
+        const unmappedRequired = requiredFields.filter(field => !mappedFields.includes(field));
+
+        return (
+            <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                    <span className="font-semibold">{fileName}</span>: {sheet.rows.length} data row(s). Choose the field each column goes to; ignored columns are not imported.
+                </p>
+                {unmappedRequired.length > 0 && (
+                    <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm px-4 py-2 rounded-lg">
+                        Required fields without a column: {unmappedRequired.map(labelOf).join(', ')}. Only updates of existing records can succeed.
+                    </div>
+                )}
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">File column</th>
+                            <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">First value</th>
+                            <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase w-64">Import into</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {sheet.headers.map((header, index) => (
+                            <tr key={index}>
+                                <td className="px-4 py-2 font-medium text-gray-800">{header}</td>
+                                <td className="px-4 py-2 text-gray-500 truncate max-w-xs">{String(sheet.rows[0].cells[index] ?? '')}</td>
+                                <td className="px-4 py-2">
+                                    <div className="relative">
+                                        <select
+                                            value={mapping[index] || ''}
+                                            onChange={(e) => setMapping(prev => ({ ...prev, [index]: e.target.value || undefined }))}
+                                            className={selectClass}
+                                        >
+                                            <option value="">— Ignore this column —</option>
+                                            {fields.map(field => (
+                                                <option key={field.key} value={field.key} disabled={mappedFields.includes(field.key) && mapping[index] !== field.key}>
+                                                    {field.label}{requiredFields.includes(field.key) ? ' *' : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+
+    const renderPreviewStep = () => (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-2 text-sm">
+                {['create', 'update', 'unchanged', 'error'].map(action => (
+                    <span key={action} className={`px-3 py-1 rounded-full font-semibold ${ACTION_STYLES[action].className}`}>
+                        {countOf(action)} {ACTION_STYLES[action].label}
+                    </span>
+                ))}
+            </div>
+            <p className="text-sm text-gray-600">Dry run only: nothing has been saved yet. Rows with errors and unchanged rows are skipped.</p>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase w-16">Row</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase w-28">Action</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">{labelOf(keyField)}</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Details</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                    {entries.map(entry => (
+                        <tr key={entry.rowNumber}>
+                            <td className="px-4 py-2 text-gray-500">{entry.rowNumber}</td>
+                            <td className="px-4 py-2">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${ACTION_STYLES[entry.action].className}`}>{ACTION_STYLES[entry.action].label}</span>
+                            </td>
+                            <td className="px-4 py-2 text-gray-800">{entry.record[keyField] || (entry.existing && entry.existing[keyField]) || '—'}</td>
+                            <td className="px-4 py-2 text-gray-600">
+                                {entry.action === 'error' ? (
+                                    <span className="text-red-700">{entry.errors.join(' · ')}</span>
+                                ) : entry.action === 'update' ? (
+                                    `Changes: ${entry.changedFields.map(labelOf).join(', ')}`
+                                ) : entry.action === 'create' ? (
+                                    `${entry.changedFields.length} field(s)`
+                                ) : null}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const renderResultsStep = () => {
+        const countResults = (status) => results.filter(result => result.status === status).length;
+        return (
+            <div className="space-y-4">
+                <div className="flex items-center text-sm text-gray-700">
+                    {isWorking
+                        ? <><Loader className="w-4 h-4 mr-2 animate-spin text-indigo-500" /> Importing row {results.length + 1} of {validEntries.length}...</>
+                        : <><CheckCircle className="w-4 h-4 mr-2 text-green-600" /> Import finished: {countResults('created')} created, {countResults('updated')} updated, {countResults('failed')} failed{countResults('skipped') > 0 ? `, ${countResults('skipped')} skipped` : ''}.</>}
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div className="bg-indigo-600 h-2 rounded-full transition-all" style={{ width: `${validEntries.length ? (results.length / validEntries.length) * 100 : 100}%` }} />
+                </div>
+                <ul className="divide-y divide-gray-200 text-sm">
+                    {results.map(result => (
+                        <li key={result.rowNumber} className={`py-1 flex justify-between ${RESULT_STYLES[result.status]}`}>
+                            <span>Row {result.rowNumber}: {result.status}</span>
+                            {result.message && <span className="ml-4 text-right">{result.message}</span>}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    };
+
+    const backButton = (target) => (
+        <button onClick={() => setStep(target)} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition flex items-center" disabled={isWorking}>
+            <ArrowLeft className="w-4 h-4 mr-1" /> Back
+        </button>
+    );
+    const primaryButtonClass = "px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition shadow-md flex items-center disabled:opacity-50";
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50 transition-opacity duration-300">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+                <div className="p-6 border-b flex justify-between items-center">
+                    <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                        <Upload className="w-5 h-5 mr-2 text-indigo-500" />
+                        Import {collectionName}
+                    </h2>
+                    <button onClick={() => onClose(hasImported)} className="p-2 text-gray-500 hover:text-gray-900 rounded-full hover:bg-gray-100 transition" disabled={isWorking && step === 'results'} title="Close">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="p-6 overflow-y-auto flex-grow">
+                    {error && (
+                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4 flex items-center" role="alert">
+                            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" /> {error}
+                        </div>
+                    )}
+                    {step === 'file' && renderFileStep()}
+                    {step === 'mapping' && renderMappingStep()}
+                    {step === 'preview' && renderPreviewStep()}
+                    {step === 'results' && renderResultsStep()}
+                </div>
+
+                <div className="p-4 border-t flex justify-between items-center">
+                    <div>
+                        {step === 'mapping' && backButton('file')}
+                        {step === 'preview' && backButton('mapping')}
+                    </div>
+                    <div className="flex space-x-2">
+                        {step === 'mapping' && (
+                            <button onClick={handleDryRun} className={primaryButtonClass} disabled={isWorking || Object.values(mapping).filter(Boolean).length === 0}>
+                                {isWorking && <Loader className="w-4 h-4 mr-2 animate-spin" />} Run dry run
+                            </button>
+                        )}
+                        {step === 'preview' && (
+                            <button onClick={handleImport} className={primaryButtonClass} disabled={validEntries.length === 0}>
+                                Import {validEntries.length} row(s)
+                            </button>
+                        )}
+                        {step === 'results' && isWorking && (
+                            <button onClick={() => { stopRequestedRef.current = true; }} className="px-4 py-2 text-sm font-medium text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition">
+                                Stop
+                            </button>
+                        )}
+                        {step === 'results' && !isWorking && (
+                            <button onClick={() => onClose(hasImported)} className={primaryButtonClass}>Done</button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportWizard;
@@ -0,0 +1,139 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { Bold, Italic, Heading, List, ListOrdered, Quote, Code, Link, Eye, EyeOff } from 'lucide-react';
+import MarkdownView from './MarkdownView';
+
+// --- MARKDOWN EDITOR ---
+// Textarea for long-text fields with a formatting toolbar and a live preview next to it.
+// `onChange(text)` receives the whole new text, like a plain input. Ctrl/Cmd+B and Ctrl/Cmd+I
+// make the selection bold or italic.
+
+// Edits return { text, selectionStart, selectionEnd } for the text and the current selection
+const wrapSelection = (before, after, placeholder) => (text, start, end) => {
+    const selected = text.slice(start, end) || placeholder;
+    return {
+        text: text.slice(0, start) + before + selected + after + text.slice(end),
+        selectionStart: start + before.length,
+        selectionEnd: start + before.length + selected.length,
+    };
+};
+
+// `getPrefix(index)` is put in front of every line touched by the selection
+const prefixLines = (getPrefix) => (text, start, end) => {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const nextBreak = text.indexOf('\n', end);
+    const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+    const lines = text.slice(lineStart, lineEnd).split('\n').map((line, index) => getPrefix(index) + line);
+    const block = lines.join('\n');
+    return {
+        text: text.slice(0, lineStart) + block + text.slice(lineEnd),
+        selectionStart: lineStart,
+        selectionEnd: lineStart + block.length,
+    };
+};
+
+const insertLink = (text, start, end) => {
+    const label = text.slice(start, end) || 'link text';
+    const url = 'https://';
+    const linkStart = start + label.length + 3; // after "[label]("
+    return {
+        text: `${text.slice(0, start)}[${label}](${url})${text.slice(end)}`,
+        selectionStart: linkStart,
+        selectionEnd: linkStart + url.length,
+    };
+};
+
+const TOOLBAR_ACTIONS = [
+    { key: 'bold', title: 'Bold (Ctrl+B)', Icon: Bold, edit: wrapSelection('**', '**', 'bold text') },
+    { key: 'italic', title: 'Italic (Ctrl+I)', Icon: Italic, edit: wrapSelection('*', '*', 'italic text') },
+    { key: 'heading', title: 'Heading', Icon: Heading, edit: prefixLines(() => '## ') },
+    { key: 'bullets', title: 'Bulleted list', Icon: List, edit: prefixLines(() => '- ') },
+    { key: 'numbers', title: 'Numbered list', Icon: ListOrdered, edit: prefixLines(index => `${index + 1}. `) },
+    { key: 'quote', title: 'Quote', Icon: Quote, edit: prefixLines(() => '> ') },
+    { key: 'code', title: 'Inline code', Icon: Code, edit: wrapSelection('`', '`', 'code') },
+    { key: 'link', title: 'Link', Icon: Link, edit: insertLink },
+];
+
+const SHORTCUTS = { b: 'bold', i: 'italic' };
+
+const MarkdownEditor = ({ name, value, onChange, placeholder, disabled = false, hasError = false, rows = 6 }) => {
+    const [showPreview, setShowPreview] = useState(true);
+    const textareaRef = useRef(null);
+    const pendingSelectionRef = useRef(null); // selection to restore once an edit is rendered
+    const text = value ?? '';
+
+    useLayoutEffect(() => {
+        const selection = pendingSelectionRef.current;
+        if (!selection || !textareaRef.current) return;
+        pendingSelectionRef.current = null;
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(selection.selectionStart, selection.selectionEnd);
+    });
+
+    const applyAction = (actionKey) => {
+        const textarea = textareaRef.current;
+        if (!textarea || disabled) return;
+        const action = TOOLBAR_ACTIONS.find(a => a.key === actionKey);
+        const result = action.edit(text, textarea.selectionStart, textarea.selectionEnd);
+        pendingSelectionRef.current = result;
+        onChange(result.text);
+    };
+
+    const handleKeyDown = (e) => {
+        const actionKey = (e.ctrlKey || e.metaKey) && !e.altKey && SHORTCUTS[e.key.toLowerCase()];
+        if (!actionKey) return;
+        e.preventDefault();
+        applyAction(actionKey);
+    };
+
+    return (
+        <div className={`border ${hasError ? 'border-red-500' : 'border-gray-300'} rounded-lg shadow-sm overflow-hidden bg-white focus-within:ring-1 focus-within:ring-indigo-500`}>
+            <div className="flex items-center justify-between px-2 py-1 bg-gray-50 border-b border-gray-200">
+                <div className="flex flex-wrap items-center gap-0.5">
+                    {TOOLBAR_ACTIONS.map(({ key, title, Icon }) => (
+                        <button
+                            key={key}
+                            type="button"
+                            title={title}
+                            aria-label={title}
+                            // Keeps the textarea selection the action applies to
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => applyAction(key)}
+                            className="p-1.5 rounded text-gray-600 hover:bg-gray-200 hover:text-gray-900 transition disabled:opacity-50"
+                            disabled={disabled}
+                        >
+                            <Icon className="w-4 h-4" />
+                        </button>
+                    ))}
+                </div>
+                <button
+                    type="button"
+                    onClick={() => setShowPreview(prev => !prev)}
+                    className="px-2 py-1 text-xs font-medium text-gray-600 rounded hover:bg-gray-200 transition flex items-center"
+                >
+                    {showPreview ? <EyeOff className="w-4 h-4 mr-1" /> : <Eye className="w-4 h-4 mr-1" />}
+                    {showPreview ? 'Hide preview' : 'Show preview'}
+                </button>
+            </div>
+            <div className={`grid ${showPreview ? 'md:grid-cols-2' : 'grid-cols-1'}`}>
+                <textarea
+                    ref={textareaRef}
+                    name={name}
+                    rows={rows}
+                    placeholder={placeholder}
+                    value={text}
+                    onChange={(e) => onChange(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    className="p-3 w-full border-0 focus:ring-0 focus:outline-none resize-y font-mono text-sm"
+                    disabled={disabled}
+                />
+                {showPreview && (
+                    <div className="p-3 border-t md:border-t-0 md:border-l border-gray-200 bg-gray-50 overflow-y-auto max-h-80">
+                        <MarkdownView text={text} emptyText="Nothing to preview" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MarkdownEditor;
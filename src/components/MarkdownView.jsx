@@ -0,0 +1,77 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../utils/markdown';
+
+// --- MARKDOWN RENDERING ---
+// Read-only view of a long-text field (see utils/markdown for the supported syntax). Built from
+// React elements only: whatever the stored text holds, it is never interpreted as HTML.
+
+const HEADING_CLASSES = {
+    1: 'text-lg font-bold text-gray-900',
+    2: 'text-base font-bold text-gray-900',
+    3: 'text-sm font-semibold text-gray-900 uppercase tracking-wide',
+};
+
+const renderInline = (tokens) => tokens.map((token, index) => {
+    switch (token.type) {
+        case 'strong':
+            return <strong key={index} className="font-semibold">{renderInline(token.children)}</strong>;
+        case 'em':
+            return <em key={index}>{renderInline(token.children)}</em>;
+        case 'code':
+            return <code key={index} className="px-1 py-0.5 bg-gray-100 rounded text-xs font-mono text-gray-800">{token.text}</code>;
+        case 'link':
+            return (
+                <a key={index} href={token.href} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">
+                    {renderInline(token.children)}
+                </a>
+            );
+        default:
+            return token.text;
+    }
+});
+
+// Lines of a paragraph keep their line breaks
+const renderLines = (lines) => lines.map((line, index) => (
+    <React.Fragment key={index}>
+        {index > 0 && <br />}
+        {renderInline(line)}
+    </React.Fragment>
+));
+
+const renderBlock = (block, index) => {
+    switch (block.type) {
+        case 'heading': {
+            const Tag = `h${block.level + 2}`; // h3..h5: the modal title is the page heading
+            return <Tag key={index} className={HEADING_CLASSES[block.level]}>{renderInline(block.children)}</Tag>;
+        }
+        case 'list': {
+            const Tag = block.ordered ? 'ol' : 'ul';
+            return (
+                <Tag key={index} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-5 space-y-0.5`}>
+                    {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+                </Tag>
+            );
+        }
+        case 'quote':
+            return <blockquote key={index} className="border-l-4 border-gray-300 pl-3 text-gray-600 italic">{renderLines(block.lines)}</blockquote>;
+        case 'code':
+            return <pre key={index} className="p-2 bg-gray-100 rounded text-xs font-mono whitespace-pre-wrap break-words">{block.text}</pre>;
+        case 'rule':
+            return <hr key={index} className="border-gray-200" />;
+        default:
+            return <p key={index}>{renderLines(block.lines)}</p>;
+    }
+};
+
+const MarkdownView = ({ text, emptyText = 'No content', className = '' }) => {
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+    if (blocks.length === 0) return <p className={`text-sm text-gray-400 italic ${className}`}>{emptyText}</p>;
+    return (
+        <div className={`text-sm text-gray-700 space-y-2 break-words ${className}`}>
+            {blocks.map(renderBlock)}
+        </div>
+    );
+};
+
+export default MarkdownView;
@@ -0,0 +1,272 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Loader, Package, Layers, Percent, Globe, RefreshCw } from 'lucide-react';
+import { listProducts } from '../api/productLines';
+import { isAbortError } from '../api/apiClient';
+import { summarizeProducts, groupProductsByLine, buildGmdcHistogram } from '../utils/productLineMetrics';
+import BarChart from './BarChart';
+
+// --- PORTFOLIO DASHBOARD ---
+// Charts over the products and product lines: products per line, GMDC distribution and averages,
+// estimated price ranges, products made in China for Chinese customers and customers in
+// production vs development. Uses the product lines already loaded by the app (`productLines`)
+// and loads every product once; `refreshToken` reloads them whenever it changes.
+// The line filter narrows every chart; no selection means all lines.
+
+const NO_LINE_LABEL = 'No product line';
+
+const formatNumber = (value, digits = 2) => Number(value).toLocaleString(undefined, { maximumFractionDigits: digits });
+
+const formatPercent = (part, total) => (total > 0 ? `${formatNumber((part / total) * 100, 0)} %` : 'N/A');
+
+const ChartCard = ({ title, subtitle, children, className = '' }) => (
+    <div className={`p-6 bg-white rounded-xl shadow-lg ${className}`}>
+        <h3 className="text-lg font-bold text-gray-800">{title}</h3>
+        {subtitle && <p className="text-xs text-gray-500 mb-4">{subtitle}</p>}
+        <div className={subtitle ? '' : 'mt-4'}>{children}</div>
+    </div>
+);
+
+const KpiCard = ({ Icon, label, value, detail }) => (
+    <div className="p-4 bg-white rounded-xl shadow-lg">
+        <div className="flex items-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+            <Icon className="w-4 h-4 mr-1" /> {label}
+        </div>
+        <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+        {detail && <div className="text-xs text-gray-500">{detail}</div>}
+    </div>
+);
+
+// Min–max bar of each line on a common scale starting at 0
+const PriceRangeChart = ({ rows }) => {
+    const scale = Math.max(0, ...rows.map(row => row.max));
+    if (rows.length === 0) return <p className="text-sm text-gray-400 italic">No estimated prices</p>;
+    return (
+        <div className="space-y-2">
+            {rows.map(row => {
+                const left = scale > 0 ? (row.min / scale) * 100 : 0;
+                const width = scale > 0 ? ((row.max - row.min) / scale) * 100 : 0;
+                return (
+                    <div key={row.key} className="flex items-center text-sm">
+                        <span className="w-1/3 pr-3 truncate text-gray-700" title={row.label}>{row.label}</span>
+                        <div className="flex-1 h-5 bg-gray-100 rounded relative">
+                            <div
+                                className="absolute h-full bg-teal-500 rounded"
+                                // A single price shows as a thin mark
+                                style={{ left: `${left}%`, width: `max(${width}%, 4px)` }}
+                                title={`${formatNumber(row.min)} – ${formatNumber(row.max)}`}
+                            />
+                        </div>
+                        <span className="w-32 pl-3 text-right text-gray-600 tabular-nums">
+                            {row.min === row.max ? formatNumber(row.min) : `${formatNumber(row.min)} – ${formatNumber(row.max)}`}
+                        </span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+const PortfolioDashboard = ({ productLines, refreshToken }) => {
+    const [products, setProducts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selectedLineIds, setSelectedLineIds] = useState([]);
+    const [reloadCount, setReloadCount] = useState(0);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setIsLoading(true);
+        setError(null);
+        listProducts({ signal: controller.signal })
+            .then(setProducts)
+            .catch(err => {
+                if (!isAbortError(err)) setError(err.message || 'Could not load the products.');
+            })
+            .finally(() => {
+                if (!controller.signal.aborted) setIsLoading(false);
+            });
+        return () => controller.abort();
+    }, [refreshToken, reloadCount]);
+
+    // Lines deleted since they were selected no longer filter anything
+    const activeLineIds = useMemo(
+        () => selectedLineIds.filter(id => productLines.some(line => String(line.id) === id)),
+        [selectedLineIds, productLines]
+    );
+
+    const groups = useMemo(() => {
+        const allGroups = groupProductsByLine(products, productLines)
+            .filter(group => activeLineIds.length === 0 || (group.productLine && activeLineIds.includes(String(group.productLine.id))));
+        return allGroups.map(group => ({
+            key: group.productLine ? String(group.productLine.id) : 'none',
+            label: group.productLine ? group.productLine.name : NO_LINE_LABEL,
+            products: group.products,
+            summary: summarizeProducts(group.products),
+        }));
+    }, [products, productLines, activeLineIds]);
+
+    const shownProducts = useMemo(() => groups.flatMap(group => group.products), [groups]);
+    const total = useMemo(() => summarizeProducts(shownProducts), [shownProducts]);
+    const histogram = useMemo(() => buildGmdcHistogram(shownProducts), [shownProducts]);
+
+    const toggleLine = (lineId) => setSelectedLineIds(prev => (
+        prev.includes(lineId) ? prev.filter(id => id !== lineId) : [...prev, lineId]
+    ));
+
+    const chipClass = (isActive) => `px-3 py-1 rounded-full text-sm border transition ${isActive
+        ? 'bg-indigo-600 border-indigo-600 text-white'
+        : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'}`;
+
+    if (isLoading && products.length === 0) {
+        return (
+            <div className="p-6 bg-white rounded-xl shadow-lg text-center text-indigo-500">
+                <Loader className="w-5 h-5 animate-spin inline mr-2" /> Loading dashboard...
+            </div>
+        );
+    }
+    if (error) {
+        return (
+            <div className="p-6 bg-white rounded-xl shadow-lg space-y-4">
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>
+                <button
+                    onClick={() => setReloadCount(count => count + 1)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-50 transition shadow-sm flex items-center"
+                >
+                    <RefreshCw className="w-4 h-4 mr-2" /> Retry
+                </button>
+            </div>
+        );
+    }
+
+    const linesWithProducts = groups.filter(group => group.products.length > 0);
+
+    return (
+        <div className="space-y-6">
+            <div className="p-6 bg-white rounded-xl shadow-lg">
+                <div className="flex justify-between items-center mb-3">
+                    <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                        Portfolio Dashboard
+                        {isLoading && <Loader className="w-5 h-5 ml-2 animate-spin text-indigo-500" />}
+                    </h2>
+                    <button
+                        onClick={() => setReloadCount(count => count + 1)}
+                        className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 transition"
+                        title="Reload"
+                        disabled={isLoading}
+                    >
+                        <RefreshCw className="w-4 h-4" />
+                    </button>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={() => setSelectedLineIds([])} className={chipClass(activeLineIds.length === 0)}>
+                        All product lines
+                    </button>
+                    {productLines.map(line => (
+                        <button key={line.id} onClick={() => toggleLine(String(line.id))} className={chipClass(activeLineIds.includes(String(line.id)))}>
+                            {line.name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                <KpiCard Icon={Package} label="Products" value={total.productCount} />
+                <KpiCard
+                    Icon={Layers}
+                    label="Product Lines"
+                    value={activeLineIds.length || productLines.length}
+                    detail={`${linesWithProducts.filter(group => group.key !== 'none').length} with products`}
+                />
+                <KpiCard
+                    Icon={Percent}
+                    label="Average GMDC"
+                    value={total.averageGmdc === null ? 'N/A' : `${formatNumber(total.averageGmdc)} %`}
+                    detail={total.gmdcCount < total.productCount ? `over ${total.gmdcCount} of ${total.productCount} products` : null}
+                />
+                <KpiCard
+                    Icon={Globe}
+                    label="Prod. if Customer in China"
+                    value={formatPercent(total.chinaCount, total.productCount)}
+                    detail={`${total.chinaCount} of ${total.productCount} products`}
+                />
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+                <ChartCard title="Products per Product Line">
+                    <BarChart
+                        rows={groups.map(group => ({
+                            key: group.key,
+                            label: group.label,
+                            segments: [{ value: group.summary.productCount, color: 'bg-indigo-500' }],
+                        }))}
+                    />
+                </ChartCard>
+
+                <ChartCard title="GMDC Distribution" subtitle={`Products per GMDC range, over ${total.gmdcCount} product(s) with a GMDC`}>
+                    <BarChart
+                        rows={histogram.map(bin => ({
+                            key: String(bin.from),
+                            label: `${bin.from}–${bin.to} %`,
+                            segments: [{ value: bin.count, color: 'bg-emerald-500' }],
+                        }))}
+                    />
+                </ChartCard>
+
+                <ChartCard title="Average GMDC by Product Line" subtitle="Lines without any GMDC are left out">
+                    <BarChart
+                        maxValue={100}
+                        emptyText="No GMDC recorded"
+                        rows={linesWithProducts.filter(group => group.summary.averageGmdc !== null).map(group => ({
+                            key: group.key,
+                            label: group.label,
+                            segments: [{ value: group.summary.averageGmdc, color: 'bg-emerald-500' }],
+                            valueLabel: `${formatNumber(group.summary.averageGmdc, 1)} %`,
+                        }))}
+                    />
+                </ChartCard>
+
+                <ChartCard title="Estimated Price Ranges" subtitle="Lowest to highest estimated price per product">
+                    <PriceRangeChart
+                        rows={linesWithProducts.filter(group => group.summary.priceMin !== null).map(group => ({
+                            key: group.key,
+                            label: group.label,
+                            min: group.summary.priceMin,
+                            max: group.summary.priceMax,
+                        }))}
+                    />
+                </ChartCard>
+
+                <ChartCard title="Prod. if Customer in China" subtitle="Share of the products of each line">
+                    <BarChart
+                        legend={[{ label: 'Yes', color: 'bg-amber-500' }, { label: 'No', color: 'bg-gray-300' }]}
+                        rows={linesWithProducts.map(group => ({
+                            key: group.key,
+                            label: group.label,
+                            segments: [
+                                { value: group.summary.chinaCount, color: 'bg-amber-500', label: 'Yes' },
+                                { value: group.summary.productCount - group.summary.chinaCount, color: 'bg-gray-300', label: 'No' },
+                            ],
+                            valueLabel: formatPercent(group.summary.chinaCount, group.summary.productCount),
+                        }))}
+                    />
+                </ChartCard>
+
+                <ChartCard title="Customers" subtitle={`${total.customersInProduction.length} distinct in production, ${total.customersInDevelopment.length} in development`}>
+                    <BarChart
+                        legend={[{ label: 'In production', color: 'bg-indigo-500' }, { label: 'In development', color: 'bg-sky-300' }]}
+                        rows={linesWithProducts.map(group => ({
+                            key: group.key,
+                            label: group.label,
+                            segments: [
+                                { value: group.summary.customersInProduction.length, color: 'bg-indigo-500', label: 'In production' },
+                                { value: group.summary.customersInDevelopment.length, color: 'bg-sky-300', label: 'In development' },
+                            ],
+                        }))}
+                    />
+                </ChartCard>
+            </div>
+        </div>
+    );
+};
+
+export default PortfolioDashboard;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Package } from 'lucide-react';
+import { getFileUrl } from '../api/transport';
+import { getPrimaryPicture } from '../utils/imageFiles';
+
+// --- PRODUCT AVATAR ---
+// Round thumbnail of a product's primary picture (the first of `pictures`), or a placeholder
+// icon when it has none. `size` is a Tailwind size class.
+
+const ProductAvatar = ({ pictures, name = '', size = 'w-8 h-8' }) => {
+    const primary = getPrimaryPicture(pictures);
+    return (
+        <span className={`${size} inline-flex flex-shrink-0 items-center justify-center rounded-full overflow-hidden bg-indigo-50 border border-indigo-100 align-middle`}>
+            {primary
+                ? <img src={getFileUrl(primary)} alt={name} className="h-full w-full object-cover" loading="lazy" />
+                : <Package className="w-1/2 h-1/2 text-indigo-300" />}
+        </span>
+    );
+};
+
+export default ProductAvatar;
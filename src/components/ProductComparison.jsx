@@ -0,0 +1,275 @@
+import React, { useMemo, useState } from 'react';
+import { X, Columns, Download, Printer, Paperclip, AlertTriangle } from 'lucide-react';
+import { getFileUrl } from '../api/transport';
+import { getFieldCaption, groupFieldsBySection, isFileType } from '../utils/fieldSchema';
+import { formatExportValue, toFileList, getFileName, buildExportFileName, downloadCsv, downloadXlsx } from '../utils/exportData';
+import { isSameFieldValue } from '../utils/recordDiff';
+import { markdownToPlainText } from '../utils/markdown';
+import { escapeHtml } from '../utils/escapeHtml';
+import { isImageFile } from '../utils/imageFiles';
+import MarkdownView from './MarkdownView';
+import ImageGallery from './ImageGallery';
+import ProductAvatar from './ProductAvatar';
+
+// --- PRODUCT COMPARISON ---
+// Two or more products side by side, one column per product and one row per field of `fields`
+// (keys of `collection`, grouped by section as in the detail modal). Rows where the products
+// do not all agree are highlighted. The comparison can be downloaded as CSV / XLSX (one column
+// per product) or printed; printing opens the table alone in a new window.
+// onOpenProduct(product) opens a product in the detail modal.
+
+const EXPORT_BASE_NAME = 'product_comparison';
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const getProductName = (product) => product.product_name || String(product.id);
+
+// Text of a cell as exported and printed
+const formatCellText = (field, value) => {
+    if (field.type === 'textarea') return markdownToPlainText(value);
+    const formatted = formatExportValue(value, field.type);
+    return formatted === null ? '' : String(formatted);
+};
+
+const renderCell = (field, value) => {
+    if (field.type === 'file_image' || field.type === 'file_attachment') {
+        const paths = toFileList(value);
+        if (paths.length === 0) return <span className="text-gray-400 italic">No files</span>;
+        if (field.type === 'file_image') return <ImageGallery files={paths} />;
+        return (
+            <ul className="space-y-1">
+                {paths.map(path => (
+                    <li key={path} className="flex items-center">
+                        <Paperclip className="w-4 h-4 mr-1 text-gray-400 flex-shrink-0" />
+                        <a href={getFileUrl(path)} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline break-all">
+                            {getFileName(path)}
+                        </a>
+                    </li>
+                ))}
+            </ul>
+        );
+    }
+    if (field.type === 'textarea') return <MarkdownView text={value} emptyText="N/A" />;
+    if (field.type === 'checkbox') return value === true || value === 'true' ? 'Yes' : 'No';
+    if (isBlank(value)) return <span className="text-gray-400 italic">N/A</span>;
+    return <span className="break-words">{String(value)}{field.unit ? ` ${field.unit}` : ''}</span>;
+};
+
+const buildPrintCell = (field, value) => {
+    if (field.type === 'file_image') {
+        return toFileList(value)
+            .map(path => (isImageFile(path)
+                ? `<img src="${escapeHtml(getFileUrl(path))}" alt="${escapeHtml(getFileName(path))}">`
+                : escapeHtml(getFileName(path))))
+            .join(' ');
+    }
+    return escapeHtml(formatCellText(field, value)).replace(/\n/g, '<br>');
+};
+
+const buildPrintDocument = (title, products, sections, differingKeys) => `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; font-size: 12px; color: #111827; margin: 24px; }
+        h1 { font-size: 18px; margin: 0 0 12px; }
+        table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+        th, td { border: 1px solid #d1d5db; padding: 6px; text-align: left; vertical-align: top; word-wrap: break-word; }
+        thead th { background: #eef2ff; }
+        tbody th { width: 20%; font-weight: 600; color: #4b5563; }
+        .section td { background: #f3f4f6; font-weight: 700; text-transform: uppercase; font-size: 11px; color: #4338ca; }
+        .differs td, .differs th { background: #fef3c7; }
+        img { max-height: 72px; max-width: 72px; object-fit: cover; margin: 0 4px 4px 0; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <table>
+        <thead><tr><th>Field</th>${products.map(product => `<th>${escapeHtml(getProductName(product))}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${sections.map(({ section, fields }) => `
+            ${section ? `<tr class="section"><td colspan="${products.length + 1}">${escapeHtml(section)}</td></tr>` : ''}
+            ${fields.map(field => `<tr class="${differingKeys.has(field.key) ? 'differs' : ''}"><th>${escapeHtml(getFieldCaption(field))}</th>${products.map(product => `<td>${buildPrintCell(field, product[field.key])}</td>`).join('')}</tr>`).join('')}
+            `).join('')}
+        </tbody>
+    </table>
+</body>
+</html>`;
+
+const ProductComparison = ({ collection, fields, products, onClose, onOpenProduct }) => {
+    const [showOnlyDifferences, setShowOnlyDifferences] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const allSections = useMemo(() => groupFieldsBySection(collection, fields), [collection, fields]);
+
+    // Fields on which at least one product differs from the first one
+    const differingKeys = useMemo(() => new Set(allSections
+        .flatMap(({ fields: sectionFields }) => sectionFields)
+        .filter(field => products.some(product => !isSameFieldValue(product[field.key], products[0][field.key], field.type)))
+        .map(field => field.key)), [allSections, products]);
+
+    const sections = showOnlyDifferences
+        ? allSections
+            .map(group => ({ ...group, fields: group.fields.filter(field => differingKeys.has(field.key)) }))
+            .filter(group => group.fields.length > 0)
+        : allSections;
+
+    const title = `Comparison: ${products.map(getProductName).join(' / ')}`;
+
+    // One row per field, one column per product; the sheet keeps every field
+    const buildRows = () => [
+        ['Field', ...products.map(getProductName), 'Differs'],
+        ...allSections.flatMap(({ fields: sectionFields }) => sectionFields).map(field => [
+            getFieldCaption(field),
+            ...products.map(product => (field.type === 'number'
+                ? formatExportValue(product[field.key], field.type)
+                : formatCellText(field, product[field.key]) || null)),
+            differingKeys.has(field.key) ? 'Yes' : 'No',
+        ]),
+    ];
+
+    const handleExport = async (format) => {
+        setIsExporting(true);
+        setError(null);
+        try {
+            const fileName = buildExportFileName(EXPORT_BASE_NAME, format);
+            if (format === 'csv') downloadCsv(buildRows(), fileName);
+            else await downloadXlsx(buildRows(), fileName, 'Comparison');
+        } catch (err) {
+            setError(err.message || 'The comparison could not be exported.');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handlePrint = () => {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            setError('The print window was blocked by the browser. Allow pop-ups for this site and try again.');
+            return;
+        }
+        printWindow.document.write(buildPrintDocument(title, products, sections, differingKeys));
+        printWindow.document.close();
+        printWindow.focus();
+        // Thumbnails must be loaded before the print dialog captures the page
+        printWindow.onload = () => printWindow.print();
+    };
+
+    const actionButtonClass = "px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-50 transition shadow-sm flex items-center disabled:opacity-50";
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-50 transition-opacity duration-300">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-7xl max-h-[90vh] flex flex-col">
+                <div className="p-6 border-b flex justify-between items-center">
+                    <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                        <Columns className="w-5 h-5 mr-2 text-indigo-500" />
+                        Compare {products.length} Products
+                    </h2>
+                    <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-900 rounded-full hover:bg-gray-100 transition" title="Close">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="px-6 py-3 border-b flex flex-wrap items-center gap-3 text-sm">
+                    <label className="flex items-center text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={showOnlyDifferences}
+                            onChange={(e) => setShowOnlyDifferences(e.target.checked)}
+                            className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                        />
+                        Only show differences
+                    </label>
+                    <span className="flex items-center text-gray-500">
+                        <span className="w-3 h-3 rounded-sm mr-1 bg-amber-100 border border-amber-300" />
+                        {differingKeys.size} field(s) differ
+                    </span>
+                    <div className="flex items-center gap-2 ml-auto">
+                        <button onClick={() => handleExport('csv')} className={actionButtonClass} disabled={isExporting}>
+                            <Download className="w-4 h-4 mr-2" /> CSV
+                        </button>
+                        <button onClick={() => handleExport('xlsx')} className={actionButtonClass} disabled={isExporting}>
+                            <Download className="w-4 h-4 mr-2" /> Excel
+                        </button>
+                        <button onClick={handlePrint} className={actionButtonClass}>
+                            <Printer className="w-4 h-4 mr-2" /> Print
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-6 overflow-auto flex-grow">
+                    {error && (
+                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4 flex items-center" role="alert">
+                            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" /> {error}
+                        </div>
+                    )}
+                    <table className="min-w-full border-collapse text-sm" style={{ tableLayout: 'fixed' }}>
+                        <colgroup>
+                            <col style={{ width: 200 }} />
+                            {products.map(product => <col key={product.id} />)}
+                        </colgroup>
+                        <thead>
+                            <tr>
+                                <th className="sticky top-0 left-0 z-20 bg-white px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b">Field</th>
+                                {products.map(product => (
+                                    <th key={product.id} className="sticky top-0 z-10 bg-white px-3 py-2 text-left border-b">
+                                        <ProductAvatar pictures={product.product_pictures} name={getProductName(product)} size="w-12 h-12 mb-1" />
+                                        <button
+                                            onClick={() => onOpenProduct(product)}
+                                            className="block text-base font-bold text-indigo-700 hover:underline text-left break-words"
+                                            title="View/Edit Details"
+                                        >
+                                            {getProductName(product)}
+                                        </button>
+                                        {!isBlank(product.product_line) && <div className="text-xs font-normal text-gray-500">{product.product_line}</div>}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sections.length === 0 && (
+                                <tr>
+                                    <td colSpan={products.length + 1} className="px-3 py-6 text-center text-gray-500">
+                                        The products have the same value in every field.
+                                    </td>
+                                </tr>
+                            )}
+                            {sections.map(({ section, fields: sectionFields }) => (
+                                <React.Fragment key={section || 'other'}>
+                                    {section && (
+                                        <tr>
+                                            <td colSpan={products.length + 1} className="px-3 pt-4 pb-1 text-xs font-semibold text-indigo-700 uppercase tracking-wider">
+                                                {section}
+                                            </td>
+                                        </tr>
+                                    )}
+                                    {sectionFields.map(field => {
+                                        const differs = differingKeys.has(field.key);
+                                        return (
+                                            <tr key={field.key} className={`border-b border-gray-100 ${differs ? 'bg-amber-50' : ''}`}>
+                                                <th className={`sticky left-0 px-3 py-2 text-left align-top text-xs font-medium text-gray-600 ${differs ? 'bg-amber-50' : 'bg-white'}`}>
+                                                    {getFieldCaption(field)}
+                                                </th>
+                                                {products.map(product => (
+                                                    <td key={product.id} className={`px-3 py-2 align-top text-gray-800 ${isFileType(field.type) || field.type === 'textarea' ? '' : 'whitespace-pre-wrap'}`}>
+                                                        {field.type === 'textarea'
+                                                            ? <div className="max-h-48 overflow-y-auto">{renderCell(field, product[field.key])}</div>
+                                                            : renderCell(field, product[field.key])}
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        );
+                                    })}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProductComparison;
@@ -0,0 +1,257 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ArrowLeft, Eye, Loader, Package, Percent, DollarSign, Users, Paperclip } from 'lucide-react';
+import { getProductLine, listProductLineProducts } from '../api/productLines';
+import { isAbortError, NotFoundError } from '../api/apiClient';
+import { getFileUrl } from '../api/transport';
+import { getFieldSchema, getFieldCaption, groupFieldsBySection, isFileType } from '../utils/fieldSchema';
+import { toFileList } from '../utils/exportData';
+import { markdownToPlainText } from '../utils/markdown';
+import { summarizeProducts } from '../utils/productLineMetrics';
+import MarkdownView from './MarkdownView';
+import ProductAvatar from './ProductAvatar';
+
+// --- PRODUCT LINE PAGE ---
+// One product line with its fields, its products and roll-ups of those products
+// (count, average GMDC, price range, customers). `fields` are the line fields to show, in the
+// line collection's schema order; `productCollection` names the product columns.
+// onOpenProduct(product) opens a product; `refreshToken` reloads the page whenever it changes.
+
+const PRODUCT_COLUMNS = ['product_name', 'gmdc_pct', 'estimated_price_per_product', 'customers_in_production', 'customer_in_development'];
+
+const formatNumber = (value) => Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const MetricCard = ({ Icon, label, value, detail }) => (
+    <div className="p-4 bg-white border border-gray-200 rounded-lg shadow-sm">
+        <div className="flex items-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+            <Icon className="w-4 h-4 mr-1" /> {label}
+        </div>
+        <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+        {detail && <div className="text-xs text-gray-500">{detail}</div>}
+    </div>
+);
+
+const CustomerList = ({ title, customers }) => (
+    <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">{title} ({customers.length})</h4>
+        {customers.length === 0 ? (
+            <p className="text-sm text-gray-400 italic">None recorded</p>
+        ) : (
+            <div className="flex flex-wrap gap-2">
+                {customers.map(customer => (
+                    <span key={customer.name} className="px-2 py-1 bg-indigo-50 text-indigo-800 rounded-full text-xs" title={`${customer.productCount} product(s)`}>
+                        {customer.name}
+                        {customer.productCount > 1 && <span className="ml-1 text-indigo-500">×{customer.productCount}</span>}
+                    </span>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+const renderFieldValue = (field, value) => {
+    if (field.type === 'textarea') return <MarkdownView text={value} emptyText="N/A" />;
+    if (isFileType(field.type)) {
+        const paths = toFileList(value);
+        if (paths.length === 0) return <span className="text-sm text-gray-400 italic">No files</span>;
+        return (
+            <ul className="space-y-1">
+                {paths.map(path => (
+                    <li key={path} className="flex items-center text-sm">
+                        <Paperclip className="w-4 h-4 mr-1 text-gray-400 flex-shrink-0" />
+                        <a href={getFileUrl(path)} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline break-all">
+                            {path.split('/').pop()}
+                        </a>
+                    </li>
+                ))}
+            </ul>
+        );
+    }
+    if (field.type === 'checkbox') return <span className="text-sm text-gray-700">{value ? 'Yes' : 'No'}</span>;
+    return isBlank(value)
+        ? <span className="text-sm text-gray-400 italic">N/A</span>
+        : <span className="text-sm text-gray-700 break-words">{String(value)}</span>;
+};
+
+const formatProductCell = (field, value) => {
+    if (isBlank(value)) return 'N/A';
+    if (field.type === 'number') return `${formatNumber(value)}${field.unit ? ` ${field.unit}` : ''}`;
+    if (field.type === 'textarea') return markdownToPlainText(value) || 'N/A';
+    return String(value);
+};
+
+const ProductLinePage = ({ productLineId, collection, fields, productCollection, backLabel, onBack, onOpenProduct, refreshToken }) => {
+    const [productLine, setProductLine] = useState(null);
+    const [products, setProducts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setIsLoading(true);
+        setError(null);
+        (async () => {
+            const line = await getProductLine(productLineId, { signal: controller.signal });
+            const lineProducts = await listProductLineProducts(line, { signal: controller.signal });
+            setProductLine(line);
+            setProducts(lineProducts.sort((a, b) => String(a.product_name ?? '').localeCompare(String(b.product_name ?? ''))));
+        })()
+            .catch(err => {
+                if (isAbortError(err)) return;
+                if (err instanceof NotFoundError) {
+                    setError('This product line has been deleted.');
+                    return;
+                }
+                setError(err.message || 'Could not load this product line.');
+            })
+            .finally(() => {
+                if (!controller.signal.aborted) setIsLoading(false);
+            });
+        return () => controller.abort();
+    }, [productLineId, refreshToken]);
+
+    const summary = useMemo(() => summarizeProducts(products), [products]);
+    const sections = useMemo(() => groupFieldsBySection(collection, fields), [collection, fields]);
+    const productColumns = useMemo(() => PRODUCT_COLUMNS.map(key => getFieldSchema(productCollection, key)), [productCollection]);
+
+    const backButton = (
+        <button
+            type="button"
+            onClick={onBack}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-50 transition shadow-sm flex items-center"
+        >
+            <ArrowLeft className="w-4 h-4 mr-2" /> Back to {backLabel}
+        </button>
+    );
+
+    if (isLoading && !productLine) {
+        return (
+            <div className="p-6 bg-white rounded-xl shadow-lg text-center text-indigo-500">
+                <Loader className="w-5 h-5 animate-spin inline mr-2" /> Loading product line...
+            </div>
+        );
+    }
+    if (error) {
+        return (
+            <div className="p-6 bg-white rounded-xl shadow-lg space-y-4">
+                {backButton}
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>
+            </div>
+        );
+    }
+
+    const priceRange = summary.priceMin === null
+        ? 'N/A'
+        : summary.priceMin === summary.priceMax
+            ? formatNumber(summary.priceMin)
+            : `${formatNumber(summary.priceMin)} – ${formatNumber(summary.priceMax)}`;
+
+    return (
+        <div className="space-y-6">
+            <div className="p-6 bg-white rounded-xl shadow-lg">
+                <div className="flex flex-wrap justify-between items-start gap-4 mb-6">
+                    <div>
+                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Product Line</p>
+                        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                            {productLine.name}
+                            {isLoading && <Loader className="w-5 h-5 ml-2 animate-spin text-indigo-500" />}
+                        </h2>
+                        {productLine.product_line_manager && (
+                            <p className="text-sm text-gray-500">Managed by {productLine.product_line_manager}</p>
+                        )}
+                    </div>
+                    {backButton}
+                </div>
+
+                <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                    <MetricCard Icon={Package} label="Products" value={summary.productCount} />
+                    <MetricCard
+                        Icon={Percent}
+                        label="Average GMDC"
+                        value={summary.averageGmdc === null ? 'N/A' : `${formatNumber(summary.averageGmdc)} %`}
+                        detail={summary.gmdcCount < summary.productCount ? `over ${summary.gmdcCount} of ${summary.productCount} products` : null}
+                    />
+                    <MetricCard
+                        Icon={DollarSign}
+                        label="Price Range"
+                        value={priceRange}
+                        detail={summary.priceCount < summary.productCount ? `over ${summary.priceCount} of ${summary.productCount} products` : null}
+                    />
+                    <MetricCard
+                        Icon={Users}
+                        label="Customers"
+                        value={summary.customersInProduction.length}
+                        detail={`in production, ${summary.customersInDevelopment.length} in development`}
+                    />
+                </div>
+            </div>
+
+            <div className="p-6 bg-white rounded-xl shadow-lg">
+                <h3 className="text-xl font-bold text-gray-800 mb-4">Products ({products.length})</h3>
+                {products.length === 0 ? (
+                    <p className="text-sm text-gray-500">No product references this product line yet.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {productColumns.map(field => (
+                                        <th key={field.key} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            {getFieldCaption(field)}
+                                        </th>
+                                    ))}
+                                    <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {products.map(product => (
+                                    <tr key={product.id} className="hover:bg-gray-50">
+                                        {productColumns.map(field => (
+                                            <td key={field.key} className="px-4 py-3 text-sm text-gray-900 max-w-xs truncate">
+                                                {field.key === 'product_name' && <ProductAvatar pictures={product.product_pictures} name={product.product_name} size="w-7 h-7 mr-2" />}
+                                                {formatProductCell(field, product[field.key])}
+                                            </td>
+                                        ))}
+                                        <td className="px-4 py-3 text-center">
+                                            <button
+                                                onClick={() => onOpenProduct(product)}
+                                                className="text-indigo-600 hover:text-indigo-800 transition p-1 rounded-full hover:bg-indigo-100"
+                                                title="View/Edit Details"
+                                            >
+                                                <Eye className="w-5 h-5" />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <div className="p-6 bg-white rounded-xl shadow-lg grid md:grid-cols-2 gap-6">
+                <CustomerList title="Customers in Production" customers={summary.customersInProduction} />
+                <CustomerList title="Customers in Development" customers={summary.customersInDevelopment} />
+            </div>
+
+            <div className="p-6 bg-white rounded-xl shadow-lg space-y-6">
+                {sections.map(({ section, fields: sectionFields }) => (
+                    <section key={section || 'other'}>
+                        {section && <h3 className="text-sm font-semibold text-indigo-700 uppercase tracking-wider mb-3">{section}</h3>}
+                        <dl className="grid md:grid-cols-2 gap-x-6 gap-y-4">
+                            {sectionFields.map(field => (
+                                <div key={field.key} className={field.type === 'textarea' || isFileType(field.type) ? 'md:col-span-2' : ''}>
+                                    <dt className="text-xs font-medium text-gray-500 mb-1">{getFieldCaption(field)}</dt>
+                                    <dd>{renderFieldValue(field, productLine[field.key])}</dd>
+                                </div>
+                            ))}
+                        </dl>
+                    </section>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ProductLinePage;
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { Loader, Clock, Plus, Minus, ArrowRight, ArrowUpDown } from 'lucide-react';
+import { getRecordHistory } from '../api/auditLogs';
+import { isAbortError } from '../api/apiClient';
+import { diffRecords } from '../utils/recordDiff';
+
+// --- RECORD HISTORY (DETAIL MODAL TAB) ---
+// Every audit entry of one record, newest first, with the before/after value of each changed
+// field. `fields` are the record's display fields as { key, label, type }.
+
+const ACTION_STYLES = {
+    CREATE: 'bg-green-100 text-green-800',
+    UPDATE: 'bg-blue-100 text-blue-800',
+    DELETE: 'bg-red-100 text-red-800',
+};
+
+const EmptyValue = () => <span className="italic text-gray-400">empty</span>;
+
+const renderChange = (change) => {
+    if (change.added || change.removed) {
+        return (
+            <div className="space-y-1">
+                {change.added.map(name => (
+                    <div key={`added-${name}`} className="flex items-center text-green-700">
+                        <Plus className="w-3 h-3 mr-1 flex-shrink-0" /> <span className="break-all">{name}</span>
+                    </div>
+                ))}
+                {change.removed.map(name => (
+                    <div key={`removed-${name}`} className="flex items-center text-red-700 line-through">
+                        <Minus className="w-3 h-3 mr-1 flex-shrink-0" /> <span className="break-all">{name}</span>
+                    </div>
+                ))}
+                {change.reordered && (
+                    <div className="flex items-center text-gray-600">
+                        <ArrowUpDown className="w-3 h-3 mr-1 flex-shrink-0" /> Order changed
+                    </div>
+                )}
+            </div>
+        );
+    }
+    return (
+        <div className="flex items-start gap-2">
+            <span className="bg-red-50 text-red-800 px-1 rounded break-words whitespace-pre-wrap max-w-[45%]">{change.before || <EmptyValue />}</span>
+            <ArrowRight className="w-4 h-4 mt-0.5 text-gray-400 flex-shrink-0" />
+            <span className="bg-green-50 text-green-800 px-1 rounded break-words whitespace-pre-wrap max-w-[45%]">{change.after || <EmptyValue />}</span>
+        </div>
+    );
+};
+
+const RecordHistory = ({ tableName, recordId, fields }) => {
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setIsLoading(true);
+        setError(null);
+        getRecordHistory(tableName, recordId, { signal: controller.signal })
+            .then(setEntries)
+            .catch(err => {
+                if (!isAbortError(err)) setError(err.message || 'Could not load the history of this record.');
+            })
+            .finally(() => {
+                if (!controller.signal.aborted) setIsLoading(false);
+            });
+        return () => controller.abort();
+    }, [tableName, recordId]);
+
+    if (isLoading) {
+        return (
+            <div className="p-6 text-center text-indigo-500">
+                <Loader className="w-5 h-5 animate-spin inline mr-2" /> Loading history...
+            </div>
+        );
+    }
+    if (error) {
+        return <div className="m-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>;
+    }
+    if (entries.length === 0) {
+        return <p className="p-6 text-center text-gray-500">No recorded changes for this record.</p>;
+    }
+
+    return (
+        <ol className="p-6 space-y-4">
+            {entries.map(entry => {
+                const changes = diffRecords(entry.old_data, entry.new_data, fields);
+                const hasSnapshots = !!(entry.old_data || entry.new_data);
+
+                return (
+                    <li key={entry.id} className="border border-gray-200 rounded-lg">
+                        <div className="flex flex-wrap items-center gap-2 px-4 py-2 bg-gray-50 border-b text-sm">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${ACTION_STYLES[entry.action] || 'bg-gray-200 text-gray-700'}`}>
+                                {entry.action}
+                            </span>
+                            <span className="font-medium text-gray-800">{entry.user_name || entry.user_id || 'Unknown user'}</span>
+                            <span className="text-gray-500 flex items-center ml-auto">
+                                <Clock className="w-4 h-4 mr-1" />
+                                {entry.logged_at ? new Date(entry.logged_at).toLocaleString() : 'N/A'}
+                            </span>
+                        </div>
+                        {changes.length > 0 ? (
+                            <table className="min-w-full text-sm">
+                                <tbody className="divide-y divide-gray-100">
+                                    {changes.map(change => (
+                                        <tr key={change.field.key}>
+                                            <td className="px-4 py-2 w-1/4 align-top text-xs font-medium text-gray-500">{change.field.label}</td>
+                                            <td className="px-4 py-2">{renderChange(change)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        ) : (
+                            <p className="px-4 py-2 text-sm text-gray-500">
+                                {hasSnapshots ? 'No field changes.' : 'No details were recorded for this entry.'}
+                            </p>
+                        )}
+                    </li>
+                );
+            })}
+        </ol>
+    );
+};
+
+export default RecordHistory;
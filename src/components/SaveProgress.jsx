@@ -0,0 +1,34 @@
+import React from 'react';
+import { Upload } from 'lucide-react';
+
+// --- SAVE PROGRESS ---
+// Shown while a record is sent together with its new files in one multipart request, when the
+// backend has no upload endpoint (see api/uploads): one progress bar for the whole save and
+// onCancel to stop it while the body is being sent. `progress` goes from 0 to 1: once the body is
+// sent the server may already be storing the record, so the save can no longer be cancelled.
+
+const SaveProgress = ({ fileCount, progress, onCancel }) => (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-[60]">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-md" role="dialog" aria-label="Saving">
+            <div className="p-6">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                    <Upload className="w-5 h-5 mr-2 text-indigo-500" />
+                    Saving with {fileCount} file(s)
+                </h2>
+                <p className="text-sm text-gray-500 mt-1">
+                    {progress < 1 ? `${Math.round(progress * 100)} % sent.` : 'Sent, waiting for the server...'}
+                </p>
+                <div className="w-full bg-gray-100 rounded-full h-2 mt-4">
+                    <div className="h-2 rounded-full bg-indigo-600 transition-all" style={{ width: `${progress * 100}%` }} />
+                </div>
+            </div>
+            <div className="p-4 border-t flex justify-end">
+                <button type="button" onClick={onCancel} disabled={progress >= 1} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition disabled:opacity-50">
+                    Cancel save
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+export default SaveProgress;
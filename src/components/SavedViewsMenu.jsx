@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Bookmark, ChevronDown, Star, Globe, Trash2, Save, Plus } from 'lucide-react';
+
+// --- SAVED VIEWS DROPDOWN ---
+// Lists the views of the active collection (own + published ones) and exposes the view
+// actions. All persistence is done by the parent through the on* callbacks.
+const SavedViewsMenu = ({
+    views,
+    activeViewId,
+    currentUserId,
+    isAdmin,
+    canShare,
+    onApply,
+    onSaveNew,
+    onUpdate,
+    onDelete,
+    onToggleDefault,
+    onTogglePublish,
+    disabled,
+}) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    // Close when clicking anywhere outside the menu
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleMouseDown = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleMouseDown);
+        return () => document.removeEventListener('mousedown', handleMouseDown);
+    }, [isOpen]);
+
+    const activeView = views.find(view => view.id === activeViewId);
+    const canModify = (view) => view.owner_id === currentUserId || (view.is_shared && isAdmin);
+
+    // Own views first, then the ones published by others
+    const sortedViews = [...views].sort((a, b) => (
+        (a.owner_id === currentUserId ? 0 : 1) - (b.owner_id === currentUserId ? 0 : 1) || a.name.localeCompare(b.name)
+    ));
+
+    const runAndClose = (action) => {
+        setIsOpen(false);
+        action();
+    };
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                className={`px-3 py-2 border rounded-lg text-sm font-medium transition shadow-sm flex items-center ${activeView ? 'border-indigo-400 text-indigo-700 bg-indigo-50' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+                disabled={disabled}
+            >
+                <Bookmark className="w-4 h-4 mr-2" />
+                <span className="truncate max-w-[160px]">{activeView ? activeView.name : 'Views'}</span>
+                <ChevronDown className="w-4 h-4 ml-1" />
+            </button>
+
+            {isOpen && (
+                <div className="absolute left-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-xl z-20">
+                    <div className="max-h-72 overflow-y-auto py-1">
+                        {sortedViews.length === 0 && (
+                            <p className="px-4 py-3 text-sm text-gray-500">No saved views for this table yet.</p>
+                        )}
+                        {sortedViews.map(view => (
+                            <div
+                                key={view.id}
+                                className={`flex items-center justify-between px-3 py-2 text-sm hover:bg-gray-50 ${view.id === activeViewId ? 'bg-indigo-50' : ''}`}
+                            >
+                                <button
+                                    onClick={() => runAndClose(() => onApply(view))}
+                                    className="flex-grow text-left truncate text-gray-800"
+                                    title={view.owner_id === currentUserId ? 'Apply this view' : `Published by ${view.owner_name || 'an administrator'}`}
+                                >
+                                    {view.is_shared && <Globe className="w-3 h-3 mr-1 inline text-green-600" />}
+                                    {view.name}
+                                </button>
+                                <div className="flex items-center space-x-1 flex-shrink-0">
+                                    <button
+                                        onClick={() => onToggleDefault(view)}
+                                        className={`p-1 rounded-full hover:bg-yellow-100 ${view.is_default ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}`}
+                                        title={view.is_default ? 'Default view (click to unset)' : 'Use as my default view'}
+                                    >
+                                        <Star className="w-4 h-4" fill={view.is_default ? 'currentColor' : 'none'} />
+                                    </button>
+                                    {isAdmin && canShare && canModify(view) && (
+                                        <button
+                                            onClick={() => onTogglePublish(view)}
+                                            className={`p-1 rounded-full hover:bg-green-100 ${view.is_shared ? 'text-green-600' : 'text-gray-300 hover:text-green-600'}`}
+                                            title={view.is_shared ? 'Published to everyone (click to unpublish)' : 'Publish to everyone'}
+                                        >
+                                            <Globe className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                    {canModify(view) && (
+                                        <button
+                                            onClick={() => runAndClose(() => onDelete(view))}
+                                            className="p-1 rounded-full text-red-500 hover:text-red-700 hover:bg-red-100"
+                                            title="Delete view"
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="border-t py-1">
+                        {activeView && canModify(activeView) && (
+                            <button
+                                onClick={() => runAndClose(() => onUpdate(activeView))}
+                                className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 flex items-center"
+                            >
+                                <Save className="w-4 h-4 mr-2" /> Update "{activeView.name}"
+                            </button>
+                        )}
+                        <button
+                            onClick={() => runAndClose(onSaveNew)}
+                            className="w-full text-left px-4 py-2 text-sm text-indigo-700 hover:bg-indigo-50 flex items-center"
+                        >
+                            <Plus className="w-4 h-4 mr-2" /> Save current view as...
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SavedViewsMenu;
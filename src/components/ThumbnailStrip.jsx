@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { getFileUrl } from '../api/transport';
+import { getFileName, toFileList } from '../utils/exportData';
+import { isImageFile } from '../utils/imageFiles';
+import ImageCarousel from './ImageCarousel';
+
+// --- THUMBNAIL STRIP ---
+// The first stored pictures of a record as small thumbnails for table cells, with a count of the
+// others. Clicking a thumbnail opens the carousel on all of them.
+
+const ThumbnailStrip = ({ value, max = 3 }) => {
+    const [carouselIndex, setCarouselIndex] = useState(null);
+    const images = toFileList(value)
+        .filter(path => typeof path === 'string' && isImageFile(path))
+        .map(path => ({ key: path, src: getFileUrl(path), name: getFileName(path) }));
+
+    if (images.length === 0) return 'N/A';
+
+    return (
+        <span className="inline-flex items-center gap-1 align-middle">
+            {images.slice(0, max).map((image, index) => (
+                <button
+                    type="button"
+                    key={image.key}
+                    onClick={() => setCarouselIndex(index)}
+                    className="h-8 w-8 flex-shrink-0 rounded border border-gray-200 overflow-hidden bg-gray-100 cursor-zoom-in"
+                    title={image.name}
+                >
+                    <img src={image.src} alt={image.name} className="h-full w-full object-cover" loading="lazy" />
+                </button>
+            ))}
+            {images.length > max && <span className="text-xs text-gray-500">+{images.length - max}</span>}
+            {carouselIndex !== null && (
+                <ImageCarousel images={images} startIndex={carouselIndex} onClose={() => setCarouselIndex(null)} />
+            )}
+        </span>
+    );
+};
+
+export default ThumbnailStrip;
@@ -0,0 +1,174 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Upload, X, RotateCcw, CheckCircle, AlertTriangle, Loader } from 'lucide-react';
+import { isAbortError } from '../api/apiClient';
+import { isUploadEndpointSupported } from '../api/uploads';
+import { formatFileSize } from '../utils/uploadRules';
+
+// --- UPLOAD PROGRESS ---
+// Uploads the new files of a record one at a time before it is saved, with a progress bar,
+// Cancel and Retry per file. `items` are [{ id, file, fieldLabel }] and
+// upload(item, { signal, onProgress(fraction) }) resolves with the stored path of a file.
+// onFinish(result) ends the dialog with:
+//   { paths: Map(id -> path), skipped: [{ name, reason }] }   the record can be saved
+//   { unsupported: true }   the backend has no upload endpoint, the files go with the record
+//   { cancelled: true, uploaded: [path] }   the user cancelled the save after these files
+//                                           were uploaded
+// When every file is uploaded the dialog finishes by itself; otherwise it asks whether to save
+// without the failed or cancelled files.
+
+const STATUS_LABELS = { queued: 'Waiting', uploading: 'Uploading', done: 'Uploaded', failed: 'Failed', cancelled: 'Cancelled' };
+
+const UploadProgress = ({ items, upload, onFinish }) => {
+    const [states, setStates] = useState(() => Object.fromEntries(items.map(item => [item.id, { status: 'queued', progress: 0 }])));
+    const controllers = useRef({});
+    const isFinished = useRef(false);
+    const onFinishRef = useRef(onFinish);
+    onFinishRef.current = onFinish;
+
+    const updateState = useCallback((id, changes) => setStates(prev => ({ ...prev, [id]: { ...prev[id], ...changes } })), []);
+
+    const finish = useCallback((result) => {
+        if (isFinished.current) return;
+        isFinished.current = true;
+        Object.values(controllers.current).forEach(controller => controller.abort());
+        onFinishRef.current(result);
+    }, []);
+
+    const activeItem = items.find(item => states[item.id].status === 'uploading');
+    const nextItem = items.find(item => states[item.id].status === 'queued');
+    const isIdle = !activeItem && !nextItem;
+    const failedItems = items.filter(item => ['failed', 'cancelled'].includes(states[item.id].status));
+
+    // One upload at a time, in the order of the files: the next one starts when a file is done,
+    // cancelled or queued again for a retry
+    useEffect(() => {
+        if (activeItem || !nextItem || isFinished.current) return;
+        const item = nextItem;
+        const controller = new AbortController();
+        controllers.current[item.id] = controller;
+        updateState(item.id, { status: 'uploading', progress: 0, error: null });
+
+        upload(item, { signal: controller.signal, onProgress: (progress) => updateState(item.id, { progress }) })
+            .then(path => updateState(item.id, { status: 'done', progress: 1, path }))
+            .catch(error => {
+                if (isAbortError(error)) return; // cancelled from the dialog
+                if (!isUploadEndpointSupported()) {
+                    finish({ unsupported: true });
+                    return;
+                }
+                updateState(item.id, { status: 'failed', error: error.message || 'Upload failed.' });
+            })
+            .finally(() => {
+                delete controllers.current[item.id];
+            });
+    }, [activeItem, nextItem, upload, updateState, finish]);
+
+    // Leaving the screen (logout...) stops the running upload
+    useEffect(() => {
+        const running = controllers.current;
+        return () => Object.values(running).forEach(controller => controller.abort());
+    }, []);
+
+    useEffect(() => {
+        if (isIdle && failedItems.length === 0) {
+            finish({ paths: new Map(items.map(item => [item.id, states[item.id].path])), skipped: [] });
+        }
+    });
+
+    const cancelItem = (item) => {
+        const controller = controllers.current[item.id];
+        if (controller) controller.abort();
+        updateState(item.id, { status: 'cancelled', error: null });
+    };
+
+    const retryItem = (item) => updateState(item.id, { status: 'queued', progress: 0, error: null });
+
+    const saveWithoutFailed = () => finish({
+        paths: new Map(items.filter(item => states[item.id].status === 'done').map(item => [item.id, states[item.id].path])),
+        skipped: failedItems.map(item => ({ name: item.file.name, reason: states[item.id].error || 'Upload cancelled.' })),
+    });
+
+    const cancelSave = () => finish({
+        cancelled: true,
+        uploaded: items.filter(item => states[item.id].status === 'done').map(item => states[item.id].path),
+    });
+
+    const doneCount = items.filter(item => states[item.id].status === 'done').length;
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center p-4 z-[60]">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col" role="dialog" aria-label="File uploads">
+                <div className="p-6 border-b">
+                    <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                        <Upload className="w-5 h-5 mr-2 text-indigo-500" />
+                        Uploading files
+                    </h2>
+                    <p className="text-sm text-gray-500 mt-1">{doneCount} of {items.length} file(s) uploaded. The record is saved once the uploads are over.</p>
+                </div>
+
+                <ul className="p-6 overflow-y-auto flex-grow space-y-3">
+                    {items.map(item => {
+                        const { status, progress, error } = states[item.id];
+                        return (
+                            <li key={item.id} className="text-sm">
+                                <div className="flex items-center justify-between gap-3">
+                                    <span className="truncate text-gray-800" title={item.file.name}>
+                                        {item.file.name}
+                                        <span className="text-xs text-gray-500 ml-2">{item.fieldLabel} · {formatFileSize(item.file.size)}</span>
+                                    </span>
+                                    <span className="flex items-center flex-shrink-0 gap-2">
+                                        <span className={`text-xs font-medium ${status === 'failed' ? 'text-red-600' : status === 'done' ? 'text-green-600' : 'text-gray-500'}`}>
+                                            {status === 'uploading' ? `${Math.round(progress * 100)} %` : STATUS_LABELS[status]}
+                                        </span>
+                                        {status === 'done' && <CheckCircle className="w-4 h-4 text-green-600" />}
+                                        {(status === 'queued' || status === 'uploading') && (
+                                            <button type="button" onClick={() => cancelItem(item)} className="p-1 text-gray-500 hover:text-red-600 rounded-full hover:bg-gray-100" title="Cancel this upload">
+                                                <X className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                        {(status === 'failed' || status === 'cancelled') && (
+                                            <button type="button" onClick={() => retryItem(item)} className="p-1 text-indigo-600 hover:text-indigo-800 rounded-full hover:bg-indigo-50" title="Retry this upload">
+                                                <RotateCcw className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                    </span>
+                                </div>
+                                <div className="w-full bg-gray-100 rounded-full h-2 mt-1">
+                                    <div
+                                        className={`h-2 rounded-full transition-all ${status === 'failed' ? 'bg-red-500' : status === 'cancelled' ? 'bg-gray-300' : 'bg-indigo-600'}`}
+                                        style={{ width: `${(status === 'failed' || status === 'cancelled' ? 1 : progress) * 100}%` }}
+                                    />
+                                </div>
+                                {error && (
+                                    <p className="text-xs text-red-600 mt-1 flex items-center">
+                                        <AlertTriangle className="w-3 h-3 mr-1 flex-shrink-0" /> {error}
+                                    </p>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <div className="p-4 border-t flex justify-between items-center gap-3">
+                    <span className="text-sm text-gray-600">
+                        {isIdle && failedItems.length > 0
+                            ? `${failedItems.length} file(s) not uploaded: retry them or save without them.`
+                            : <span className="flex items-center"><Loader className="w-4 h-4 mr-2 animate-spin text-indigo-500" /> Uploading...</span>}
+                    </span>
+                    <div className="flex gap-3">
+                        <button type="button" onClick={cancelSave} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition">
+                            Cancel save
+                        </button>
+                        {isIdle && failedItems.length > 0 && (
+                            <button type="button" onClick={saveWithoutFailed} className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition shadow-md">
+                                Save without them
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UploadProgress;
@@ -0,0 +1,286 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import Swal from 'sweetalert2';
+import { Users, UserPlus, KeyRound, Trash2, Loader, Filter, RefreshCw, ChevronDown, UserX, UserCheck } from 'lucide-react';
+import { USER_ROLES, getRoleLabel, isUserActive, listUsers, inviteUser, updateUser, deleteUser, resetUserPassword } from '../api/users';
+import { getLastLogins } from '../api/auditLogs';
+import { escapeHtml } from '../utils/escapeHtml';
+import { normalizeRole } from '../utils/permissions';
+
+// --- ADMIN: USER MANAGEMENT CONSOLE ---
+// Lists every account with its role, status and last login (from the LOGIN audit entries)
+// and runs the account actions. Admins cannot deactivate, demote or delete themselves.
+
+const formatLastLogin = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never');
+
+// Temporary passwords are only returned once, so the admin must copy them now
+const showTemporaryPassword = (title, user, temporaryPassword) => Swal.fire({
+    title,
+    icon: 'success',
+    html: `
+        <p class="text-sm">Temporary password for <b>${escapeHtml(user.email)}</b>:</p>
+        <p class="my-3"><code class="px-3 py-1 bg-gray-100 rounded text-lg select-all">${escapeHtml(temporaryPassword)}</code></p>
+        <p class="text-xs text-gray-500">Share it through a secure channel. It will not be shown again.</p>
+    `,
+});
+
+const UserManagement = ({ currentUser, onError }) => {
+    const [users, setUsers] = useState([]);
+    const [lastLogins, setLastLogins] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [busyUserId, setBusyUserId] = useState(null);
+
+    const loadUsers = useCallback(async (signal) => {
+        setIsLoading(true);
+        try {
+            const data = await listUsers({ signal });
+            const loadedUsers = Array.isArray(data) ? data : [];
+            setUsers(loadedUsers);
+            setLastLogins(await getLastLogins(loadedUsers.map(user => user.id), { signal }));
+        } catch (error) {
+            onError(error);
+        } finally {
+            if (!signal || !signal.aborted) setIsLoading(false);
+        }
+    }, [onError]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadUsers(controller.signal);
+        return () => controller.abort();
+    }, [loadUsers]);
+
+    const filteredUsers = useMemo(() => {
+        const term = searchTerm.trim().toLowerCase();
+        const sorted = [...users].sort((a, b) => String(a.displayName || a.email).localeCompare(String(b.displayName || b.email)));
+        if (!term) return sorted;
+        return sorted.filter(user => [user.displayName, user.email, getRoleLabel(user.user_role)]
+            .some(value => String(value || '').toLowerCase().includes(term)));
+    }, [users, searchTerm]);
+
+    const replaceUser = (updated) => setUsers(prev => prev.map(user => (user.id === updated.id ? { ...user, ...updated } : user)));
+
+    // Runs one account action with the row marked busy; errors go to the app's error reporting
+    const runUserAction = async (user, action) => {
+        setBusyUserId(user.id);
+        try {
+            await action();
+        } catch (error) {
+            onError(error, { popup: true });
+        } finally {
+            setBusyUserId(null);
+        }
+    };
+
+    const handleInvite = async () => {
+        const { value: invitation } = await Swal.fire({
+            title: 'Invite a user',
+            html: `
+                <input id="swal-invite-email" type="email" class="swal2-input" placeholder="name.lastname@avocarbon.com">
+                <input id="swal-invite-name" class="swal2-input" placeholder="Firstname Lastname">
+                <select id="swal-invite-role" class="swal2-select">
+                    ${USER_ROLES.map(role => `<option value="${role.value}">${escapeHtml(role.label)}</option>`).join('')}
+                </select>
+            `,
+            focusConfirm: false,
+            showCancelButton: true,
+            confirmButtonText: 'Create account',
+            preConfirm: () => {
+                const email = document.getElementById('swal-invite-email').value.trim();
+                const displayName = document.getElementById('swal-invite-name').value.trim();
+                if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                    Swal.showValidationMessage('Please enter a valid email address.');
+                    return false;
+                }
+                if (!displayName) {
+                    Swal.showValidationMessage('Please enter the display name.');
+                    return false;
+                }
+                return { email, displayName, user_role: document.getElementById('swal-invite-role').value };
+            },
+        });
+        if (!invitation) return;
+
+        try {
+            const { user, temporary_password: temporaryPassword } = await inviteUser(invitation);
+            setUsers(prev => [...prev, user]);
+            showTemporaryPassword('Account created', user, temporaryPassword);
+        } catch (error) {
+            onError(error, { popup: true });
+        }
+    };
+
+    const handleRoleChange = (user, role) => runUserAction(user, async () => {
+        replaceUser(await updateUser(user.id, { user_role: role }));
+    });
+
+    const handleToggleActive = async (user) => {
+        const isActive = isUserActive(user);
+        if (isActive) {
+            const result = await Swal.fire({
+                title: `Deactivate ${user.displayName || user.email}?`,
+                text: 'The user will be logged out and will not be able to log in until the account is reactivated.',
+                icon: 'warning',
+                showCancelButton: true,
+                confirmButtonText: 'Deactivate',
+            });
+            if (!result.isConfirmed) return;
+        }
+        runUserAction(user, async () => {
+            replaceUser(await updateUser(user.id, { is_active: !isActive }));
+        });
+    };
+
+    const handleResetPassword = async (user) => {
+        const result = await Swal.fire({
+            title: `Reset the password of ${user.displayName || user.email}?`,
+            text: 'The current password stops working immediately and a temporary one is generated.',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonText: 'Reset password',
+        });
+        if (!result.isConfirmed) return;
+
+        runUserAction(user, async () => {
+            const { temporary_password: temporaryPassword } = await resetUserPassword(user.id);
+            showTemporaryPassword('Password reset', user, temporaryPassword);
+        });
+    };
+
+    const handleDelete = async (user) => {
+        const result = await Swal.fire({
+            title: `Delete ${user.displayName || user.email}?`,
+            text: 'The account is permanently removed. Deactivate it instead to keep its history readable.',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            confirmButtonText: 'Delete',
+        });
+        if (!result.isConfirmed) return;
+
+        runUserAction(user, async () => {
+            await deleteUser(user.id);
+            setUsers(prev => prev.filter(u => u.id !== user.id));
+        });
+    };
+
+    const iconButtonClass = "p-1 rounded-full transition disabled:opacity-40 disabled:hover:bg-transparent";
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-xl mt-6 overflow-x-auto">
+            <div className="flex justify-between items-center mb-4 flex-wrap gap-4">
+                <h2 className="2xl font-bold text-gray-800 flex items-center">
+                    <Users className="w-5 h-5 mr-2 text-indigo-500" />
+                    User Accounts
+                    <span className="ml-2 text-sm font-medium text-indigo-500 p-1 bg-indigo-50 rounded-full">{users.length} users</span>
+                </h2>
+                <div className="flex items-center space-x-2">
+                    <div className="relative">
+                        <input
+                            type="text"
+                            placeholder="Search users..."
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm w-full sm:w-48"
+                        />
+                        <Filter className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                    </div>
+                    <button onClick={() => loadUsers()} className="p-2 text-gray-600 rounded-lg hover:bg-gray-100 transition" disabled={isLoading} title="Refresh">
+                        <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+                    </button>
+                    <button
+                        onClick={handleInvite}
+                        className="px-4 py-2 text-sm font-semibold rounded-lg shadow-md transition duration-150 flex items-center bg-indigo-600 hover:bg-indigo-700 text-white"
+                    >
+                        <UserPlus className="w-4 h-4 mr-2" /> Invite User
+                    </button>
+                </div>
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                    <tr>
+                        {['Name', 'Email', 'Role', 'Status', 'Last Login'].map(title => (
+                            <th key={title} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{title}</th>
+                        ))}
+                        <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider w-36">Actions</th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {isLoading && users.length === 0 ? (
+                        <tr>
+                            <td colSpan={6} className="px-4 py-4 text-center text-indigo-500">
+                                <Loader className="w-5 h-5 animate-spin inline mr-2" /> Loading users...
+                            </td>
+                        </tr>
+                    ) : filteredUsers.length === 0 ? (
+                        <tr>
+                            <td colSpan={6} className="px-4 py-4 text-center text-gray-500">No users found.</td>
+                        </tr>
+                    ) : filteredUsers.map(user => {
+                        const isSelf = user.id === currentUser.id;
+                        const isActive = isUserActive(user);
+                        const isBusy = busyUserId === user.id;
+
+                        return (
+                            <tr key={user.id} className={isActive ? 'hover:bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                                    {user.displayName || 'N/A'}
+                                    {isSelf && <span className="ml-2 text-xs text-indigo-500">(you)</span>}
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm">{user.email}</td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                    <div className="relative w-40">
+                                        <select
+                                            value={normalizeRole(user.user_role)}
+                                            onChange={(e) => handleRoleChange(user, e.target.value)}
+                                            className="appearance-none pr-8 pl-3 py-1 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 text-sm w-full disabled:bg-gray-100"
+                                            disabled={isSelf || isBusy}
+                                            title={isSelf ? 'You cannot change your own role' : 'Change role'}
+                                        >
+                                            {USER_ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                                        </select>
+                                        <ChevronDown className="w-4 h-4 text-gray-500 absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none" />
+                                    </div>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${isActive ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'}`}>
+                                        {isActive ? 'Active' : 'Deactivated'}
+                                    </span>
+                                </td>
+                                <td className="px-4 py-3 whitespace-nowrap text-sm">{formatLastLogin(lastLogins[user.id])}</td>
+                                <td className="px-4 py-3 whitespace-nowrap text-center text-sm">
+                                    {isBusy ? <Loader className="w-5 h-5 animate-spin inline text-indigo-500" /> : (
+                                        <>
+                                            <button onClick={() => handleResetPassword(user)} className={`${iconButtonClass} text-indigo-600 hover:bg-indigo-100`} title="Reset password">
+                                                <KeyRound className="w-5 h-5" />
+                                            </button>
+                                            <button
+                                                onClick={() => handleToggleActive(user)}
+                                                className={`${iconButtonClass} ml-2 ${isActive ? 'text-yellow-600 hover:bg-yellow-100' : 'text-green-600 hover:bg-green-100'}`}
+                                                disabled={isSelf}
+                                                title={isSelf ? 'You cannot deactivate your own account' : isActive ? 'Deactivate' : 'Reactivate'}
+                                            >
+                                                {isActive ? <UserX className="w-5 h-5" /> : <UserCheck className="w-5 h-5" />}
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(user)}
+                                                className={`${iconButtonClass} ml-2 text-red-600 hover:bg-red-100`}
+                                                disabled={isSelf}
+                                                title={isSelf ? 'You cannot delete your own account' : 'Delete'}
+                                            >
+                                                <Trash2 className="w-5 h-5" />
+                                            </button>
+                                        </>
+                                    )}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default UserManagement;
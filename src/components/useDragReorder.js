@@ -0,0 +1,51 @@
+import { useState } from 'react';
+
+// --- DRAG TO REORDER ---
+// Props for the items of a list that the user reorders by dragging them. onMove(from, to) is
+// called when an item is dropped on another one; dragIndex / overIndex let the list show the
+// dragged item and where it goes. Files dragged in from outside are left to the drop zones.
+
+// `list` with the item at `fromIndex` moved to `toIndex`
+export const moveItem = (list, fromIndex, toIndex) => {
+    const moved = [...list];
+    const [item] = moved.splice(fromIndex, 1);
+    moved.splice(toIndex, 0, item);
+    return moved;
+};
+
+const useDragReorder = (onMove, isEnabled = true) => {
+    const [dragIndex, setDragIndex] = useState(null);
+    const [overIndex, setOverIndex] = useState(null);
+
+    const reset = () => {
+        setDragIndex(null);
+        setOverIndex(null);
+    };
+
+    const getItemProps = (index) => (isEnabled ? {
+        draggable: true,
+        onDragStart: (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index)); // Firefox only drags with data
+            setDragIndex(index);
+        },
+        onDragOver: (e) => {
+            if (dragIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            if (overIndex !== index) setOverIndex(index);
+        },
+        onDrop: (e) => {
+            if (dragIndex === null) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (dragIndex !== index) onMove(dragIndex, index);
+            reset();
+        },
+        onDragEnd: reset,
+    } : {});
+
+    return { dragIndex, overIndex, getItemProps };
+};
+
+export default useDragReorder;
@@ -0,0 +1,71 @@
+// --- AUDIT LOG QUERIES ---
+// Shared by the audit explorer (when the backend returns the whole log as a plain array) and
+// the mock backend, so both filter entries the same way.
+//
+// Filters: { from, to, actions, userIds, tables, includeAuth, search } where `from` / `to` are
+// ISO timestamps (inclusive) and the facets are arrays (empty = no restriction).
+// On the wire the facets are comma separated lists:
+//   from, to, action, user_id, table_name, include_auth ('true' | 'false'), search
+
+export const AUTH_ACTIONS = ['LOGIN', 'LOGOUT'];
+export const AUDIT_ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'PASSWORD_RESET', ...AUTH_ACTIONS];
+
+export const EMPTY_AUDIT_FILTERS = {
+    from: '',
+    to: '',
+    actions: [],
+    userIds: [],
+    tables: [],
+    includeAuth: false,
+    search: '',
+};
+
+const splitList = (value) => (value ? value.split(',').map(part => part.trim()).filter(Boolean) : []);
+
+export const toAuditQuery = (filters) => ({
+    from: filters.from,
+    to: filters.to,
+    action: filters.actions.join(','),
+    user_id: filters.userIds.join(','),
+    table_name: filters.tables.join(','),
+    include_auth: filters.includeAuth ? 'true' : 'false',
+    search: filters.search.trim(),
+});
+
+// Without `include_auth` every entry is returned, as before the explorer existed
+export const parseAuditQuery = (searchParams) => ({
+    from: searchParams.get('from') || '',
+    to: searchParams.get('to') || '',
+    actions: splitList(searchParams.get('action')),
+    userIds: splitList(searchParams.get('user_id')),
+    tables: splitList(searchParams.get('table_name')),
+    includeAuth: searchParams.get('include_auth') !== 'false',
+    search: searchParams.get('search') || '',
+});
+
+export const matchesAuditFilters = (log, filters) => {
+    if (!filters.includeAuth && AUTH_ACTIONS.includes(log.action)) return false;
+    if (filters.actions.length > 0 && !filters.actions.includes(log.action)) return false;
+    if (filters.userIds.length > 0 && !filters.userIds.includes(String(log.user_id))) return false;
+    if (filters.tables.length > 0 && !filters.tables.includes(log.table_name)) return false;
+
+    const loggedAt = new Date(log.logged_at).getTime();
+    if (filters.from && !(loggedAt >= new Date(filters.from).getTime())) return false;
+    if (filters.to && !(loggedAt <= new Date(filters.to).getTime())) return false;
+
+    const term = filters.search.trim().toLowerCase();
+    if (term) {
+        return [log.action, log.user_name, log.table_name, log.document_id]
+            .some(value => String(value ?? '').toLowerCase().includes(term));
+    }
+    return true;
+};
+
+// Matching entries, newest first
+export const filterAuditLogs = (logs, filters) => logs
+    .filter(log => matchesAuditFilters(log, filters))
+    .sort((a, b) => new Date(b.logged_at) - new Date(a.logged_at));
+
+// Date inputs give local calendar days; the range covers both days entirely
+export const dayStartToIso = (day) => (day ? new Date(`${day}T00:00:00`).toISOString() : '');
+export const dayEndToIso = (day) => (day ? new Date(`${day}T23:59:59.999`).toISOString() : '');
@@ -0,0 +1,268 @@
+// --- DOCUMENT PREVIEW ---
+// Reads attachments in the browser for the DocumentPreviewer: no file is sent to an outside
+// viewer. loadDocument(buffer, fileName) resolves with { kind, pages, dispose } where each
+// page holds what its kind draws and the `texts` searched on it:
+//   pdf     one page per PDF page: { page } drawn on a canvas (see utils/pdfDocument)
+//   docx    one page: { html }, sanitized
+//   sheet   one page per worksheet: { name, rows, hiddenRowCount }
+//   slides  one page per slide: { title, paragraphs, images }
+//   text    one page: { text }
+//   image   one page: { src }
+// dispose() frees the object URLs and workers of the document. The libraries are loaded on
+// first use, like the spreadsheet export.
+
+import { getFileName } from './exportData';
+import { getExtension } from './uploadRules';
+
+const PREVIEW_KINDS = {
+    pdf: 'pdf',
+    docx: 'docx',
+    xlsx: 'sheet',
+    xls: 'sheet',
+    csv: 'sheet',
+    pptx: 'slides',
+    txt: 'text',
+    jpg: 'image',
+    jpeg: 'image',
+    png: 'image',
+    gif: 'image',
+    webp: 'image',
+    bmp: 'image',
+    svg: 'image',
+};
+
+const IMAGE_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+};
+
+// Longer worksheets are cut, the file can still be downloaded
+export const MAX_SHEET_ROWS = 1000;
+
+// 'pdf', 'docx'... or null when files named like this cannot be previewed (e.g. .doc, .ppt)
+export const getPreviewKind = (fileName) => PREVIEW_KINDS[getExtension(fileName)] || null;
+
+// Why `fileName` cannot be previewed, null when it can
+export const getPreviewProblem = (fileName) => (getPreviewKind(fileName)
+    ? null
+    : `${getExtension(fileName).toUpperCase() || 'These'} files cannot be previewed. Download the file to open it.`);
+
+// --- SEARCH ---
+
+const toPattern = (query) => new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+
+const isSearchable = (query) => query.trim() !== '';
+
+// Occurrences of `query` in `texts`, ignoring case
+export const countMatches = (texts, query) => {
+    if (!isSearchable(query)) return 0;
+    const pattern = toPattern(query);
+    return texts.reduce((count, text) => count + (String(text).match(pattern) || []).length, 0);
+};
+
+// `text` cut into [{ text, isMatch }] around the occurrences of `query`
+export const splitMatches = (text, query) => {
+    const value = String(text);
+    if (!isSearchable(query)) return [{ text: value, isMatch: false }];
+    const parts = [];
+    let last = 0;
+    for (const match of value.matchAll(toPattern(query))) {
+        if (match.index > last) parts.push({ text: value.slice(last, match.index), isMatch: false });
+        parts.push({ text: match[0], isMatch: true });
+        last = match.index + match[0].length;
+    }
+    if (last < value.length) parts.push({ text: value.slice(last), isMatch: false });
+    return parts;
+};
+
+export const getMatchClass = (isCurrent) => (isCurrent ? 'bg-orange-300 rounded-sm' : 'bg-yellow-200 rounded-sm');
+
+const getTextNodes = (root) => {
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+};
+
+// `html` with the occurrences of `query` in <mark>; the `currentMatch`-th one (from 0) carries
+// data-current-match
+export const highlightHtml = (html, query, currentMatch) => {
+    if (!isSearchable(query)) return html;
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+    let matchNumber = 0;
+    getTextNodes(body).forEach(node => {
+        const parts = splitMatches(node.nodeValue, query);
+        if (parts.length === 1 && !parts[0].isMatch) return;
+        const fragment = body.ownerDocument.createDocumentFragment();
+        parts.forEach(part => {
+            if (!part.isMatch) {
+                fragment.appendChild(body.ownerDocument.createTextNode(part.text));
+                return;
+            }
+            const mark = body.ownerDocument.createElement('mark');
+            mark.textContent = part.text;
+            mark.className = getMatchClass(matchNumber === currentMatch);
+            if (matchNumber === currentMatch) mark.setAttribute('data-current-match', '');
+            matchNumber++;
+            fragment.appendChild(mark);
+        });
+        node.replaceWith(fragment);
+    });
+    return body.innerHTML;
+};
+
+// --- LOADERS ---
+
+const SAFE_LINK = /^(https?:|mailto:|#)/i;
+const SAFE_IMAGE_SOURCE = /^data:image\/(png|jpe?g|gif|webp|bmp);/i;
+
+// Converted documents may hold links and pictures of any kind: only plain web links and
+// embedded raster pictures are kept
+const sanitizeHtml = (html) => {
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+    body.querySelectorAll('script, style, iframe, object, embed, link, meta, form').forEach(node => node.remove());
+    body.querySelectorAll('*').forEach(node => {
+        Array.from(node.attributes).forEach(({ name, value }) => {
+            if (name.startsWith('on')
+                || (name === 'href' && !SAFE_LINK.test(value.trim()))
+                || (name === 'src' && !SAFE_IMAGE_SOURCE.test(value.trim()))) {
+                node.removeAttribute(name);
+            }
+        });
+        if (node.tagName === 'A' && /^(https?|mailto):/i.test(node.getAttribute('href') || '')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+    body.normalize(); // text nodes as they are parsed again when shown (see highlightHtml)
+    return body;
+};
+
+const loadPdf = async (buffer) => {
+    const { openPdf } = await import('./pdfDocument');
+    return openPdf(buffer);
+};
+
+const loadDocx = async (buffer) => {
+    const mammoth = (await import('mammoth/mammoth.browser')).default;
+    const { value } = await mammoth.convertToHtml({ arrayBuffer: buffer });
+    const body = sanitizeHtml(value);
+    return { pages: [{ html: body.innerHTML, texts: getTextNodes(body).map(node => node.nodeValue) }] };
+};
+
+const loadSheets = async (buffer, fileName) => {
+    const XLSX = await import('xlsx');
+    // raw: CSV cells are shown as written (no "1/2" turned into a date)
+    const workbook = getExtension(fileName) === 'csv'
+        ? XLSX.read(new TextDecoder().decode(buffer), { type: 'string', raw: true })
+        : XLSX.read(buffer, { type: 'array' });
+    const pages = workbook.SheetNames.map(name => {
+        const matrix = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', raw: false, blankrows: true });
+        const rows = matrix.slice(0, MAX_SHEET_ROWS).map(row => row.map(cell => String(cell)));
+        return { name, rows, hiddenRowCount: matrix.length - rows.length, texts: rows.flat() };
+    });
+    return { pages };
+};
+
+const readXml = async (zip, path) => {
+    const file = zip.file(path);
+    return file ? new DOMParser().parseFromString(await file.async('string'), 'application/xml') : null;
+};
+
+// Elements named `name` under `node`, whatever their namespace prefix (p:sp, a:t...)
+const byName = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+
+// 'ppt/slides' + '../media/image1.png' -> 'ppt/media/image1.png'
+const resolvePath = (directory, target) => {
+    if (target.startsWith('/')) return target.slice(1);
+    return [...directory.split('/'), ...target.split('/')]
+        .reduce((parts, part) => (part === '..' ? parts.slice(0, -1) : part === '.' ? parts : [...parts, part]), [])
+        .join('/');
+};
+
+// Id -> resolved target of the relationships of the part at `path`
+const readRelationships = async (zip, path) => {
+    const directory = path.slice(0, path.lastIndexOf('/'));
+    const relationships = await readXml(zip, `${directory}/_rels/${path.slice(directory.length + 1)}.rels`);
+    if (!relationships) return new Map();
+    return new Map(byName(relationships, 'Relationship').map(relationship => [
+        relationship.getAttribute('Id'),
+        resolvePath(directory, relationship.getAttribute('Target')),
+    ]));
+};
+
+const getParagraphText = (paragraph) => byName(paragraph, 't').map(text => text.textContent).join('');
+
+// Slides keep their text and pictures in reading order; layouts, themes and positions are not
+// reproduced
+const loadSlides = async (buffer) => {
+    const JSZip = (await import('jszip')).default;
+    const zip = await JSZip.loadAsync(buffer);
+    const presentation = await readXml(zip, 'ppt/presentation.xml');
+    if (!presentation) throw new Error('This file is not a PowerPoint presentation.');
+
+    const presentationParts = await readRelationships(zip, 'ppt/presentation.xml');
+    const slidePaths = byName(presentation, 'sldId').map(slide => presentationParts.get(slide.getAttribute('r:id'))).filter(Boolean);
+    const urls = [];
+    const pages = [];
+
+    for (const path of slidePaths) {
+        const slide = await readXml(zip, path);
+        if (!slide) continue;
+        const slideParts = await readRelationships(zip, path);
+
+        let title = '';
+        const paragraphs = [];
+        byName(slide, 'sp').forEach(shape => {
+            const placeholder = byName(shape, 'ph')[0];
+            const isTitle = placeholder && ['title', 'ctrTitle'].includes(placeholder.getAttribute('type'));
+            const lines = byName(shape, 'p').map(getParagraphText).filter(line => line.trim());
+            if (isTitle && !title) title = lines.join(' ');
+            else paragraphs.push(...lines);
+        });
+        // Table rows as "cell | cell"
+        byName(slide, 'tr').forEach(row => {
+            const line = byName(row, 'tc').map(cell => byName(cell, 'p').map(getParagraphText).join(' ')).join(' | ');
+            if (line.replace(/\|/g, '').trim()) paragraphs.push(line);
+        });
+
+        const images = [];
+        const pictureTargets = new Set(byName(slide, 'blip').map(blip => slideParts.get(blip.getAttribute('r:embed'))));
+        for (const target of pictureTargets) {
+            const file = target && zip.file(target);
+            const type = target && IMAGE_TYPES[getExtension(target)];
+            if (!file || !type) continue; // missing, or a format browsers cannot show (EMF...)
+            const src = URL.createObjectURL(new Blob([await file.async('arraybuffer')], { type }));
+            urls.push(src);
+            images.push({ src, name: getFileName(target) });
+        }
+
+        pages.push({ title, paragraphs, images, texts: [title, ...paragraphs] });
+    }
+
+    return { pages, dispose: () => urls.forEach(url => URL.revokeObjectURL(url)) };
+};
+
+const loadText = async (buffer) => {
+    const text = new TextDecoder().decode(buffer);
+    return { pages: [{ text, texts: [text] }] };
+};
+
+const loadImage = async (buffer, fileName) => {
+    const src = URL.createObjectURL(new Blob([buffer], { type: IMAGE_TYPES[getExtension(fileName)] }));
+    return { pages: [{ src, texts: [] }], dispose: () => URL.revokeObjectURL(src) };
+};
+
+const LOADERS = { pdf: loadPdf, docx: loadDocx, sheet: loadSheets, slides: loadSlides, text: loadText, image: loadImage };
+
+export const loadDocument = async (buffer, fileName) => {
+    const kind = getPreviewKind(fileName);
+    if (!kind) throw new Error(getPreviewProblem(fileName));
+    const { pages, dispose = () => {} } = await LOADERS[kind](buffer, fileName);
+    return { kind, pages, dispose };
+};
@@ -0,0 +1,42 @@
+// --- LOCAL FORM DRAFTS (localStorage) ---
+// Unsaved form input, kept per user, collection and record ('new' for the creation form) so it
+// survives a closed modal, a tab switch, a logout or a crash, and can be restored later.
+// A draft is { values, base, saved_at }: `base` is the stored record the edit started from,
+// used as the version for the save so a restored draft cannot silently overwrite newer changes.
+// Files picked in the form but not uploaded yet cannot be stored and are left out.
+
+const NEW_RECORD_KEY = 'new';
+
+const storageKey = (userId, collectionKey, recordId) => `drafts:${userId}:${collectionKey}:${recordId ?? NEW_RECORD_KEY}`;
+
+const withoutPendingFiles = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [
+    key,
+    Array.isArray(value) ? value.filter(item => typeof item === 'string') : value,
+]));
+
+export const readDraft = (userId, collectionKey, recordId) => {
+    if (!userId) return null;
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(userId, collectionKey, recordId)));
+    } catch (e) {
+        return null;
+    }
+};
+
+export const saveDraft = (userId, collectionKey, recordId, values, base = null) => {
+    if (!userId) return;
+    try {
+        localStorage.setItem(storageKey(userId, collectionKey, recordId), JSON.stringify({
+            values: withoutPendingFiles(values),
+            base,
+            saved_at: new Date().toISOString(),
+        }));
+    } catch (e) {
+        console.warn('Could not save the draft:', e);
+    }
+};
+
+export const clearDraft = (userId, collectionKey, recordId) => {
+    if (!userId) return;
+    localStorage.removeItem(storageKey(userId, collectionKey, recordId));
+};
@@ -0,0 +1,2 @@
+// For user data interpolated into SweetAlert `html` content
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
@@ -0,0 +1,93 @@
+// --- TABLE EXPORT (CSV / XLSX) ---
+// Builds the export entirely in the browser. Columns are given as { key, label, type } where
+// `type` comes from the field schema (utils/fieldSchema.js), so every format renders values the same way:
+//   - file fields (arrays of stored paths) become the file names separated by '; '
+//   - checkboxes become Yes/No
+//   - number fields stay numeric (real number cells in XLSX), blank when not a number
+
+const FILE_NAME_SEPARATOR = '; ';
+
+// Stored file lists may come back as JSON strings from the database
+export const toFileList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string' && value.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            return [value];
+        }
+    }
+    return value ? [value] : [];
+};
+
+export const getFileName = (file) => {
+    const path = typeof file === 'string' ? file : (file && (file.name || file.path)) || '';
+    return path.split('/').pop();
+};
+
+// Returns a string, a number or null (empty cell)
+export const formatExportValue = (value, type) => {
+    if (type === 'file_image' || type === 'file_attachment') {
+        const names = toFileList(value).map(getFileName).filter(Boolean);
+        return names.length > 0 ? names.join(FILE_NAME_SEPARATOR) : null;
+    }
+    if (type === 'checkbox') return value === true || value === 'true' ? 'Yes' : 'No';
+    if (value === null || value === undefined || value === '') return null;
+    if (type === 'number') {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// First row holds the column labels
+export const buildExportRows = (records, columns) => [
+    columns.map(column => column.label),
+    ...records.map(record => columns.map(column => formatExportValue(record[column.key], column.type))),
+];
+
+// Text starting with these characters would run as a formula when the CSV is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (cell) => {
+    if (cell === null) return '';
+    if (typeof cell === 'number') return String(cell);
+    const text = FORMULA_PREFIX.test(cell) ? `'${cell}` : cell;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
+
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadCsv = (rows, filename) => {
+    // The BOM makes Excel read the file as UTF-8 (accents in names, ≥ signs...)
+    downloadBlob(new Blob(['\uFEFF', toCsv(rows)], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+// SheetJS is only loaded when someone actually exports a workbook
+export const downloadXlsx = async (rows, filename, sheetName = 'Export') => {
+    const XLSX = await import('xlsx');
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    // Column widths follow the longest value, capped so long texts do not produce huge columns
+    sheet['!cols'] = rows[0].map((_, index) => ({
+        wch: Math.min(60, Math.max(10, ...rows.map(row => String(row[index] ?? '').length))),
+    }));
+    const workbook = XLSX.utils.book_new();
+    // Sheet names are limited to 31 characters and cannot contain []:*?/\
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+    XLSX.writeFile(workbook, filename, { compression: true });
+};
+
+// e.g. products_2024-05-17.csv
+export const buildExportFileName = (baseName, extension) => `${baseName}_${new Date().toISOString().slice(0, 10)}.${extension}`;
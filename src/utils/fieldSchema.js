@@ -0,0 +1,65 @@
+// --- DECLARATIVE FIELD SCHEMA ---
+// Every collection describes its fields in `schema`, as { [fieldKey]: definition }:
+//   type           'text' (default) | 'textarea' (markdown, see utils/markdown.js) | 'number'
+//                  | 'checkbox' | 'select' | 'email' | 'file_image' (pictures, see utils/imageFiles.js)
+//                  | 'file_attachment'
+//   label          human label (defaults to the key in words)
+//   help           hint shown as a tooltip next to the label
+//   section        form section the field is grouped in
+//   options        values of a 'select' field, as strings or { value, label }
+//   optionsSource  'product_lines': the options are the names of the product lines (loaded at runtime)
+//   min, max, step bounds and increment of a 'number' field
+//   unit           shown next to the label, e.g. '%'
+//   placeholder    example value shown in empty inputs
+//   hidden         places the field is left out of: 'table', 'form' (creation), 'detail' (modal)
+//   maxLength, unique  validation rules, see utils/validation.js
+//   accept, maxFileSize  extensions and size accepted by a file field, see utils/uploadRules.js
+// Fields without a definition (id, bookkeeping columns) are plain text fields.
+
+export const FIELD_PLACES = { TABLE: 'table', FORM: 'form', DETAIL: 'detail' };
+
+export const humanizeFieldKey = (key) => (key === 'id' ? 'ID' : key.replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase()));
+
+export const getFieldSchema = (collection, key) => ({
+    type: 'text',
+    label: humanizeFieldKey(key),
+    hidden: [],
+    ...(collection.schema && collection.schema[key]),
+    key,
+});
+
+export const getFieldType = (collection, key) => getFieldSchema(collection, key).type;
+
+export const getFieldLabel = (collection, key) => getFieldSchema(collection, key).label;
+
+// Label with the unit, e.g. "GMDC (%)"
+export const getFieldCaption = (field) => (field.unit ? `${field.label} (${field.unit})` : field.label);
+
+export const isFileType = (type) => type === 'file_image' || type === 'file_attachment';
+
+export const isFieldShownIn = (collection, key, place) => !getFieldSchema(collection, key).hidden.includes(place);
+
+// Choices of a 'select' field as [{ value, label }]. `productLines` feeds optionsSource 'product_lines'.
+export const getFieldOptions = (field, { productLines = [] } = {}) => {
+    if (field.optionsSource === 'product_lines') return productLines.map(pl => ({ value: pl.name, label: pl.name }));
+    return (field.options || []).map(option => (typeof option === 'string' ? { value: option, label: option } : option));
+};
+
+// `keys` grouped by section, sections in order of their first field: [{ section, fields: [schema] }]
+export const groupFieldsBySection = (collection, keys) => keys.reduce((groups, key) => {
+    const field = getFieldSchema(collection, key);
+    const section = field.section || null;
+    const group = groups.find(g => g.section === section);
+    if (group) group.fields.push(field);
+    else groups.push({ section, fields: [field] });
+    return groups;
+}, []);
+
+// { key, label, type, options? } as used by the export, the import, the filter builder and the
+// change diffs. Options are plain values there.
+export const describeField = (collection, key, context) => {
+    const field = getFieldSchema(collection, key);
+    const descriptor = { key, label: field.label, type: field.type };
+    if (field.type === 'select') descriptor.options = getFieldOptions(field, context).map(option => option.value);
+    return descriptor;
+};
@@ -0,0 +1,154 @@
+// --- ADVANCED FILTER MODEL ---
+// A filter combines conditions with a single AND/OR combinator:
+//   { combinator: 'and' | 'or', conditions: [{ id, field, operator, value, valueTo }] }
+// Evaluation only depends on the operator, so the same code runs in the table (client-side
+// mode) and in the mock backend (server-side mode, where it arrives as the `filter` query
+// parameter, see serializeFilter).
+
+export const EMPTY_FILTER = { combinator: 'and', conditions: [] };
+
+const TEXT_OPERATORS = [
+    { value: 'contains', label: 'contains' },
+    { value: 'not_contains', label: 'does not contain' },
+    { value: 'equals', label: 'equals' },
+    { value: 'not_equals', label: 'does not equal' },
+    { value: 'starts_with', label: 'starts with' },
+    { value: 'is_empty', label: 'is empty' },
+    { value: 'is_not_empty', label: 'is not empty' },
+];
+
+const NUMBER_OPERATORS = [
+    { value: 'eq', label: '=' },
+    { value: 'neq', label: '≠' },
+    { value: 'gt', label: '>' },
+    { value: 'gte', label: '≥' },
+    { value: 'lt', label: '<' },
+    { value: 'lte', label: '≤' },
+    { value: 'between', label: 'between' },
+    { value: 'is_empty', label: 'is empty' },
+    { value: 'is_not_empty', label: 'is not empty' },
+];
+
+const BOOLEAN_OPERATORS = [
+    { value: 'is_true', label: 'is Yes' },
+    { value: 'is_false', label: 'is No' },
+];
+
+const FILE_OPERATORS = [
+    { value: 'is_not_empty', label: 'has files' },
+    { value: 'is_empty', label: 'has no files' },
+];
+
+const OPERATORS_BY_TYPE = {
+    text: TEXT_OPERATORS,
+    textarea: TEXT_OPERATORS,
+    number: NUMBER_OPERATORS,
+    checkbox: BOOLEAN_OPERATORS,
+    file_image: FILE_OPERATORS,
+    file_attachment: FILE_OPERATORS,
+};
+
+// Operators that do not take a value from the user
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty', 'is_true', 'is_false'];
+
+export const getOperatorOptions = (type) => OPERATORS_BY_TYPE[type] || TEXT_OPERATORS;
+
+export const operatorNeedsValue = (operator) => !VALUELESS_OPERATORS.includes(operator);
+
+let nextConditionId = 1;
+
+export const createCondition = (field, type) => ({
+    id: nextConditionId++,
+    field,
+    operator: getOperatorOptions(type)[0].value,
+    value: '',
+    valueTo: '',
+});
+
+// Conditions restored from storage (saved views, query strings) need fresh ids for editing
+export const withConditionIds = (filter) => ({
+    ...filter,
+    conditions: filter.conditions.map(condition => ({ value: '', valueTo: '', ...condition, id: nextConditionId++ })),
+});
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Conditions still being typed (missing value or range bound) are ignored
+export const isConditionComplete = ({ field, operator, value, valueTo }) => {
+    if (!field || !operator) return false;
+    if (!operatorNeedsValue(operator)) return true;
+    if (operator === 'between') return !isBlank(value) && !isBlank(valueTo);
+    return !isBlank(value);
+};
+
+export const getActiveConditions = (filter) => (filter && Array.isArray(filter.conditions) ? filter.conditions : [])
+    .filter(isConditionComplete);
+
+const isEmptyValue = (value) => value === null || value === undefined || value === ''
+    || (Array.isArray(value) && value.length === 0);
+
+const toNumber = (value) => (isBlank(value) ? NaN : parseFloat(value));
+
+export const matchesCondition = (record, { field, operator, value, valueTo }) => {
+    const raw = record[field];
+    const text = isEmptyValue(raw) ? '' : String(raw).toLowerCase();
+    const needle = String(value ?? '').trim().toLowerCase();
+    const number = toNumber(raw);
+
+    switch (operator) {
+        case 'contains': return text.includes(needle);
+        case 'not_contains': return !text.includes(needle);
+        case 'equals': return text === needle;
+        case 'not_equals': return text !== needle;
+        case 'starts_with': return text.startsWith(needle);
+        case 'is_empty': return isEmptyValue(raw);
+        case 'is_not_empty': return !isEmptyValue(raw);
+        case 'is_true': return raw === true || raw === 'true';
+        case 'is_false': return !(raw === true || raw === 'true');
+        case 'eq': return number === toNumber(value);
+        case 'neq': return number !== toNumber(value);
+        case 'gt': return number > toNumber(value);
+        case 'gte': return number >= toNumber(value);
+        case 'lt': return number < toNumber(value);
+        case 'lte': return number <= toNumber(value);
+        case 'between': {
+            const low = Math.min(toNumber(value), toNumber(valueTo));
+            const high = Math.max(toNumber(value), toNumber(valueTo));
+            return number >= low && number <= high;
+        }
+        default: return true;
+    }
+};
+
+export const matchesFilter = (record, filter) => {
+    const conditions = getActiveConditions(filter);
+    if (conditions.length === 0) return true;
+    return filter.combinator === 'or'
+        ? conditions.some(condition => matchesCondition(record, condition))
+        : conditions.every(condition => matchesCondition(record, condition));
+};
+
+// Wire format: JSON of the complete conditions only, '' when the filter is inactive
+export const serializeFilter = (filter) => {
+    const conditions = getActiveConditions(filter);
+    if (conditions.length === 0) return '';
+    return JSON.stringify({
+        combinator: filter.combinator === 'or' ? 'or' : 'and',
+        conditions: conditions.map(({ field, operator, value, valueTo }) => (
+            operator === 'between' ? { field, operator, value, valueTo } : { field, operator, value }
+        )),
+    });
+};
+
+export const parseFilter = (filterParam) => {
+    if (!filterParam) return EMPTY_FILTER;
+    try {
+        const parsed = JSON.parse(filterParam);
+        return {
+            combinator: parsed.combinator === 'or' ? 'or' : 'and',
+            conditions: Array.isArray(parsed.conditions) ? parsed.conditions : [],
+        };
+    } catch (e) {
+        return EMPTY_FILTER;
+    }
+};
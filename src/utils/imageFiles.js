@@ -0,0 +1,71 @@
+// --- PICTURES ---
+// Picture fields (type 'file_image') hold stored paths ('uploads/...') and File objects picked in
+// a form. The first picture is the primary one, used as the record's avatar; choosing another
+// primary picture moves it to the front of the list.
+// Large photos are resized and re-encoded in the browser before upload (compressImage).
+
+import { toFileList, getFileName } from './exportData';
+
+const IMAGE_EXTENSION_PATTERN = /\.(jpe?g|png|gif|webp|bmp|svg)$/i;
+
+export const MAX_IMAGE_DIMENSION = 1920; // px, longest side of a compressed photo
+const COMPRESSION_THRESHOLD_BYTES = 500 * 1024; // smaller files are sent as they are
+const JPEG_QUALITY = 0.85;
+// GIFs may be animated and SVGs are not photos: they are never re-encoded
+const COMPRESSIBLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const isImageFile = (fileOrPath) => (fileOrPath instanceof File
+    ? fileOrPath.type.startsWith('image/') || IMAGE_EXTENSION_PATTERN.test(fileOrPath.name)
+    : IMAGE_EXTENSION_PATTERN.test(getFileName(fileOrPath)));
+
+// Stored path of the primary picture, null when there is none
+export const getPrimaryPicture = (value) => toFileList(value).find(file => typeof file === 'string' && isImageFile(file)) || null;
+
+export const movePictureToFront = (files, index) => [files[index], ...files.filter((_, i) => i !== index)];
+
+// Size of `width` x `height` fitted into a `maxDimension` square, never enlarged
+export const fitDimensions = (width, height, maxDimension = MAX_IMAGE_DIMENSION) => {
+    const ratio = Math.min(1, maxDimension / Math.max(width, height));
+    return { width: Math.round(width * ratio), height: Math.round(height * ratio) };
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`${file.name} could not be read as an image.`));
+    };
+    image.src = url;
+});
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be encoded.'))), type, quality);
+});
+
+// Resolves with a smaller copy of a large photo, or with `file` itself when it is small, not a
+// photo, or could not be made smaller (the browser cannot decode it, the copy is bigger...)
+export const compressImage = async (file) => {
+    if (!(file instanceof File) || !COMPRESSIBLE_TYPES.includes(file.type) || file.size <= COMPRESSION_THRESHOLD_BYTES) return file;
+    try {
+        const image = await loadImage(file);
+        const { width, height } = fitDimensions(image.naturalWidth, image.naturalHeight);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        const blob = await canvasToBlob(canvas, file.type, file.type === 'image/png' ? undefined : JPEG_QUALITY);
+        if (blob.size >= file.size) return file;
+        return new File([blob], file.name, { type: file.type, lastModified: file.lastModified });
+    } catch (error) {
+        console.warn(`Sending ${file.name} uncompressed:`, error);
+        return file;
+    }
+};
+
+// `files` with every new photo compressed; stored paths are kept as they are
+export const compressImages = (files) => Promise.all(files.map(file => (file instanceof File ? compressImage(file) : file)));
@@ -0,0 +1,151 @@
+// --- SPREADSHEET IMPORT (CSV / XLSX) ---
+// Reads the first sheet of a file, maps its columns to collection fields and validates every
+// row before anything is sent to the server (dry run). Fields are given as { key, label, type }
+// like for the export, so a file produced by the export is recognized as-is.
+
+import { sanitizeMarkdown } from './markdown';
+
+// Sheet row numbers as the user sees them in their spreadsheet (row 1 holds the headers)
+const FIRST_DATA_ROW_NUMBER = 2;
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x', 'oui'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', 'non', ''];
+
+const normalizeName = (text) => String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Returns { headers: [...], rows: [{ rowNumber, cells: [...] }] } for the first sheet
+export const readSpreadsheetFile = async (file) => {
+    const XLSX = await import('xlsx');
+    const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+    // raw: CSV cells stay text, the field types decide how they are parsed (no "1/2" turned into a date)
+    const workbook = isCsv
+        ? XLSX.read(await file.text(), { type: 'string', raw: true })
+        : XLSX.read(await file.arrayBuffer(), { type: 'array' });
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const matrix = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true }) : [];
+    const [headerRow = [], ...dataRows] = matrix;
+
+    const headers = headerRow.map((header, index) => String(header).trim() || `Column ${index + 1}`);
+    const rows = dataRows
+        .map((cells, index) => ({ rowNumber: index + FIRST_DATA_ROW_NUMBER, cells }))
+        .filter(row => row.cells.some(cell => !isBlank(cell)));
+
+    return { headers, rows };
+};
+
+// Column index -> field key for the headers matching a field name or label, e.g. "Product Name"
+export const guessColumnMapping = (headers, fields) => {
+    const mapping = {};
+    const usedFields = new Set();
+    headers.forEach((header, index) => {
+        const name = normalizeName(header);
+        const field = fields.find(f => !usedFields.has(f.key) && (normalizeName(f.key) === name || normalizeName(f.label) === name));
+        if (field) {
+            mapping[index] = field.key;
+            usedFields.add(field.key);
+        }
+    });
+    return mapping;
+};
+
+// Returns { value } or { error } for one cell
+export const parseImportValue = (raw, type) => {
+    if (type === 'number') {
+        if (isBlank(raw)) return { value: null };
+        if (typeof raw === 'number') return { value: raw };
+        // Accepts "35,5", "35.5 %" and "1 250"
+        const text = String(raw).replace(/[\s%]/g, '');
+        const number = Number(text.includes('.') ? text.replace(/,/g, '') : text.replace(',', '.'));
+        return Number.isFinite(number) ? { value: number } : { error: `"${raw}" is not a number` };
+    }
+    if (type === 'checkbox') {
+        if (typeof raw === 'boolean') return { value: raw };
+        const text = String(raw ?? '').trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return { value: true };
+        if (FALSE_VALUES.includes(text)) return { value: false };
+        return { error: `"${raw}" is not Yes/No` };
+    }
+    if (type === 'textarea') return { value: isBlank(raw) ? '' : sanitizeMarkdown(String(raw)).trim() };
+    return { value: isBlank(raw) ? '' : String(raw).trim() };
+};
+
+const isSameValue = (imported, stored, type) => {
+    if (type === 'number') {
+        if (isBlank(imported) || isBlank(stored)) return isBlank(imported) && isBlank(stored);
+        return Number(imported) === Number(stored);
+    }
+    if (type === 'checkbox') return imported === (stored === true || stored === 'true');
+    return String(imported ?? '').trim() === String(stored ?? '').trim();
+};
+
+// Dry run: classifies every row as a create, an update (matched on id, then on keyField), an
+// unchanged record or an error, without calling the server.
+// Returns [{ rowNumber, action, record, existing, changedFields, errors }] where `record` only
+// holds the mapped fields (product line names use the stored spelling).
+// The optional authorizeRow(record, existing) returns an error message for rows the user may not write.
+export const validateImportRows = ({ rows, mapping, fields, requiredFields, productLineNames, existingRecords, keyField, authorizeRow }) => {
+    const fieldByKey = Object.fromEntries(fields.map(field => [field.key, field]));
+    const lineByName = new Map(productLineNames.map(name => [name.toLowerCase(), name]));
+    const existingById = new Map(existingRecords.map(record => [String(record.id), record]));
+    const existingByKey = new Map(existingRecords
+        .filter(record => !isBlank(record[keyField]))
+        .map(record => [String(record[keyField]).trim().toLowerCase(), record]));
+    const rowNumberByKey = new Map(); // keys already used in this file, to catch duplicates
+
+    return rows.map(({ rowNumber, cells }) => {
+        const errors = [];
+        const record = {};
+
+        Object.entries(mapping).forEach(([index, fieldKey]) => {
+            if (!fieldKey || !fieldByKey[fieldKey]) return;
+            const { value, error } = parseImportValue(cells[index], fieldByKey[fieldKey].type);
+            if (error) errors.push(`${fieldByKey[fieldKey].label}: ${error}`);
+            else record[fieldKey] = value;
+        });
+
+        let existing = null;
+        if (!isBlank(record.id)) {
+            existing = existingById.get(String(record.id)) || null;
+            if (!existing) errors.push(`No record with ID "${record.id}"`);
+        } else if (!isBlank(record[keyField])) {
+            existing = existingByKey.get(String(record[keyField]).trim().toLowerCase()) || null;
+        }
+        delete record.id;
+
+        if (!isBlank(record.product_line)) {
+            const lineName = lineByName.get(String(record.product_line).toLowerCase());
+            if (lineName) record.product_line = lineName;
+            else errors.push(`Unknown product line "${record.product_line}"`);
+        }
+
+        // Fields missing from the file keep their stored value on updates
+        const missing = requiredFields.filter(field => isBlank(field in record ? record[field] : existing && existing[field]));
+        if (missing.length > 0) {
+            errors.push(`Missing required fields: ${missing.map(field => (fieldByKey[field] ? fieldByKey[field].label : field)).join(', ')}`);
+        }
+
+        const key = existing ? `id:${existing.id}` : `key:${String(record[keyField] ?? '').trim().toLowerCase()}`;
+        if (rowNumberByKey.has(key)) {
+            errors.push(`Same record as row ${rowNumberByKey.get(key)}`);
+        } else {
+            rowNumberByKey.set(key, rowNumber);
+        }
+
+        if (errors.length === 0 && authorizeRow) {
+            const deniedMessage = authorizeRow(record, existing);
+            if (deniedMessage) errors.push(deniedMessage);
+        }
+
+        const changedFields = existing
+            ? Object.keys(record).filter(field => !isSameValue(record[field], existing[field], fieldByKey[field].type))
+            : Object.keys(record);
+
+        let action = 'create';
+        if (errors.length > 0) action = 'error';
+        else if (existing) action = changedFields.length > 0 ? 'update' : 'unchanged';
+        return { rowNumber, action, record, existing, changedFields, errors };
+    });
+};
@@ -0,0 +1,64 @@
+// --- LIST QUERY HELPERS ---
+// Shared by the table (client-side mode) and the mock backend (server-side mode) so both
+// sort records the same way.
+//
+// A sort model is an ordered array of { field, direction: 'asc' | 'desc' }. On the wire it
+// is serialized as a comma separated list where descending fields are prefixed with '-',
+// e.g. 'product_line,-gmdc_pct'.
+
+export const serializeSort = (sortModel) => sortModel
+    .map(({ field, direction }) => (direction === 'desc' ? `-${field}` : field))
+    .join(',');
+
+export const parseSort = (sortParam) => (sortParam || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => (part.startsWith('-')
+        ? { field: part.slice(1), direction: 'desc' }
+        : { field: part, direction: 'asc' }));
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Numbers (including numeric strings returned by PostgreSQL) compare numerically,
+// everything else as case-insensitive text. Empty values always sort last.
+export const compareValues = (a, b) => {
+    if (isEmpty(a) && isEmpty(b)) return 0;
+    if (isEmpty(a)) return 1;
+    if (isEmpty(b)) return -1;
+
+    const numberA = typeof a === 'number' ? a : Number(a);
+    const numberB = typeof b === 'number' ? b : Number(b);
+    if (typeof a !== 'boolean' && typeof b !== 'boolean' && !Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+        return numberA - numberB;
+    }
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+};
+
+export const sortRecords = (records, sortModel) => {
+    if (!sortModel || sortModel.length === 0) return records;
+
+    return [...records].sort((recordA, recordB) => {
+        for (const { field, direction } of sortModel) {
+            const valueA = recordA[field];
+            const valueB = recordB[field];
+            // Empty values stay at the bottom whatever the direction
+            if (isEmpty(valueA) !== isEmpty(valueB)) return isEmpty(valueA) ? 1 : -1;
+
+            const result = compareValues(valueA, valueB);
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+    });
+};
+
+// Paged list responses look like { data: [...], total }. Backends without paging support
+// ignore the query parameters and return the whole collection as a plain array.
+export const normalizeListResponse = (response) => {
+    if (Array.isArray(response)) {
+        return { rows: response, total: response.length, isPaged: false };
+    }
+    const rows = Array.isArray(response && response.data) ? response.data : [];
+    const total = Number.isFinite(Number(response && response.total)) ? Number(response.total) : rows.length;
+    return { rows, total, isPaged: true };
+};
@@ -0,0 +1,127 @@
+// --- MARKDOWN FOR LONG-TEXT FIELDS ---
+// 'textarea' fields hold a small markdown subset:
+//   # / ## / ### headings, - or * bullets, 1. numbered items, > quotes, ``` code blocks, ---
+//   **bold**, *italic* (or _italic_), `code`, [links](https://...)
+// The text is parsed into blocks that MarkdownView turns into React elements, so nothing is ever
+// injected as HTML and links to other schemes than http(s)/mailto stay plain text.
+// sanitizeMarkdown() cleans the text before it is stored.
+
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+const INLINE_PATTERN = /(`[^`\n]+`)|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+const HEADING_PATTERN = /^(#{1,3})\s+(.*)$/;
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const QUOTE_PATTERN = /^>\s?(.*)$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const FENCE_PATTERN = /^\s*```/;
+
+export const isSafeUrl = (url) => SAFE_URL_PATTERN.test(String(url).trim());
+
+// Inline tokens: { type: 'text' | 'code', text } and { type: 'strong' | 'em' | 'link', children, href? }
+export const parseInline = (text) => {
+    const tokens = [];
+    let lastIndex = 0;
+    const pushText = (value) => {
+        if (value) tokens.push({ type: 'text', text: value });
+    };
+
+    for (const match of String(text).matchAll(INLINE_PATTERN)) {
+        pushText(text.slice(lastIndex, match.index));
+        const [whole, code, strong, strongAlt, em, emAlt, linkText, href] = match;
+        if (code) tokens.push({ type: 'code', text: code.slice(1, -1) });
+        else if (strong || strongAlt) tokens.push({ type: 'strong', children: parseInline(strong || strongAlt) });
+        else if (em || emAlt) tokens.push({ type: 'em', children: parseInline(em || emAlt) });
+        else if (isSafeUrl(href)) tokens.push({ type: 'link', href, children: parseInline(linkText) });
+        else pushText(whole);
+        lastIndex = match.index + whole.length;
+    }
+    pushText(text.slice(lastIndex));
+    return tokens;
+};
+
+// Blocks: { type: 'heading', level, children }, { type: 'paragraph' | 'quote', lines: [children] },
+// { type: 'list', ordered, items: [children] }, { type: 'code', text }, { type: 'rule' }
+export const parseMarkdown = (text) => {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let current = null; // paragraph, quote or list still taking lines
+
+    for (let i = 0; i < lines.length; i += 1) {
+        const line = lines[i];
+
+        if (FENCE_PATTERN.test(line)) {
+            const codeLines = [];
+            for (i += 1; i < lines.length && !FENCE_PATTERN.test(lines[i]); i += 1) codeLines.push(lines[i]);
+            blocks.push({ type: 'code', text: codeLines.join('\n') });
+            current = null;
+            continue;
+        }
+        if (line.trim() === '') {
+            current = null;
+            continue;
+        }
+
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            current = null;
+            continue;
+        }
+        if (RULE_PATTERN.test(line)) {
+            blocks.push({ type: 'rule' });
+            current = null;
+            continue;
+        }
+
+        const bullet = BULLET_PATTERN.exec(line);
+        const numbered = !bullet && NUMBERED_PATTERN.exec(line);
+        if (bullet || numbered) {
+            const ordered = !!numbered;
+            if (!current || current.type !== 'list' || current.ordered !== ordered) {
+                current = { type: 'list', ordered, items: [] };
+                blocks.push(current);
+            }
+            current.items.push(parseInline((bullet || numbered)[1]));
+            continue;
+        }
+
+        const quote = QUOTE_PATTERN.exec(line);
+        const type = quote ? 'quote' : 'paragraph';
+        // A plain line right after a list item continues that item
+        if (!quote && current && current.type === 'list') {
+            current.items[current.items.length - 1].push({ type: 'text', text: ' ' }, ...parseInline(line.trim()));
+            continue;
+        }
+        if (!current || current.type !== type) {
+            current = { type, lines: [] };
+            blocks.push(current);
+        }
+        current.lines.push(parseInline(quote ? quote[1] : line));
+    }
+    return blocks;
+};
+
+const inlineToText = (tokens) => tokens.map(token => (token.children ? inlineToText(token.children) : token.text)).join('');
+
+// One-line text without markup, e.g. for table cells
+export const markdownToPlainText = (text) => parseMarkdown(text).map(block => {
+    if (block.type === 'heading') return inlineToText(block.children);
+    if (block.type === 'list') return block.items.map(inlineToText).join(', ');
+    if (block.type === 'code') return block.text;
+    if (block.type === 'rule') return '';
+    return block.lines.map(inlineToText).join(' ');
+}).filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+
+// Control characters other than tab and line feed (the line endings are normalized first)
+const isControlCharacter = (char) => {
+    const code = char.charCodeAt(0);
+    return (code < 32 && char !== '\t' && char !== '\n') || code === 127;
+};
+
+// Stored form of a long-text value: the text as typed, with \n line endings and without control
+// characters. HTML-like text ("input<max>") is kept: it is only ever shown as text.
+export const sanitizeMarkdown = (text) => {
+    if (typeof text !== 'string') return text;
+    return Array.from(text.replace(/\r\n?/g, '\n')).filter(char => !isControlCharacter(char)).join('');
+};
@@ -0,0 +1,20 @@
+// --- PDF DOCUMENTS ---
+// pdf.js, loaded on first use by utils/documentPreview. Pages are parsed in a worker bundled
+// with the app, so previews never depend on an external server.
+
+import * as pdfjs from 'pdfjs-dist';
+
+pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+// Returns { pages: [{ page, texts }], dispose } where `page` is the pdf.js page to draw
+export const openPdf = async (buffer) => {
+    // No eval: fonts of a crafted PDF could otherwise run code in the page
+    const pdf = await pdfjs.getDocument({ data: buffer, isEvalSupported: false }).promise;
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+        const page = await pdf.getPage(number);
+        const content = await page.getTextContent();
+        pages.push({ page, texts: [content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('')] });
+    }
+    return { pages, dispose: () => pdf.destroy() };
+};
@@ -0,0 +1,92 @@
+// --- ROLES & PERMISSIONS ---
+// Shared by the UI (to hide or disable controls) and the mock backend (to reject requests):
+//   viewer               read-only
+//   editor               creates, edits and deletes product lines and products
+//   product_line_manager edits the product lines whose `product_line_manager` is their login
+//                        email or display name, and creates, edits and deletes the products of
+//                        those lines
+//   admin                everything, plus users and audit logs
+// Accounts created before roles existed carry the legacy 'user' role and keep editor rights.
+
+import { findProductLine } from './productLineLinks';
+
+export const ROLES = {
+    VIEWER: 'viewer',
+    EDITOR: 'editor',
+    PRODUCT_LINE_MANAGER: 'product_line_manager',
+    ADMIN: 'admin',
+};
+
+export const ROLE_OPTIONS = [
+    { value: ROLES.VIEWER, label: 'Viewer' },
+    { value: ROLES.EDITOR, label: 'Editor' },
+    { value: ROLES.PRODUCT_LINE_MANAGER, label: 'Product Line Manager' },
+    { value: ROLES.ADMIN, label: 'Administrator' },
+];
+
+const LEGACY_ROLES = { user: ROLES.EDITOR };
+
+// Unknown roles fall back to read-only access
+export const normalizeRole = (role) => {
+    const mapped = LEGACY_ROLES[role] || role;
+    return ROLE_OPTIONS.some(option => option.value === mapped) ? mapped : ROLES.VIEWER;
+};
+
+export const getUserRole = (user) => (user ? normalizeRole(user.user_role) : ROLES.VIEWER);
+
+export const isAdminUser = (user) => getUserRole(user) === ROLES.ADMIN;
+
+// `product_line_manager` is free text: the manager's login email, which is what identifies them
+// for sure, or their display name as lines were first filled in
+const sameText = (a, b) => !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const isManager = (user, productLine) => !!productLine
+    && (sameText(productLine.product_line_manager, user.email) || sameText(productLine.product_line_manager, user.displayName));
+
+const isInManagedScope = (user, collectionKey, record, productLines) => {
+    if (!record) return false;
+    if (collectionKey === 'product_lines') return isManager(user, record);
+    if (collectionKey === 'products') return isManager(user, findProductLine(record, productLines || []));
+    return false;
+};
+
+// Whether the user may write to the collection at all (shows Add New, Import, selection...)
+export const canWriteCollection = (user, collectionKey) => {
+    const role = getUserRole(user);
+    if (role === ROLES.ADMIN) return true;
+    if (collectionKey === 'users') return false;
+    if (role === ROLES.EDITOR) return true;
+    if (role === ROLES.PRODUCT_LINE_MANAGER) return collectionKey === 'product_lines' || collectionKey === 'products';
+    return false;
+};
+
+export const canCreateInCollection = (user, collectionKey) => {
+    if (!canWriteCollection(user, collectionKey)) return false;
+    return getUserRole(user) !== ROLES.PRODUCT_LINE_MANAGER || collectionKey === 'products';
+};
+
+// action: 'create' | 'update' | 'delete'. For updates `record` is checked before and `nextRecord`
+// after the change, so a product line manager cannot move a product out of their lines.
+// `productLines` is needed to resolve the lines a product line manager manages.
+export const canPerform = (user, action, collectionKey, record, { productLines, nextRecord } = {}) => {
+    if (!canWriteCollection(user, collectionKey)) return false;
+    if (getUserRole(user) !== ROLES.PRODUCT_LINE_MANAGER) return true;
+
+    if (collectionKey === 'product_lines' && action !== 'update') return false;
+    if (action === 'create') return !record || !record.product_line || isInManagedScope(user, collectionKey, record, productLines);
+    if (!isInManagedScope(user, collectionKey, record, productLines)) return false;
+    return !nextRecord || isInManagedScope(user, collectionKey, { ...record, ...nextRecord }, productLines);
+};
+
+// Message shown when a write is rejected
+export const getDeniedMessage = (user, collectionKey) => {
+    const role = getUserRole(user);
+    if (collectionKey === 'users') return 'Administrator access required.';
+    if (role === ROLES.VIEWER) return 'Your account has read-only access.';
+    if (role === ROLES.PRODUCT_LINE_MANAGER) {
+        return collectionKey === 'product_lines'
+            ? 'You can only edit the product lines you manage.'
+            : 'You can only change products of the product lines you manage.';
+    }
+    return 'You are not allowed to perform this action.';
+};
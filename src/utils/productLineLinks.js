@@ -0,0 +1,29 @@
+// --- PRODUCT -> PRODUCT LINE LINK ---
+// A product belongs to the line its `product_line_id` points to. `product_line` repeats the
+// line's name for display, filters and search; it is rewritten when the line is renamed.
+// Products stored without an id (before the link existed) fall back to the name.
+// A product whose line cannot be found is an orphan.
+
+const normalizeName = (name) => String(name ?? '').trim().toLowerCase();
+
+const hasLineId = (product) => product.product_line_id !== null && product.product_line_id !== undefined && product.product_line_id !== '';
+
+export const findProductLineByName = (name, productLines) => productLines.find(line => normalizeName(line.name) === normalizeName(name)) || null;
+
+export const findProductLine = (product, productLines) => {
+    if (hasLineId(product)) return productLines.find(line => String(line.id) === String(product.product_line_id)) || null;
+    return findProductLineByName(product.product_line, productLines);
+};
+
+export const isProductOfLine = (product, productLine) => (hasLineId(product)
+    ? String(product.product_line_id) === String(productLine.id)
+    : normalizeName(product.product_line) === normalizeName(productLine.name));
+
+export const isOrphanProduct = (product, productLines) => !findProductLine(product, productLines);
+
+// Product values (form or payload) with `product_line_id` matching their `product_line` name
+export const linkProductLine = (values, productLines) => {
+    if (!('product_line' in values)) return values;
+    const line = findProductLineByName(values.product_line, productLines);
+    return { ...values, product_line_id: line ? line.id : null };
+};
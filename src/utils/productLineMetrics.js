@@ -0,0 +1,79 @@
+// --- PRODUCT LINE ROLL-UPS ---
+// Figures of product lines computed from their products (product line page, dashboard). Blank
+// numbers are left out of the averages and ranges rather than counted as 0.
+
+import { markdownToPlainText } from './markdown';
+import { findProductLine } from './productLineLinks';
+
+export const GMDC_BIN_SIZE = 10; // width of the GMDC histogram bins, in %
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Customer names of a free-text field: one per line, comma or semicolon (markdown bullets allowed)
+export const splitCustomerNames = (text) => String(text ?? '')
+    .split(/[\n,;]+/)
+    .map(part => markdownToPlainText(part).trim())
+    .filter(Boolean);
+
+// Distinct names (case-insensitive), sorted, with the number of products naming each
+const countCustomers = (products, field) => {
+    const byName = new Map();
+    products.forEach(product => {
+        const names = new Map(splitCustomerNames(product[field]).map(name => [name.toLowerCase(), name]));
+        names.forEach((name, key) => {
+            const entry = byName.get(key) || { name, productCount: 0 };
+            entry.productCount += 1;
+            byName.set(key, entry);
+        });
+    });
+    return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// { productCount, averageGmdc, gmdcCount, priceMin, priceMax, priceCount, chinaCount,
+//   customersInProduction: [{ name, productCount }], customersInDevelopment: [...] }
+export const summarizeProducts = (products) => {
+    const gmdcValues = products.map(product => toNumber(product.gmdc_pct)).filter(value => value !== null);
+    const prices = products.map(product => toNumber(product.estimated_price_per_product)).filter(value => value !== null);
+
+    return {
+        productCount: products.length,
+        averageGmdc: gmdcValues.length > 0 ? gmdcValues.reduce((sum, value) => sum + value, 0) / gmdcValues.length : null,
+        gmdcCount: gmdcValues.length,
+        priceMin: prices.length > 0 ? Math.min(...prices) : null,
+        priceMax: prices.length > 0 ? Math.max(...prices) : null,
+        priceCount: prices.length,
+        chinaCount: products.filter(product => product.prod_if_customer_in_china === true || product.prod_if_customer_in_china === 'true').length,
+        customersInProduction: countCustomers(products, 'customers_in_production'),
+        customersInDevelopment: countCustomers(products, 'customer_in_development'),
+    };
+};
+
+// [{ productLine, products }] in the order of `productLines`; products whose line cannot be
+// found are grouped last with productLine null
+export const groupProductsByLine = (products, productLines) => {
+    const groups = productLines.map(productLine => ({ productLine, products: [] }));
+    const orphans = { productLine: null, products: [] };
+    products.forEach(product => {
+        const line = findProductLine(product, productLines);
+        const group = line ? groups.find(g => g.productLine === line) : orphans;
+        group.products.push(product);
+    });
+    return orphans.products.length > 0 ? [...groups, orphans] : groups;
+};
+
+// Products per GMDC bin: [{ from, to, count }] from 0 to 100 %; 100 % falls in the last bin
+export const buildGmdcHistogram = (products, binSize = GMDC_BIN_SIZE) => {
+    const bins = [];
+    for (let from = 0; from < 100; from += binSize) bins.push({ from, to: Math.min(from + binSize, 100), count: 0 });
+    products.forEach(product => {
+        const value = toNumber(product.gmdc_pct);
+        if (value === null) return;
+        const index = Math.min(Math.max(Math.floor(value / binSize), 0), bins.length - 1);
+        bins[index].count += 1;
+    });
+    return bins;
+};
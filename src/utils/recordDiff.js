@@ -0,0 +1,66 @@
+// --- RECORD CHANGE DIFFS ---
+// Compares the old_data / new_data snapshots of an audit entry field by field. Fields are given
+// as { key, label, type } like for the export, and values are rendered the same way.
+// File fields report which files were added and removed rather than the whole list, and whether
+// the files they kept changed order.
+
+import { formatExportValue, toFileList, getFileName } from './exportData';
+
+// Bookkeeping columns change on every write and say nothing about the edit itself
+const IGNORED_FIELDS = ['id', 'created_at', 'created_by', 'updated_at', 'updated_by', 'password', 'password_hash'];
+
+const isFileType = (type) => type === 'file_image' || type === 'file_attachment';
+
+export const formatDiffValue = (value, type) => {
+    const formatted = formatExportValue(value, type);
+    return formatted === null ? '' : String(formatted);
+};
+
+// Returns [{ field, before, after }] for plain fields and [{ field, added, removed, reordered }]
+// for file fields, in the order of `fields`. `before` is null for creations and `after` for deletions.
+export const diffRecords = (before, after, fields) => fields
+    .filter(field => !IGNORED_FIELDS.includes(field.key))
+    .reduce((changes, field) => {
+        const oldValue = before ? before[field.key] : undefined;
+        const newValue = after ? after[field.key] : undefined;
+
+        if (isFileType(field.type)) {
+            const oldFiles = toFileList(oldValue);
+            const newFiles = toFileList(newValue);
+            const added = newFiles.filter(file => !oldFiles.includes(file)).map(getFileName);
+            const removed = oldFiles.filter(file => !newFiles.includes(file)).map(getFileName);
+            const keptFiles = oldFiles.filter(file => newFiles.includes(file));
+            const reordered = newFiles.filter(file => oldFiles.includes(file)).some((file, index) => file !== keptFiles[index]);
+            if (added.length > 0 || removed.length > 0 || reordered) changes.push({ field, added, removed, reordered });
+            return changes;
+        }
+
+        const oldText = before ? formatDiffValue(oldValue, field.type) : '';
+        const newText = after ? formatDiffValue(newValue, field.type) : '';
+        if (oldText !== newText) changes.push({ field, before: oldText, after: newText });
+        return changes;
+    }, []);
+
+// One line per change, e.g. "GMDC PCT: 32.5 → 35" or "PRODUCT PICTURES: +front.png, -old.png"
+export const describeChange = (change) => {
+    if (change.added || change.removed) {
+        const files = [...change.added.map(name => `+${name}`), ...change.removed.map(name => `-${name}`), ...(change.reordered ? ['order changed'] : [])];
+        return `${change.field.label}: ${files.join(', ')}`;
+    }
+    return `${change.field.label}: ${change.before || '(empty)'} → ${change.after || '(empty)'}`;
+};
+
+// Compares two values of one field as the user sees them. Files compare by stored path;
+// files picked in the form but not uploaded yet (File objects) never match a stored one.
+export const isSameFieldValue = (a, b, type) => {
+    if (isFileType(type)) {
+        const key = (value) => toFileList(value).map(file => (typeof file === 'string' ? file : `new:${getFileName(file)}`)).join('\n');
+        return key(a) === key(b);
+    }
+    return formatDiffValue(a, type) === formatDiffValue(b, type);
+};
+
+// Fields whose form value differs from the original one (the form's dirty state)
+export const getChangedFields = (values, original, fields) => fields
+    .filter(field => !IGNORED_FIELDS.includes(field.key))
+    .filter(field => !isSameFieldValue(values[field.key], original[field.key], field.type));
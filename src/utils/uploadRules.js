@@ -0,0 +1,84 @@
+// --- UPLOAD RULES ---
+// Checks on the files picked for a file field, from its schema (see utils/fieldSchema.js):
+//   accept       accepted extensions, e.g. ['pdf', 'docx'] (any file when missing)
+//   maxFileSize  largest accepted file, in bytes
+// Two files of a field cannot have the same name. Stored files carry the upload time in front
+// of their name ('uploads/1715000000000-report.pdf'), which is ignored in the comparison.
+
+import { toFileList, getFileName } from './exportData';
+
+export const MEGABYTE = 1024 * 1024;
+
+const STORED_NAME_PREFIX = /^\d{10,}-/;
+
+export const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < MEGABYTE) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / MEGABYTE).toLocaleString(undefined, { maximumFractionDigits: 1 })} MB`;
+};
+
+export const getExtension = (name) => {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// Name as the user picked it, compared without case and with the characters the server replaces
+const getComparableName = (fileOrPath) => {
+    const name = fileOrPath instanceof File ? fileOrPath.name : getFileName(fileOrPath).replace(STORED_NAME_PREFIX, '');
+    return name.replace(/[^\w.-]/g, '_').toLowerCase();
+};
+
+// e.g. "PDF, DOCX or XLSX, up to 50 MB"
+export const describeFileRules = (field) => {
+    const parts = [];
+    if (field.accept) {
+        const extensions = field.accept.map(extension => extension.toUpperCase());
+        parts.push(extensions.length > 1 ? `${extensions.slice(0, -1).join(', ')} or ${extensions[extensions.length - 1]}` : extensions[0]);
+    }
+    if (field.maxFileSize) parts.push(`up to ${formatFileSize(field.maxFileSize)}`);
+    return parts.join(', ');
+};
+
+// `accept` attribute of the file input
+export const getAcceptAttribute = (field) => (field.accept ? field.accept.map(extension => `.${extension}`).join(',') : undefined);
+
+// Why `file` cannot be uploaded to `field`, null when it can
+export const getFileProblem = (field, file) => {
+    if (field.accept && !field.accept.includes(getExtension(file.name))) {
+        return `${getExtension(file.name).toUpperCase() || 'Files without an extension'} files are not accepted in ${field.label}.`;
+    }
+    if (field.maxFileSize && file.size > field.maxFileSize) {
+        return `${formatFileSize(file.size)} is over the ${formatFileSize(field.maxFileSize)} limit of ${field.label}.`;
+    }
+    return null;
+};
+
+// Splits newly picked files into the ones that can join `currentFiles` and the others, as
+// { accepted: [File], rejected: [{ name, reason }] }
+export const screenFiles = (field, pickedFiles, currentFiles = []) => {
+    const takenNames = new Set(toFileList(currentFiles).map(getComparableName));
+    return pickedFiles.reduce((result, file) => {
+        const problem = getFileProblem(field, file);
+        const name = getComparableName(file);
+        if (problem) {
+            result.rejected.push({ name: file.name, reason: problem });
+        } else if (takenNames.has(name)) {
+            result.rejected.push({ name: file.name, reason: `A file named ${file.name} is already attached.` });
+        } else {
+            takenNames.add(name);
+            result.accepted.push(file);
+        }
+        return result;
+    }, { accepted: [], rejected: [] });
+};
+
+// First problem of a file field value (new files breaking the rules, duplicate names), or null
+export const getFileListProblem = (field, value) => {
+    const files = toFileList(value);
+    const invalidFile = files.find(file => file instanceof File && getFileProblem(field, file));
+    if (invalidFile) return `${invalidFile.name}: ${getFileProblem(field, invalidFile)}`;
+
+    const names = files.map(getComparableName);
+    const duplicate = files.find((_, index) => names.indexOf(names[index]) !== index);
+    return duplicate ? `${field.label} holds two files named ${duplicate instanceof File ? duplicate.name : getFileName(duplicate).replace(STORED_NAME_PREFIX, '')}.` : null;
+};
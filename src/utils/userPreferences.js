@@ -0,0 +1,24 @@
+// --- PER-USER UI PREFERENCES (localStorage) ---
+// Small UI settings (active tab, column widths...) remembered per user on this browser.
+// Keys are namespaced by user id so people sharing a workstation keep their own settings.
+
+const storageKey = (userId, key) => `prefs:${userId}:${key}`;
+
+export const readUserPreference = (userId, key, fallback = null) => {
+    if (!userId) return fallback;
+    try {
+        const stored = localStorage.getItem(storageKey(userId, key));
+        return stored === null ? fallback : JSON.parse(stored);
+    } catch (e) {
+        return fallback;
+    }
+};
+
+export const writeUserPreference = (userId, key, value) => {
+    if (!userId) return;
+    try {
+        localStorage.setItem(storageKey(userId, key), JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save preference "${key}":`, e);
+    }
+};
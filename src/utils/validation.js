@@ -0,0 +1,101 @@
+// --- RECORD VALIDATION ---
+// One rule set per collection, read from its field schema (see utils/fieldSchema.js) and its
+// requiredFields, so the creation form and the detail modal check exactly the same things:
+//   required     the field is listed in collection.requiredFields
+//   min, max     bounds of a number field
+//   maxLength    longest accepted text
+//   type 'email' address format
+//   accept, maxFileSize  accepted extensions and size of new files, no duplicate file names
+//                (see utils/uploadRules.js)
+//   unique       { within?: fieldKey }: no other record has the same value (case-insensitive),
+//                among the records sharing the `within` field value when given
+// Errors are returned as { [fieldKey]: message }, empty when the record is valid.
+
+import { getFieldSchema, isFileType } from './fieldSchema';
+import { toFileList } from './exportData';
+import { getFileListProblem } from './uploadRules';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value, type) => {
+    if (isFileType(type)) return toFileList(value).length === 0;
+    return value === null || value === undefined || String(value).trim() === '';
+};
+
+const normalizeUniqueValue = (value) => String(value ?? '').trim().toLowerCase();
+
+const validateField = (field, value, isRequired) => {
+    if (isBlank(value, field.type)) return isRequired ? `${field.label} is required.` : null;
+    if (isFileType(field.type)) return getFileListProblem(field, value);
+
+    if (field.type === 'number') {
+        const number = typeof value === 'number' ? value : Number(value);
+        if (Number.isNaN(number)) return `${field.label} must be a number.`;
+        if (field.min !== undefined && field.max !== undefined && (number < field.min || number > field.max)) {
+            return `${field.label} must be between ${field.min} and ${field.max}.`;
+        }
+        if (field.min !== undefined && number < field.min) return `${field.label} must be at least ${field.min}.`;
+        if (field.max !== undefined && number > field.max) return `${field.label} must be at most ${field.max}.`;
+    }
+    if (field.type === 'email' && !EMAIL_PATTERN.test(String(value).trim())) {
+        return `${field.label} must be a valid email address.`;
+    }
+    if (field.maxLength !== undefined && String(value).length > field.maxLength) {
+        return `${field.label} must be at most ${field.maxLength} characters long.`;
+    }
+    return null;
+};
+
+// Rules that only need the record itself; `fields` are the keys shown in the form
+export const validateRecord = (collection, values, fields) => fields.reduce((errors, key) => {
+    const error = validateField(getFieldSchema(collection, key), values[key], collection.requiredFields.includes(key));
+    if (error) errors[key] = error;
+    return errors;
+}, {});
+
+// Uniqueness rules, checked against the stored records. `findRecords(query)` returns the records
+// matching an exact-value query (the result is filtered again here); `recordId` is the edited one.
+export const findUniquenessErrors = async (collection, values, fields, { recordId = null, findRecords }) => {
+    const errors = {};
+    for (const key of fields) {
+        const field = getFieldSchema(collection, key);
+        if (!field.unique || isBlank(values[key], field.type)) continue;
+
+        const scope = field.unique.within;
+        const query = scope ? { [key]: values[key], [scope]: values[scope] } : { [key]: values[key] };
+        const records = await findRecords(query);
+        const duplicate = records.find(record => String(record.id) !== String(recordId)
+            && normalizeUniqueValue(record[key]) === normalizeUniqueValue(values[key])
+            && (!scope || normalizeUniqueValue(record[scope]) === normalizeUniqueValue(values[scope])));
+        if (duplicate) {
+            errors[key] = scope
+                ? `Another record of this ${getFieldSchema(collection, scope).label} already uses this ${field.label}.`
+                : `Another record already uses this ${field.label}.`;
+        }
+    }
+    return errors;
+};
+
+// Field errors of a rejected write (400/422). Understands { errors: { field: message } },
+// { errors: [{ field | path | param, message | msg }] } and "Missing required fields: a, b".
+export const getServerFieldErrors = (error, collection) => {
+    const data = (error && error.data) || {};
+    const errors = {};
+
+    if (Array.isArray(data.errors)) {
+        data.errors.forEach(entry => {
+            const key = entry.field || entry.path || entry.param;
+            if (key) errors[key] = entry.message || entry.msg || `${getFieldSchema(collection, key).label} is invalid.`;
+        });
+    } else if (data.errors && typeof data.errors === 'object') {
+        Object.assign(errors, data.errors);
+    }
+
+    const missing = /^Missing required fields: (.+)$/.exec((error && error.message) || '');
+    if (missing) {
+        missing[1].split(',').map(key => key.trim()).filter(Boolean).forEach(key => {
+            if (!errors[key]) errors[key] = `${getFieldSchema(collection, key).label} is required.`;
+        });
+    }
+    return errors;
+};